@@ -0,0 +1,177 @@
+// Local relay - Gun relay with radisk storage for LAN / air-gapped play
+//
+//   npm run relay                 # listens on 0.0.0.0:8765
+//   PORT=9000 npm run relay       # another port
+//   RELAY_DATA=/srv/swan npm run relay
+//   RELAY_LIBS=/srv/swan-libs npm run relay   # cached browser libraries
+//
+// Open http://<this-machine>:8765/ on every device on the LAN. Besides the
+// Gun endpoint at /gun, the relay serves the app, a swan.config.json that
+// points the client at this relay with zero public peers, and the browser
+// libraries the client would otherwise take from the CDN.
+
+import http from "node:http";
+import https from "node:https";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Gun from "gun";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PORT = Number(process.env.PORT) || 8765;
+const HOST = process.env.HOST || "0.0.0.0";
+const DATA_DIR = process.env.RELAY_DATA || path.join(ROOT, "radata");
+const LIB_DIR = process.env.RELAY_LIBS || path.join(ROOT, "vendor");
+
+// Only the files the app needs are served from the repository
+const STATIC_PATHS = ["/index.html", "/favicon.ico", "/manifest.json"];
+const STATIC_DIRS = ["/src/", "/assets/"];
+
+// Libraries LOCAL ONLY clients load from /lib/ instead of the CDN. Each is
+// downloaded into LIB_DIR the first time the relay starts online and
+// served from there afterwards; Gun.serve covers /gun.js and /gun/sea.js.
+const LIB_PREFIX = "/lib/";
+const LIBRARIES = {
+  "multiavatar.min.js":
+    "https://cdn.jsdelivr.net/npm/@multiavatar/multiavatar/multiavatar.min.js",
+  "shogun-core.js":
+    "https://cdn.jsdelivr.net/npm/shogun-core@^1.10.3/dist/browser/shogun-core.js",
+};
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".ico": "image/x-icon",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".ttf": "font/ttf",
+};
+
+// Client config: this relay, reached through the host the browser used
+function sendConfig(req, res) {
+  const host = req.headers.host || `localhost:${PORT}`;
+  res.writeHead(200, {
+    "Content-Type": MIME_TYPES[".json"],
+    "Cache-Control": "no-store",
+  });
+  res.end(
+    JSON.stringify({ peers: [`http://${host}/gun`], localOnly: true }, null, 2)
+  );
+}
+
+// Serve a file from the repository, refusing anything outside it
+function sendStatic(pathname, res) {
+  const relative = pathname === "/" ? "/index.html" : pathname;
+  const allowed =
+    STATIC_PATHS.includes(relative) ||
+    STATIC_DIRS.some((dir) => relative.startsWith(dir));
+  const filePath = path.join(ROOT, path.normalize(relative));
+
+  if (!allowed || !filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(404);
+    res.end("Not found");
+    return;
+  }
+
+  sendFile(filePath, res);
+}
+
+// Serve a cached library
+function sendLibrary(name, res) {
+  if (!Object.prototype.hasOwnProperty.call(LIBRARIES, name)) {
+    res.writeHead(404);
+    res.end("Not found");
+    return;
+  }
+  sendFile(path.join(LIB_DIR, name), res);
+}
+
+// Send a file with its MIME type, or a 404 if it cannot be read
+function sendFile(filePath, res) {
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404);
+      res.end("Not found");
+      return;
+    }
+    const type =
+      MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+      "application/octet-stream";
+    res.writeHead(200, { "Content-Type": type });
+    res.end(content);
+  });
+}
+
+// Download a library into LIB_DIR unless a copy is already there
+function cacheLibrary(name, url) {
+  const filePath = path.join(LIB_DIR, name);
+  if (fs.existsSync(filePath)) return;
+
+  const warn = (reason) =>
+    console.warn(`⚠️ ${name} not cached (${reason}); copy it to ${LIB_DIR}`);
+
+  https
+    .get(url, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        warn(`HTTP ${res.statusCode}`);
+        return;
+      }
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        try {
+          fs.mkdirSync(LIB_DIR, { recursive: true });
+          fs.writeFileSync(filePath, Buffer.concat(chunks));
+          console.log(`   Cached ${name} in ${LIB_DIR}`);
+        } catch (error) {
+          warn(error.message);
+        }
+      });
+    })
+    .on("error", (error) => warn(error.message));
+}
+
+const server = http.createServer((req, res) => {
+  // Gun answers its own requests on the same server
+  if (Gun.serve(req, res)) return;
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, "http://relay").pathname);
+  } catch (error) {
+    res.writeHead(400);
+    res.end("Bad request");
+    return;
+  }
+
+  if (pathname === "/swan.config.json") {
+    sendConfig(req, res);
+  } else if (pathname.startsWith(LIB_PREFIX)) {
+    sendLibrary(pathname.slice(LIB_PREFIX.length), res);
+  } else {
+    sendStatic(pathname, res);
+  }
+});
+
+Gun({ web: server, file: DATA_DIR, radisk: true });
+
+Object.entries(LIBRARIES).forEach(([name, url]) => cacheLibrary(name, url));
+
+server.listen(PORT, HOST, () => {
+  console.log(`🛰️ Swan Station local relay listening on port ${PORT}`);
+  console.log(`   Data stored in ${DATA_DIR}`);
+  Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface && iface.family === "IPv4" && !iface.internal)
+    .forEach((iface) => {
+      console.log(`   LAN: http://${iface.address}:${PORT}/`);
+    });
+  console.log(`   Local: http://localhost:${PORT}/`);
+});
@@ -0,0 +1,378 @@
+// Alarms module - Parameter alarms with escalation and acknowledgement
+(function () {
+  "use strict";
+
+  // Every parameter has caution, warning and critical ranges in the
+  // station rules. Leaving a range raises an alarm of that level, and the
+  // alarm escalates with it: a caution is logged, a warning also sounds,
+  // a critical alarm also raises a browser notification, and a parameter
+  // that stays critical forces an emergency task. Acknowledging an alarm
+  // silences it until it escalates further.
+  //
+  // Alarms live at <station>/alarms/<param>. The station coordinator
+  // raises, escalates and clears them, so everyone sees the same alarms;
+  // any operator can acknowledge one.
+
+  const LEVELS = ["nominal", "caution", "warning", "critical"];
+  // How long a parameter stays critical before an emergency task is forced
+  const CRITICAL_TASK_MS = 120000;
+  // Unacknowledged warnings and critical alarms sound again this often
+  const REPEAT_MS = 30000;
+  // The station's reset alarm doubles as the parameter siren
+  const SIREN_SOUND = "assets/reset.mp3";
+
+  const PARAMETER_LABELS = {
+    powerLevel: "POWER",
+    oxygenLevel: "OXYGEN",
+    temperature: "TEMPERATURE",
+    radiationLevel: "RADIATION",
+    pressure: "PRESSURE",
+    humidity: "HUMIDITY",
+  };
+  // Emergency task forced by a parameter that stays critical
+  const PARAMETER_TASKS = {
+    powerLevel: "powerGridFailure",
+    oxygenLevel: "containmentBreach",
+    temperature: "coolantLeak",
+    radiationLevel: "radiationLeak",
+    pressure: "containmentBreach",
+    humidity: "systemOverload",
+  };
+
+  // Alarms state
+  const alarms = new Map(); // param -> alarm
+  const announced = new Map(); // param -> level last announced here
+  const changeListeners = new Set();
+  let createTask = null;
+  let started = false;
+  let siren = null;
+
+  // Get the alarms node
+  function getAlarmsRef() {
+    const gun = window.core?.gun;
+    return gun ? window.stations.getStationRoot(gun).get("alarms") : null;
+  }
+
+  // Get the station's threshold table
+  function getThresholds() {
+    return window.rules.getRules().thresholds;
+  }
+
+  // Get the alarm level of a parameter value
+  function getLevel(param, value, thresholds = getThresholds()) {
+    const levels = thresholds[param];
+    if (!levels || typeof value !== "number") return "nominal";
+    const outside = (level) =>
+      value < levels[level][0] || value > levels[level][1];
+    if (outside("critical")) return "critical";
+    if (outside("warning")) return "warning";
+    if (outside("caution")) return "caution";
+    return "nominal";
+  }
+
+  // Is a parameter value inside its optimal range?
+  function isOptimal(param, value, thresholds = getThresholds()) {
+    const range = thresholds[param]?.optimal;
+    return !!range && value >= range[0] && value <= range[1];
+  }
+
+  // Compare two levels; positive when the first is more severe
+  function compareLevels(a, b) {
+    return LEVELS.indexOf(a) - LEVELS.indexOf(b);
+  }
+
+  // Has an alarm been acknowledged at its current level?
+  function isAcknowledged(alarm) {
+    return (
+      !!alarm?.acknowledgedLevel &&
+      compareLevels(alarm.acknowledgedLevel, alarm.level) >= 0
+    );
+  }
+
+  // Get the raised alarms, most severe first
+  function getAlarms() {
+    return Array.from(alarms.entries())
+      .filter(([, alarm]) => alarm.level !== "nominal")
+      .map(([param, alarm]) => ({ param, ...alarm }))
+      .sort((a, b) => compareLevels(b.level, a.level) || a.since - b.since);
+  }
+
+  // Subscribe to alarm changes; returns an unsubscribe function
+  function onAlarmChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  // Describe an alarm, e.g. "WARNING: PRESSURE HIGH (1062.4)"
+  function describeAlarm(param, alarm) {
+    const range = getThresholds()[param]?.caution;
+    const direction = range && alarm.value < range[0] ? "LOW" : "HIGH";
+    const value =
+      typeof alarm.value === "number"
+        ? ` (${alarm.value.toFixed(param === "radiationLevel" ? 3 : 1)})`
+        : "";
+    return `${alarm.level.toUpperCase()}: ${
+      PARAMETER_LABELS[param] || param
+    } ${direction}${value}`;
+  }
+
+  // Sound the station siren
+  function playSiren() {
+    if (!siren) siren = new Audio(SIREN_SOUND);
+    siren.volume = 0.3;
+    siren.currentTime = 0;
+    siren.play().catch((error) => {
+      console.warn("Failed to play alarm sound:", error);
+    });
+  }
+
+  // Raise a browser notification when the operator allowed them
+  function notify(message) {
+    if (typeof Notification === "undefined") return;
+    if (Notification.permission === "granted") {
+      new Notification("STATION ALARM", { body: message });
+    } else if (Notification.permission === "default") {
+      Notification.requestPermission().catch(() => {});
+    }
+  }
+
+  // Announce an alarm that changed level, as far as its level escalates
+  function announce(param, alarm) {
+    const previous = announced.get(param) || "nominal";
+    announced.set(param, alarm.level);
+    if (alarm.level === "nominal") {
+      if (previous !== "nominal") {
+        window.core.addLog(
+          `${PARAMETER_LABELS[param] || param} back in range`,
+          "success"
+        );
+      }
+      return;
+    }
+    if (compareLevels(alarm.level, previous) <= 0) return;
+
+    const message = describeAlarm(param, alarm);
+    window.core.addLog(
+      message,
+      alarm.level === "caution" ? "warning" : "error"
+    );
+    if (isAcknowledged(alarm)) return;
+    if (compareLevels(alarm.level, "warning") >= 0) playSiren();
+    if (alarm.level === "critical") notify(message);
+  }
+
+  // Sound unacknowledged warnings and critical alarms again
+  function repeatAlarms() {
+    const sounding = getAlarms().some(
+      (alarm) =>
+        compareLevels(alarm.level, "warning") >= 0 && !isAcknowledged(alarm)
+    );
+    if (sounding) playSiren();
+  }
+
+  // Acknowledge an alarm at its current level
+  function acknowledgeAlarm(param) {
+    const alarm = alarms.get(param);
+    const alarmsRef = getAlarmsRef();
+    if (!alarm || alarm.level === "nominal" || !alarmsRef) return false;
+
+    const update = {
+      acknowledgedBy: window.core?.user?.is?.alias || "UNKNOWN",
+      acknowledgedAt: window.timer.getStationTime(),
+      acknowledgedLevel: alarm.level,
+    };
+    alarmsRef.get(param).put(update);
+    alarms.set(param, { ...alarm, ...update });
+    changeListeners.forEach((listener) => listener(param));
+    window.core.addLog(`${describeAlarm(param, alarm)} acknowledged`, "info");
+    return true;
+  }
+
+  // Force the emergency task of a parameter that stayed critical
+  function forceTask(param, alarm) {
+    const definition =
+      window.catalog.getTask(PARAMETER_TASKS[param]) ||
+      window.catalog.pickTask("EMERGENCY");
+    const taskRef = window.core?.taskRef;
+    if (!definition || !taskRef || !createTask) return;
+
+    const task = {
+      ...createTask(definition),
+      forced: true,
+      triggeredBy: describeAlarm(param, alarm),
+    };
+    taskRef.get(task.id).put(task);
+    getAlarmsRef().get(param).put({ taskId: task.id });
+    alarms.set(param, { ...alarm, taskId: task.id });
+    window.core.addLog(
+      `${PARAMETER_LABELS[param] || param} critical too long: ${
+        definition.name
+      } required`,
+      "error"
+    );
+  }
+
+  // Raise, escalate and clear alarms for the current parameters. Only the
+  // coordinator writes; everyone else follows the alarms node.
+  function checkParameters(params) {
+    const alarmsRef = getAlarmsRef();
+    if (!params || !alarmsRef || !window.coordinator?.isCoordinator()) return;
+    const now = window.timer.getStationTime();
+    const thresholds = getThresholds();
+
+    Object.keys(thresholds).forEach((param) => {
+      const value = params[param];
+      const level = getLevel(param, value, thresholds);
+      const alarm = alarms.get(param) || { level: "nominal" };
+
+      if (level !== alarm.level) {
+        const update =
+          level === "nominal"
+            ? {
+                level,
+                since: now,
+                value,
+                acknowledgedBy: null,
+                acknowledgedAt: null,
+                acknowledgedLevel: null,
+                taskId: null,
+              }
+            : {
+                level,
+                since: now,
+                value,
+                raisedAt: alarm.level === "nominal" ? now : alarm.raisedAt,
+                // Any change leaves or enters critical without a task, so
+                // a parameter going critical again forces a new one
+                taskId: null,
+              };
+        alarmsRef.get(param).put(update);
+        alarms.set(param, { ...alarm, ...update });
+        return;
+      }
+
+      if (
+        level === "critical" &&
+        !alarm.taskId &&
+        now - alarm.since >= CRITICAL_TASK_MS
+      ) {
+        forceTask(param, { ...alarm, value });
+      }
+    });
+  }
+
+  // Show the active and acknowledged alarms
+  function showAlarmList() {
+    if (document.querySelector(".alarm-list")) return;
+
+    // Opening the list is a click, so browsers let us ask to notify
+    if (
+      typeof Notification !== "undefined" &&
+      Notification.permission === "default"
+    ) {
+      Notification.requestPermission().catch(() => {});
+    }
+
+    const overlay = document.createElement("div");
+    overlay.className = "overlay";
+    overlay.innerHTML = `
+      <div class="alarm-list">
+        <h2>&gt; STATION ALARMS</h2>
+        <h3>ACTIVE</h3>
+        <div class="alarm-rows" id="activeAlarms"></div>
+        <h3>ACKNOWLEDGED</h3>
+        <div class="alarm-rows" id="acknowledgedAlarms"></div>
+        <div class="button" id="closeAlarmList">CLOSE</div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const active = overlay.querySelector("#activeAlarms");
+    const acknowledged = overlay.querySelector("#acknowledgedAlarms");
+    const render = () => {
+      active.innerHTML = "";
+      acknowledged.innerHTML = "";
+
+      getAlarms().forEach((alarm) => {
+        const row = document.createElement("div");
+        row.className = `alarm-row ${alarm.level}`;
+
+        const text = document.createElement("span");
+        text.className = "alarm-text";
+        text.textContent = describeAlarm(alarm.param, alarm);
+        row.appendChild(text);
+
+        const since = document.createElement("span");
+        since.className = "alarm-since";
+        since.textContent = new Date(alarm.since).toLocaleTimeString();
+        row.appendChild(since);
+
+        if (isAcknowledged(alarm)) {
+          const by = document.createElement("span");
+          by.className = "alarm-ack";
+          by.textContent = `ACK ${alarm.acknowledgedBy}`;
+          row.appendChild(by);
+          acknowledged.appendChild(row);
+        } else {
+          const action = document.createElement("button");
+          action.className = "alarm-action";
+          action.textContent = "ACKNOWLEDGE";
+          action.onclick = () => acknowledgeAlarm(alarm.param);
+          row.appendChild(action);
+          active.appendChild(row);
+        }
+      });
+
+      [active, acknowledged].forEach((list) => {
+        if (!list.children.length) {
+          list.innerHTML = '<div class="alarm-empty">NONE</div>';
+        }
+      });
+    };
+
+    render();
+    const unsubscribe = onAlarmChange(render);
+    overlay.querySelector("#closeAlarmList").onclick = () => {
+      unsubscribe();
+      overlay.remove();
+    };
+  }
+
+  // Follow the station's alarms. createTask(definition) builds a task
+  // instance for the emergency tasks the coordinator forces.
+  function startAlarms(taskFactory) {
+    createTask = taskFactory;
+    if (started) return;
+    const alarmsRef = getAlarmsRef();
+    if (!alarmsRef) return;
+    started = true;
+
+    alarmsRef.map().on((data, param) => {
+      if (!data?.level || !LEVELS.includes(data.level)) return;
+      const alarm = { ...data };
+      delete alarm._;
+      alarms.set(param, alarm);
+      announce(param, alarm);
+      changeListeners.forEach((listener) => listener(param));
+    });
+
+    window.core.safeSetInterval(repeatAlarms, REPEAT_MS);
+    console.log("🚨 Parameter alarms started");
+  }
+
+  // Export alarms functions
+  window.alarms = {
+    LEVELS,
+    CRITICAL_TASK_MS,
+    getLevel,
+    isOptimal,
+    compareLevels,
+    isAcknowledged,
+    getAlarms,
+    onAlarmChange,
+    acknowledgeAlarm,
+    checkParameters,
+    showAlarmList,
+    startAlarms,
+  };
+})();
@@ -0,0 +1,286 @@
+// Assignments module - Abandoning, handing off and reclaiming accepted tasks
+(function () {
+  "use strict";
+
+  // An accepted task is locked to its operator. The operator can give it
+  // back to the pool at a reputation cost, or offer it to another online
+  // operator, who takes it over by accepting the offer. Tasks held by
+  // operators whose presence lapsed return to the pool after a grace
+  // period; only the station coordinator does this, so each task is
+  // returned by a single writer.
+
+  // Reputation lost for abandoning an accepted task
+  const ABANDON_REPUTATION_COST = 5;
+  // Operators seen within this window count as online
+  const ONLINE_WINDOW_MS = 30000;
+  // Assignments of operators offline for this long return to the pool
+  const RETURN_GRACE_MS = 120000;
+  // Handoff offers not accepted within this time lapse
+  const HANDOFF_TTL_MS = 60000;
+
+  // Assignments state
+  const presence = new Map(); // alias -> last seen
+  let presenceFollowed = false;
+
+  function getOwnAlias() {
+    return window.core?.user?.is?.alias || null;
+  }
+
+  // Follow operator heartbeats; safe to call repeatedly
+  function followPresence() {
+    const operatorsRef = window.core?.operatorsRef;
+    if (presenceFollowed || !operatorsRef) return;
+    presenceFollowed = true;
+
+    operatorsRef.map().on((data) => {
+      if (data?.name && typeof data.lastSeen === "number") {
+        const lastSeen = Math.max(presence.get(data.name) || 0, data.lastSeen);
+        presence.set(data.name, lastSeen);
+      }
+    });
+  }
+
+  // Is an operator online?
+  function isOnline(alias, now = Date.now()) {
+    return now - (presence.get(alias) || 0) < ONLINE_WINDOW_MS;
+  }
+
+  // Get the other operators online now, by alias
+  function getOnlineOperators(now = Date.now()) {
+    const own = getOwnAlias();
+    return Array.from(presence.keys())
+      .filter((alias) => alias !== own && isOnline(alias, now))
+      .sort();
+  }
+
+  // Is there a live handoff offer on a task?
+  function hasHandoffOffer(task, now = Date.now()) {
+    return !!task?.handoffTo && now - (task.handoffAt || 0) < HANDOFF_TTL_MS;
+  }
+
+  // Has the assignee of a task been gone longer than the grace period?
+  // Assignees never seen count from the moment they accepted.
+  function isLapsed(task, lastSeen, now = Date.now()) {
+    if (!task?.assignedTo || task.completed || task.failed) return false;
+    const seen = Math.max(lastSeen || 0, task.assignedAt || 0);
+    return now - seen >= ONLINE_WINDOW_MS + RETURN_GRACE_MS;
+  }
+
+  // Fields that put a task back in the pool
+  function unassignedFields(now) {
+    return {
+      assignedTo: null,
+      assignedAt: now,
+      executionStartTime: null,
+      executionEndTime: null,
+      handoffTo: null,
+      handoffFrom: null,
+      handoffAt: null,
+    };
+  }
+
+  // Write task fields to the graph and to the local copy
+  function updateTask(task, fields) {
+    Object.assign(task, fields);
+    if (window.core?.taskRef) window.core.taskRef.get(task.id).put(fields);
+  }
+
+  // Take reputation from this operator. The app's own helper also updates
+  // the reputation its challenge gate reads; the modular build has none,
+  // so the profile is charged directly under the challenge rules.
+  function chargeReputation(cost) {
+    if (window.core?.updateReputation) {
+      window.core.updateReputation(-cost, "task abandoned");
+      return;
+    }
+
+    const user = window.core?.user;
+    const alias = getOwnAlias();
+    if (!user?.is || !alias) return;
+
+    const startingReputation =
+      window.challenges?.reputationRules?.startingReputation || 0;
+    user.get("profile").once((profile) => {
+      const reputation = Math.max(
+        0,
+        (profile?.reputation || startingReputation) - cost
+      );
+      user.get("profile").put({ reputation });
+      window.core.gun.get("leaderboard").get(alias).put({ reputation });
+    });
+  }
+
+  // Give an accepted task back to the pool at a reputation cost
+  function abandonTask(task) {
+    const alias = getOwnAlias();
+    if (!alias || task.assignedTo !== alias) {
+      window.core.addLog("ERROR: Task not assigned to you", "error");
+      return false;
+    }
+
+    updateTask(task, { ...unassignedFields(Date.now()), abandonedBy: alias });
+    chargeReputation(ABANDON_REPUTATION_COST);
+    window.core.addLog(
+      `Task "${task.name}" abandoned (-${ABANDON_REPUTATION_COST} reputation)`,
+      "warning"
+    );
+    return true;
+  }
+
+  // Offer an accepted task to another online operator
+  function offerHandoff(task, toAlias) {
+    const alias = getOwnAlias();
+    if (!alias || task.assignedTo !== alias) {
+      window.core.addLog("ERROR: Task not assigned to you", "error");
+      return false;
+    }
+    if (!toAlias || toAlias === alias || !isOnline(toAlias)) {
+      window.core.addLog(
+        "ERROR: Handoff needs another online operator",
+        "error"
+      );
+      return false;
+    }
+
+    updateTask(task, {
+      handoffTo: toAlias,
+      handoffFrom: alias,
+      handoffAt: Date.now(),
+    });
+    window.core.addLog(`Offered "${task.name}" to ${toAlias}`, "info");
+    return true;
+  }
+
+  // Take over a task offered to this operator
+  function acceptHandoff(task) {
+    const alias = getOwnAlias();
+    if (!alias || task.handoffTo !== alias || !hasHandoffOffer(task)) {
+      window.core.addLog(
+        "ERROR: No handoff offer for you on this task",
+        "error"
+      );
+      return false;
+    }
+
+    const from = task.handoffFrom;
+    updateTask(task, {
+      assignedTo: alias,
+      assignedAt: Date.now(),
+      handoffTo: null,
+      handoffFrom: null,
+      handoffAt: null,
+    });
+    window.core.addLog(`Took over "${task.name}" from ${from}`, "success");
+    return true;
+  }
+
+  // Turn down, or withdraw, a handoff offer
+  function cancelHandoff(task) {
+    const alias = getOwnAlias();
+    if (!alias || (task.handoffTo !== alias && task.handoffFrom !== alias)) {
+      return false;
+    }
+    updateTask(task, { handoffTo: null, handoffFrom: null, handoffAt: null });
+    window.core.addLog(`Handoff of "${task.name}" cancelled`, "info");
+    return true;
+  }
+
+  // Return tasks whose assignees lapsed to the pool. Only the station
+  // coordinator writes; returns the tasks it gave back.
+  function returnLapsedTasks(tasks, now = Date.now()) {
+    followPresence();
+    if (!window.coordinator?.isCoordinator()) return [];
+
+    const returned = tasks.filter((task) =>
+      isLapsed(task, presence.get(task.assignedTo), now)
+    );
+    returned.forEach((task) => {
+      const alias = task.assignedTo;
+      updateTask(task, { ...unassignedFields(now), returnedFrom: alias });
+      window.core.addLog(
+        `Task "${task.name}" returned to the pool - ${alias} went offline`,
+        "warning"
+      );
+    });
+    return returned;
+  }
+
+  // Build the abandon/handoff controls of a task for this operator, or
+  // null when there is nothing for them to do
+  function createAssignmentControls(task, onChange) {
+    followPresence();
+    const alias = getOwnAlias();
+    if (!alias) return null;
+
+    const controls = document.createElement("div");
+    controls.className = "task-assignment";
+    const addButton = (label, action) => {
+      const button = document.createElement("button");
+      button.className = "task-btn assignment-btn";
+      button.textContent = label;
+      button.onclick = () => {
+        if (action()) onChange?.();
+      };
+      controls.appendChild(button);
+    };
+    const addNote = (text) => {
+      const note = document.createElement("span");
+      note.className = "assignment-note";
+      note.textContent = text;
+      controls.appendChild(note);
+    };
+
+    if (hasHandoffOffer(task) && task.handoffTo === alias) {
+      addNote(`${task.handoffFrom} offers you this task`);
+      addButton("TAKE OVER", () => acceptHandoff(task));
+      addButton("DECLINE", () => cancelHandoff(task));
+      return controls;
+    }
+    if (task.assignedTo !== alias) return null;
+
+    if (hasHandoffOffer(task)) {
+      addNote(`Offered to ${task.handoffTo}`);
+      addButton("WITHDRAW", () => cancelHandoff(task));
+      return controls;
+    }
+
+    const select = document.createElement("select");
+    select.className = "assignment-select";
+    const operators = getOnlineOperators();
+    [["", operators.length ? "HAND OFF TO..." : "NOBODY ONLINE"]]
+      .concat(operators.map((operator) => [operator, operator]))
+      .forEach(([value, label]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    select.disabled = operators.length === 0;
+    select.onchange = () => {
+      if (select.value && offerHandoff(task, select.value)) onChange?.();
+    };
+    controls.appendChild(select);
+    addButton(`ABANDON (-${ABANDON_REPUTATION_COST} REP)`, () =>
+      abandonTask(task)
+    );
+    return controls;
+  }
+
+  // Export assignments functions
+  window.assignments = {
+    ABANDON_REPUTATION_COST,
+    RETURN_GRACE_MS,
+    HANDOFF_TTL_MS,
+    followPresence,
+    isOnline,
+    getOnlineOperators,
+    hasHandoffOffer,
+    isLapsed,
+    abandonTask,
+    offerHandoff,
+    acceptHandoff,
+    cancelHandoff,
+    returnLapsedTasks,
+    createAssignmentControls,
+  };
+})();
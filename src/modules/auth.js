@@ -33,11 +33,13 @@ function showAuthPrompt() {
     <h2>SWAN STATION ACCESS</h2>
     <p>Enter your operator name to continue:</p>
     <input type="text" id="authInput" placeholder="Operator Name" class="auth-input">
+    ${window.stations.renderStationField()}
     <button id="authSubmit" class="auth-button">[ ENTER STATION ]</button>
     <button id="authSignup" class="auth-button">[ NEW OPERATOR ]</button>
   `;
 
   container.appendChild(authDiv);
+  window.stations.bindStationField(authDiv);
 
   const input = document.getElementById("authInput");
   const submitBtn = document.getElementById("authSubmit");
@@ -61,6 +63,8 @@ function showAuthPrompt() {
       if (existingUser) {
         window.ui.addLog(`Welcome back, ${alias}!`, "success");
         window.core.setUser(existingUser);
+        // Another station reloads the page on its own root
+        if (window.stations.joinSelectedStation(authDiv)) return;
         startApp(alias);
       } else {
         window.ui.addLog(
@@ -103,6 +107,8 @@ function showAuthPrompt() {
       if (newUser) {
         window.ui.addLog(`Operator ${alias} created successfully!`, "success");
         window.core.setUser(newUser);
+        // Another station reloads the page on its own root
+        if (window.stations.joinSelectedStation(authDiv)) return;
         startApp(alias);
       } else {
         window.ui.addLog("Failed to create operator", "error");
@@ -0,0 +1,674 @@
+// Calibration module - Manual calibration game coupled to the station
+(function () {
+  "use strict";
+
+  // Each bar shows one station parameter: the value the station
+  // simulation last wrote, plus the operator's corrections, plus sensor
+  // noise that wanders frame by frame while a session runs. The band to
+  // hold a bar in is the parameter's optimal range from the station
+  // rules, and the bar's scale is its critical range.
+  //
+  // Corrections are never written over the parameters. They collect
+  // while the operator works and are submitted to the simulation as
+  // deltas, which the coordinator folds into the next tick; until that
+  // tick arrives the bar keeps showing them. Noise is local and never
+  // submitted.
+  //
+  // Every session is recorded under the operator's own calibration node
+  // with its duration, final score, a score timeline and the corrections
+  // it submitted.
+
+  // Bars, by station parameter. steps are the small and large adjustments,
+  // noise is how far sensor noise wanders
+  const BARS = {
+    powerLevel: { label: "POWER", steps: [1, 5], decimals: 1, noise: 0.5 },
+    oxygenLevel: { label: "OXYGEN", steps: [1, 5], decimals: 1, noise: 0.3 },
+    temperature: {
+      label: "TEMPERATURE",
+      steps: [0.5, 2],
+      decimals: 1,
+      noise: 0.2,
+    },
+    radiationLevel: {
+      label: "RADIATION",
+      steps: [0.01, 0.02],
+      decimals: 2,
+      noise: 0.005,
+    },
+    pressure: { label: "PRESSURE", steps: [2, 10], decimals: 0, noise: 2 },
+    humidity: { label: "HUMIDITY", steps: [1, 5], decimals: 1, noise: 0.4 },
+  };
+
+  // Noise is kicked about, springs back to zero and loses speed at these
+  // rates per second; it wanders about three times the bar's noise size
+  const NOISE_KICK = 200;
+  const NOISE_SPRING = 2;
+  const NOISE_DAMPING = 1.5;
+  // Frames longer than this (a hidden tab) are cut short
+  const MAX_FRAME_S = 0.1;
+  // How often collected corrections are submitted
+  const FLUSH_MS = 2000;
+  // Submissions older than this are in the tick that arrives next
+  const SUBMIT_SETTLE_MS = 1500;
+  // Score timeline sampling, and the most samples kept per session
+  const TIMELINE_MS = 2000;
+  const MAX_TIMELINE_SAMPLES = 900;
+  // Held buttons repeat after a delay
+  const REPEAT_DELAY_MS = 400;
+  const REPEAT_MS = 120;
+  // Timeline samples are kept as "seconds:score:inRange,..."
+  const TIMELINE_SEPARATOR = ",";
+
+  // Calibration state
+  const bars = {}; // param -> { base, pending, noise, velocity }
+  let submissions = []; // [{ delta, at }] not yet seen in a tick
+  let instabilityLevel = 0.1;
+  let lastTick = null;
+  let session = null;
+  let selected = "powerLevel";
+  const sessions = new Map(); // id -> recorded session
+  let started = false;
+
+  // Get the operator's calibration node
+  function getCalibrationRef() {
+    const user = window.core?.user;
+    return user?.is ? user.get("calibration") : null;
+  }
+
+  // Get the band a bar should be held in, as [min, max]
+  function getRange(param) {
+    return window.rules.getRules().thresholds[param].optimal;
+  }
+
+  // Get the scale a bar is drawn on, as [min, max]
+  function getScale(param) {
+    return window.rules.getRules().thresholds[param].critical;
+  }
+
+  // Keep a value inside the parameter's limits
+  function clampValue(param, value) {
+    const [min, max] = window.failure.PARAMETER_LIMITS[param];
+    return Math.max(min, Math.min(max, value));
+  }
+
+  // Get a bar's state, starting it at the middle of its range
+  function getBar(param) {
+    if (!bars[param]) {
+      const [min, max] = getRange(param);
+      const base = (min + max) / 2;
+      bars[param] = { base, pending: 0, noise: 0, velocity: 0 };
+    }
+    return bars[param];
+  }
+
+  // Get the corrections to a parameter submitted but not yet in a tick
+  function getSubmitted(param) {
+    return submissions.reduce(
+      (sum, submission) => sum + (submission.delta[param] || 0),
+      0
+    );
+  }
+
+  // Get the value a bar shows
+  function getValue(param) {
+    const bar = getBar(param);
+    return clampValue(
+      param,
+      bar.base + getSubmitted(param) + bar.pending + bar.noise
+    );
+  }
+
+  // Move a bar's noise on by one frame of dt seconds. Pure: random() is
+  // the only source of chance.
+  function stepNoise(noise, velocity, size, dt, random) {
+    let nextVelocity = velocity + (random() - 0.5) * size * NOISE_KICK * dt;
+    nextVelocity -= noise * NOISE_SPRING * dt;
+    nextVelocity *= Math.exp(-NOISE_DAMPING * dt);
+    return { noise: noise + nextVelocity * dt, velocity: nextVelocity };
+  }
+
+  // Count the bars inside their ranges
+  function countInRange(values) {
+    return Object.keys(BARS).filter((param) => {
+      const [min, max] = getRange(param);
+      return values[param] >= min && values[param] <= max;
+    }).length;
+  }
+
+  // Score a session: 100 per bar in range plus a second per second played,
+  // never dropping below the best so far
+  function computeScore(best, inRange, elapsedMs) {
+    return Math.max(best, inRange * 100 + Math.floor(elapsedMs / 1000));
+  }
+
+  // Calculate points to award based on calibration score
+  function calculateCalibrationPoints(score, profile = null) {
+    // Base points: 1 point per 100 score
+    let basePoints = Math.floor(score / 100);
+
+    // Bonus points for high scores
+    if (score >= 1000) basePoints += 5;
+    if (score >= 500) basePoints += 2;
+    if (score >= 200) basePoints += 1;
+
+    // Bonus for calibrating again within a day
+    if (profile?.lastCalibrationDate) {
+      const timeSinceLastSession = Date.now() - profile.lastCalibrationDate;
+      if (timeSinceLastSession < 24 * 60 * 60 * 1000) basePoints += 1;
+    }
+
+    // Minimum 1 point for any calibration session
+    return Math.max(1, basePoints);
+  }
+
+  // Read a score timeline back as [{ seconds, score, inRange }]
+  function parseTimeline(timeline) {
+    if (typeof timeline !== "string" || !timeline) return [];
+    return timeline.split(TIMELINE_SEPARATOR).map((entry) => {
+      const [seconds, score, inRange] = entry.split(":").map(Number);
+      return { seconds, score, inRange };
+    });
+  }
+
+  // Get the current values of every bar
+  function getValues() {
+    const values = {};
+    Object.keys(BARS).forEach((param) => {
+      values[param] = getValue(param);
+    });
+    return values;
+  }
+
+  // Is a session running?
+  function isSessionActive() {
+    return !!session;
+  }
+
+  // Get the recorded sessions, newest first
+  function getSessions() {
+    return Array.from(sessions.values()).sort(
+      (a, b) => b.startedAt - a.startedAt
+    );
+  }
+
+  // Submit the collected corrections to the simulation
+  function flushCorrections() {
+    const delta = {};
+    Object.keys(BARS).forEach((param) => {
+      const bar = getBar(param);
+      if (bar.pending !== 0) delta[param] = bar.pending;
+      bar.pending = 0;
+    });
+    if (Object.keys(delta).length === 0) return;
+
+    const valid = window.simulation.submitDelta(delta, "calibration");
+    if (!valid) return;
+    submissions.push({ delta: valid, at: Date.now() });
+    if (session) {
+      session.corrections = window.simulation.sumDeltas([
+        session.corrections,
+        valid,
+      ]);
+    }
+  }
+
+  // Nudge a bar by an amount, as far as the parameter's limits allow
+  function adjustBar(param, amount) {
+    if (!session || !BARS[param] || typeof amount !== "number") return false;
+    const value = getValue(param);
+    getBar(param).pending += clampValue(param, value + amount) - value;
+    selected = param;
+    return true;
+  }
+
+  // Choose the bar the keyboard adjusts
+  function selectBar(param) {
+    if (BARS[param]) selected = param;
+  }
+
+  // Add a sample to the session's score timeline
+  function sampleTimeline(elapsedMs, inRange) {
+    if (session.timeline.length >= MAX_TIMELINE_SAMPLES) return;
+    session.timeline.push(
+      `${Math.floor(elapsedMs / 1000)}:${session.score}:${inRange}`
+    );
+  }
+
+  // Start a calibration session
+  function startSession() {
+    if (session) return false;
+    const now = Date.now();
+    session = {
+      id: `calibration_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      startedAt: now,
+      score: 0,
+      timeline: [],
+      corrections: {},
+      lastFlush: now,
+      lastSample: now,
+      lastFrame: now,
+    };
+    window.core.addLog("🔧 Manual calibration system activated", "info");
+    return true;
+  }
+
+  // Record a finished session under the operator's calibration node
+  function recordSession(finished) {
+    sessions.set(finished.id, finished);
+    const calibrationRef = getCalibrationRef();
+    if (!calibrationRef) return;
+    // Gun cannot store arrays or nested objects in one pass, so the
+    // timeline is a string and the corrections travel as JSON
+    calibrationRef
+      .get("sessions")
+      .get(finished.id)
+      .put({
+        ...finished,
+        corrections: JSON.stringify(finished.corrections),
+      });
+  }
+
+  // Award points for a finished session
+  function awardPoints(score) {
+    const user = window.core?.user;
+    if (!window.updateUserPoints || !user?.is) {
+      window.core.addLog(
+        `🔧 Calibration session ended. Final score: ${score}`,
+        "success"
+      );
+      return;
+    }
+    user.get("profile").once((profile) => {
+      const points = calculateCalibrationPoints(score, profile);
+      window.updateUserPoints(points, "calibration completion", { score });
+      window.core.addLog(
+        `🔧 Calibration session ended. Final score: ${score} | +${points} points awarded!`,
+        "success"
+      );
+    });
+  }
+
+  // Stop the running session, submit what is left and record it
+  function stopSession() {
+    if (!session) return null;
+    flushCorrections();
+    const endedAt = Date.now();
+    sampleTimeline(endedAt - session.startedAt, countInRange(getValues()));
+
+    const finished = {
+      id: session.id,
+      station: window.stations?.getStationName() || null,
+      startedAt: session.startedAt,
+      endedAt,
+      duration: endedAt - session.startedAt,
+      score: session.score,
+      timeline: session.timeline.join(TIMELINE_SEPARATOR),
+      corrections: session.corrections,
+    };
+    session = null;
+    Object.keys(BARS).forEach((param) => {
+      Object.assign(getBar(param), { noise: 0, velocity: 0 });
+    });
+
+    recordSession(finished);
+    awardPoints(finished.score);
+    return finished;
+  }
+
+  // Drop corrections not yet submitted and the session's best score
+  function resetSession() {
+    Object.keys(BARS).forEach((param) => {
+      getBar(param).pending = 0;
+    });
+    if (session) session.score = 0;
+    window.core.addLog("🔧 Calibration system reset", "info");
+  }
+
+  // Advance the running session by one frame
+  function updateFrame(now = Date.now()) {
+    if (!session) return;
+    const dt = Math.min(MAX_FRAME_S, (now - session.lastFrame) / 1000);
+    session.lastFrame = now;
+
+    Object.entries(BARS).forEach(([param, definition]) => {
+      const bar = getBar(param);
+      Object.assign(
+        bar,
+        stepNoise(bar.noise, bar.velocity, definition.noise, dt, Math.random)
+      );
+    });
+
+    const elapsed = now - session.startedAt;
+    const inRange = countInRange(getValues());
+    session.score = computeScore(session.score, inRange, elapsed);
+
+    if (now - session.lastSample >= TIMELINE_MS) {
+      session.lastSample = now;
+      sampleTimeline(elapsed, inRange);
+    }
+    if (now - session.lastFlush >= FLUSH_MS) {
+      session.lastFlush = now;
+      flushCorrections();
+    }
+  }
+
+  // Take in a station tick: it holds every submission older than the
+  // settle time
+  function applyStationParams(params) {
+    if (!params) return;
+    Object.keys(BARS).forEach((param) => {
+      if (typeof params[param] === "number") getBar(param).base = params[param];
+    });
+    if (typeof params.instabilityLevel === "number") {
+      instabilityLevel = params.instabilityLevel;
+    }
+    if (typeof params.tick === "number" && params.tick !== lastTick) {
+      lastTick = params.tick;
+      const settled = Date.now() - SUBMIT_SETTLE_MS;
+      submissions = submissions.filter((submission) => submission.at > settled);
+    }
+  }
+
+  // Format a bar value for display
+  function formatValue(param, value) {
+    return value.toFixed(BARS[param].decimals);
+  }
+
+  // Get where a value sits on a bar's scale, in percent
+  function toPercent(param, value) {
+    const [min, max] = getScale(param);
+    return Math.max(0, Math.min(100, ((value - min) / (max - min)) * 100));
+  }
+
+  // Build the markup of one bar
+  function renderBar(param) {
+    const { label, steps } = BARS[param];
+    const [small, large] = steps;
+    const buttons = [-large, -small, small, large]
+      .map(
+        (step) =>
+          `<button data-step="${step}">${step > 0 ? "+" : ""}${step}</button>`
+      )
+      .join("");
+    return `
+      <div class="calibration-bar" data-bar="${param}">
+        <div class="bar-label">${label}</div>
+        <div class="bar-container">
+          <div class="bar-fill"></div>
+          <div class="bar-target"></div>
+          <div class="bar-range"></div>
+        </div>
+        <div class="bar-value"></div>
+        <div class="bar-controls">${buttons}</div>
+      </div>
+    `;
+  }
+
+  // Update the calibration display
+  function renderDisplay(overlay) {
+    const elapsed = session ? Date.now() - session.startedAt : 0;
+    const seconds = Math.floor(elapsed / 1000);
+    overlay.querySelector("#calibrationScore").textContent = session
+      ? session.score
+      : 0;
+    overlay.querySelector("#calibrationTime").textContent = `${String(
+      Math.floor(seconds / 60)
+    ).padStart(2, "0")}:${String(seconds % 60).padStart(2, "0")}`;
+    overlay.querySelector("#calibrationInstability").textContent = `${(
+      instabilityLevel * 100
+    ).toFixed(1)}%`;
+    overlay.querySelector("#syncStatus").textContent =
+      submissions.length > 0
+        ? `⏳ ${submissions.length} correction(s) awaiting tick`
+        : "🔄 Synced with Station";
+
+    Object.keys(BARS).forEach((param) => {
+      const element = overlay.querySelector(`[data-bar="${param}"]`);
+      const value = getValue(param);
+      const [min, max] = getRange(param);
+      const target = (min + max) / 2;
+
+      element.classList.toggle("selected", param === selected);
+      element.querySelector(".bar-value").textContent = formatValue(
+        param,
+        value
+      );
+
+      const fill = element.querySelector(".bar-fill");
+      fill.style.width = `${toPercent(param, value)}%`;
+      if (value >= min && value <= max) {
+        fill.style.backgroundColor = "#10B981"; // Green
+      } else if (Math.abs(value - target) < max - min) {
+        fill.style.backgroundColor = "#F59E0B"; // Yellow
+      } else {
+        fill.style.backgroundColor = "#EF4444"; // Red
+      }
+
+      element.querySelector(".bar-target").style.left = `${toPercent(
+        param,
+        target
+      )}%`;
+      const range = element.querySelector(".bar-range");
+      range.style.left = `${toPercent(param, min)}%`;
+      range.style.width = `${toPercent(param, max) - toPercent(param, min)}%`;
+    });
+  }
+
+  // Let pointer presses and drags adjust the bars, for mouse and touch
+  function bindPointerControls(overlay) {
+    let repeat = null;
+    const stopRepeat = () => {
+      clearTimeout(repeat);
+      clearInterval(repeat);
+      repeat = null;
+    };
+
+    overlay.querySelectorAll(".calibration-bar").forEach((element) => {
+      const param = element.dataset.bar;
+
+      // Held buttons keep adjusting
+      element.querySelectorAll("button[data-step]").forEach((button) => {
+        const step = Number(button.dataset.step);
+        button.addEventListener("pointerdown", (event) => {
+          event.preventDefault();
+          stopRepeat();
+          adjustBar(param, step);
+          repeat = setTimeout(() => {
+            repeat = setInterval(() => adjustBar(param, step), REPEAT_MS);
+          }, REPEAT_DELAY_MS);
+        });
+        ["pointerup", "pointerleave", "pointercancel"].forEach((type) =>
+          button.addEventListener(type, stopRepeat)
+        );
+      });
+
+      // Dragging along a bar moves it by the distance dragged
+      const track = element.querySelector(".bar-container");
+      let dragX = null;
+      track.addEventListener("pointerdown", (event) => {
+        selectBar(param);
+        dragX = event.clientX;
+        track.setPointerCapture(event.pointerId);
+      });
+      track.addEventListener("pointermove", (event) => {
+        if (dragX === null) return;
+        const [min, max] = getScale(param);
+        const width = track.getBoundingClientRect().width || 1;
+        adjustBar(param, ((event.clientX - dragX) / width) * (max - min));
+        dragX = event.clientX;
+      });
+      ["pointerup", "pointercancel"].forEach((type) =>
+        track.addEventListener(type, () => {
+          dragX = null;
+        })
+      );
+    });
+
+    return stopRepeat;
+  }
+
+  // Show the calibration game
+  function showCalibrationGame() {
+    if (document.querySelector(".calibration-modal")) return;
+
+    const overlay = document.createElement("div");
+    overlay.className = "overlay";
+    overlay.innerHTML = `
+      <div class="calibration-modal">
+        <h2>&gt; MANUAL CALIBRATION SYSTEM</h2>
+
+        <div class="calibration-info">
+          <div class="score-display">
+            <span>Score: <span id="calibrationScore">0</span></span>
+            <span>Time: <span id="calibrationTime">00:00</span></span>
+          </div>
+          <div class="instability-display">
+            <span>Instability: <span id="calibrationInstability"></span></span>
+          </div>
+          <div class="sync-status">
+            <span id="syncStatus"></span>
+          </div>
+        </div>
+
+        <div class="calibration-bars">
+          ${Object.keys(BARS).map(renderBar).join("")}
+        </div>
+
+        <div class="calibration-help">
+          ↑/↓ SELECT · ←/→ ADJUST · SHIFT LARGE STEP · SPACE START/STOP ·
+          DRAG A BAR TO MOVE IT
+        </div>
+
+        <div class="calibration-controls">
+          <button id="startCalibrationBtn" class="terminal-button">START CALIBRATION</button>
+          <button id="resetCalibrationBtn" class="terminal-button">RESET</button>
+          <button id="closeCalibrationBtn" class="terminal-button">CLOSE</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const startBtn = overlay.querySelector("#startCalibrationBtn");
+    const toggleSession = () => {
+      if (session) stopSession();
+      else startSession();
+      startBtn.textContent = session ? "STOP CALIBRATION" : "START CALIBRATION";
+      startBtn.classList.toggle("active", !!session);
+    };
+    startBtn.onclick = toggleSession;
+    overlay.querySelector("#resetCalibrationBtn").onclick = resetSession;
+
+    const stopRepeat = bindPointerControls(overlay);
+
+    const params = Object.keys(BARS);
+    const onKeyDown = (event) => {
+      if (event.target.closest?.("input, textarea, select")) return;
+      const index = params.indexOf(selected);
+      const [small, large] = BARS[selected].steps;
+      const step = event.shiftKey ? large : small;
+      switch (event.key) {
+        case "ArrowUp":
+          selectBar(params[(index + params.length - 1) % params.length]);
+          break;
+        case "ArrowDown":
+          selectBar(params[(index + 1) % params.length]);
+          break;
+        case "ArrowLeft":
+          adjustBar(selected, -step);
+          break;
+        case "ArrowRight":
+          adjustBar(selected, step);
+          break;
+        case " ":
+          toggleSession();
+          break;
+        case "Escape":
+          close();
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    };
+    document.addEventListener("keydown", onKeyDown);
+
+    // Physics and display run once per frame while the game is open
+    let frame = null;
+    const loop = () => {
+      updateFrame();
+      renderDisplay(overlay);
+      frame = requestAnimationFrame(loop);
+    };
+    loop();
+
+    function close() {
+      if (session) stopSession();
+      cancelAnimationFrame(frame);
+      stopRepeat();
+      document.removeEventListener("keydown", onKeyDown);
+      overlay.remove();
+    }
+    overlay.querySelector("#closeCalibrationBtn").onclick = close;
+  }
+
+  // Follow the station parameters and the operator's recorded sessions
+  function startCalibration() {
+    if (started) return;
+    const stationParamsRef = window.core?.stationParamsRef;
+    if (!stationParamsRef) return;
+    started = true;
+
+    stationParamsRef.on(applyStationParams);
+
+    const calibrationRef = getCalibrationRef();
+    if (calibrationRef) {
+      calibrationRef
+        .get("sessions")
+        .map()
+        .on((data, id) => {
+          if (typeof data?.startedAt !== "number") return;
+          let corrections = {};
+          try {
+            corrections = JSON.parse(data.corrections || "{}");
+          } catch (error) {
+            console.warn("Unreadable calibration corrections:", error);
+          }
+          const recorded = { ...data, id, corrections };
+          delete recorded._;
+          sessions.set(id, recorded);
+        });
+    }
+    console.log("🔧 Calibration coupled to station parameters");
+  }
+
+  // Export calibration functions
+  window.calibration = {
+    BARS,
+    getRange,
+    getValue,
+    stepNoise,
+    countInRange,
+    computeScore,
+    calculateCalibrationPoints,
+    parseTimeline,
+    isSessionActive,
+    getSessions,
+    startSession,
+    stopSession,
+    resetSession,
+    adjustBar,
+    selectBar,
+    updateFrame,
+    showCalibrationGame,
+    startCalibration,
+  };
+
+  // Auto-initialize when dependencies are ready
+  (function autoInitialize() {
+    if (window.core && window.core.user?.is && window.core.stationParamsRef) {
+      startCalibration();
+    } else {
+      setTimeout(autoInitialize, 1000);
+    }
+  })();
+})();
@@ -0,0 +1,487 @@
+// Catalog module - Declarative task catalog shared by generation, effects and UI
+(function () {
+  "use strict";
+
+  // Every task the station can raise, keyed by task key. Generated tasks
+  // carry their key as `taskKey`; older tasks are matched by name.
+  // A task-catalog.json next to index.html can add or replace entries.
+
+  const CATEGORIES = ["EMERGENCY", "CRITICAL", "MAINTENANCE"];
+  // Interactive procedures an operator can be asked to carry out
+  const PROCEDURES = ["valve", "checksum", "breakers"];
+  // Cooperative tasks name between this many roles, one operator each
+  const MIN_ROLES = 2;
+  const MAX_ROLES = 4;
+  const PARAMETERS = [
+    "powerLevel",
+    "oxygenLevel",
+    "temperature",
+    "radiationLevel",
+    "pressure",
+    "humidity",
+  ];
+
+  const CATALOG_URL = "task-catalog.json";
+  const CATALOG_TIMEOUT_MS = 2000;
+
+  const DEFAULT_CATALOG = {
+    // Critical
+    powerBalance: {
+      name: "POWER GRID STABILIZATION",
+      category: "CRITICAL",
+      difficulty: 3,
+      timeLimit: 300000,
+      description: "Power grid output unstable. Rebalance the breakers.",
+      procedure: "breakers",
+      effects: {
+        success: { powerLevel: 15, temperature: -2 },
+        failure: { powerLevel: -10, temperature: 5 },
+      },
+    },
+    oxygenRegulation: {
+      name: "OXYGEN SYSTEM CALIBRATION",
+      category: "CRITICAL",
+      difficulty: 2,
+      timeLimit: 240000,
+      description: "Oxygen mix drifting. Recalibrate the regulator valve.",
+      procedure: "valve",
+      effects: {
+        success: { oxygenLevel: 10, pressure: 5 },
+        failure: { oxygenLevel: -8, pressure: -10 },
+      },
+    },
+    temperatureControl: {
+      name: "THERMAL REGULATION",
+      category: "CRITICAL",
+      difficulty: 2,
+      timeLimit: 180000,
+      description: "Temperature fluctuations detected. Stabilization required.",
+      procedure: "valve",
+      effects: {
+        success: { temperature: -5, humidity: -3 },
+        failure: { temperature: 8, humidity: 5 },
+      },
+    },
+    radiationShield: {
+      name: "RADIATION SHIELD MAINTENANCE",
+      category: "CRITICAL",
+      difficulty: 4,
+      timeLimit: 420000,
+      description: "Shield coverage degraded. Cycle the shield breakers.",
+      procedure: "breakers",
+      effects: {
+        success: { radiationLevel: -0.1, powerLevel: -2 },
+        failure: { radiationLevel: 0.15, powerLevel: -5 },
+      },
+    },
+    pressureStabilization: {
+      name: "PRESSURE SYSTEM BALANCE",
+      category: "CRITICAL",
+      difficulty: 3,
+      timeLimit: 300000,
+      description: "Chamber pressure unstable. Manual regulation needed.",
+      procedure: "valve",
+      effects: {
+        success: { pressure: 20, oxygenLevel: 3 },
+        failure: { pressure: -30, oxygenLevel: -5 },
+      },
+    },
+    humidityControl: {
+      name: "HUMIDITY REGULATION",
+      category: "CRITICAL",
+      difficulty: 1,
+      timeLimit: 120000,
+      description: "Humidity outside comfort range. Adjust the condenser.",
+      procedure: "valve",
+      effects: {
+        success: { humidity: 10, temperature: -1 },
+        failure: { humidity: -15, temperature: 3 },
+      },
+    },
+    flowRateAdjustment: {
+      name: "FLOW RATE ADJUSTMENT",
+      category: "CRITICAL",
+      difficulty: 2,
+      timeLimit: 180000,
+      description: "Flow rate outside parameters. Adjustment needed.",
+      procedure: "valve",
+      effects: {
+        success: { pressure: 8, oxygenLevel: 3 },
+        failure: { pressure: -12, oxygenLevel: -4 },
+      },
+    },
+
+    // Maintenance
+    systemCheck: {
+      name: "SYSTEM DIAGNOSTIC",
+      category: "MAINTENANCE",
+      difficulty: 1,
+      timeLimit: 60000,
+      description: "Routine system check. Verification required.",
+      procedure: "checksum",
+      effects: {
+        success: { powerLevel: 3, oxygenLevel: 2, temperature: -1 },
+        failure: { powerLevel: -2, oxygenLevel: -2, temperature: 2 },
+      },
+    },
+    backupPower: {
+      name: "BACKUP POWER TEST",
+      category: "MAINTENANCE",
+      difficulty: 2,
+      timeLimit: 120000,
+      description: "Scheduled backup power test. Switch over and back.",
+      procedure: "breakers",
+      effects: {
+        success: { powerLevel: 8 },
+        failure: { powerLevel: -5 },
+      },
+    },
+    communicationTest: {
+      name: "COMMUNICATION TEST",
+      category: "MAINTENANCE",
+      difficulty: 1,
+      timeLimit: 90000,
+      description: "Verify the comms link with a checksum exchange.",
+      procedure: "checksum",
+      effects: {
+        success: { powerLevel: 2 },
+        failure: { powerLevel: -3 },
+      },
+    },
+    sensorCalibration: {
+      name: "SENSOR CALIBRATION",
+      category: "MAINTENANCE",
+      difficulty: 2,
+      timeLimit: 150000,
+      description: "System calibration required. Precision adjustment needed.",
+      procedure: "checksum",
+      effects: {
+        success: { temperature: -2, pressure: 5, humidity: 3 },
+        failure: { temperature: 3, pressure: -8, humidity: -5 },
+      },
+    },
+    filterReplacement: {
+      name: "FILTER REPLACEMENT",
+      category: "MAINTENANCE",
+      difficulty: 1,
+      timeLimit: 240000,
+      description: "Filter efficiency degraded. Replacement required.",
+      procedure: "valve",
+      effects: {
+        success: { oxygenLevel: 5, humidity: -3 },
+        failure: { oxygenLevel: -4, humidity: 4 },
+      },
+    },
+
+    // Emergency
+    containmentBreach: {
+      name: "CONTAINMENT BREACH",
+      category: "EMERGENCY",
+      difficulty: 5,
+      timeLimit: 600000,
+      description:
+        "Containment breached. Two officers turn their keys to seal the chamber before it vents.",
+      procedure: "valve",
+      roles: ["KEY A", "KEY B"],
+      effects: {
+        success: { radiationLevel: -0.15, pressure: 10 },
+        failure: { radiationLevel: 0.3, pressure: -40 },
+      },
+    },
+    powerSurge: {
+      name: "POWER SURGE DETECTED",
+      category: "EMERGENCY",
+      difficulty: 4,
+      timeLimit: 300000,
+      description: "Surge on the main bus. Shed load in the right order.",
+      procedure: "breakers",
+      effects: {
+        success: { powerLevel: -5, temperature: -4 },
+        failure: { powerLevel: -20, temperature: 10 },
+      },
+    },
+    radiationLeak: {
+      name: "RADIATION LEAK",
+      category: "EMERGENCY",
+      difficulty: 5,
+      timeLimit: 480000,
+      description: "Radiation leak detected. Isolate the affected section.",
+      procedure: "valve",
+      effects: {
+        success: { radiationLevel: -0.2, oxygenLevel: -5 },
+        failure: { radiationLevel: 0.25, oxygenLevel: -10 },
+      },
+    },
+    systemOverload: {
+      name: "SYSTEM OVERLOAD",
+      category: "EMERGENCY",
+      difficulty: 4,
+      timeLimit: 360000,
+      description: "Systems over capacity. Trip breakers to shed load.",
+      procedure: "breakers",
+      effects: {
+        success: { powerLevel: 5, temperature: -3 },
+        failure: { powerLevel: -15, temperature: 8 },
+      },
+    },
+    reactorCritical: {
+      name: "REACTOR CRITICAL",
+      category: "EMERGENCY",
+      difficulty: 5,
+      timeLimit: 300000,
+      description:
+        "Reactor core temperature critical. One operator scrams the core while another floods the coolant loop.",
+      procedure: "valve",
+      roles: ["REACTOR", "COOLANT"],
+      effects: {
+        success: { temperature: -12, powerLevel: 5 },
+        failure: { temperature: 18, radiationLevel: 0.2 },
+      },
+    },
+    coolantLeak: {
+      name: "COOLANT LEAK",
+      category: "EMERGENCY",
+      difficulty: 4,
+      timeLimit: 240000,
+      description: "Coolant system breach detected. Containment required.",
+      procedure: "valve",
+      effects: {
+        success: { temperature: -8, humidity: -4 },
+        failure: { temperature: 12, humidity: 8 },
+      },
+    },
+    powerGridFailure: {
+      name: "POWER GRID FAILURE",
+      category: "EMERGENCY",
+      difficulty: 5,
+      timeLimit: 180000,
+      description: "Primary power grid offline. Emergency systems activated.",
+      procedure: "breakers",
+      effects: {
+        success: { powerLevel: 20 },
+        failure: { powerLevel: -25 },
+      },
+    },
+  };
+
+  // Catalog in use
+  let catalog = { ...DEFAULT_CATALOG };
+  let catalogSource = "default";
+
+  // Keep only known parameters with numeric deltas
+  function readEffects(effects) {
+    const clean = {};
+    Object.entries(effects || {}).forEach(([param, delta]) => {
+      if (PARAMETERS.includes(param) && typeof delta === "number" && isFinite(delta)) {
+        clean[param] = delta;
+      }
+    });
+    return clean;
+  }
+
+  // Check the roles of a cooperative entry; returns them or an error message
+  function readRoles(key, roles) {
+    if (
+      !Array.isArray(roles) ||
+      roles.length < MIN_ROLES ||
+      roles.length > MAX_ROLES ||
+      !roles.every((role) => typeof role === "string" && /^[\w ]+$/.test(role.trim()))
+    ) {
+      return `${key}: roles must list ${MIN_ROLES}-${MAX_ROLES} names of letters, digits and spaces`;
+    }
+    const clean = roles.map((role) => role.trim().toUpperCase());
+    if (new Set(clean).size !== clean.length) return `${key}: roles must be unique`;
+    return clean;
+  }
+
+  // Check one catalog entry; returns the cleaned entry or an error message
+  function readEntry(key, entry) {
+    if (!entry || typeof entry !== "object") return `${key}: not an object`;
+    if (typeof entry.name !== "string" || !entry.name.trim()) {
+      return `${key}: missing name`;
+    }
+    if (!CATEGORIES.includes(entry.category)) {
+      return `${key}: category must be one of ${CATEGORIES.join(", ")}`;
+    }
+    if (!Number.isInteger(entry.difficulty) || entry.difficulty < 1 || entry.difficulty > 5) {
+      return `${key}: difficulty must be 1-5`;
+    }
+    if (typeof entry.timeLimit !== "number" || entry.timeLimit <= 0) {
+      return `${key}: timeLimit must be a positive number of milliseconds`;
+    }
+    if (!PROCEDURES.includes(entry.procedure)) {
+      return `${key}: procedure must be one of ${PROCEDURES.join(", ")}`;
+    }
+    const roles = entry.roles === undefined ? null : readRoles(key, entry.roles);
+    if (typeof roles === "string") return roles;
+
+    return {
+      name: entry.name.trim().toUpperCase(),
+      category: entry.category,
+      difficulty: entry.difficulty,
+      timeLimit: entry.timeLimit,
+      description: typeof entry.description === "string" ? entry.description : "",
+      procedure: entry.procedure,
+      ...(roles ? { roles } : {}),
+      effects: {
+        success: readEffects(entry.effects?.success),
+        failure: readEffects(entry.effects?.failure),
+      },
+    };
+  }
+
+  // Build a catalog from task-catalog.json contents. Entries are added to
+  // the built-in tasks, or replace them all with "replace": true.
+  function fromCatalogFile(data) {
+    const errors = [];
+    if (!data || typeof data.tasks !== "object" || Array.isArray(data.tasks)) {
+      return { catalog: null, errors: ["tasks must be an object keyed by task key"] };
+    }
+
+    const loaded = data.replace === true ? {} : { ...DEFAULT_CATALOG };
+    Object.entries(data.tasks).forEach(([key, entry]) => {
+      const result = readEntry(key, entry);
+      if (typeof result === "string") errors.push(result);
+      else loaded[key] = result;
+    });
+
+    // Every category must keep at least one task for generation to work
+    const missing = CATEGORIES.filter(
+      (category) => !Object.values(loaded).some((entry) => entry.category === category)
+    );
+    if (missing.length > 0) {
+      errors.push(`no tasks left for ${missing.join(", ")}`);
+      return { catalog: null, errors };
+    }
+    return { catalog: loaded, errors };
+  }
+
+  // Fetch task-catalog.json; keeps the built-in catalog when there is none
+  async function loadCatalog(url = CATALOG_URL) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CATALOG_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        cache: "no-store",
+        signal: controller.signal,
+      });
+      if (!response.ok) return getCatalog();
+
+      const { catalog: loaded, errors } = fromCatalogFile(await response.json());
+      errors.forEach((error) => console.warn(`⚠️ ${url}: ${error}`));
+      if (loaded) {
+        catalog = loaded;
+        catalogSource = url;
+        console.log(`📋 Task catalog loaded from ${url}`);
+      }
+    } catch (error) {
+      // No file, or a host that answers every path with index.html
+    } finally {
+      clearTimeout(timeout);
+    }
+    return getCatalog();
+  }
+
+  // Get the catalog in use
+  function getCatalog() {
+    return { ...catalog };
+  }
+
+  // Get where the catalog came from
+  function getCatalogSource() {
+    return catalogSource;
+  }
+
+  // Get one task definition by key
+  function getTask(key) {
+    return catalog[key] ? { key, ...catalog[key] } : null;
+  }
+
+  // Get the task keys of a category
+  function getTaskKeys(category) {
+    return Object.keys(catalog).filter((key) => catalog[key].category === category);
+  }
+
+  // Pick a random task definition of a category
+  function pickTask(category) {
+    const keys = getTaskKeys(category);
+    if (keys.length === 0) return null;
+    return getTask(keys[Math.floor(Math.random() * keys.length)]);
+  }
+
+  // Find the definition of a generated task, by key or else by name
+  function findTask(task) {
+    if (!task) return null;
+    if (task.taskKey && catalog[task.taskKey]) return getTask(task.taskKey);
+    const key = Object.keys(catalog).find((k) => catalog[k].name === task.name);
+    return key ? getTask(key) : null;
+  }
+
+  // Build a new task instance from a definition
+  function createTaskInstance(definition, now = Date.now()) {
+    return {
+      id: crypto.randomUUID(),
+      taskKey: definition.key,
+      type: definition.category,
+      name: definition.name,
+      difficulty: definition.difficulty,
+      timeLimit: definition.timeLimit,
+      procedure: definition.procedure,
+      // Gun cannot store arrays, so roles travel as "KEY A,KEY B"
+      roles: definition.roles ? definition.roles.join(",") : null,
+      createdAt: now,
+      expiresAt: now + definition.timeLimit,
+      assignedTo: null,
+      completed: false,
+      failed: false,
+    };
+  }
+
+  // Get the description of a task
+  function getDescription(task) {
+    return findTask(task)?.description || "Task description not available";
+  }
+
+  // Get the parameter deltas of a task outcome: "success" or "failure"
+  function getEffects(task, outcome) {
+    return { ...(findTask(task)?.effects[outcome] || {}) };
+  }
+
+  // Submit a task outcome's parameter deltas to the station simulation
+  function applyEffects(task, outcome) {
+    const effects = getEffects(task, outcome);
+    if (Object.keys(effects).length > 0 && window.simulation) {
+      window.simulation.submitDelta(effects, `task_${outcome}`);
+    }
+    return effects;
+  }
+
+  // Describe parameter deltas, e.g. "powerLevel +15, temperature -2"
+  function formatEffects(effects) {
+    return Object.entries(effects)
+      .map(([param, delta]) => `${param} ${delta > 0 ? "+" : ""}${delta}`)
+      .join(", ");
+  }
+
+  // Export catalog functions
+  window.catalog = {
+    CATEGORIES,
+    PROCEDURES,
+    DEFAULT_CATALOG,
+    fromCatalogFile,
+    loadCatalog,
+    getCatalog,
+    getCatalogSource,
+    getTask,
+    getTaskKeys,
+    pickTask,
+    findTask,
+    createTaskInstance,
+    getDescription,
+    getEffects,
+    applyEffects,
+    formatEffects,
+  };
+
+  loadCatalog();
+})();
@@ -291,6 +291,19 @@
 
     // Add to history
     challengeHistory.push(challenge);
+    if (window.events) {
+      window.events.recordEvent(
+        "challenge",
+        {
+          challengeId: challenge.id,
+          challengeType: challenge.type,
+          result: challenge.result,
+          operator: challenge.initiator,
+          target: challenge.target,
+        },
+        `challenge_${challenge.id}`
+      );
+    }
 
     // Show result
     showChallengeResult(challenge);
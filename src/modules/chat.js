@@ -102,7 +102,9 @@
 
       // Attempt to reinitialize chat reference
       if (window.core.gun && !window.core.chatRef) {
-        window.core.setChatRef(window.core.gun.get("chat"));
+        window.core.setChatRef(
+          window.stations.getStationRoot(window.core.gun).get("chat")
+        );
         window.ui.addLog("Attempting to reinitialize chat reference...", "info");
         // Retry initialization after a short delay
         window.core.safeSetTimeout(() => {
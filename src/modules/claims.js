@@ -0,0 +1,59 @@
+// Claims module - Single-winner claims on shared graph nodes
+(function () {
+  "use strict";
+
+  // Several clients often race to do the same one-off job: apply a
+  // discharge, resolve an expired task, take a shift. Each writes its id
+  // into one field of a shared node; Gun keeps the last write, so after
+  // the competing writes have settled every client reads the same winner
+  // back. A client first reads the node so it does not overwrite a claim
+  // that is already in place.
+
+  // How long to wait for competing claims to settle
+  const CLAIM_SETTLE_MS = 1500;
+
+  // Claim a node by writing `value` into its `field`, along with any
+  // other `fields`. `canClaim(existing)` may refuse before anything is
+  // written, and `isValid(settled)` may reject a won claim whose node
+  // changed meanwhile. Resolves to { claimed, refused, node }, where
+  // refused means canClaim turned the claim down and node is the node as
+  // last read.
+  function claimNode(ref, field, value, options = {}) {
+    const {
+      fields = {},
+      canClaim = () => true,
+      isValid = () => true,
+    } = options;
+
+    return new Promise((resolve) => {
+      if (!ref || !value) {
+        resolve({ claimed: false, refused: false, node: null });
+        return;
+      }
+
+      ref.once((existing) => {
+        if (!canClaim(existing)) {
+          resolve({ claimed: false, refused: true, node: existing || null });
+          return;
+        }
+
+        ref.put({ ...fields, [field]: value });
+        setTimeout(() => {
+          ref.once((settled) => {
+            resolve({
+              claimed: settled?.[field] === value && isValid(settled),
+              refused: false,
+              node: settled || null,
+            });
+          });
+        }, CLAIM_SETTLE_MS);
+      });
+    });
+  }
+
+  // Export claims functions
+  window.claims = {
+    CLAIM_SETTLE_MS,
+    claimNode,
+  };
+})();
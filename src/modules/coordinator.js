@@ -0,0 +1,167 @@
+// Coordinator module - Lease electing the one client that drives a station
+(function () {
+  "use strict";
+
+  // Task generation and random events must run once per station, not once
+  // per operator. The browser tab holding the lease at
+  // <station>/coordinator is the coordinator. It renews the lease well
+  // inside its TTL; when it disconnects the lease runs out and the next
+  // client to notice takes over. Competing takeovers settle on whichever
+  // holder the graph keeps.
+
+  // A lease not renewed within this time is free
+  const LEASE_TTL_MS = 30000;
+  // How often the holder renews and everyone else checks for a free lease
+  const LEASE_CHECK_MS = 10000;
+
+  // Coordinator state
+  let lease = null;
+  let coordinating = false;
+  let checkInterval = null;
+  let claiming = false;
+  const changeListeners = new Set();
+
+  // Get the lease node
+  function getLeaseRef() {
+    const gun = window.core?.gun;
+    return gun ? window.stations.getStationRoot(gun).get("coordinator") : null;
+  }
+
+  // Lease holder id of this tab; null until logged in
+  function getHolderId() {
+    return window.core?.user?.is?.pub ? window.events.getWriterId() : null;
+  }
+
+  // Is a lease held and unexpired?
+  function isLeaseLive(current, now = window.timer.getStationTime()) {
+    return !!current?.holder && current.expiresAt > now;
+  }
+
+  // Is this client the station's coordinator?
+  function isCoordinator() {
+    return coordinating && isLeaseLive(lease) && lease.holder === getHolderId();
+  }
+
+  // Get the current lease holder, or null when the lease is free
+  function getCoordinator() {
+    return isLeaseLive(lease)
+      ? { pub: lease.pub, alias: lease.alias, expiresAt: lease.expiresAt }
+      : null;
+  }
+
+  // Subscribe to coordinator changes; returns an unsubscribe function
+  function onCoordinatorChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  // Update whether this client coordinates, telling listeners on change
+  function setCoordinating(value) {
+    if (coordinating === value) return;
+    coordinating = value;
+    window.core.addLog(
+      value
+        ? "This console now coordinates station tasks and events"
+        : "Station coordination handed to another console",
+      "info"
+    );
+    changeListeners.forEach((listener) => listener(value));
+  }
+
+  // Get the lease fields besides the holder, renewed from now
+  function getLeaseFields() {
+    const now = window.timer.getStationTime();
+    return {
+      pub: window.core.user.is.pub,
+      alias: window.core.user.is.alias || null,
+      renewedAt: now,
+      expiresAt: now + LEASE_TTL_MS,
+    };
+  }
+
+  // Write the lease for this tab
+  function writeLease(leaseRef, holder) {
+    leaseRef.put({ holder, ...getLeaseFields() });
+  }
+
+  // Renew a held lease, or take a free one over
+  function checkLease() {
+    const leaseRef = getLeaseRef();
+    const holder = getHolderId();
+    if (!leaseRef || !holder || claiming) {
+      if (!holder) setCoordinating(false);
+      return;
+    }
+
+    if (isLeaseLive(lease)) {
+      // The holder renews; a reloaded tab picks its own lease back up
+      if (lease.holder === holder) writeLease(leaseRef, holder);
+      setCoordinating(lease.holder === holder);
+      return;
+    }
+
+    // The claim reads the lease first; the local copy may not have
+    // arrived yet
+    claiming = true;
+    window.claims
+      .claimNode(leaseRef, "holder", holder, {
+        fields: getLeaseFields(),
+        canClaim: (current) =>
+          !isLeaseLive(current) || current.holder === holder,
+        isValid: (settled) => isLeaseLive(settled),
+      })
+      .then(({ claimed, node }) => {
+        claiming = false;
+        lease = node;
+        setCoordinating(claimed);
+      });
+  }
+
+  // Give the lease up so another client can take over straight away
+  function releaseLease() {
+    const leaseRef = getLeaseRef();
+    if (leaseRef && isCoordinator()) {
+      leaseRef.put({ expiresAt: 0 });
+    }
+    coordinating = false;
+  }
+
+  // Follow the lease and start checking it
+  function startCoordinator() {
+    if (checkInterval) return;
+    const leaseRef = getLeaseRef();
+    if (!leaseRef) return;
+
+    leaseRef.on((data) => {
+      lease = data || null;
+      if (!claiming && coordinating && lease?.holder !== getHolderId()) {
+        setCoordinating(false);
+      }
+    });
+    window.addEventListener("beforeunload", releaseLease);
+
+    checkLease();
+    checkInterval = window.core.safeSetInterval(checkLease, LEASE_CHECK_MS);
+    console.log("👑 Coordinator lease started");
+  }
+
+  // Export coordinator functions
+  window.coordinator = {
+    LEASE_TTL_MS,
+    isLeaseLive,
+    isCoordinator,
+    getCoordinator,
+    onCoordinatorChange,
+    startCoordinator,
+    releaseLease,
+  };
+
+  // Auto-initialize when dependencies are ready
+  (function autoInitialize() {
+    if (window.core && window.core.gun && window.core.safeSetInterval) {
+      startCoordinator();
+    } else {
+      setTimeout(autoInitialize, 1000);
+    }
+  })();
+})();
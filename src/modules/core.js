@@ -12,6 +12,9 @@ let statsRef = null;
 let timerRef = null;
 let historyRef = null;
 let stationParamsRef = null;
+let rulesRef = null;
+let rosterRef = null;
+let eventsRef = null;
 
 // Cleanup registry for intervals and listeners
 const cleanupRegistry = {
@@ -103,8 +106,10 @@ function initializeGun() {
       "https://gun-us.herokuapp.com/gun",
     ];
 
-    // Combine all servers
-    const allServers = [...primaryServers, ...fallbackServers];
+    // Combine all servers; a local relay replaces every public one
+    const allServers = window.peers?.isLocalOnly()
+      ? window.peers.getPeers()
+      : [...primaryServers, ...fallbackServers];
 
     // Try to initialize Gun.js
     gun = Gun(allServers);
@@ -164,6 +169,12 @@ function safeAddEventListener(element, event, handler) {
   }
 }
 
+// Log through the UI module; modules log through window.core.addLog in
+// both builds
+function addLog(message, type) {
+  if (window.ui?.addLog) window.ui.addLog(message, type);
+}
+
 // Set chat reference
 function setChatRef(ref) {
   chatRef = ref;
@@ -204,6 +215,21 @@ function setStationParamsRef(ref) {
   stationParamsRef = ref;
 }
 
+// Set station rules reference
+function setRulesRef(ref) {
+  rulesRef = ref;
+}
+
+// Set shift roster reference
+function setRosterRef(ref) {
+  rosterRef = ref;
+}
+
+// Set event log reference
+function setEventsRef(ref) {
+  eventsRef = ref;
+}
+
 // Set task reference
 function setTaskRef(ref) {
   tasksRef = ref;
@@ -245,6 +271,15 @@ window.core = {
   get stationParamsRef() {
     return stationParamsRef;
   },
+  get rulesRef() {
+    return rulesRef;
+  },
+  get rosterRef() {
+    return rosterRef;
+  },
+  get eventsRef() {
+    return eventsRef;
+  },
 
   // Registry
   cleanupRegistry,
@@ -256,6 +291,7 @@ window.core = {
   safeSetInterval,
   safeSetTimeout,
   safeAddEventListener,
+  addLog,
   setChatRef,
   setOperatorsRef,
   setTasksRef,
@@ -264,6 +300,9 @@ window.core = {
   setTimerRef,
   setHistoryRef,
   setStationParamsRef,
+  setRulesRef,
+  setRosterRef,
+  setEventsRef,
   setTaskRef,
   setShogun: (s) => {
     shogun = s;
@@ -0,0 +1,364 @@
+// Crews module - Cooperative tasks carried out by several operators
+(function () {
+  "use strict";
+
+  // A cooperative task lists roles in its catalog entry. Each role is
+  // taken by one operator at <task>/crew/<role>; the operator then runs
+  // the task's procedure and records their part there. Every participant
+  // follows the crew node, so progress shows up everywhere at once. When
+  // every part is in (or one fails) one participant claims the task and
+  // resolves it; each participant then collects their own share of the
+  // reward. Points live in each operator's own profile, so only they can
+  // pay themselves: every client follows every cooperative task and
+  // collects shares of tasks that were resolved while it was away.
+
+  // Working together earns half again the solo reward, split across roles
+  const CREW_BONUS = 1.5;
+
+  // Crews state
+  const crews = new Map(); // task id -> role -> part
+  const followed = new Set();
+  let allFollowed = false;
+  const resolving = new Set(); // task ids this client tried to resolve
+  const paying = new Set(); // task ids this client tried to collect
+  const changeListeners = new Set();
+
+  function getOwnPub() {
+    return window.core?.user?.is?.pub || null;
+  }
+
+  // Claimant id of this tab; null until logged in. Claims are per tab,
+  // so two tabs of one operator cannot both win.
+  function getClaimantId() {
+    return getOwnPub() ? window.events.getWriterId() : null;
+  }
+
+  // Get the roles of a task, e.g. ["KEY A", "KEY B"]
+  function getRoles(task) {
+    return typeof task?.roles === "string" && task.roles
+      ? task.roles.split(",")
+      : [];
+  }
+
+  // Does a task need more than one operator?
+  function isCooperative(task) {
+    return getRoles(task).length >= 2;
+  }
+
+  // Get the crew node of a task
+  function getCrewRef(taskId) {
+    const taskRef = window.core?.taskRef;
+    return taskRef ? taskRef.get(taskId).get("crew") : null;
+  }
+
+  // Get the parts recorded so far for a task, keyed by role
+  function getCrew(taskId) {
+    return { ...(crews.get(taskId) || {}) };
+  }
+
+  // Get the role this operator holds in a task, or null
+  function getOwnRole(task) {
+    const pub = getOwnPub();
+    const crew = getCrew(task.id);
+    return getRoles(task).find((role) => pub && crew[role]?.pub === pub) || null;
+  }
+
+  // Summarize the crew of a task
+  function getProgress(task, crew = getCrew(task.id)) {
+    const roles = getRoles(task);
+    const parts = roles.map((role) => ({ role, ...(crew[role] || {}) }));
+    const done = parts.filter((part) => part.done);
+    return {
+      roles,
+      parts,
+      joined: parts.filter((part) => part.pub).length,
+      done: done.length,
+      failed: done.some((part) => !part.success),
+      complete: done.length === roles.length,
+    };
+  }
+
+  // Points each participant collects for a completed cooperative task
+  function getShare(task) {
+    const multiplier =
+      task.type === "EMERGENCY" ? 3 : task.type === "CRITICAL" ? 2 : 1;
+    const reward = (task.difficulty || 1) * multiplier * CREW_BONUS;
+    return Math.ceil(reward / Math.max(1, getRoles(task).length));
+  }
+
+  // Subscribe to crew changes; returns an unsubscribe function
+  function onCrewChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  // Follow the crew of a task; safe to call repeatedly
+  function followCrew(task) {
+    if (!task?.id || followed.has(task.id)) return;
+    const crewRef = getCrewRef(task.id);
+    if (!crewRef) return;
+    followed.add(task.id);
+
+    crewRef.map().on((part, role) => {
+      if (!part || !getRoles(task).includes(role)) return;
+      const crew = crews.get(task.id) || {};
+      crew[role] = {
+        alias: part.alias || null,
+        pub: part.pub || null,
+        joinedAt: part.joinedAt || null,
+        done: !!part.done,
+        score: typeof part.score === "number" ? part.score : null,
+        success: !!part.success,
+        paid: !!part.paidBy,
+      };
+      crews.set(task.id, crew);
+      changeListeners.forEach((listener) => listener(task.id));
+      settle(task);
+    });
+  }
+
+  // Follow the crew of every cooperative task on the station
+  function followAllCrews() {
+    const taskRef = window.core?.taskRef;
+    if (allFollowed || !taskRef) return;
+    allFollowed = true;
+
+    taskRef.map().on((task, id) => {
+      if (task && isCooperative(task)) followCrew({ ...task, id });
+    });
+  }
+
+  // Take a free role in a task; resolves true if the role is ours
+  function joinRole(task, role) {
+    const user = window.core?.user;
+    const pub = getOwnPub();
+    const crewRef = getCrewRef(task.id);
+    if (!user || !pub || !crewRef) {
+      window.core.addLog("ERROR: Must be logged in to join a crew", "error");
+      return Promise.resolve(false);
+    }
+    if (getOwnRole(task)) {
+      window.core.addLog(
+        "ERROR: You already hold a role in this task",
+        "error"
+      );
+      return Promise.resolve(false);
+    }
+
+    followCrew(task);
+    const alias = user.is?.alias || "UNKNOWN";
+    return window.claims
+      .claimNode(crewRef.get(role), "pub", pub, {
+        fields: { alias, joinedAt: Date.now() },
+        canClaim: (existing) => !existing?.pub || existing.pub === pub,
+      })
+      .then(({ claimed, refused, node }) => {
+        if (refused) {
+          window.core.addLog(
+            `ERROR: ${role} is already taken by ${node.alias}`,
+            "error"
+          );
+        } else {
+          window.core.addLog(
+            claimed
+              ? `Joined "${task.name}" as ${role}`
+              : `${role} on "${task.name}" went to ${node?.alias}`,
+            claimed ? "success" : "error"
+          );
+        }
+        return claimed;
+      });
+  }
+
+  // Run the procedure for this operator's role and record the result.
+  // Resolves to the procedure result, or null when nothing was recorded.
+  function performRole(task) {
+    const role = getOwnRole(task);
+    if (!role || getCrew(task.id)[role].done) return Promise.resolve(null);
+
+    return window.procedures.runProcedure(task).then((result) => {
+      if (!result) {
+        window.core.addLog(
+          `Procedure for ${role} aborted - your part is still open`,
+          "info"
+        );
+        return null;
+      }
+      if (Date.now() > task.expiresAt) {
+        window.core.addLog(
+          `Task "${task.name}" expired before ${role} finished`,
+          "error"
+        );
+        return null;
+      }
+
+      getCrewRef(task.id).get(role).put({
+        done: true,
+        score: result.score,
+        success: result.success,
+        finishedAt: Date.now(),
+      });
+      window.core.addLog(
+        `${role} part ${result.success ? "done" : "failed"} (score ${Math.round(
+          result.score * 100
+        )}%)`,
+        result.success ? "success" : "error"
+      );
+      return result;
+    });
+  }
+
+  // Claim the resolution of a task; resolves true if this client won
+  function claimResolution(taskId) {
+    const isOpen = (task) => !!task && !task.completed && !task.failed;
+    const nodeRef = window.core.taskRef.get(taskId);
+    return window.claims
+      .claimNode(nodeRef, "resolverClaimedBy", getClaimantId(), {
+        canClaim: isOpen,
+        isValid: isOpen,
+      })
+      .then(({ claimed }) => claimed);
+  }
+
+  // Claim this operator's share of a task; resolves true if this tab
+  // won the claim and should pay it
+  function claimShare(taskId, role) {
+    return window.claims
+      .claimNode(getCrewRef(taskId).get(role), "paidBy", getClaimantId(), {
+        canClaim: (part) => !!part && !part.paidBy,
+      })
+      .then(({ claimed }) => claimed);
+  }
+
+  // Once every part is in, or one failed, resolve the task and pay out
+  function settle(task) {
+    const progress = getProgress(task);
+    if (!progress.failed && !progress.complete) return;
+
+    const ownRole = getOwnRole(task);
+    if (!ownRole) return;
+    const success = !progress.failed;
+
+    // Each participant collects their own share, once, from one tab
+    const ownPart = getCrew(task.id)[ownRole];
+    if (success && !ownPart.paid && !paying.has(task.id)) {
+      paying.add(task.id);
+      claimShare(task.id, ownRole).then((claimed) => {
+        if (claimed && window.updateUserPoints) {
+          window.updateUserPoints(getShare(task), "cooperative task");
+        }
+      });
+    }
+
+    if (resolving.has(task.id)) return;
+    resolving.add(task.id);
+    claimResolution(task.id).then((claimed) => {
+      if (!claimed) return;
+
+      const outcome = success ? "completed" : "failed";
+      const effects = window.catalog.applyEffects(
+        task,
+        success ? "success" : "failure"
+      );
+      const crew = progress.parts.map((part) => part.alias).filter(Boolean);
+      window.core.taskRef.get(task.id).put({
+        completed: success,
+        failed: !success,
+        assignedTo: crew.join(", "),
+        resolvedAt: Date.now(),
+      });
+      if (window.events) {
+        window.events.recordTaskOutcome(
+          { ...task, assignedTo: crew.join(", ") },
+          outcome
+        );
+      }
+      window.core.addLog(
+        `Cooperative task "${task.name}" ${outcome}: ${window.catalog.formatEffects(
+          effects
+        )}`,
+        success ? "success" : "error"
+      );
+    });
+  }
+
+  // Build the crew panel of a task: one row per role with its operator,
+  // progress and the action open to this operator
+  function createCrewPanel(task, onChange) {
+    followCrew(task);
+    const crew = getCrew(task.id);
+    const ownRole = getOwnRole(task);
+    const progress = getProgress(task, crew);
+
+    const panel = document.createElement("div");
+    panel.className = "task-crew";
+
+    const summary = document.createElement("div");
+    summary.className = "crew-summary";
+    summary.textContent = `CREW ${progress.joined}/${progress.roles.length} · DONE ${progress.done}/${progress.roles.length} · ${getShare(task)} PTS EACH`;
+    panel.appendChild(summary);
+
+    progress.parts.forEach((part) => {
+      const row = document.createElement("div");
+      row.className = `crew-role${part.done ? (part.success ? " done" : " failed") : ""}`;
+
+      const name = document.createElement("span");
+      name.className = "crew-role-name";
+      name.textContent = part.role;
+      row.appendChild(name);
+
+      const status = document.createElement("span");
+      status.className = "crew-role-status";
+      status.textContent = !part.pub
+        ? "OPEN"
+        : part.done
+        ? `${part.alias} · ${Math.round(part.score * 100)}%`
+        : `${part.alias} · WORKING`;
+      row.appendChild(status);
+
+      let action = null;
+      if (!part.pub && !ownRole) {
+        action = document.createElement("button");
+        action.textContent = "JOIN";
+        action.onclick = () => joinRole(task, part.role).then(() => onChange?.());
+      } else if (part.role === ownRole && !part.done) {
+        action = document.createElement("button");
+        action.textContent = "PERFORM";
+        action.onclick = () => performRole(task).then(() => onChange?.());
+      }
+      if (action) {
+        action.className = "task-btn crew-btn";
+        row.appendChild(action);
+      }
+
+      panel.appendChild(row);
+    });
+
+    return panel;
+  }
+
+  // Export crews functions
+  window.crews = {
+    getRoles,
+    isCooperative,
+    getCrew,
+    getOwnRole,
+    getProgress,
+    getShare,
+    onCrewChange,
+    followCrew,
+    followAllCrews,
+    joinRole,
+    performRole,
+    createCrewPanel,
+  };
+
+  // Auto-initialize once an operator is logged in
+  (function autoInitialize() {
+    if (window.core?.taskRef && getOwnPub()) {
+      followAllCrews();
+    } else {
+      setTimeout(autoInitialize, 1000);
+    }
+  })();
+})();
@@ -0,0 +1,302 @@
+// Events module - Time-bucketed station event log with conflict-free counters
+(function () {
+  "use strict";
+
+  // Every event is its own node at <station>/events/<day>/<id>, so
+  // concurrent writers never overwrite each other. Totals are grow-only
+  // counters: each writer (one per browser tab) owns a slot at
+  // <station>/eventCounts/<type>/<writer> that only it increments, and a
+  // total is the sum of all slots. Clients recording the same event under
+  // one id can all find it missing and write it; each event node keeps its
+  // writer, and only the writer whose write settled counts it.
+
+  const EVENT_TYPES = [
+    "reset",
+    "failure",
+    "task",
+    "challenge",
+    "random",
+    "incident",
+  ];
+  // Totals recorded in the stats node before the event log existed
+  const LEGACY_TOTALS = { reset: "resets", failure: "failures" };
+  // How long to wait for a day's events to arrive
+  const LOAD_SETTLE_MS = 1500;
+  const DAY_MS = 24 * 60 * 60000;
+  const TAB_ID_KEY = "swanEventWriter";
+
+  // Events state
+  const counterSlots = {}; // type -> writer -> count
+  const legacyTotals = {}; // type -> count from the stats node
+  const ownCounts = {}; // type -> this writer's count, once read
+  const pendingIncrements = {}; // type -> promise chain
+  const changeListeners = new Set();
+  let countersFollowed = false;
+
+  // Get the UTC day bucket for a timestamp, e.g. "2025-01-31"
+  function getDayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  // Get the day buckets covering the last n days, oldest first
+  function getRecentDayKeys(days, now = Date.now()) {
+    const keys = [];
+    for (let i = days - 1; i >= 0; i--) {
+      keys.push(getDayKey(now - i * DAY_MS));
+    }
+    return keys;
+  }
+
+  // Get the day buckets from one time to another, oldest first
+  function getDayKeysBetween(from, to) {
+    const keys = [];
+    const last = getDayKey(to);
+    for (let time = from; ; time += DAY_MS) {
+      const key = getDayKey(time);
+      keys.push(key);
+      if (key >= last) break;
+    }
+    return keys;
+  }
+
+  // Get the events reference, creating it next to the station timer if needed
+  function getEventsRef() {
+    if (!window.core?.eventsRef && window.core?.gun && window.core.setEventsRef) {
+      window.core.setEventsRef(
+        window.stations.getStationRoot(window.core.gun).get("events")
+      );
+    }
+    return window.core?.eventsRef || null;
+  }
+
+  // Get the counters node
+  function getCountsRef() {
+    const gun = window.core?.gun;
+    return gun ? window.stations.getStationRoot(gun).get("eventCounts") : null;
+  }
+
+  // This tab's counter slot. Tabs of one operator get separate slots so
+  // they never race on the same value.
+  function getWriterId() {
+    const pub = window.core?.user?.is?.pub || "anonymous";
+    let tabId = null;
+    try {
+      tabId = sessionStorage.getItem(TAB_ID_KEY);
+      if (!tabId) {
+        tabId = Math.random().toString(36).slice(2, 10);
+        sessionStorage.setItem(TAB_ID_KEY, tabId);
+      }
+    } catch (error) {
+      tabId = "default";
+    }
+    return `${pub}_${tabId}`;
+  }
+
+  // Keep only values Gun can store in a flat node
+  function flattenData(data) {
+    const flat = {};
+    Object.entries(data || {}).forEach(([key, value]) => {
+      if (
+        value === null ||
+        ["string", "number", "boolean"].includes(typeof value)
+      ) {
+        flat[key] = value;
+      }
+    });
+    return flat;
+  }
+
+  // Record an event. Pass a deterministic id when several clients may
+  // record the same event; an id that already exists is not recorded or
+  // counted again. Resolves to true when this client's write of the event
+  // is the one that settled.
+  function recordEvent(type, data = {}, id = null) {
+    const eventsRef = getEventsRef();
+    if (!eventsRef || !EVENT_TYPES.includes(type)) {
+      return Promise.resolve(false);
+    }
+
+    const timestamp = typeof data.timestamp === "number" ? data.timestamp : Date.now();
+    const day = getDayKey(timestamp);
+    const eventId =
+      id || `${type}_${timestamp}_${Math.random().toString(36).slice(2, 8)}`;
+
+    return window.claims
+      .claimNode(eventsRef.get(day).get(eventId), "writer", getWriterId(), {
+        fields: {
+          ...flattenData(data),
+          type,
+          timestamp,
+          day,
+          operator:
+            data.operator || window.core?.user?.is?.alias || "SYSTEM",
+        },
+        canClaim: (existing) => !existing?.type,
+      })
+      .then(({ claimed }) => {
+        if (claimed) incrementCounter(type);
+        return claimed;
+      });
+  }
+
+  // Record how a task ended: "completed", "failed" or "expired". A task
+  // ends once, so later reports of the same task are ignored.
+  function recordTaskOutcome(task, outcome) {
+    if (!task?.id) return Promise.resolve(false);
+    return recordEvent(
+      "task",
+      {
+        outcome,
+        taskId: task.id,
+        name: task.name,
+        taskType: task.type,
+        difficulty: task.difficulty,
+        operator: outcome === "expired" ? "SYSTEM" : task.assignedTo,
+      },
+      `task_${task.id}`
+    );
+  }
+
+  // Add one to this writer's slot for a type
+  function incrementCounter(type) {
+    const countsRef = getCountsRef();
+    if (!countsRef) return Promise.resolve();
+
+    const slotRef = countsRef.get(type).get(getWriterId());
+    const previous = pendingIncrements[type] || Promise.resolve();
+    // Increments run one after another so none reads a stale own count
+    pendingIncrements[type] = previous.then(
+      () =>
+        new Promise((resolve) => {
+          const write = (count) => {
+            ownCounts[type] = count + 1;
+            slotRef.put(ownCounts[type]);
+            resolve();
+          };
+          if (ownCounts[type] !== undefined) {
+            write(ownCounts[type]);
+          } else {
+            slotRef.once((value) => write(typeof value === "number" ? value : 0));
+          }
+        })
+    );
+    return pendingIncrements[type];
+  }
+
+  // Follow every counter slot and the legacy totals
+  function followCounters() {
+    if (countersFollowed) return;
+    const countsRef = getCountsRef();
+    if (!countsRef) return;
+    countersFollowed = true;
+
+    EVENT_TYPES.forEach((type) => {
+      counterSlots[type] = counterSlots[type] || {};
+      countsRef
+        .get(type)
+        .map()
+        .on((value, writer) => {
+          if (typeof value !== "number") return;
+          counterSlots[type][writer] = value;
+          notifyChange();
+        });
+    });
+
+    const statsRef = window.core?.statsRef;
+    if (statsRef) {
+      statsRef.on((data) => {
+        Object.entries(LEGACY_TOTALS).forEach(([type, field]) => {
+          if (typeof data?.[field] === "number") {
+            legacyTotals[type] = data[field];
+          }
+        });
+        notifyChange();
+      });
+    }
+  }
+
+  // Get the total number of events of a type
+  function getTotal(type) {
+    const slots = counterSlots[type] || {};
+    const counted = Object.values(slots).reduce((sum, value) => sum + value, 0);
+    return (legacyTotals[type] || 0) + counted;
+  }
+
+  // Load the events of the last n days, or of a from/to time range;
+  // resolves once the days settled
+  function loadEvents(options = {}) {
+    const { days = 7, from = null, to = Date.now(), types = EVENT_TYPES } =
+      options;
+    const dayKeys =
+      from === null ? getRecentDayKeys(days) : getDayKeysBetween(from, to);
+    const inRange = (event) =>
+      from === null || (event.timestamp >= from && event.timestamp <= to);
+    return new Promise((resolve) => {
+      const eventsRef = getEventsRef();
+      if (!eventsRef) {
+        resolve([]);
+        return;
+      }
+
+      const events = new Map();
+      dayKeys.forEach((day) => {
+        eventsRef
+          .get(day)
+          .map()
+          .once((event, id) => {
+            if (event?.type && types.includes(event.type) && inRange(event)) {
+              events.set(id, { ...event, id });
+            }
+          });
+      });
+
+      // GunDB is asynchronous - give the days a moment to fill
+      setTimeout(() => {
+        resolve(
+          Array.from(events.values()).sort((a, b) => a.timestamp - b.timestamp)
+        );
+      }, LOAD_SETTLE_MS);
+    });
+  }
+
+  // Let open views know a total changed
+  function notifyChange() {
+    changeListeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.error("❌ Event counter listener failed:", error);
+      }
+    });
+  }
+
+  // Register a callback for total changes; returns an unsubscribe function
+  function onTotalsChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  // Export event functions
+  window.events = {
+    EVENT_TYPES,
+    getDayKey,
+    getRecentDayKeys,
+    getDayKeysBetween,
+    getWriterId,
+    recordEvent,
+    recordTaskOutcome,
+    loadEvents,
+    getTotal,
+    onTotalsChange,
+    followCounters,
+  };
+
+  // Auto-initialize when dependencies are ready
+  (function autoInitialize() {
+    if (window.core && window.core.gun && window.core.statsRef) {
+      followCounters();
+    } else {
+      setTimeout(autoInitialize, 1000);
+    }
+  })();
+})();
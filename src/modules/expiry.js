@@ -0,0 +1,118 @@
+// Expiry module - Single-resolver failure of tasks that run out of time
+(function () {
+  "use strict";
+
+  // Every client notices an expired task, but only one resolves it. A
+  // client claims the task node, waits for competing claims to settle and
+  // applies the failure effects only if its claim survived. The resolver
+  // marks the node applied, so late clients see the expiry as done. A
+  // claim that is never applied goes stale and can be taken over, so an
+  // expiry is not lost when its resolver goes offline.
+
+  // Unapplied claims older than this may be taken over
+  const CLAIM_STALE_MS = 30000;
+
+  // Task ids this client is resolving or waiting on
+  const pending = new Set();
+
+  // Has the task node already been settled by someone?
+  function isSettled(task) {
+    if (!task) return true;
+    if (task.completed || task.expiryApplied) return true;
+    // Failed without an expiry claim: a procedure failure or an older client
+    return !!task.failed && !task.expiryClaimedBy;
+  }
+
+  // Can this client claim the expiry of a task node?
+  function isClaimable(task, claimant, now = Date.now()) {
+    if (isSettled(task)) return false;
+    if (!task.expiresAt || now < task.expiresAt) return false;
+    return (
+      !task.expiryClaimedBy ||
+      task.expiryClaimedBy === claimant ||
+      now - (task.expiryClaimedAt || 0) >= CLAIM_STALE_MS
+    );
+  }
+
+  // Claimant id of this tab; null until logged in. Claims are per tab,
+  // so two tabs of one operator cannot both win.
+  function getClaimantId() {
+    return window.core?.user?.is?.pub ? window.events.getWriterId() : null;
+  }
+
+  // Claim the expiry of a task; resolves true if this client won
+  function claimExpiry(taskId) {
+    const taskRef = window.core?.taskRef;
+    const claimant = getClaimantId();
+    if (!taskRef) return Promise.resolve(false);
+
+    return window.claims
+      .claimNode(taskRef.get(taskId), "expiryClaimedBy", claimant, {
+        fields: { expiryClaimedAt: Date.now() },
+        canClaim: (existing) => isClaimable(existing, claimant),
+        isValid: (task) => !isSettled(task),
+      })
+      .then(({ claimed }) => claimed);
+  }
+
+  // Resolve an expired task. The winning client applies its failure
+  // effects once, marks it failed and records the outcome in the event
+  // log and the station history; every other client leaves it alone.
+  // Resolves true on a win.
+  function resolveExpiry(task) {
+    if (!task?.id || pending.has(task.id)) return Promise.resolve(false);
+    // Logged-out clients cannot claim, so they leave expiries to others
+    if (!getClaimantId()) return Promise.resolve(false);
+    pending.add(task.id);
+
+    return claimExpiry(task.id).then((claimed) => {
+      if (!claimed) {
+        // Check back once the winner's claim could have gone stale
+        setTimeout(() => {
+          pending.delete(task.id);
+          window.core?.taskRef?.get(task.id).once((node) => {
+            if (node && isClaimable(node, null)) {
+              resolveExpiry({ ...node, id: task.id });
+            }
+          });
+        }, CLAIM_STALE_MS);
+        return false;
+      }
+
+      task.failed = true;
+      const effects = window.catalog.applyEffects(task, "failure");
+      const summary = `Task "${task.name}" expired: ${window.catalog.formatEffects(
+        effects
+      )}`;
+      window.core.taskRef.get(task.id).put({
+        failed: true,
+        expiryApplied: true,
+        resolvedAt: Date.now(),
+      });
+      if (window.events) {
+        window.events.recordTaskOutcome(task, "expired");
+      }
+      // One history entry per task, however many clients saw it expire
+      window.core.historyRef?.get(`expiry_${task.id}`).put({
+        timestamp: Date.now(),
+        operator: "SYSTEM",
+        action: summary,
+        type: "expiry",
+        taskId: task.id,
+        applied: true,
+      });
+      window.core.addLog(summary, "error");
+      pending.delete(task.id);
+      return true;
+    });
+  }
+
+  // Export expiry functions
+  window.expiry = {
+    CLAIM_STALE_MS,
+    isSettled,
+    isClaimable,
+    claimExpiry,
+    resolveExpiry,
+  };
+})();
@@ -0,0 +1,425 @@
+// Exporter module - Station data export as CSV or JSON downloads
+(function () {
+  "use strict";
+
+  // Column schema of every dataset. The same columns are used for CSV
+  // headers and JSON rows; README.md documents them for analysts.
+  const SCHEMAS = {
+    resets: [
+      ["timestamp", "ISO 8601 UTC time the reset was entered"],
+      ["operator", "Alias of the operator who entered the code"],
+      ["pub", "Public key of the operator"],
+      ["cycleStart", "ISO 8601 UTC start of the cycle that was reset"],
+      ["remainingMs", "Milliseconds left on the timer at entry"],
+      ["entryId", "History entry id"],
+    ],
+    tasks: [
+      ["timestamp", "ISO 8601 UTC time the task ended"],
+      ["taskId", "Task id"],
+      ["name", "Task name"],
+      ["taskType", "MAINTENANCE, CRITICAL or EMERGENCY"],
+      ["difficulty", "Difficulty from 1 to 5"],
+      ["outcome", "completed, failed or expired"],
+      ["operator", "Assigned operator, SYSTEM for expired tasks"],
+    ],
+    challenges: [
+      ["timestamp", "ISO 8601 UTC time the challenge resolved"],
+      ["challengeId", "Challenge id"],
+      ["challengeType", "standard, advanced or elite"],
+      ["result", "victory or defeat, from the challenger's side"],
+      ["operator", "Challenger alias"],
+      ["target", "Target alias"],
+    ],
+    leaderboard: [
+      ["snapshotAt", "ISO 8601 UTC time of the snapshot"],
+      ["lastUpdate", "ISO 8601 UTC time the entry last changed"],
+      ["rank", "Position by points among all operators"],
+      ["alias", "Operator alias"],
+      ["points", "Points"],
+      ["level", "Level"],
+      ["reputation", "Reputation, empty when unknown"],
+    ],
+    chat: [
+      ["timestamp", "ISO 8601 UTC time the message was sent"],
+      ["who", "Sender alias"],
+      ["what", "Message text"],
+    ],
+    telemetry: [
+      ["bucketStart", "ISO 8601 UTC start of the bucket"],
+      ["bucketEnd", "ISO 8601 UTC end of the bucket"],
+      ["samples", "Number of samples in the bucket"],
+      ...window.telemetry.PARAMETERS.flatMap((param) => [
+        [`${param}_avg`, `Average ${param}`],
+        [`${param}_min`, `Minimum ${param}`],
+        [`${param}_max`, `Maximum ${param}`],
+      ]),
+    ],
+  };
+
+  const DATASET_LABELS = {
+    resets: "RESET HISTORY",
+    tasks: "TASK HISTORY",
+    challenges: "CHALLENGE HISTORY",
+    leaderboard: "LEADERBOARD SNAPSHOT",
+    chat: "CHAT TRANSCRIPT",
+    telemetry: "PARAMETER TELEMETRY",
+  };
+
+  // How long to wait for graph reads to arrive
+  const LOAD_SETTLE_MS = 1500;
+  const DAY_MS = 24 * 60 * 60000;
+
+  // Format a time for export; empty when unknown
+  function toIso(time) {
+    return typeof time === "number" && isFinite(time)
+      ? new Date(time).toISOString()
+      : "";
+  }
+
+  // Read every child of a node once, then resolve with the collected rows
+  function collect(ref, pick) {
+    return new Promise((resolve) => {
+      const rows = new Map();
+      if (!ref) {
+        resolve([]);
+        return;
+      }
+      ref.map().once((data, id) => {
+        const row = data ? pick(data, id) : null;
+        if (row) rows.set(id, row);
+      });
+      // GunDB is asynchronous - give the map a moment to fill
+      setTimeout(() => resolve(Array.from(rows.values())), LOAD_SETTLE_MS);
+    });
+  }
+
+  // Get the time a node last changed from Gun's per-field write states
+  function getLastUpdate(data) {
+    const states = Object.values(data?._?.[">"] || {}).filter(
+      (state) => typeof state === "number"
+    );
+    return states.length > 0 ? Math.max(...states) : null;
+  }
+
+  // Get this session's resolved challenges, including any the event log
+  // lost or never received
+  function getSessionChallenges(inRange) {
+    const history = window.challenges?.getChallengeHistory?.() || [];
+    return history
+      .filter((challenge) => challenge.result && inRange(challenge.completedAt))
+      .map((challenge) => ({
+        timestamp: challenge.completedAt,
+        challengeId: challenge.id,
+        challengeType: challenge.type,
+        result: challenge.result,
+        operator: challenge.initiator,
+        target: challenge.target,
+      }));
+  }
+
+  // Sort rows by a time column
+  function byTime(column) {
+    return (a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0);
+  }
+
+  // Load the rows of one dataset between two times
+  function loadDataset(name, from, to, options = {}) {
+    const inRange = (time) => time >= from && time <= to;
+
+    switch (name) {
+      case "resets":
+        return collect(window.core?.historyRef, (entry, id) =>
+          entry.type === "reset" && inRange(entry.timestamp)
+            ? {
+                timestamp: toIso(entry.timestamp),
+                operator: entry.operator,
+                pub: entry.pub,
+                cycleStart: toIso(entry.cycleStart),
+                remainingMs: entry.remainingMs,
+                entryId: id,
+              }
+            : null
+        ).then((rows) => rows.sort(byTime("timestamp")));
+
+      case "tasks":
+        if (!window.events) return Promise.resolve([]);
+        return window.events
+          .loadEvents({ from, to, types: ["task"] })
+          .then((events) =>
+            events.map((event) => ({ ...event, timestamp: toIso(event.timestamp) }))
+          );
+
+      case "challenges": {
+        const logged = window.events
+          ? window.events.loadEvents({ from, to, types: ["challenge"] })
+          : Promise.resolve([]);
+        return logged.then((events) => {
+          // The event log wins where both hold a challenge
+          const rows = new Map();
+          getSessionChallenges(inRange).forEach((row) =>
+            rows.set(row.challengeId, row)
+          );
+          events.forEach((event) => rows.set(event.challengeId, event));
+          return Array.from(rows.values())
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map((row) => ({ ...row, timestamp: toIso(row.timestamp) }));
+        });
+      }
+
+      case "leaderboard": {
+        // Current totals of the operators whose entry changed in the range;
+        // ranks are taken across every operator before filtering
+        const snapshotAt = toIso(Date.now());
+        return collect(window.core?.gun?.get("leaderboard"), (entry, alias) =>
+          typeof entry.points === "number"
+            ? {
+                snapshotAt,
+                lastUpdate: getLastUpdate(entry),
+                alias,
+                points: entry.points,
+                level: entry.level,
+                reputation: entry.reputation,
+              }
+            : null
+        ).then((rows) =>
+          rows
+            .sort((a, b) => b.points - a.points)
+            .map((row, index) => ({ ...row, rank: index + 1 }))
+            .filter((row) => row.lastUpdate !== null && inRange(row.lastUpdate))
+            .map((row) => ({ ...row, lastUpdate: toIso(row.lastUpdate) }))
+        );
+      }
+
+      case "chat":
+        return collect(window.core?.chatRef, (message) =>
+          message.who && inRange(message.when)
+            ? {
+                timestamp: toIso(message.when),
+                who: message.who,
+                what: message.what,
+              }
+            : null
+        ).then((rows) => rows.sort(byTime("timestamp")));
+
+      case "telemetry":
+        return window.telemetry
+          .loadSeries(options.resolution || "quarter", from)
+          .then((buckets) =>
+            buckets
+              .filter((bucket) => bucket.bucketStart <= to)
+              .map((bucket) => ({
+                ...bucket,
+                bucketStart: toIso(bucket.bucketStart),
+                bucketEnd: toIso(bucket.bucketEnd),
+              }))
+          );
+
+      default:
+        return Promise.reject(new Error(`Unknown dataset: ${name}`));
+    }
+  }
+
+  // Keep only the schema columns of a row, in schema order
+  function toRecord(name, row) {
+    const record = {};
+    SCHEMAS[name].forEach(([column]) => {
+      record[column] = row[column] ?? null;
+    });
+    return record;
+  }
+
+  // Quote a CSV field when it needs it
+  function escapeCsv(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Build a CSV document for a dataset
+  function toCsv(name, rows) {
+    const columns = SCHEMAS[name].map(([column]) => column);
+    const lines = [columns.join(",")];
+    rows.forEach((row) => {
+      lines.push(columns.map((column) => escapeCsv(row[column])).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // Hand a file to the browser as a download
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Export datasets between two times as one CSV file per dataset or a
+  // single JSON file. Resolves to the number of rows exported.
+  async function exportData({ datasets, from, to, format = "csv", resolution }) {
+    const station = window.stations.getStationName();
+    const range = `${toIso(from).slice(0, 10)}_${toIso(to).slice(0, 10)}`;
+    const results = {};
+
+    for (const name of datasets) {
+      const rows = await loadDataset(name, from, to, { resolution });
+      results[name] = rows.map((row) => toRecord(name, row));
+    }
+
+    if (format === "json") {
+      const bundle = {
+        station,
+        exportedAt: toIso(Date.now()),
+        from: toIso(from),
+        to: toIso(to),
+        schema: Object.fromEntries(
+          datasets.map((name) => [name, Object.fromEntries(SCHEMAS[name])])
+        ),
+        datasets: results,
+      };
+      downloadFile(
+        `${station}-export-${range}.json`,
+        JSON.stringify(bundle, null, 2),
+        "application/json"
+      );
+    } else {
+      datasets.forEach((name) => {
+        downloadFile(
+          `${station}-${name}-${range}.csv`,
+          toCsv(name, results[name]),
+          "text/csv"
+        );
+      });
+    }
+
+    return Object.values(results).reduce((sum, rows) => sum + rows.length, 0);
+  }
+
+  // Format a time as the value of a date input
+  function toDateInput(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // Show the export dialog
+  function showExportDialog() {
+    if (document.querySelector(".export-modal")) return;
+
+    const overlay = document.createElement("div");
+    overlay.className = "overlay";
+    overlay.innerHTML = `
+      <div class="export-modal">
+        <h2>&gt; EXPORT STATION DATA</h2>
+        <div class="export-datasets" id="exportDatasets"></div>
+        <div class="export-range">
+          <label>FROM <input type="date" id="exportFrom"></label>
+          <label>TO <input type="date" id="exportTo"></label>
+        </div>
+        <div class="export-options">
+          <label>FORMAT
+            <select id="exportFormat">
+              <option value="csv">CSV (one file per dataset)</option>
+              <option value="json">JSON (single file with schema)</option>
+            </select>
+          </label>
+          <label>TELEMETRY
+            <select id="exportResolution"></select>
+          </label>
+        </div>
+        <div class="export-status" id="exportStatus"></div>
+        <div class="export-buttons">
+          <div class="button" id="runExport">EXPORT</div>
+          <div class="button" id="closeExport">CLOSE</div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const datasetList = overlay.querySelector("#exportDatasets");
+    Object.entries(DATASET_LABELS).forEach(([name, label]) => {
+      const option = document.createElement("label");
+      option.className = "export-dataset";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = name;
+      checkbox.checked = true;
+      option.appendChild(checkbox);
+      option.appendChild(document.createTextNode(` ${label}`));
+      datasetList.appendChild(option);
+    });
+
+    const resolutionSelect = overlay.querySelector("#exportResolution");
+    Object.entries(window.telemetry.RESOLUTIONS).forEach(([key, { label }]) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = label;
+      option.selected = key === "quarter";
+      resolutionSelect.appendChild(option);
+    });
+
+    const fromInput = overlay.querySelector("#exportFrom");
+    const toInput = overlay.querySelector("#exportTo");
+    fromInput.value = toDateInput(Date.now() - 6 * DAY_MS);
+    toInput.value = toDateInput(Date.now());
+
+    const status = overlay.querySelector("#exportStatus");
+    let exporting = false;
+    overlay.querySelector("#runExport").onclick = () => {
+      if (exporting) return;
+      const datasets = Array.from(
+        datasetList.querySelectorAll("input:checked")
+      ).map((checkbox) => checkbox.value);
+      // Whole local days, from the start of FROM to the end of TO
+      const from = new Date(`${fromInput.value}T00:00:00`).getTime();
+      const to = new Date(`${toInput.value}T23:59:59.999`).getTime();
+
+      if (datasets.length === 0) {
+        status.textContent = "Select at least one dataset";
+        return;
+      }
+      if (!isFinite(from) || !isFinite(to) || from > to) {
+        status.textContent = "Invalid date range";
+        return;
+      }
+
+      status.textContent = "EXPORTING...";
+      exporting = true;
+      exportData({
+        datasets,
+        from,
+        to,
+        format: overlay.querySelector("#exportFormat").value,
+        resolution: resolutionSelect.value,
+      })
+        .then((count) => {
+          status.textContent = `Exported ${count} rows`;
+          window.core.addLog(
+            `Exported ${count} rows of station data`,
+            "success"
+          );
+        })
+        .catch((error) => {
+          console.error("❌ Export failed:", error);
+          status.textContent = `Export failed: ${error.message}`;
+        })
+        .finally(() => {
+          exporting = false;
+        });
+    };
+
+    overlay.querySelector("#closeExport").onclick = () => overlay.remove();
+  }
+
+  // Export exporter functions
+  window.exporter = {
+    SCHEMAS,
+    loadDataset,
+    toCsv,
+    exportData,
+    showExportDialog,
+  };
+})();
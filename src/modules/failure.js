@@ -0,0 +1,324 @@
+// Failure module - System failure sequence when the countdown reaches zero
+(function () {
+  "use strict";
+
+  // Every phase is derived from the end of the cycle epoch, so all
+  // clients move through the sequence together without messaging.
+  // During recovery, code entry, task generation and random events pause.
+
+  // Stations left unattended past this point restart immediately
+  const STALE_RESTART_GRACE_MS = 60000;
+
+  const PARAMETER_LIMITS = {
+    powerLevel: [0, 100],
+    oxygenLevel: [0, 100],
+    temperature: [-20, 60],
+    radiationLevel: [0, 1],
+    pressure: [800, 1200],
+    humidity: [0, 100],
+  };
+
+  // Operators seen within this window count as online
+  const ONLINE_WINDOW_MS = 30000;
+
+  // Failure state
+  let failureCycle = null;
+  let failurePhase = "idle"; // idle | hieroglyphs | recovery
+  let failureInterval = null;
+  // Only clients that watched the hieroglyph phase take part in the discharge
+  let witnessedHieroglyphs = false;
+  let dischargeHandled = false;
+
+  // Read phase lengths and penalties from the station rules
+  function getFailureRules() {
+    const rules = window.rules.getRules();
+    return {
+      hieroglyphPhaseMs: rules.hieroglyphPhaseSeconds * 1000,
+      recoveryPhaseMs: rules.recoveryPhaseSeconds * 1000,
+      parameterPenalties: rules.parameterPenalties,
+      // Held until the next cycle begins
+      instabilityPenalty: rules.instabilityPenalty,
+      resetStreakOnFailure: rules.resetStreakOnFailure,
+    };
+  }
+
+  // Get the end of a cycle
+  function getCycleEnd(cycle) {
+    return cycle.cycleStart + cycle.duration;
+  }
+
+  // Work out the failure phase of a cycle at a point in time
+  function getPhaseForCycle(cycle, now = window.timer.getStationTime()) {
+    if (!cycle) return "idle";
+
+    const { hieroglyphPhaseMs, recoveryPhaseMs } = getFailureRules();
+    const elapsed = now - getCycleEnd(cycle);
+    if (elapsed < 0) return "idle";
+    if (elapsed < hieroglyphPhaseMs) return "hieroglyphs";
+    if (elapsed < hieroglyphPhaseMs + recoveryPhaseMs) return "recovery";
+    return "restart";
+  }
+
+  // Get the deterministic start of the cycle that follows a failure
+  function getRecoveryCycleStart(cycle) {
+    const { hieroglyphPhaseMs, recoveryPhaseMs } = getFailureRules();
+    return getCycleEnd(cycle) + hieroglyphPhaseMs + recoveryPhaseMs;
+  }
+
+  // Begin the failure sequence for a cycle that has run out
+  function begin(cycle) {
+    if (!cycle) return;
+    if (failureCycle && failureCycle.cycleStart === cycle.cycleStart) return;
+
+    failureCycle = cycle;
+    failurePhase = "idle";
+    witnessedHieroglyphs = false;
+    dischargeHandled = false;
+
+    console.log("💥 Failure sequence started for cycle:", cycle.cycleStart);
+
+    if (failureInterval) clearInterval(failureInterval);
+    const scheduler = window.core?.safeSetInterval || setInterval;
+    failureInterval = scheduler(step, 250);
+    step();
+  }
+
+  // End the failure sequence once a new cycle is running
+  function end() {
+    if (failureInterval) {
+      clearInterval(failureInterval);
+      failureInterval = null;
+    }
+    if (failurePhase !== "idle") {
+      console.log("✅ Failure sequence ended");
+    }
+    failureCycle = null;
+    failurePhase = "idle";
+    witnessedHieroglyphs = false;
+    dischargeHandled = false;
+    clearDisplay();
+  }
+
+  // Advance the state machine
+  function step() {
+    if (!failureCycle) return;
+
+    const phase = getPhaseForCycle(failureCycle);
+
+    if (phase === "hieroglyphs") {
+      if (failurePhase !== "hieroglyphs") {
+        failurePhase = "hieroglyphs";
+        witnessedHieroglyphs = true;
+        window.core.addLog(
+          "SYSTEM FAILURE: Hieroglyph lockdown engaged",
+          "error"
+        );
+      }
+    } else if (phase === "recovery") {
+      if (failurePhase !== "recovery") {
+        failurePhase = "recovery";
+        handleDischarge();
+        window.core.addLog(
+          "Recovery phase: code entry and task generation suspended",
+          "warning"
+        );
+      }
+    } else if (phase === "restart") {
+      if (witnessedHieroglyphs && !dischargeHandled) {
+        handleDischarge();
+      }
+      restartCycle();
+      return;
+    }
+
+    render(phase);
+  }
+
+  // Record the discharge and apply its penalties
+  function handleDischarge() {
+    if (dischargeHandled) return;
+    dischargeHandled = true;
+
+    // Clients that joined during recovery did not witness the failure
+    if (!witnessedHieroglyphs) return;
+
+    const cycleStart = failureCycle.cycleStart;
+    window.core.addLog(
+      "DISCHARGE: Electromagnetic discharge detected!",
+      "error"
+    );
+
+    // Every online operator resets their own streak
+    const user = window.core?.user;
+    if (user?.is && getFailureRules().resetStreakOnFailure) {
+      user.get("profile").put({ resetStreak: 0 });
+    }
+
+    claimDischarge(cycleStart).then((claimed) => {
+      if (claimed) applyStationPenalties(cycleStart);
+    });
+  }
+
+  // Claim the discharge entry for this cycle; only the winner applies
+  // the shared station penalties, everyone else just observes them. The
+  // claim is per tab, so two tabs of one operator cannot both win.
+  function claimDischarge(cycleStart) {
+    const historyRef = window.core?.historyRef;
+    const claimant = window.core?.user?.is?.pub
+      ? window.events.getWriterId()
+      : null;
+    if (!historyRef) return Promise.resolve(false);
+
+    const entryRef = historyRef.get(`discharge_${cycleStart}`);
+    return window.claims
+      .claimNode(entryRef, "claimedBy", claimant, {
+        canClaim: (existing) => !existing?.applied,
+        isValid: (entry) => !entry.applied,
+      })
+      .then(({ claimed }) => claimed);
+  }
+
+  // Count operators that reported in recently
+  function countOnlineOperators() {
+    return new Promise((resolve) => {
+      const operatorsRef = window.core?.operatorsRef;
+      if (!operatorsRef) {
+        resolve(0);
+        return;
+      }
+
+      const now = Date.now();
+      const online = new Set();
+      operatorsRef.map().once((data, id) => {
+        if (data?.lastSeen && now - data.lastSeen < ONLINE_WINDOW_MS) {
+          online.add(id);
+        }
+      });
+      // GunDB is asynchronous - give the map a moment to fill
+      setTimeout(() => resolve(online.size), 750);
+    });
+  }
+
+  // Apply the parameter and instability penalties, then record the event
+  async function applyStationPenalties(cycleStart) {
+    const stationParamsRef = window.core?.stationParamsRef;
+    const { parameterPenalties, instabilityPenalty } = getFailureRules();
+    const onlineOperators = await countOnlineOperators();
+
+    if (stationParamsRef) {
+      window.simulation.submitDelta(
+        { ...parameterPenalties, dischargeInstability: instabilityPenalty },
+        "discharge"
+      );
+      stationParamsRef.put({ lastEvent: "discharge", lastUpdate: Date.now() });
+    }
+
+    const statsRef = window.core?.statsRef;
+    if (statsRef) {
+      statsRef.put({ lastFailure: Date.now() });
+    }
+
+    // One failure per cycle, however many operators apply the penalties
+    if (window.events) {
+      window.events.recordEvent(
+        "failure",
+        {
+          operator: "SYSTEM",
+          cycleStart: cycleStart,
+          onlineOperators: onlineOperators,
+        },
+        `failure_${cycleStart}`
+      );
+    }
+
+    window.core.historyRef.get(`discharge_${cycleStart}`).put({
+      timestamp: Date.now(),
+      operator: "SYSTEM",
+      action: `Electromagnetic discharge - ${onlineOperators} operator(s) online, station parameters penalised`,
+      type: "discharge",
+      cycleStart: cycleStart,
+      onlineOperators: onlineOperators,
+      instabilityPenalty: instabilityPenalty,
+      applied: true,
+    });
+  }
+
+  // Start the cycle that follows the recovery phase
+  function restartCycle() {
+    const cycle = failureCycle;
+    const now = window.timer.getStationTime();
+    let cycleStart = getRecoveryCycleStart(cycle);
+
+    // An abandoned station restarts now instead of replaying missed cycles
+    if (now - cycleStart > STALE_RESTART_GRACE_MS) {
+      cycleStart = now;
+    }
+
+    if (failureInterval) {
+      clearInterval(failureInterval);
+      failureInterval = null;
+    }
+
+    // The penalty is lifted together with the new cycle. Subtracting the
+    // whole range clamps it to zero, however many witnesses submit it.
+    window.simulation.submitDelta({ dischargeInstability: -1 }, "recovery");
+
+    // Every witness writes the same epoch, so the writes agree
+    window.timer.startNewCycle("failure_recovery", cycleStart, null, cycle);
+  }
+
+  // Draw the failure phase on the big timer
+  function render(phase) {
+    const now = window.timer.getStationTime();
+
+    if (phase === "hieroglyphs") {
+      // The overtime counter keeps running, rendered as hieroglyph tiles
+      const overtime = now - getCycleEnd(failureCycle);
+      window.timer.setDisplayMode("hieroglyphs");
+      window.timer.setDisplayText(window.timer.formatRemaining(overtime));
+      document.title = "SYSTEM FAILURE";
+    } else if (phase === "recovery") {
+      const remaining = getRecoveryCycleStart(failureCycle) - now;
+      const text = window.timer.formatRemaining(remaining);
+      window.timer.setDisplayMode("recovery");
+      window.timer.setDisplayText(text);
+      document.title = `RECOVERY ${text}`;
+    }
+  }
+
+  // Hand the big timer back to the normal digits
+  function clearDisplay() {
+    if (window.timer?.setDisplayMode) {
+      window.timer.setDisplayMode("digits");
+    }
+  }
+
+  // Get the current failure phase
+  function getPhase() {
+    return failurePhase;
+  }
+
+  // Check if a failure sequence is running
+  function isActive() {
+    return failurePhase !== "idle";
+  }
+
+  // Check if the station is in its recovery phase
+  function isRecovering() {
+    return failurePhase === "recovery";
+  }
+
+  // Export failure functions
+  window.failure = {
+    STALE_RESTART_GRACE_MS,
+    PARAMETER_LIMITS,
+    getFailureRules,
+    begin,
+    end,
+    getPhase,
+    getPhaseForCycle,
+    getRecoveryCycleStart,
+    isActive,
+    isRecovering,
+  };
+})();
@@ -0,0 +1,184 @@
+// Flip clock module - Flip-digit display component for the station timer
+(function () {
+  "use strict";
+
+  // Glyph sets a display can render its text with. Digits map to
+  // themselves; the hieroglyph set replaces each digit with a tile glyph.
+  const GLYPH_SETS = {
+    digits: null,
+    hieroglyphs: {
+      0: "𓂀",
+      1: "𓃠",
+      2: "𓆣",
+      3: "𓋹",
+      4: "𓁹",
+      5: "𓊖",
+      6: "𓅓",
+      7: "𓇋",
+      8: "𓏏",
+      9: "𓂋",
+    },
+  };
+
+  // Display modes: which glyph set to use and which class to put on the host
+  const MODES = {
+    digits: { glyphSet: "digits", className: null },
+    failure: { glyphSet: "digits", className: "failure" },
+    hieroglyphs: { glyphSet: "hieroglyphs", className: "hieroglyphs" },
+    recovery: { glyphSet: "digits", className: "recovery" },
+  };
+
+  // Characters rendered as fixed separators instead of flip tiles
+  const SEPARATORS = [":", " "];
+
+  // Flip animation length, kept in sync with the flipTileTop keyframes
+  const FLIP_DURATION_MS = 300;
+
+  // One display per host element
+  const displays = new WeakMap();
+
+  // Create a flip display on an element
+  function createFlipDisplay(element) {
+    let mode = "digits";
+    let text = "";
+    let tiles = [];
+
+    element.classList.add("flip-display");
+
+    // Map a character through the current glyph set
+    const toGlyph = (char) => {
+      const glyphSet = GLYPH_SETS[MODES[mode].glyphSet];
+      return glyphSet && glyphSet[char] !== undefined ? glyphSet[char] : char;
+    };
+
+    // Rebuild tiles when the layout (length or separators) changes
+    const buildTiles = (chars) => {
+      element.textContent = "";
+      tiles = chars.map((char) => {
+        const tile = document.createElement("span");
+        if (SEPARATORS.includes(char)) {
+          tile.className = "flip-separator";
+        } else {
+          tile.className = "flip-tile";
+        }
+        tile.textContent = char;
+        tile.dataset.char = char;
+        element.appendChild(tile);
+        return tile;
+      });
+    };
+
+    // Flip a single tile from its current glyph to a new one
+    const flipTile = (tile, glyph) => {
+      tile.dataset.prev = tile.dataset.char;
+      tile.dataset.char = glyph;
+      tile.textContent = glyph;
+
+      // Restart the animation if the tile is still flipping
+      tile.classList.remove("flipping");
+      void tile.offsetWidth;
+      tile.classList.add("flipping");
+
+      clearTimeout(tile._flipTimeout);
+      tile._flipTimeout = setTimeout(() => {
+        tile.classList.remove("flipping");
+      }, FLIP_DURATION_MS);
+    };
+
+    // Render text, flipping only the tiles whose glyph changed
+    const render = (animate) => {
+      const chars = Array.from(text).map(toGlyph);
+      // Other code may have overwritten the element's text directly
+      const sameLayout =
+        tiles.length === chars.length &&
+        tiles.every((tile) => tile.parentNode === element) &&
+        chars.every(
+          (char, i) =>
+            SEPARATORS.includes(char) ===
+            tiles[i].classList.contains("flip-separator")
+        );
+
+      if (!sameLayout) {
+        buildTiles(chars);
+        return;
+      }
+
+      chars.forEach((char, i) => {
+        const tile = tiles[i];
+        if (tile.dataset.char === char) return;
+        if (animate && tile.classList.contains("flip-tile")) {
+          flipTile(tile, char);
+        } else {
+          tile.dataset.char = char;
+          tile.textContent = char;
+        }
+      });
+    };
+
+    return {
+      // Show new text; changed digits flip
+      setText(newText) {
+        const value = String(newText);
+        if (value === text) return;
+        text = value;
+        render(true);
+      },
+
+      // Switch mode; every tile flips to the new glyph set
+      setMode(newMode) {
+        if (!MODES[newMode] || newMode === mode) return;
+
+        Object.values(MODES).forEach(({ className }) => {
+          if (className) element.classList.remove(className);
+        });
+        mode = newMode;
+        if (MODES[mode].className) {
+          element.classList.add(MODES[mode].className);
+        }
+        render(true);
+      },
+
+      getMode() {
+        return mode;
+      },
+
+      getText() {
+        return text;
+      },
+
+      // Remove the tiles and leave the plain text behind
+      destroy() {
+        tiles.forEach((tile) => clearTimeout(tile._flipTimeout));
+        element.classList.remove("flip-display");
+        Object.values(MODES).forEach(({ className }) => {
+          if (className) element.classList.remove(className);
+        });
+        element.textContent = text;
+        tiles = [];
+        displays.delete(element);
+      },
+    };
+  }
+
+  // Get the flip display for an element, creating it on first use
+  function getFlipDisplay(element) {
+    if (!element) return null;
+    if (!displays.has(element)) {
+      displays.set(element, createFlipDisplay(element));
+    }
+    return displays.get(element);
+  }
+
+  // Get the flip display for the big station timer
+  function getTimerDisplay() {
+    return getFlipDisplay(document.getElementById("bigTimer"));
+  }
+
+  // Export flip clock functions
+  window.flipclock = {
+    GLYPH_SETS,
+    MODES,
+    getFlipDisplay,
+    getTimerDisplay,
+  };
+})();
@@ -0,0 +1,372 @@
+// Incidents module - Scripted multi-stage incidents opened by random events
+(function () {
+  "use strict";
+
+  // A random event can open an incident: a chain of catalog tasks raised
+  // one stage at a time. A stage that resolves unlocks the next one; a
+  // failed stage branches to a worse one, or fails the incident when it
+  // has nowhere to go. Every incident has one deadline shared by all its
+  // stages, and closes with a summary for everyone on the station.
+  //
+  // Incidents live at <station>/incidents/<id>. Only the station
+  // coordinator opens and advances them, so each stage is raised once.
+
+  const SCENARIOS = {
+    solarFlare: {
+      name: "SOLAR FLARE",
+      trigger: "SOLAR FLARE DETECTED",
+      deadlineMs: 25 * 60000,
+      start: "shield",
+      stages: {
+        shield: { task: "radiationShield", next: "reroute", onFailure: "leak" },
+        leak: { task: "radiationLeak", next: "reroute", onFailure: null },
+        reroute: {
+          task: "powerBalance",
+          next: "recalibrate",
+          onFailure: "gridFailure",
+        },
+        gridFailure: {
+          task: "powerGridFailure",
+          next: "recalibrate",
+          onFailure: null,
+        },
+        recalibrate: { task: "sensorCalibration", next: null, onFailure: null },
+      },
+    },
+    meteoroidImpact: {
+      name: "HULL BREACH",
+      trigger: "METEOROID IMPACT",
+      deadlineMs: 20 * 60000,
+      start: "seal",
+      stages: {
+        seal: {
+          task: "pressureStabilization",
+          next: "atmosphere",
+          onFailure: "breach",
+        },
+        breach: {
+          task: "containmentBreach",
+          next: "atmosphere",
+          onFailure: null,
+        },
+        atmosphere: {
+          task: "oxygenRegulation",
+          next: "diagnostic",
+          onFailure: null,
+        },
+        diagnostic: { task: "systemCheck", next: null, onFailure: null },
+      },
+    },
+    coolingFailure: {
+      name: "COOLING CASCADE",
+      trigger: "COOLING SYSTEM FAILURE",
+      deadlineMs: 20 * 60000,
+      start: "thermal",
+      stages: {
+        thermal: {
+          task: "temperatureControl",
+          next: "backup",
+          onFailure: "coolant",
+        },
+        coolant: { task: "coolantLeak", next: "backup", onFailure: "reactor" },
+        reactor: { task: "reactorCritical", next: null, onFailure: null },
+        backup: { task: "backupPower", next: null, onFailure: null },
+      },
+    },
+  };
+
+  // How often the coordinator checks stage outcomes and deadlines
+  const CHECK_INTERVAL_MS = 10000;
+  // Stage history is kept as "stage:outcome,stage:outcome"
+  const HISTORY_SEPARATOR = ",";
+
+  // Incidents state
+  const incidents = new Map(); // id -> incident
+  const advancing = new Set(); // stage task ids being advanced
+  const shownSummaries = new Set();
+  const startedAt = Date.now();
+  let createTask = null;
+  let checkInterval = null;
+
+  // Get the incidents node
+  function getIncidentsRef() {
+    const gun = window.core?.gun;
+    return gun ? window.stations.getStationRoot(gun).get("incidents") : null;
+  }
+
+  // Get the scenario a random event opens, or null
+  function findScenario(eventName) {
+    const key = Object.keys(SCENARIOS).find(
+      (name) => SCENARIOS[name].trigger === eventName
+    );
+    return key ? { key, ...SCENARIOS[key] } : null;
+  }
+
+  // Do all the stage tasks of a scenario exist in the catalog?
+  function isPlayable(scenario) {
+    return Object.values(scenario.stages).every((stage) =>
+      window.catalog.getTask(stage.task)
+    );
+  }
+
+  // Read the stage history of an incident as [{ stage, outcome }]
+  function parseHistory(history) {
+    if (typeof history !== "string" || !history) return [];
+    return history.split(HISTORY_SEPARATOR).map((entry) => {
+      const [stage, outcome] = entry.split(":");
+      return { stage, outcome };
+    });
+  }
+
+  // Pick the stage that follows an outcome: the next stage, the failure
+  // branch, or null when the incident closes
+  function getNextStage(scenario, stageKey, outcome) {
+    const stage = scenario.stages[stageKey];
+    if (!stage) return null;
+    return outcome === "completed" ? stage.next : stage.onFailure;
+  }
+
+  // Get the status an incident closes with after its last stage
+  function getClosingStatus(outcome, deadlinePassed) {
+    if (deadlinePassed) return "expired";
+    return outcome === "completed" ? "resolved" : "failed";
+  }
+
+  // Get the active incident a task belongs to, or null
+  function getIncident(task) {
+    const incident = task?.incidentId ? incidents.get(task.incidentId) : null;
+    return incident?.status === "active" ? incident : null;
+  }
+
+  // Describe the incident a task belongs to, e.g. "SOLAR FLARE · STAGE 2"
+  function describeTask(task) {
+    const incident = getIncident(task);
+    if (!incident) return "";
+    const stage = parseHistory(incident.history).length + 1;
+    const left = Math.max(0, incident.deadline - Date.now());
+    const minutes = Math.floor(left / 60000);
+    const seconds = Math.floor((left % 60000) / 1000);
+    return `INCIDENT ${incident.name} · STAGE ${stage} · ${minutes}:${String(
+      seconds
+    ).padStart(2, "0")} LEFT`;
+  }
+
+  // Raise the task of a stage and point the incident at it
+  function raiseStage(incidentId, incident, stageKey, history) {
+    const scenario = SCENARIOS[incident.scenario];
+    const definition = window.catalog.getTask(scenario.stages[stageKey].task);
+    const task = createTask(definition);
+    task.expiresAt = Math.min(task.expiresAt, incident.deadline);
+    task.incidentId = incidentId;
+    task.incidentStage = stageKey;
+
+    window.core.taskRef.get(task.id).put(task);
+    const update = { stage: stageKey, stageTaskId: task.id, history };
+    getIncidentsRef().get(incidentId).put(update);
+    incidents.set(incidentId, { ...incident, ...update });
+    window.core.addLog(
+      `INCIDENT ${incident.name}: ${definition.name} required`,
+      "warning"
+    );
+  }
+
+  // Close an incident and record it in the event log
+  function closeIncident(incidentId, incident, status, history) {
+    const update = { status, history, closedAt: Date.now(), stageTaskId: null };
+    getIncidentsRef().get(incidentId).put(update);
+    incidents.set(incidentId, { ...incident, ...update });
+
+    if (window.events) {
+      window.events.recordEvent(
+        "incident",
+        {
+          name: incident.name,
+          outcome: status,
+          stages: history,
+          operator: "SYSTEM",
+        },
+        `incident_${incidentId}`
+      );
+    }
+  }
+
+  // Open the incident a random event triggers. Only the coordinator opens
+  // incidents, and only one of each scenario at a time. Returns true when
+  // an incident was opened.
+  function openIncident(eventName) {
+    const scenario = findScenario(eventName);
+    if (!scenario || !createTask || !window.coordinator?.isCoordinator()) {
+      return false;
+    }
+    if (!isPlayable(scenario)) return false;
+    const running = Array.from(incidents.values()).some(
+      (incident) =>
+        incident.scenario === scenario.key && incident.status === "active"
+    );
+    if (running) return false;
+
+    const now = Date.now();
+    const incidentId = `${scenario.key}_${now}`;
+    const incident = {
+      scenario: scenario.key,
+      name: scenario.name,
+      trigger: eventName,
+      openedAt: now,
+      deadline: now + scenario.deadlineMs,
+      status: "active",
+      history: "",
+    };
+    getIncidentsRef().get(incidentId).put(incident);
+    incidents.set(incidentId, incident);
+    window.core.addLog(`INCIDENT OPENED: ${scenario.name}`, "error");
+    raiseStage(incidentId, incident, scenario.start, "");
+    return true;
+  }
+
+  // Move an incident on once its stage task has resolved or the deadline
+  // has passed
+  function advanceIncident(incidentId, incident, outcome) {
+    const scenario = SCENARIOS[incident.scenario];
+    const history = parseHistory(incident.history)
+      .concat(outcome ? [{ stage: incident.stage, outcome }] : [])
+      .map((entry) => `${entry.stage}:${entry.outcome}`)
+      .join(HISTORY_SEPARATOR);
+    const deadlinePassed = Date.now() >= incident.deadline;
+    const next = outcome ? getNextStage(scenario, incident.stage, outcome) : null;
+
+    if (next && !deadlinePassed) {
+      raiseStage(incidentId, incident, next, history);
+    } else {
+      closeIncident(
+        incidentId,
+        incident,
+        getClosingStatus(outcome, deadlinePassed),
+        history
+      );
+    }
+  }
+
+  // Coordinator pass: advance incidents whose stage resolved or timed out
+  function checkIncidents() {
+    if (!window.coordinator?.isCoordinator() || !createTask) return;
+    const taskRef = window.core?.taskRef;
+    if (!taskRef) return;
+
+    incidents.forEach((incident, incidentId) => {
+      if (incident.status !== "active" || !SCENARIOS[incident.scenario]) return;
+      const taskId = incident.stageTaskId;
+
+      if (!taskId) {
+        if (Date.now() >= incident.deadline) {
+          advanceIncident(incidentId, incident, null);
+        }
+        return;
+      }
+      if (advancing.has(taskId)) return;
+
+      advancing.add(taskId);
+      taskRef.get(taskId).once((task) => {
+        const current = incidents.get(incidentId);
+        if (current?.stageTaskId === taskId && current.status === "active") {
+          if (task?.completed) advanceIncident(incidentId, current, "completed");
+          else if (task?.failed) advanceIncident(incidentId, current, "failed");
+          else if (Date.now() >= current.deadline) {
+            advanceIncident(incidentId, current, "expired");
+          }
+        }
+        advancing.delete(taskId);
+      });
+    });
+  }
+
+  // Show the summary of a closed incident
+  function showSummary(incident) {
+    const scenario = SCENARIOS[incident.scenario];
+    const stages = parseHistory(incident.history).map(({ stage, outcome }) => {
+      const definition = scenario
+        ? window.catalog.getTask(scenario.stages[stage]?.task)
+        : null;
+      return { name: definition?.name || stage, outcome };
+    });
+    const duration = Math.round((incident.closedAt - incident.openedAt) / 60000);
+
+    const status = incident.status.toUpperCase();
+    window.core.addLog(
+      `INCIDENT ${status}: ${incident.name} after ${duration} min - ${stages
+        .map((stage) => `${stage.name} ${stage.outcome}`)
+        .join(", ")}`,
+      incident.status === "resolved" ? "success" : "error"
+    );
+
+    const overlay = document.createElement("div");
+    overlay.className = "overlay";
+    overlay.innerHTML = `
+      <div class="incident-summary">
+        <h2>&gt; INCIDENT CLOSED</h2>
+        <div class="incident-title"></div>
+        <div class="incident-stages"></div>
+        <div class="button" id="closeIncidentSummary">CLOSE</div>
+      </div>
+    `;
+    overlay.querySelector(
+      ".incident-title"
+    ).textContent = `${incident.name} - ${status} after ${duration} min`;
+    const list = overlay.querySelector(".incident-stages");
+    stages.forEach((stage, index) => {
+      const row = document.createElement("div");
+      row.className = `incident-stage ${stage.outcome}`;
+      row.textContent = `${index + 1}. ${
+        stage.name
+      } - ${stage.outcome.toUpperCase()}`;
+      list.appendChild(row);
+    });
+    document.body.appendChild(overlay);
+    overlay.querySelector("#closeIncidentSummary").onclick = () =>
+      overlay.remove();
+  }
+
+  // Follow the station's incidents and, as coordinator, drive them.
+  // createTask(definition) builds a task instance for a catalog entry.
+  function startIncidents(taskFactory) {
+    createTask = taskFactory;
+    if (checkInterval) return;
+    const incidentsRef = getIncidentsRef();
+    if (!incidentsRef) return;
+
+    incidentsRef.map().on((data, id) => {
+      if (!data?.scenario) return;
+      const incident = { ...data };
+      delete incident._;
+      incidents.set(id, incident);
+
+      // Everyone online sees incidents close
+      if (
+        incident.status !== "active" &&
+        incident.closedAt >= startedAt &&
+        !shownSummaries.has(id)
+      ) {
+        shownSummaries.add(id);
+        showSummary(incident);
+      }
+    });
+
+    checkInterval = window.core.safeSetInterval(
+      checkIncidents,
+      CHECK_INTERVAL_MS
+    );
+    console.log("🚨 Incident tracking started");
+  }
+
+  // Export incidents functions
+  window.incidents = {
+    SCENARIOS,
+    findScenario,
+    parseHistory,
+    getNextStage,
+    getClosingStatus,
+    getIncident,
+    describeTask,
+    openIncident,
+    startIncidents,
+  };
+})();
@@ -0,0 +1,142 @@
+// Libraries module - Loads the local relay's copies of Gun, SEA, multiavatar and shogun-core in LOCAL ONLY mode
+(function () {
+  "use strict";
+
+  // index.html loads the libraries from the CDN with plain script tags.
+  // On a LAN without internet those fail, so this loader then takes the
+  // missing ones from the local relay, inserted in order behind the page.
+  // The relay is named by ?relay=; swan.config.json is only read when a
+  // LOCAL ONLY session was remembered or a library did not arrive, so a
+  // normal online load makes no extra request. The relay answers /gun.js
+  // and /gun/sea.js through Gun.serve and keeps copies of the other two
+  // under /lib/. Startup waits on whenLoaded() before using them.
+
+  const RELAY_LIBRARIES = [
+    { path: "/gun.js", isLoaded: () => typeof window.Gun !== "undefined" },
+    { path: "/gun/sea.js", isLoaded: () => !!window.Gun?.SEA },
+    {
+      path: "/lib/multiavatar.min.js",
+      isLoaded: () => typeof window.multiavatar !== "undefined",
+    },
+    {
+      path: "/lib/shogun-core.js",
+      isLoaded: () => typeof window.SHOGUN_CORE !== "undefined",
+    },
+  ];
+  const RELAY_PARAM = "relay";
+  const CONFIG_URL = "swan.config.json";
+  const CONFIG_TIMEOUT_MS = 2000;
+  // Set by peers.js while the station runs LOCAL ONLY
+  const LOCAL_ONLY_KEY = "swanLocalOnly";
+
+  // Turn "host:port" or a peer URL into the relay's http(s) origin
+  function toRelayOrigin(value) {
+    if (typeof value !== "string" || !value.trim()) return null;
+    const raw = value.trim();
+    try {
+      const url = new URL(raw.includes("://") ? raw : `http://${raw}`);
+      if (url.protocol === "ws:") url.protocol = "http:";
+      if (url.protocol === "wss:") url.protocol = "https:";
+      if (!["http:", "https:"].includes(url.protocol)) return null;
+      return url.origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Read the first local relay from the query string
+  function readQueryRelay() {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      const values = params
+        .getAll(RELAY_PARAM)
+        .flatMap((value) => value.split(","));
+      return values.map(toRelayOrigin).find(Boolean) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Was the last session LOCAL ONLY?
+  function wasLocalOnly() {
+    try {
+      return localStorage.getItem(LOCAL_ONLY_KEY) === "true";
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Read the first local relay from swan.config.json; null when there is
+  // none. Hosts that rewrite every path to index.html answer with HTML,
+  // which is ignored.
+  async function fetchConfigRelay() {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG_TIMEOUT_MS);
+    try {
+      const response = await fetch(CONFIG_URL, {
+        cache: "no-store",
+        signal: controller.signal,
+      });
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      if (!data || data.localOnly === false || !Array.isArray(data.peers)) {
+        return null;
+      }
+      return data.peers.map(toRelayOrigin).find(Boolean) || null;
+    } catch (error) {
+      return null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Find the local relay to load from, or null to stay with the CDN
+  async function findRelay() {
+    const fromQuery = readQueryRelay();
+    if (fromQuery) return fromQuery;
+
+    const missing = RELAY_LIBRARIES.some((library) => !library.isLoaded());
+    return missing || wasLocalOnly() ? fetchConfigRelay() : null;
+  }
+
+  // Load one script; resolves once it ran or failed
+  function insertScript(src) {
+    return new Promise((resolve) => {
+      const script = document.createElement("script");
+      script.src = src;
+      // Run in insertion order, like the static tags they stand in for
+      script.async = false;
+      script.onload = () => resolve(true);
+      script.onerror = () => {
+        console.warn(`⚠️ Failed to load ${src}`);
+        resolve(false);
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  // Load the relay's copies of the libraries the CDN did not deliver
+  async function loadFromRelay() {
+    const relay = await findRelay();
+    const missing = RELAY_LIBRARIES.filter((library) => !library.isLoaded());
+    if (!relay || missing.length === 0) return;
+
+    console.log(`📦 LOCAL ONLY: loading libraries from ${relay}`);
+    await Promise.all(
+      missing.map((library) => insertScript(`${relay}${library.path}`))
+    );
+  }
+
+  const loaded = loadFromRelay();
+
+  // Resolves once the libraries are in place, or could not be loaded
+  function whenLoaded() {
+    return loaded;
+  }
+
+  // Export libraries functions
+  window.libraries = {
+    whenLoaded,
+  };
+})();
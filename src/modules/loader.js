@@ -5,7 +5,29 @@ const MODULE_ORDER = [
   "core", // Core utilities and state
   "ui", // UI functions
   "auth", // Authentication
+  "peers", // Relay peers and local relay mode
+  "metrics", // Network metrics collector
+  "stations", // Named stations and their graph roots
+  "claims", // Single-winner claims on shared nodes
+  "rules", // Station rules
+  "catalog", // Task catalog
+  "procedures", // Interactive task procedures
+  "flipclock", // Flip-digit timer display
   "timer", // Timer functionality
+  "failure", // System failure sequence
+  "shifts", // Shift roster
+  "events", // Station event log
+  "expiry", // Single-resolver task expiry
+  "coordinator", // Station coordinator lease
+  "crews", // Cooperative multi-operator tasks
+  "assignments", // Task abandon, handoff and return
+  "incidents", // Multi-stage incident scenarios
+  "simulation", // Deterministic station parameter ticks
+  "alarms", // Parameter alarms and escalation
+  "sources", // External event sources
+  "calibration", // Calibration game
+  "telemetry", // Parameter telemetry
+  "exporter", // CSV/JSON data export
   "test", // Module testing
   "stats", // Statistics and analytics
   "operators", // Operator management
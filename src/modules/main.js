@@ -3,7 +3,6 @@
 
 // Global variables
 let currentUser = null;
-let decrementInterval = null;
 let retryCount = 0;
 const MAX_RETRIES = 3;
 
@@ -11,7 +10,7 @@ const MAX_RETRIES = 3;
 async function initializeShogun() {
   try {
     // Show loading state
-    document.title = "INITIALIZING SWAN STATION...";
+    document.title = `INITIALIZING ${window.stations.getStationLabel()}...`;
 
     // Add error boundary for unhandled errors
     window.addEventListener("error", (event) => {
@@ -24,7 +23,7 @@ async function initializeShogun() {
       }
 
       // Prevent app crash by showing error state
-      document.title = "SWAN STATION - ERROR";
+      document.title = `${window.stations.getStationLabel()} - ERROR`;
       if (window.ui && window.ui.updateConnectionStatus) {
         window.ui.updateConnectionStatus("SYSTEM ERROR", "error");
       }
@@ -57,13 +56,15 @@ async function initializeShogun() {
       }
     }, 300000); // Every 5 minutes
 
+    // Local relay from the URL or swan.config.json, else the public relays
+    const peerConfig = await window.peers.loadPeerConfig();
+
+    // In LOCAL ONLY mode the libraries may still be coming from the relay
+    await window.libraries?.whenLoaded();
+
     // Initialize Shogun Core
     const shogun = await window.SHOGUN_CORE({
-      peers: [
-        "https://relay.shogun-eco.xyz/gun",
-        "https://peer.wallie.io/gun",
-        "https://gun-manhattan.herokuapp.com/gun",
-      ],
+      peers: peerConfig.peers,
       localStorage: true,
       radisk: true,
       scope: "shogun/swan-station",
@@ -96,7 +97,7 @@ async function initializeShogun() {
     window.core.setUser(user);
 
     // Update title and connection status
-    document.title = "SWAN STATION - CONNECTED";
+    document.title = `${window.stations.getStationLabel()} - CONNECTED`;
     if (window.ui && window.ui.updateConnectionStatus) {
       window.ui.updateConnectionStatus("CONNECTED", "connected");
     }
@@ -110,15 +111,9 @@ async function initializeShogun() {
       contributionIndicator.style.display = "block";
     }
 
-    // Initialize GunDB references
+    // Initialize GunDB references under the chosen station's root
     if (gun) {
-      window.core.setTimerRef(gun.get("swan").get("timer"));
-      window.core.setOperatorsRef(gun.get("swan").get("operators"));
-      window.core.setHistoryRef(gun.get("swan").get("history"));
-      window.core.setStatsRef(gun.get("swan").get("stats"));
-      window.core.setChatRef(gun.get("swan").get("chat"));
-      window.core.setTaskRef(gun.get("swan").get("tasks"));
-      window.core.setStationParamsRef(gun.get("swan").get("stationParams"));
+      window.stations.applyStationRefs(gun, window.core);
       console.log("✅ GunDB references initialized");
     } else {
       console.warn("⚠️ Gun.js not available, running in offline mode");
@@ -195,8 +190,8 @@ async function initializeShogun() {
         bigTimer.style.zIndex = "100";
 
         // Set initial value if empty
-        if (!bigTimer.textContent || bigTimer.textContent === "108") {
-          bigTimer.textContent = "108";
+        if (!bigTimer.textContent || bigTimer.textContent === "108:00") {
+          bigTimer.textContent = "108:00";
           console.log("Timer initialized to 108");
         }
 
@@ -231,7 +226,7 @@ async function initializeShogun() {
   } catch (error) {
     console.error("Failed to initialize Shogun Core:", error);
     window.core.performanceMonitor.logError(error);
-    document.title = "SWAN STATION - CONNECTION ERROR";
+    document.title = `${window.stations.getStationLabel()} - CONNECTION ERROR`;
 
     if (window.ui && window.ui.updateConnectionStatus) {
       window.ui.updateConnectionStatus("CONNECTION ERROR", "error");
@@ -269,12 +264,6 @@ async function initializeShogun() {
 
 // Stop application and cleanup
 function stopApp() {
-  // Clear all intervals and timeouts
-  if (decrementInterval) {
-    clearInterval(decrementInterval);
-    decrementInterval = null;
-  }
-
   // Clear any app-specific timeouts
   if (window.appStartTimeout) {
     clearTimeout(window.appStartTimeout);
@@ -315,6 +304,11 @@ function startApp(alias) {
     window.operators.registerOperator(alias);
   }
 
+  // Reconnect to the relays saved in this operator's profile
+  if (window.peers && window.peers.applySavedRelays) {
+    window.peers.applySavedRelays();
+  }
+
   // Load existing tasks from GunDB (after currentUser is set)
   // Use a flag to prevent sync conflicts during initial load
   window.initialTaskLoadComplete = false;
@@ -521,6 +515,7 @@ function showAuthPrompt() {
     <div class="auth-modal">
       <h2>&gt; SWAN STATION ACCESS</h2>
       <p class="info">Welcome to Swan Station. Please authenticate to continue.</p>
+      ${window.stations.renderStationField()}
       
       <div class="auth-buttons">
         <button id="loginBtn" class="btn btn-primary">LOGIN</button>
@@ -535,6 +530,7 @@ function showAuthPrompt() {
   `;
 
   document.body.appendChild(overlay);
+  window.stations.bindStationField(overlay);
 
   // Add event listeners
   const loginBtn = document.getElementById("loginBtn");
@@ -585,106 +581,17 @@ function initializeSystem() {
     });
   }
 
-  // Initialize timer immediately, regardless of auth status
-  if (window.core.timerRef) {
-    window.core.timerRef.once((data) => {
-      if (!data || typeof data.value !== "number") {
-        console.log(
-          "Global timer not found. Waiting for first operator to set timer..."
-        );
-        // Don't auto-initialize - let operators control the timer
-        if (window.timer && window.timer.updateInputState) {
-          window.timer.updateInputState(0);
-        }
-      } else {
-        // Initialize input state for existing timer
-        if (window.timer && window.timer.updateInputState) {
-          window.timer.updateInputState(data.value);
-        }
-      }
-
-      // Start the global countdown immediately
-      if (decrementInterval) {
-        clearInterval(decrementInterval);
-        decrementInterval = null;
-      }
-
-      if (window.timer && window.timer.decrementTimer) {
-        decrementInterval = window.core.safeSetInterval(
-          window.timer.decrementTimer,
-          60000
-        );
-      }
-
-      // Sync timer with server time
-      const now = Date.now();
-      if (data && data.lastUpdate) {
-        const minutesPassed = Math.floor((now - data.lastUpdate) / 60000);
-        if (minutesPassed > 0) {
-          const newValue = Math.max(1, data.value - minutesPassed);
-          if (window.timer && window.timer.updateTimer) {
-            window.timer.updateTimer(newValue, "time_sync");
-          }
-        }
-      }
-    });
-
-    // Timer display listener (secondary - for redundancy)
-    window.core.timerRef.on((data) => {
-      console.log("📨 Secondary timer listener received data:", data);
-      if (data && typeof data.value === "number") {
-        console.log(
-          "✅ Secondary timer listener updating display to:",
-          data.value
-        );
-        document.title = data.value;
-
-        const bigTimer = document.getElementById("bigTimer");
-        if (bigTimer) {
-          bigTimer.textContent = data.value;
-        }
-
-        // Update input state based on timer value
-        if (window.timer && window.timer.updateInputState) {
-          window.timer.updateInputState(data.value);
-        }
-
-        if (data.value <= 4) {
-          if (window.timer && window.timer.siren) {
-            window.timer.siren.play().catch(() => {});
-          }
-        } else {
-          if (window.timer && window.timer.siren) {
-            window.timer.siren.pause();
-            window.timer.siren.currentTime = 0;
-          }
-          // Stop system failure display if timer is reset above 4
-          if (window.timer && window.timer.systemFailureActive) {
-            if (window.timer && window.timer.stopSystemFailureDisplay) {
-              window.timer.stopSystemFailureDisplay();
-            }
-          }
-        }
-      }
-    });
+  // Start the local countdown immediately, regardless of auth status.
+  // Remaining time is derived from the shared cycle epoch, so no client
+  // writes to the timer node on a schedule.
+  if (window.timer && window.timer.startTimer) {
+    window.timer.startTimer();
   }
-
-  // Add a periodic check of the timer
-  window.core.safeSetInterval(() => {
-    if (!decrementInterval) {
-      console.log("Timer interval lost, restarting...");
-      if (window.timer && window.timer.decrementTimer) {
-        decrementInterval = window.core.safeSetInterval(
-          window.timer.decrementTimer,
-          60000
-        );
-      }
-    }
-  }, 30000);
 }
 
 // Show station rules
 function showStationRules() {
+  const rules = window.rules.getRules();
   const overlay = document.createElement("div");
   overlay.className = "overlay";
   overlay.innerHTML = `
@@ -707,7 +614,7 @@ function showStationRules() {
       <div class="rules-section">
         <h3>KEY SYSTEMS</h3>
         <ul>
-          <li><strong>Timer:</strong> The countdown that must be maintained</li>
+          <li><strong>Timer:</strong> A ${rules.cycleMinutes}-minute countdown, reset with ${rules.codes.join(" or ")} in the last ${rules.entryWindowMinutes} minutes</li>
           <li><strong>Tasks:</strong> Missions that reward points and affect station parameters</li>
           <li><strong>Challenges:</strong> Competitive duels with other operators</li>
           <li><strong>Calibration:</strong> Mini-game to balance station parameters</li>
@@ -793,10 +700,6 @@ window.main = {
   setCurrentUser: (user) => {
     currentUser = user;
   },
-  decrementInterval: () => decrementInterval,
-  setDecrementInterval: (interval) => {
-    decrementInterval = interval;
-  },
 };
 
 console.log("✅ Main module loaded");
@@ -0,0 +1,405 @@
+// Metrics module - Live peer, traffic and storage metrics for network analytics
+(function () {
+  "use strict";
+
+  // Gun's in/out hooks see every parsed message, so they count messages
+  // and payload bytes. Per-relay bytes are measured on each relay's
+  // WebSocket, where the raw frames are. Counters only ever grow; rates
+  // come from the difference between samples in a rolling window.
+
+  const SAMPLE_INTERVAL_MS = 5000;
+  // Samples kept; enough for the longest window
+  const HISTORY_MS = 5 * 60000;
+  const WINDOWS = { short: 60000, long: HISTORY_MS };
+  // A station that heard nothing for this long is not in sync
+  const SYNC_STALE_MS = 60000;
+  // Keys Gun keeps in localStorage
+  const GUN_STORAGE_PREFIXES = ["gun/", "gap/", "radata"];
+
+  // Metrics state
+  const totals = {
+    messagesIn: 0,
+    messagesOut: 0,
+    bytesIn: 0,
+    bytesOut: 0,
+  };
+  const relayTraffic = new Map(); // relay URL -> { bytesIn, bytesOut, framesIn, framesOut }
+  const instrumentedWires = new WeakSet();
+  let samples = [];
+  let storage = { localStorageBytes: 0, gunLocalStorageBytes: 0, indexedDbBytes: null };
+  let lastMessageAt = null;
+  let sampleInterval = null;
+  let hookedRoot = null;
+
+  // Approximate size of a message payload as sent on the wire
+  function payloadBytes(msg) {
+    try {
+      const payload = msg.put || msg.get || msg.ok || msg.err;
+      return payload ? JSON.stringify(payload).length : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Count messages flowing through a Gun instance
+  function installHooks(gun) {
+    const root = gun.back(-1);
+    if (hookedRoot === root) return;
+    hookedRoot = root;
+
+    root.on("in", function (msg) {
+      totals.messagesIn++;
+      totals.bytesIn += payloadBytes(msg);
+      lastMessageAt = Date.now();
+      this.to.next(msg);
+    });
+
+    root.on("out", function (msg) {
+      totals.messagesOut++;
+      totals.bytesOut += payloadBytes(msg);
+      this.to.next(msg);
+    });
+  }
+
+  // Get the traffic counters for a relay
+  function getRelayCounters(url) {
+    if (!relayTraffic.has(url)) {
+      relayTraffic.set(url, {
+        bytesIn: 0,
+        bytesOut: 0,
+        framesIn: 0,
+        framesOut: 0,
+      });
+    }
+    return relayTraffic.get(url);
+  }
+
+  // Size of a WebSocket frame
+  function frameBytes(data) {
+    if (typeof data === "string") return data.length;
+    return data?.byteLength || data?.size || 0;
+  }
+
+  // Measure frames on every relay socket Gun has opened so far
+  function instrumentWires(gun) {
+    const peers = gun.back("opt.peers") || {};
+    Object.values(peers).forEach((peer) => {
+      const wire = peer?.wire;
+      const url = peer?.url;
+      if (!wire || !url || instrumentedWires.has(wire)) return;
+      if (typeof wire.send !== "function" || !wire.addEventListener) return;
+      instrumentedWires.add(wire);
+
+      const counters = getRelayCounters(url);
+      const send = wire.send;
+      wire.send = function (data) {
+        counters.framesOut++;
+        counters.bytesOut += frameBytes(data);
+        return send.apply(this, arguments);
+      };
+      wire.addEventListener("message", (event) => {
+        counters.framesIn++;
+        counters.bytesIn += frameBytes(event.data);
+      });
+    });
+  }
+
+  // Read the state of every relay in Gun's peer map
+  function getPeerStates() {
+    const gun = window.core?.gun;
+    const peers = gun?.back ? gun.back("opt.peers") || {} : {};
+    return Object.values(peers)
+      .filter((peer) => peer?.url)
+      .map((peer) => ({
+        url: peer.url,
+        // WebSocket readyState 1 means open
+        connected: peer.wire?.readyState === 1,
+      }));
+  }
+
+  // Measure how much this browser stores for the station
+  async function measureStorage() {
+    let localStorageBytes = 0;
+    let gunLocalStorageBytes = 0;
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        const value = localStorage.getItem(key) || "";
+        // localStorage keeps UTF-16, two bytes per character
+        const bytes = (key.length + value.length) * 2;
+        localStorageBytes += bytes;
+        if (GUN_STORAGE_PREFIXES.some((prefix) => key.startsWith(prefix))) {
+          gunLocalStorageBytes += bytes;
+        }
+      }
+    } catch (error) {
+      console.warn("Failed to measure localStorage:", error);
+    }
+
+    // Radisk keeps its data in IndexedDB; the origin estimate covers it
+    let indexedDbBytes = null;
+    try {
+      if (navigator.storage?.estimate) {
+        const estimate = await navigator.storage.estimate();
+        indexedDbBytes =
+          estimate.usageDetails?.indexedDB ?? estimate.usage ?? null;
+      }
+    } catch (error) {
+      console.warn("Failed to estimate storage:", error);
+    }
+
+    storage = { localStorageBytes, gunLocalStorageBytes, indexedDbBytes };
+    return storage;
+  }
+
+  // Take a sample of all counters
+  function takeSample() {
+    const gun = window.core?.gun;
+    if (gun) instrumentWires(gun);
+
+    const perRelay = {};
+    relayTraffic.forEach((counters, url) => {
+      perRelay[url] = { ...counters };
+    });
+
+    samples.push({ at: Date.now(), ...totals, perRelay });
+    const cutoff = Date.now() - HISTORY_MS;
+    // Keep one sample older than the cutoff so the long window is complete
+    while (samples.length > 2 && samples[1].at <= cutoff) {
+      samples.shift();
+    }
+
+    measureStorage();
+  }
+
+  // Start collecting once Gun is available
+  function startCollector() {
+    if (sampleInterval) return;
+
+    const waitForGun = () => {
+      const gun = window.core?.gun;
+      if (!gun) {
+        setTimeout(waitForGun, 1000);
+        return;
+      }
+
+      installHooks(gun);
+      takeSample();
+      const scheduler = window.core?.safeSetInterval || setInterval;
+      sampleInterval = scheduler(takeSample, SAMPLE_INTERVAL_MS);
+      console.log("📈 Network metrics collector started");
+    };
+
+    waitForGun();
+  }
+
+  // Get the sample closest to a point in time, falling back to the oldest
+  function getSampleAt(time) {
+    let chosen = samples[0] || null;
+    for (const sample of samples) {
+      if (sample.at <= time) chosen = sample;
+      else break;
+    }
+    return chosen;
+  }
+
+  // Per-second rates over a window, measured up to now
+  function getRates(windowMs = WINDOWS.short) {
+    const now = Date.now();
+    const current = { at: now, ...totals };
+    const start = getSampleAt(now - windowMs);
+    if (!start || now - start.at <= 0) {
+      return { bytesIn: 0, bytesOut: 0, messagesIn: 0, messagesOut: 0, seconds: 0 };
+    }
+
+    // A fresh collector has no history; avoid rates from a few milliseconds
+    const seconds = Math.max((now - start.at) / 1000, 1);
+    const rate = (key) => (current[key] - start[key]) / seconds;
+    return {
+      bytesIn: rate("bytesIn"),
+      bytesOut: rate("bytesOut"),
+      messagesIn: rate("messagesIn"),
+      messagesOut: rate("messagesOut"),
+      seconds,
+    };
+  }
+
+  // Per-relay byte rates over a window, plus session totals
+  function getRelayTraffic(windowMs = WINDOWS.short) {
+    const now = Date.now();
+    const start = getSampleAt(now - windowMs);
+    const seconds = start ? Math.max((now - start.at) / 1000, 1) : 1;
+    const states = new Map(
+      getPeerStates().map((peer) => [peer.url, peer.connected])
+    );
+
+    const urls = new Set([...states.keys(), ...relayTraffic.keys()]);
+    return Array.from(urls).map((url) => {
+      const counters = getRelayCounters(url);
+      const before = start?.perRelay?.[url] || { bytesIn: 0, bytesOut: 0 };
+      return {
+        url,
+        connected: !!states.get(url),
+        bytesIn: counters.bytesIn,
+        bytesOut: counters.bytesOut,
+        bytesInPerSecond: (counters.bytesIn - before.bytesIn) / seconds,
+        bytesOutPerSecond: (counters.bytesOut - before.bytesOut) / seconds,
+      };
+    });
+  }
+
+  // Everything the analytics panel shows
+  function getSnapshot() {
+    const peers = getPeerStates();
+    const connectedPeers = peers.filter((peer) => peer.connected).length;
+    const now = Date.now();
+
+    let syncStatus;
+    if (connectedPeers === 0) {
+      syncStatus = "OFFLINE";
+    } else if (!lastMessageAt || now - lastMessageAt > SYNC_STALE_MS) {
+      syncStatus = "IDLE";
+    } else {
+      syncStatus = "SYNCED";
+    }
+
+    return {
+      connectedPeers,
+      totalPeers: peers.length,
+      // Every write is sent to each connected relay
+      redundancy: connectedPeers,
+      syncStatus,
+      lastMessageAt,
+      totals: { ...totals },
+      rates: getRates(WINDOWS.short),
+      longRates: getRates(WINDOWS.long),
+      relays: getRelayTraffic(WINDOWS.short),
+      storage: { ...storage },
+    };
+  }
+
+  // Format a byte count as B/KB/MB
+  function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return "N/A";
+    if (bytes < 1024) return `${Math.round(bytes)} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // Format a byte rate
+  function formatRate(bytesPerSecond) {
+    return `${formatBytes(bytesPerSecond)}/s`;
+  }
+
+  // Fill the network analytics panel and keep it current until it closes
+  function bindNetworkPanel(container) {
+    const find = (id) => container.querySelector(`#${id}`);
+    const setValue = (id, text, state) => {
+      const element = find(id);
+      if (!element) return;
+      element.textContent = text;
+      if (state) element.className = `network-value ${state}`;
+    };
+
+    const render = () => {
+      const snapshot = getSnapshot();
+      const { rates, longRates, storage: stored } = snapshot;
+
+      setValue(
+        "activePeers",
+        String(snapshot.connectedPeers),
+        snapshot.connectedPeers > 0 ? "healthy" : "error"
+      );
+      setValue("totalPeers", String(snapshot.totalPeers));
+      setValue(
+        "userContribution",
+        formatBytes(
+          (stored.indexedDbBytes || 0) + stored.gunLocalStorageBytes
+        )
+      );
+      setValue(
+        "networkTotal",
+        formatBytes(snapshot.totals.bytesIn + snapshot.totals.bytesOut)
+      );
+      setValue(
+        "syncStatus",
+        window.peers?.isLocalOnly() && snapshot.syncStatus === "SYNCED"
+          ? "LOCAL ONLY"
+          : snapshot.syncStatus,
+        { SYNCED: "healthy", IDLE: "warning", OFFLINE: "error" }[
+          snapshot.syncStatus
+        ]
+      );
+      setValue(
+        "redundancy",
+        `${snapshot.redundancy}x`,
+        snapshot.redundancy >= 2
+          ? "healthy"
+          : snapshot.redundancy === 1
+          ? "warning"
+          : "error"
+      );
+      setValue("throughputIn", `${formatRate(rates.bytesIn)} (5m ${formatRate(longRates.bytesIn)})`);
+      setValue("throughputOut", `${formatRate(rates.bytesOut)} (5m ${formatRate(longRates.bytesOut)})`);
+      setValue(
+        "messageRate",
+        `${rates.messagesIn.toFixed(1)} in / ${rates.messagesOut.toFixed(1)} out per s`
+      );
+
+      const trafficList = find("relayTraffic");
+      if (trafficList) {
+        trafficList.innerHTML = "";
+        if (snapshot.relays.length === 0) {
+          trafficList.textContent = "No relay traffic yet";
+        }
+        snapshot.relays.forEach((relay) => {
+          const row = document.createElement("div");
+          row.className = `relay-traffic-item ${
+            relay.connected ? "connected" : "disconnected"
+          }`;
+
+          const url = document.createElement("span");
+          url.className = "relay-traffic-url";
+          url.textContent = relay.url;
+
+          const traffic = document.createElement("span");
+          traffic.className = "relay-traffic-value";
+          traffic.textContent = `↓ ${formatRate(relay.bytesInPerSecond)} ↑ ${formatRate(
+            relay.bytesOutPerSecond
+          )} (${formatBytes(relay.bytesIn + relay.bytesOut)} total)`;
+
+          row.appendChild(url);
+          row.appendChild(traffic);
+          trafficList.appendChild(row);
+        });
+      }
+    };
+
+    takeSample();
+    render();
+    const interval = setInterval(() => {
+      if (!document.body.contains(container)) {
+        clearInterval(interval);
+        return;
+      }
+      render();
+    }, SAMPLE_INTERVAL_MS);
+  }
+
+  // Export metrics functions
+  window.metrics = {
+    WINDOWS,
+    startCollector,
+    takeSample,
+    measureStorage,
+    getRates,
+    getRelayTraffic,
+    getSnapshot,
+    formatBytes,
+    formatRate,
+    bindNetworkPanel,
+  };
+
+  // Auto-start when dependencies are ready
+  startCollector();
+})();
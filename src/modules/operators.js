@@ -433,12 +433,20 @@ function updateActiveOperatorsList(operators) {
   operators.forEach((operator) => {
     const operatorItem = document.createElement("div");
     operatorItem.className = "operator-item";
+    if (window.shifts?.isOnDuty(operator.pub)) {
+      operatorItem.classList.add("on-duty");
+    }
     operatorItem.innerHTML = `
       <div class="operator-info">
         <div class="operator-name">${operator.name}</div>
         <div class="operator-status ${getOperatorStatus(
           operator
         ).toLowerCase()}">${getOperatorStatus(operator)}</div>
+        ${
+          operatorItem.classList.contains("on-duty")
+            ? '<div class="operator-duty">ON DUTY</div>'
+            : ""
+        }
       </div>
       <div class="operator-details">
         <div class="operator-last-seen">Last seen: ${formatLastSeen(
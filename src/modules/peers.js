@@ -0,0 +1,522 @@
+// Peers module - Relay peer list, local relay discovery, probing and LOCAL ONLY mode
+(function () {
+  "use strict";
+
+  // A local relay can be named in the URL (?relay=192.168.1.20:8765) or in
+  // a swan.config.json next to index.html; the bundled relay serves that
+  // file itself. With a local relay configured the client runs with zero
+  // public peers unless the config sets "localOnly": false.
+
+  // Public relays used when no local relay is configured
+  const PUBLIC_PEERS = [
+    "https://relay.shogun-eco.xyz/gun",
+    "https://peer.wallie.io/gun",
+    "https://gun-manhattan.herokuapp.com/gun",
+  ];
+  const RELAY_PARAM = "relay";
+  const CONFIG_URL = "swan.config.json";
+  const CONFIG_TIMEOUT_MS = 2000;
+  // Lets libraries.js look for the relay's copies on the next load
+  const LOCAL_ONLY_KEY = "swanLocalOnly";
+
+  const DEFAULT_CONFIG = {
+    peers: PUBLIC_PEERS,
+    localOnly: false,
+    source: "default",
+  };
+
+  // Each relay is probed through two Gun instances connected to that relay
+  // alone: one writes a ping key, the other subscribes to it. An ack only
+  // says the relay received the write, so the round trip is the time until
+  // the reader sees the new value come back from the relay, proving it was
+  // stored and served. The connection state comes from the main instance's
+  // peer map.
+  const PROBE_ROOT = "relayPing";
+  const PROBE_TIMEOUT_MS = 5000;
+  const PROBE_INTERVAL_MS = 10000;
+  // Relays answering slower than this show as slow
+  const SLOW_RTT_MS = 1500;
+  // Gun cannot store arrays, so a profile's relays are one string
+  const RELAY_SETTINGS_NODE = "relays";
+  const RELAY_SEPARATOR = ",";
+
+  // Peer state
+  let peerConfig = readQueryConfig() || DEFAULT_CONFIG;
+  const probeInstances = new Map(); // relay URL -> Gun instance
+  const readerInstances = new Map(); // relay URL -> read-back Gun instance
+  const pendingReads = new Map(); // relay URL -> { sentAt, done }
+  const relayStatus = new Map(); // relay URL -> last probe result
+  const statusListeners = new Set();
+  // One ping key per page, overwritten by every probe
+  const probeId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+  // Turn "host:port" or a full URL into a Gun peer URL; null if unusable
+  function normalizePeerUrl(value) {
+    if (typeof value !== "string" || !value.trim()) return null;
+    const raw = value.trim();
+    try {
+      const url = new URL(raw.includes("://") ? raw : `http://${raw}`);
+      if (!["http:", "https:", "ws:", "wss:"].includes(url.protocol)) {
+        return null;
+      }
+      if (url.pathname === "/" || url.pathname === "") url.pathname = "/gun";
+      return url.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Read and clean a list of peer URLs
+  function normalizePeerList(values) {
+    const peers = values.map(normalizePeerUrl).filter(Boolean);
+    return Array.from(new Set(peers));
+  }
+
+  // Read local relays from the query string; a relay named here always
+  // runs local only
+  function readQueryConfig() {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      const values = params
+        .getAll(RELAY_PARAM)
+        .flatMap((value) => value.split(","));
+      const peers = normalizePeerList(values);
+      if (peers.length === 0) return null;
+      return { peers, localOnly: true, source: "query" };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Build a peer config from swan.config.json contents
+  function fromConfigFile(data) {
+    if (!data || !Array.isArray(data.peers)) return null;
+    const peers = normalizePeerList(data.peers);
+    if (peers.length === 0) return null;
+
+    const localOnly = data.localOnly !== false;
+    return {
+      peers: localOnly ? peers : normalizePeerList([...peers, ...PUBLIC_PEERS]),
+      localOnly,
+      source: "config",
+    };
+  }
+
+  // Fetch swan.config.json; resolves to null when there is none. Hosts that
+  // rewrite every path to index.html answer with HTML, which is ignored.
+  async function fetchConfigFile() {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG_TIMEOUT_MS);
+    try {
+      const response = await fetch(CONFIG_URL, {
+        cache: "no-store",
+        signal: controller.signal,
+      });
+      if (!response.ok) return null;
+      return fromConfigFile(await response.json());
+    } catch (error) {
+      return null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Remember whether the station runs LOCAL ONLY
+  function storeLocalOnly(localOnly) {
+    try {
+      if (localOnly) localStorage.setItem(LOCAL_ONLY_KEY, "true");
+      else localStorage.removeItem(LOCAL_ONLY_KEY);
+    } catch (error) {
+      console.warn("Failed to remember LOCAL ONLY mode:", error);
+    }
+  }
+
+  // Work out which peers to connect to. The query string wins over the
+  // config file, which wins over the public relays.
+  async function loadPeerConfig() {
+    const fromQuery = readQueryConfig();
+    peerConfig = fromQuery || (await fetchConfigFile()) || DEFAULT_CONFIG;
+    storeLocalOnly(peerConfig.localOnly);
+
+    if (peerConfig.localOnly) {
+      console.log(
+        `📡 LOCAL ONLY: using ${peerConfig.peers.join(", ")} (${peerConfig.source})`
+      );
+    } else {
+      console.log(`📡 Using ${peerConfig.peers.length} relay peers`);
+    }
+    return getPeerConfig();
+  }
+
+  // Get the peer config in use
+  function getPeerConfig() {
+    return { ...peerConfig, peers: [...peerConfig.peers] };
+  }
+
+  // Get the peer URLs in use
+  function getPeers() {
+    return [...peerConfig.peers];
+  }
+
+  // Check if the station runs on local relays only
+  function isLocalOnly() {
+    return peerConfig.localOnly;
+  }
+
+  // Get the main instance's peer entry for a relay
+  function getMeshPeer(url) {
+    const gun = window.core?.gun;
+    return gun?.back ? gun.back("opt.peers")?.[url] : undefined;
+  }
+
+  // Read a relay's connection state from the main instance's peer map
+  function getConnectionState(url) {
+    const peer = getMeshPeer(url);
+    if (!peer) return "disconnected";
+    // WebSocket readyState: 0 connecting, 1 open, 2 closing, 3 closed
+    const readyState = peer.wire?.readyState;
+    if (readyState === 1) return "connected";
+    if (readyState === 0 || readyState === undefined) return "connecting";
+    return "disconnected";
+  }
+
+  // Get the probe instance for a relay, creating it on first use
+  function getProbe(url) {
+    if (!probeInstances.has(url)) {
+      probeInstances.set(
+        url,
+        Gun({ peers: [url], localStorage: false, radisk: false })
+      );
+    }
+    return probeInstances.get(url);
+  }
+
+  // Get the read-back instance for a relay, subscribing to the ping key on
+  // first use. It holds nothing of its own, so every value it sees came
+  // back from the relay.
+  function getReader(url) {
+    if (!readerInstances.has(url)) {
+      const reader = Gun({ peers: [url], localStorage: false, radisk: false });
+      reader
+        .get(PROBE_ROOT)
+        .get(probeId)
+        .on((data) => {
+          const pending = pendingReads.get(url);
+          if (pending && data?.sentAt === pending.sentAt) pending.done();
+        });
+      readerInstances.set(url, reader);
+    }
+    return readerInstances.get(url);
+  }
+
+  // Drop a relay from a Gun instance so it is neither used nor redialled
+  function disconnectPeer(gun, url) {
+    const peers = gun?.back?.("opt.peers");
+    const peer = peers?.[url];
+    if (!peer) return;
+    delete peers[url];
+    const mesh = gun.back("opt.mesh");
+    if (mesh?.bye) mesh.bye(peer);
+  }
+
+  // Probe one relay; resolves to its status and updates the badges
+  function probeRelay(url) {
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      let finished = false;
+      let timeout = null;
+      let ackMs = null;
+
+      const finish = (probe) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timeout);
+        pendingReads.delete(url);
+
+        const connection = getConnectionState(url);
+        let state;
+        if (!probe.ok) {
+          state = "disconnected";
+        } else if (connection !== "connected") {
+          state = connection;
+        } else {
+          state = probe.rttMs > SLOW_RTT_MS ? "slow" : "connected";
+        }
+
+        const status = {
+          url,
+          state,
+          connection,
+          rttMs: probe.ok ? probe.rttMs : null,
+          ackMs,
+          error: probe.error || null,
+          checkedAt: Date.now(),
+        };
+        relayStatus.set(url, status);
+        notifyStatus(status);
+        resolve(status);
+      };
+
+      timeout = setTimeout(
+        () =>
+          finish({
+            ok: false,
+            error: ackMs === null ? "timeout" : "no read-back",
+          }),
+        PROBE_TIMEOUT_MS
+      );
+
+      try {
+        pendingReads.set(url, {
+          sentAt: startedAt,
+          done: () => finish({ ok: true, rttMs: Date.now() - startedAt }),
+        });
+        getReader(url);
+        getProbe(url)
+          .get(PROBE_ROOT)
+          .get(probeId)
+          .put({ sentAt: startedAt }, (ack) => {
+            if (ack.err) {
+              finish({ ok: false, error: ack.err });
+            } else {
+              ackMs = Date.now() - startedAt;
+            }
+          });
+      } catch (error) {
+        finish({ ok: false, error: error.message });
+      }
+    });
+  }
+
+  // Probe every relay in use
+  function probeAllRelays() {
+    return Promise.all(getPeers().map(probeRelay));
+  }
+
+  // Get the last probe result for a relay
+  function getRelayStatus(url) {
+    return relayStatus.get(url) || null;
+  }
+
+  // Let open panels know a probe finished
+  function notifyStatus(status) {
+    statusListeners.forEach((listener) => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error("❌ Relay status listener failed:", error);
+      }
+    });
+  }
+
+  // Register a callback for probe results; returns an unsubscribe function
+  function onRelayStatus(listener) {
+    statusListeners.add(listener);
+    return () => statusListeners.delete(listener);
+  }
+
+  // Save the relay list to the logged-in operator's profile
+  function saveRelays() {
+    const user = window.core?.user;
+    if (!user?.is) return;
+    user.get(RELAY_SETTINGS_NODE).put({
+      peers: peerConfig.peers.join(RELAY_SEPARATOR),
+      updatedAt: Date.now(),
+    });
+  }
+
+  // Add a relay, connect to it and remember it for this profile
+  function addRelay(value) {
+    if (peerConfig.localOnly) {
+      window.core.addLog(
+        "ERROR: The relay list is fixed in LOCAL ONLY mode",
+        "error"
+      );
+      return false;
+    }
+
+    const url = normalizePeerUrl(value);
+    if (!url) {
+      window.core.addLog(`ERROR: Invalid relay URL: ${value}`, "error");
+      return false;
+    }
+    if (peerConfig.peers.includes(url)) {
+      window.core.addLog("ERROR: Relay already exists", "error");
+      return false;
+    }
+
+    peerConfig = { ...peerConfig, peers: [...peerConfig.peers, url], source: "profile" };
+    window.core?.gun?.opt({ peers: [url] });
+    saveRelays();
+    window.core.addLog(`SUCCESS: Added relay ${url}`, "success");
+    probeRelay(url);
+    return true;
+  }
+
+  // Remove a relay, disconnect from it and remember that for this profile
+  function removeRelay(url) {
+    if (peerConfig.localOnly) {
+      window.core.addLog(
+        "ERROR: The relay list is fixed in LOCAL ONLY mode",
+        "error"
+      );
+      return false;
+    }
+    if (!peerConfig.peers.includes(url)) return false;
+    if (peerConfig.peers.length <= 1) {
+      window.core.addLog("ERROR: Cannot remove the last relay", "error");
+      return false;
+    }
+
+    peerConfig = {
+      ...peerConfig,
+      peers: peerConfig.peers.filter((peer) => peer !== url),
+      source: "profile",
+    };
+    disconnectPeer(window.core?.gun, url);
+    [probeInstances, readerInstances].forEach((instances) => {
+      if (!instances.has(url)) return;
+      disconnectPeer(instances.get(url), url);
+      instances.delete(url);
+    });
+    relayStatus.delete(url);
+    saveRelays();
+    window.core.addLog(`SUCCESS: Removed relay ${url}`, "success");
+    return true;
+  }
+
+  // Re-apply the relays saved in the operator's profile after login
+  function applySavedRelays() {
+    const user = window.core?.user;
+    const gun = window.core?.gun;
+    if (!user?.is || !gun) return;
+
+    user.get(RELAY_SETTINGS_NODE).once((data) => {
+      if (typeof data?.peers !== "string") return;
+      const saved = normalizePeerList(data.peers.split(RELAY_SEPARATOR));
+      if (saved.length === 0) return;
+
+      if (peerConfig.localOnly) {
+        console.log("📡 LOCAL ONLY: saved relays not applied");
+        return;
+      }
+
+      peerConfig.peers
+        .filter((url) => !saved.includes(url))
+        .forEach((url) => disconnectPeer(gun, url));
+      peerConfig = { ...peerConfig, peers: saved, source: "profile" };
+      gun.opt({ peers: saved });
+      console.log(`📡 Applied ${saved.length} saved relays`);
+    });
+  }
+
+  // Render a relay list with live status badges and wire its add/remove
+  // controls. Probing runs until the panel leaves the page.
+  function bindRelayPanel(container) {
+    const list = container.querySelector("#relayList");
+    if (!list) return;
+    const input = container.querySelector("#newRelayUrl");
+    const addButton = container.querySelector("#addRelayBtn");
+
+    const render = () => {
+      list.innerHTML = "";
+      getPeers().forEach((url) => {
+        const status = getRelayStatus(url);
+        const item = document.createElement("div");
+        item.className = "relay-item";
+
+        const badge = document.createElement("div");
+        badge.className = `relay-status ${status?.state || "connecting"}`;
+        badge.title = status
+          ? `Connection: ${status.connection}${status.error ? ` - ${status.error}` : ""}`
+          : "Probing...";
+
+        const urlElement = document.createElement("div");
+        urlElement.className = "relay-url";
+        urlElement.textContent = url;
+
+        const rtt = document.createElement("div");
+        rtt.className = "relay-rtt";
+        rtt.textContent =
+          status?.rttMs !== null && status?.rttMs !== undefined
+            ? `${status.rttMs}ms`
+            : "--";
+        if (status?.ackMs !== null && status?.ackMs !== undefined) {
+          rtt.title = `Write ack ${status.ackMs}ms, read-back ${
+            status.rttMs !== null ? `${status.rttMs}ms` : "missing"
+          }`;
+        }
+
+        const actions = document.createElement("div");
+        actions.className = "relay-actions";
+        if (!peerConfig.localOnly) {
+          const removeButton = document.createElement("button");
+          removeButton.className = "relay-remove-btn";
+          removeButton.dataset.url = url;
+          removeButton.textContent = "REMOVE";
+          removeButton.onclick = () => {
+            if (removeRelay(url)) render();
+          };
+          actions.appendChild(removeButton);
+        }
+
+        item.appendChild(badge);
+        item.appendChild(urlElement);
+        item.appendChild(rtt);
+        item.appendChild(actions);
+        list.appendChild(item);
+      });
+    };
+
+    if (input && addButton) {
+      if (peerConfig.localOnly) {
+        input.disabled = true;
+        input.placeholder = "LOCAL ONLY";
+        addButton.disabled = true;
+      }
+      const add = () => {
+        if (addRelay(input.value)) {
+          input.value = "";
+          render();
+        }
+      };
+      addButton.onclick = add;
+      input.addEventListener("keypress", (e) => {
+        if (e.key === "Enter") add();
+      });
+    }
+
+    render();
+    const unsubscribe = onRelayStatus(render);
+    probeAllRelays();
+
+    const interval = setInterval(() => {
+      if (!document.body.contains(list)) {
+        clearInterval(interval);
+        unsubscribe();
+        return;
+      }
+      probeAllRelays();
+    }, PROBE_INTERVAL_MS);
+  }
+
+  // Export peer functions
+  window.peers = {
+    PUBLIC_PEERS,
+    normalizePeerUrl,
+    fromConfigFile,
+    loadPeerConfig,
+    getPeerConfig,
+    getPeers,
+    isLocalOnly,
+    getConnectionState,
+    probeRelay,
+    probeAllRelays,
+    getRelayStatus,
+    onRelayStatus,
+    addRelay,
+    removeRelay,
+    applySavedRelays,
+    bindRelayPanel,
+  };
+})();
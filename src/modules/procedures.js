@@ -0,0 +1,456 @@
+// Procedures module - Interactive task procedures scored on operator skill
+(function () {
+  "use strict";
+
+  // Completing a task runs the procedure named in its catalog entry. The
+  // layout of each procedure (targets, readings, breaker order) is derived
+  // from the task's generated parameters, so every operator who picks up
+  // the same task faces the same procedure. Only the operator's
+  // performance decides the score.
+
+  // Scores at or above this pass
+  const PASS_SCORE = 0.6;
+  const PROCEDURE_LABELS = {
+    valve: "VALVE REGULATION",
+    checksum: "CHECKSUM VERIFICATION",
+    breakers: "BREAKER SEQUENCE",
+  };
+
+  // Valve: bring a station reading back into the band around its target
+  const VALVE_TIME_MS = 30000;
+  const VALVE_HOLD_MS = 3000;
+  const VALVE_TICK_MS = 100;
+  // Station parameters a valve can work on, with the suffix of their
+  // task parameters (targetTemp, currentTemp) and their label
+  const VALVE_READINGS = {
+    powerLevel: { suffix: "Power", label: "POWER" },
+    oxygenLevel: { suffix: "Oxygen", label: "OXYGEN" },
+    temperature: { suffix: "Temp", label: "TEMPERATURE" },
+    radiationLevel: { suffix: "Radiation", label: "RADIATION" },
+    pressure: { suffix: "Pressure", label: "PRESSURE" },
+    humidity: { suffix: "Humidity", label: "HUMIDITY" },
+  };
+  // Checksum: sum of the readings, modulo 100
+  const CHECKSUM_TIME_MS = 45000;
+  const CHECKSUM_ATTEMPTS = 2;
+  // Breakers: trip them in the listed order
+  const BREAKER_TIME_MS = 30000;
+
+  // FNV-1a hash of a string
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Small seeded generator (mulberry32) returning numbers in [0, 1)
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Numeric task parameters in a stable order
+  function getNumericParameters(task) {
+    const parameters = task.parameters || {};
+    return Object.keys(parameters)
+      .sort()
+      .filter((key) => typeof parameters[key] === "number")
+      .map((key) => [key, parameters[key]]);
+  }
+
+  // Seeded generator for a task, from its id and generated parameters
+  function getTaskRandom(task) {
+    const fingerprint = JSON.stringify([task.id, getNumericParameters(task)]);
+    return createRandom(hashString(fingerprint));
+  }
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  // Get the task parameter names holding the target and current reading
+  // of a station parameter, or null if a valve cannot work on it
+  function getReadingFields(parameter) {
+    const reading = VALVE_READINGS[parameter];
+    if (!reading) return null;
+    return {
+      target: `target${reading.suffix}`,
+      current: `current${reading.suffix}`,
+    };
+  }
+
+  // Find the station reading a task was generated for, or null
+  function getTaskReading(task) {
+    const parameters = task.parameters || {};
+    const parameter = Object.keys(VALVE_READINGS).find((key) => {
+      const fields = getReadingFields(key);
+      return (
+        typeof parameters[fields.target] === "number" &&
+        typeof parameters[fields.current] === "number"
+      );
+    });
+    if (!parameter) return null;
+
+    const fields = getReadingFields(parameter);
+    return {
+      parameter,
+      target: parameters[fields.target],
+      current: parameters[fields.current],
+    };
+  }
+
+  // Lay out a valve procedure. The gauge spans the reading's critical
+  // range and starts at the reading the task was raised with; the band
+  // is half the optimal range around the target. Tighter tolerance comes
+  // with difficulty, stronger drift with difficulty and with a reading
+  // far off target. Tasks without a reading get a seeded flow instead.
+  function buildValve(task) {
+    const reading = getTaskReading(task);
+    if (!reading) return buildFlowValve(task);
+
+    const difficulty = task.difficulty || 1;
+    const { critical, optimal } =
+      window.rules.getRules().thresholds[reading.parameter];
+    const [min, max] = critical;
+    const toGauge = (value) =>
+      clamp(((value - min) / (max - min)) * 100, 0, 100);
+    const target = Math.round(toGauge(reading.target));
+    const start = Math.round(toGauge(reading.current));
+    const band = ((optimal[1] - optimal[0]) / 2 / (max - min)) * 100;
+
+    return {
+      parameter: reading.parameter,
+      label: VALVE_READINGS[reading.parameter].label,
+      min,
+      max,
+      target,
+      tolerance: clamp(Math.round(band - difficulty), 3, 10),
+      start,
+      drift: 0.4 + difficulty * 0.3 + Math.abs(target - start) / 100,
+    };
+  }
+
+  // Lay out a valve on a plain 0-100 flow for tasks without a reading.
+  // The modular build's tasks carry a tolerance and a stability index.
+  function buildFlowValve(task) {
+    const random = getTaskRandom(task);
+    const parameters = task.parameters || {};
+    const difficulty = task.difficulty || 1;
+    const baseTolerance =
+      typeof parameters.tolerance === "number" ? parameters.tolerance : 12;
+    const instability =
+      typeof parameters.stabilityIndex === "number"
+        ? (100 - parameters.stabilityIndex) / 50
+        : 0;
+
+    return {
+      parameter: null,
+      label: "FLOW",
+      min: 0,
+      max: 100,
+      target: Math.round(20 + random() * 60),
+      tolerance: clamp(Math.round(baseTolerance - difficulty), 3, 10),
+      start: Math.round(random() * 100),
+      drift: 0.4 + difficulty * 0.3 + instability,
+    };
+  }
+
+  // Lay out a checksum procedure from the task's own readings
+  function buildChecksum(task) {
+    const random = getTaskRandom(task);
+    const count = 3 + Math.ceil((task.difficulty || 1) / 2);
+    const readings = getNumericParameters(task)
+      .map(([, value]) => Math.round(Math.abs(value) * 10) % 100)
+      .slice(0, count);
+    while (readings.length < count) {
+      readings.push(Math.floor(random() * 100));
+    }
+    const checksum = readings.reduce((sum, value) => sum + value, 0) % 100;
+    return { readings, checksum };
+  }
+
+  // Lay out a breaker procedure: how many breakers and their trip order
+  function buildBreakers(task) {
+    const random = getTaskRandom(task);
+    const count = 3 + (task.difficulty || 1);
+    const order = Array.from({ length: count }, (_, index) => index + 1);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return { count, order };
+  }
+
+  // Score a valve run from the best hold and the error while holding
+  function scoreValve(heldMs, meanError, tolerance) {
+    if (heldMs < VALVE_HOLD_MS) return (heldMs / VALVE_HOLD_MS) * 0.5;
+    return PASS_SCORE + (1 - PASS_SCORE) * clamp(1 - meanError / tolerance, 0, 1);
+  }
+
+  // Score a checksum run from the attempt that got it right
+  function scoreChecksum(attempt, elapsedMs) {
+    if (attempt === 0) return 0;
+    if (attempt > 1) return PASS_SCORE;
+    return 1 - 0.3 * clamp(elapsedMs / CHECKSUM_TIME_MS, 0, 1);
+  }
+
+  // Score a breaker run from wrong trips and how far it got
+  function scoreBreakers(count, tripped, errors) {
+    if (tripped < count) return (tripped / count) * 0.5;
+    return clamp(1 - errors / count, 0, 1);
+  }
+
+  // Open the procedure overlay; finish(score) closes it, finish(null) aborts
+  function openProcedure(task, procedure, timeLimitMs, build) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement("div");
+      overlay.className = "overlay";
+      overlay.innerHTML = `
+        <div class="procedure-modal">
+          <h2>&gt; ${PROCEDURE_LABELS[procedure]}</h2>
+          <div class="procedure-task"></div>
+          <div class="procedure-timer"><div class="procedure-timer-fill"></div></div>
+          <div class="procedure-body"></div>
+          <div class="procedure-status"></div>
+          <div class="button" id="abortProcedure">ABORT</div>
+        </div>
+      `;
+      overlay.querySelector(".procedure-task").textContent = task.name;
+      document.body.appendChild(overlay);
+
+      const startedAt = Date.now();
+      const timerFill = overlay.querySelector(".procedure-timer-fill");
+      const intervals = [];
+      let done = false;
+
+      const finish = (score) => {
+        if (done) return;
+        done = true;
+        intervals.forEach(clearInterval);
+        overlay.remove();
+        resolve(
+          score === null
+            ? null
+            : {
+                procedure,
+                score: Math.round(score * 100) / 100,
+                success: score >= PASS_SCORE,
+              }
+        );
+      };
+
+      const context = {
+        body: overlay.querySelector(".procedure-body"),
+        status: overlay.querySelector(".procedure-status"),
+        elapsed: () => Date.now() - startedAt,
+        every: (callback, ms) => intervals.push(setInterval(callback, ms)),
+        finish,
+      };
+      const onTimeout = build(context);
+
+      context.every(() => {
+        const left = Math.max(0, timeLimitMs - context.elapsed());
+        timerFill.style.width = `${(left / timeLimitMs) * 100}%`;
+        if (left === 0) finish(onTimeout());
+      }, 250);
+
+      overlay.querySelector("#abortProcedure").onclick = () => finish(null);
+    });
+  }
+
+  // Turn a gauge position into the reading it stands for
+  function formatGauge(layout, position) {
+    const span = layout.max - layout.min;
+    const value = layout.min + (clamp(position, 0, 100) / 100) * span;
+    return value.toFixed(span < 5 ? 2 : span < 100 ? 1 : 0);
+  }
+
+  // Valve: a drifting reading the operator keeps inside the band with a
+  // dial
+  function runValve(task) {
+    const layout = buildValve(task);
+    const { label, target, tolerance, start, drift } = layout;
+    const low = formatGauge(layout, target - tolerance);
+    const high = formatGauge(layout, target + tolerance);
+
+    return openProcedure(task, "valve", VALVE_TIME_MS, (context) => {
+      context.body.innerHTML = `
+        <div class="valve-info">Hold ${label} between ${low} and ${high} for ${VALVE_HOLD_MS / 1000} seconds</div>
+        <div class="valve-gauge">
+          <div class="valve-band"></div>
+          <div class="valve-needle"></div>
+        </div>
+        <input type="range" class="valve-dial" min="0" max="100" step="1">
+        <div class="valve-hold"><div class="valve-hold-fill"></div></div>
+      `;
+      const band = context.body.querySelector(".valve-band");
+      const needle = context.body.querySelector(".valve-needle");
+      const dial = context.body.querySelector(".valve-dial");
+      const holdFill = context.body.querySelector(".valve-hold-fill");
+      band.style.left = `${target - tolerance}%`;
+      band.style.width = `${tolerance * 2}%`;
+      dial.value = String(start);
+
+      let offset = 0;
+      let heldMs = 0;
+      let bestHeldMs = 0;
+      let errorSum = 0;
+      let errorTicks = 0;
+
+      context.every(() => {
+        // The line drifts; the dial has to keep correcting for it
+        offset = clamp(offset + (Math.random() - 0.5) * drift * 2, -40, 40);
+        const flow = clamp(Number(dial.value) + offset, 0, 100);
+        const error = Math.abs(flow - target);
+        needle.style.left = `${flow}%`;
+
+        if (error <= tolerance) {
+          heldMs += VALVE_TICK_MS;
+          errorSum += error;
+          errorTicks++;
+        } else {
+          heldMs = 0;
+          errorSum = 0;
+          errorTicks = 0;
+        }
+        bestHeldMs = Math.max(bestHeldMs, heldMs);
+        holdFill.style.width = `${Math.min(100, (heldMs / VALVE_HOLD_MS) * 100)}%`;
+        context.status.textContent = `${label} ${formatGauge(layout, flow)}`;
+
+        if (heldMs >= VALVE_HOLD_MS) {
+          context.finish(scoreValve(heldMs, errorSum / errorTicks, tolerance));
+        }
+      }, VALVE_TICK_MS);
+
+      return () => scoreValve(bestHeldMs, tolerance, tolerance);
+    });
+  }
+
+  // Checksum: add up the readings and enter the last two digits
+  function runChecksum(task) {
+    const { readings, checksum } = buildChecksum(task);
+
+    return openProcedure(task, "checksum", CHECKSUM_TIME_MS, (context) => {
+      context.body.innerHTML = `
+        <div class="checksum-info">Enter the sum of the readings, last two digits</div>
+        <div class="checksum-readings"></div>
+        <input type="text" class="checksum-input" inputmode="numeric" maxlength="2" placeholder="00">
+        <button class="terminal-button checksum-submit">VERIFY</button>
+      `;
+      const list = context.body.querySelector(".checksum-readings");
+      readings.forEach((value) => {
+        const reading = document.createElement("span");
+        reading.className = "checksum-reading";
+        reading.textContent = String(value).padStart(2, "0");
+        list.appendChild(reading);
+      });
+
+      const input = context.body.querySelector(".checksum-input");
+      let attempts = 0;
+      const verify = () => {
+        const entered = parseInt(input.value, 10);
+        if (isNaN(entered)) return;
+        attempts++;
+        if (entered === checksum) {
+          context.finish(scoreChecksum(attempts, context.elapsed()));
+        } else if (attempts >= CHECKSUM_ATTEMPTS) {
+          context.finish(scoreChecksum(0, context.elapsed()));
+        } else {
+          context.status.textContent = "CHECKSUM MISMATCH - ONE ATTEMPT LEFT";
+          input.value = "";
+        }
+      };
+      context.body.querySelector(".checksum-submit").onclick = verify;
+      input.addEventListener("keydown", (event) => {
+        if (event.key === "Enter") verify();
+      });
+      input.focus();
+
+      return () => scoreChecksum(0, CHECKSUM_TIME_MS);
+    });
+  }
+
+  // Breakers: trip every breaker in the listed order
+  function runBreakers(task) {
+    const { count, order } = buildBreakers(task);
+
+    return openProcedure(task, "breakers", BREAKER_TIME_MS, (context) => {
+      context.body.innerHTML = `
+        <div class="breaker-sequence"></div>
+        <div class="breaker-panel"></div>
+      `;
+      context.body.querySelector(".breaker-sequence").textContent = `SEQUENCE: ${order
+        .map((number) => `B${number}`)
+        .join(" → ")}`;
+
+      const panel = context.body.querySelector(".breaker-panel");
+      let tripped = 0;
+      let errors = 0;
+      for (let number = 1; number <= count; number++) {
+        const breaker = document.createElement("button");
+        breaker.className = "breaker";
+        breaker.textContent = `B${number}`;
+        breaker.onclick = () => {
+          if (breaker.classList.contains("tripped")) return;
+          if (order[tripped] === number) {
+            breaker.classList.add("tripped");
+            tripped++;
+            if (tripped === count) {
+              context.finish(scoreBreakers(count, tripped, errors));
+            }
+          } else {
+            errors++;
+            breaker.classList.add("wrong");
+            setTimeout(() => breaker.classList.remove("wrong"), 400);
+          }
+          context.status.textContent = `TRIPPED ${tripped}/${count} · ERRORS ${errors}`;
+        };
+        panel.appendChild(breaker);
+      }
+
+      return () => scoreBreakers(count, tripped, errors);
+    });
+  }
+
+  // Run the procedure of a task. Resolves to { procedure, score, success },
+  // or null when the operator aborts.
+  function runProcedure(task) {
+    // One procedure at a time
+    if (document.querySelector(".procedure-modal")) return Promise.resolve(null);
+
+    const procedure =
+      task.procedure || window.catalog?.findTask(task)?.procedure || "checksum";
+    switch (procedure) {
+      case "valve":
+        return runValve(task);
+      case "breakers":
+        return runBreakers(task);
+      default:
+        return runChecksum(task);
+    }
+  }
+
+  // Export procedure functions
+  window.procedures = {
+    PASS_SCORE,
+    hashString,
+    createRandom,
+    getReadingFields,
+    buildValve,
+    buildChecksum,
+    buildBreakers,
+    scoreValve,
+    scoreChecksum,
+    scoreBreakers,
+    runProcedure,
+  };
+})();
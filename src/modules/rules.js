@@ -0,0 +1,365 @@
+// Rules module - Station rules (cycle, entry window, codes, penalties, shifts) stored in the graph
+(function () {
+  "use strict";
+
+  // Rules of the original Swan station, used until the graph answers and
+  // for any field a station leaves unset or sets to an invalid value
+  const DEFAULT_RULES = {
+    cycleMinutes: 108,
+    entryWindowMinutes: 4,
+    codes: ["4 8 15 16 23 42"],
+    hieroglyphPhaseSeconds: 60,
+    recoveryPhaseSeconds: 180,
+    instabilityPenalty: 0.3,
+    resetStreakOnFailure: true,
+    wrongCodeResetsStreak: true,
+    shiftMinutes: 108,
+    parameterPenalties: {
+      powerLevel: -20,
+      oxygenLevel: -10,
+      temperature: 6,
+      radiationLevel: 0.2,
+      pressure: -40,
+      humidity: 10,
+    },
+    // Safe range of each alarm level per parameter: a value outside the
+    // caution range raises a caution alarm, and so on. The optimal range
+    // earns the balance bonus.
+    thresholds: {
+      powerLevel: {
+        optimal: [80, 100],
+        caution: [40, 100],
+        warning: [30, 100],
+        critical: [20, 100],
+      },
+      oxygenLevel: {
+        optimal: [85, 100],
+        caution: [30, 100],
+        warning: [20, 100],
+        critical: [15, 100],
+      },
+      temperature: {
+        optimal: [18, 25],
+        caution: [10, 30],
+        warning: [5, 35],
+        critical: [0, 40],
+      },
+      radiationLevel: {
+        optimal: [0, 0.1],
+        caution: [0, 0.2],
+        warning: [0, 0.3],
+        critical: [0, 0.5],
+      },
+      pressure: {
+        optimal: [980, 1020],
+        caution: [960, 1040],
+        warning: [950, 1050],
+        critical: [900, 1100],
+      },
+      humidity: {
+        optimal: [40, 60],
+        caution: [30, 70],
+        warning: [25, 75],
+        critical: [20, 80],
+      },
+    },
+  };
+
+  // Gun cannot store arrays or read nested objects in one pass, so codes
+  // are kept as one string, penalties as flat "penalty<Param>" fields and
+  // thresholds as "threshold<Param>" strings of eight numbers: the
+  // optimal, caution, warning and critical ranges in that order
+  const CODE_SEPARATOR = ",";
+  const PENALTY_PREFIX = "penalty";
+  const THRESHOLD_PREFIX = "threshold";
+  const THRESHOLD_LEVELS = ["optimal", "caution", "warning", "critical"];
+
+  // Rules state
+  let currentRules = cloneRules(DEFAULT_RULES);
+  let rulesLoaded = false;
+  const changeListeners = new Set();
+
+  // Copy a rules object so callers cannot mutate the shared one
+  function cloneRules(rules) {
+    return {
+      ...rules,
+      codes: [...rules.codes],
+      parameterPenalties: { ...rules.parameterPenalties },
+      thresholds: Object.fromEntries(
+        Object.entries(rules.thresholds).map(([param, levels]) => [
+          param,
+          Object.fromEntries(
+            THRESHOLD_LEVELS.map((level) => [level, [...levels[level]]])
+          ),
+        ])
+      ),
+    };
+  }
+
+  // Read a "threshold<Param>" string; null unless every range is valid and
+  // each one holds the one before it
+  function parseThresholds(value) {
+    if (typeof value !== "string") return null;
+    const numbers = value.split(CODE_SEPARATOR).map(Number);
+    if (numbers.length !== 8 || !numbers.every(Number.isFinite)) return null;
+
+    const levels = {};
+    for (let i = 0; i < THRESHOLD_LEVELS.length; i++) {
+      const [min, max] = numbers.slice(i * 2, i * 2 + 2);
+      const inner = levels[THRESHOLD_LEVELS[i - 1]];
+      if (min > max || (inner && (min > inner[0] || max < inner[1]))) {
+        return null;
+      }
+      levels[THRESHOLD_LEVELS[i]] = [min, max];
+    }
+    return levels;
+  }
+
+  // Pick a positive number, falling back to the default
+  function positiveNumber(value, fallback) {
+    return typeof value === "number" && value > 0 ? value : fallback;
+  }
+
+  // Build a validated rules object from a graph node
+  function fromGraph(data) {
+    const rules = cloneRules(DEFAULT_RULES);
+    if (!data) return rules;
+
+    rules.cycleMinutes = positiveNumber(data.cycleMinutes, rules.cycleMinutes);
+    rules.entryWindowMinutes = positiveNumber(
+      data.entryWindowMinutes,
+      rules.entryWindowMinutes
+    );
+    // The entry window has to fit inside the cycle
+    if (rules.entryWindowMinutes >= rules.cycleMinutes) {
+      rules.entryWindowMinutes = Math.max(1, rules.cycleMinutes - 1);
+    }
+
+    if (typeof data.codes === "string") {
+      const codes = data.codes
+        .split(CODE_SEPARATOR)
+        .map((code) => code.trim().replace(/\s+/g, " "))
+        .filter(Boolean);
+      if (codes.length > 0) rules.codes = codes;
+    }
+
+    rules.hieroglyphPhaseSeconds = positiveNumber(
+      data.hieroglyphPhaseSeconds,
+      rules.hieroglyphPhaseSeconds
+    );
+    rules.recoveryPhaseSeconds = positiveNumber(
+      data.recoveryPhaseSeconds,
+      rules.recoveryPhaseSeconds
+    );
+    rules.shiftMinutes = positiveNumber(data.shiftMinutes, rules.shiftMinutes);
+    if (typeof data.instabilityPenalty === "number") {
+      rules.instabilityPenalty = Math.max(
+        0,
+        Math.min(1, data.instabilityPenalty)
+      );
+    }
+    if (typeof data.resetStreakOnFailure === "boolean") {
+      rules.resetStreakOnFailure = data.resetStreakOnFailure;
+    }
+    if (typeof data.wrongCodeResetsStreak === "boolean") {
+      rules.wrongCodeResetsStreak = data.wrongCodeResetsStreak;
+    }
+
+    Object.keys(rules.parameterPenalties).forEach((param) => {
+      const value = data[penaltyKey(param)];
+      if (typeof value === "number") rules.parameterPenalties[param] = value;
+    });
+
+    Object.keys(rules.thresholds).forEach((param) => {
+      const levels = parseThresholds(data[thresholdKey(param)]);
+      if (levels) rules.thresholds[param] = levels;
+    });
+
+    return rules;
+  }
+
+  // Flatten a (partial) rules object into graph fields
+  function toGraph(rules) {
+    const data = {};
+    [
+      "cycleMinutes",
+      "entryWindowMinutes",
+      "hieroglyphPhaseSeconds",
+      "recoveryPhaseSeconds",
+      "instabilityPenalty",
+      "resetStreakOnFailure",
+      "wrongCodeResetsStreak",
+      "shiftMinutes",
+    ].forEach((key) => {
+      if (rules[key] !== undefined) data[key] = rules[key];
+    });
+
+    if (Array.isArray(rules.codes)) {
+      data.codes = rules.codes.join(CODE_SEPARATOR);
+    }
+
+    if (rules.parameterPenalties) {
+      Object.entries(rules.parameterPenalties).forEach(([param, value]) => {
+        data[penaltyKey(param)] = value;
+      });
+    }
+
+    if (rules.thresholds) {
+      Object.entries(rules.thresholds).forEach(([param, levels]) => {
+        data[thresholdKey(param)] = THRESHOLD_LEVELS.map((level) =>
+          levels[level].join(CODE_SEPARATOR)
+        ).join(CODE_SEPARATOR);
+      });
+    }
+
+    return data;
+  }
+
+  // Graph field name for a parameter penalty
+  function penaltyKey(param) {
+    return PENALTY_PREFIX + param.charAt(0).toUpperCase() + param.slice(1);
+  }
+
+  // Graph field name for a parameter's alarm thresholds
+  function thresholdKey(param) {
+    return THRESHOLD_PREFIX + param.charAt(0).toUpperCase() + param.slice(1);
+  }
+
+  // Get the rules reference, creating it next to the station timer if needed
+  function getRulesRef() {
+    if (!window.core?.rulesRef && window.core?.gun && window.core.setRulesRef) {
+      window.core.setRulesRef(
+        window.stations.getStationRoot(window.core.gun).get("rules")
+      );
+    }
+    return window.core?.rulesRef || null;
+  }
+
+  // Start following the station rules
+  function initializeRules() {
+    console.log("📜 Initializing station rules...");
+
+    const waitForRulesRef = () => {
+      const rulesRef = getRulesRef();
+      if (!rulesRef) {
+        setTimeout(waitForRulesRef, 1000);
+        return;
+      }
+
+      // A station without rules gets the defaults written once
+      rulesRef.once((data) => {
+        if (!data || data.cycleMinutes === undefined) {
+          console.log("Station rules not found, writing defaults...");
+          rulesRef.put({
+            ...toGraph(DEFAULT_RULES),
+            updatedBy: "SYSTEM",
+            lastUpdate: Date.now(),
+          });
+        }
+      });
+
+      rulesRef.on((data) => {
+        currentRules = fromGraph(data);
+        rulesLoaded = true;
+        changeListeners.forEach((listener) => {
+          try {
+            listener(getRules());
+          } catch (error) {
+            console.error("❌ Rules listener failed:", error);
+          }
+        });
+      });
+
+      console.log("✅ Station rules listener ready");
+    };
+
+    waitForRulesRef();
+  }
+
+  // Change the station rules, e.g. a shorter cycle for a practice station.
+  // Cycles already running keep their own duration; the rest applies now.
+  function saveRules(changes) {
+    const rulesRef = getRulesRef();
+    if (!rulesRef) return false;
+
+    const merged = fromGraph({
+      ...toGraph(currentRules),
+      ...toGraph(changes),
+    });
+    rulesRef.put({
+      ...toGraph(merged),
+      updatedBy: window.core?.user?.is?.alias || "UNKNOWN",
+      lastUpdate: Date.now(),
+    });
+
+    if (window.core?.addLog) {
+      window.core.addLog("Station rules updated", "warning");
+    }
+    return true;
+  }
+
+  // Get a copy of the current rules
+  function getRules() {
+    return cloneRules(currentRules);
+  }
+
+  // Check whether the station has answered with its rules yet
+  function isLoaded() {
+    return rulesLoaded;
+  }
+
+  // Get the cycle length in milliseconds
+  function getCycleDurationMs() {
+    return currentRules.cycleMinutes * 60000;
+  }
+
+  // Check a cycle length written by another client. Stations change
+  // their rules between cycles and clients load them late, so any length
+  // the rules accept will do, not only the one loaded here.
+  function isValidCycleDurationMs(durationMs) {
+    return Number.isFinite(durationMs) && durationMs > 0;
+  }
+
+  // Get the entry window length in milliseconds
+  function getEntryWindowMs() {
+    return currentRules.entryWindowMinutes * 60000;
+  }
+
+  // Check a typed sequence against the accepted codes
+  function isAcceptedCode(input) {
+    if (typeof input !== "string") return false;
+    const normalized = input.trim().replace(/\s+/g, " ");
+    return currentRules.codes.includes(normalized);
+  }
+
+  // Register a callback for rule changes; returns an unsubscribe function
+  function onRulesChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  // Export rules functions
+  window.rules = {
+    DEFAULT_RULES,
+    initializeRules,
+    saveRules,
+    getRules,
+    isLoaded,
+    getCycleDurationMs,
+    isValidCycleDurationMs,
+    getEntryWindowMs,
+    isAcceptedCode,
+    onRulesChange,
+    fromGraph,
+    toGraph,
+  };
+
+  // Auto-initialize when dependencies are ready
+  (function autoInitialize() {
+    if (window.core && window.core.gun) {
+      initializeRules();
+    } else {
+      setTimeout(autoInitialize, 1000);
+    }
+  })();
+})();
@@ -0,0 +1,489 @@
+// Shifts module - Shift roster, on-duty operator and shift coverage rewards
+(function () {
+  "use strict";
+
+  // The roster is cut into blocks of the station's shift length, aligned
+  // to the Unix epoch, so every client agrees on the boundaries without
+  // messaging. Claims live under roster/<blockStart>; each claim carries
+  // its own start and end, so changing the shift length never moves an
+  // existing claim.
+
+  // Blocks shown in the roster, starting with the current one
+  const UPCOMING_BLOCKS = 6;
+  // Unclaimed blocks starting within this window raise a warning
+  const WARNING_LEAD_MS = 30 * 60000;
+  // How often coverage, payouts and warnings are checked
+  const CHECK_INTERVAL_MS = 60000;
+  // Share of a block the claimant has to be online to cover it
+  const COVERAGE_RATIO = 0.75;
+  // Points awarded for covering a claimed shift
+  const SHIFT_POINTS = 5;
+  // Ended shifts are still paid out if the claimant returns within this time
+  const PAYOUT_LOOKBACK_MS = 24 * 60 * 60000;
+
+  // Shift state
+  const roster = new Map(); // block key -> claim
+  const warnedBlocks = new Set();
+  const settling = new Set(); // block keys this client tried to settle
+  const changeListeners = new Set();
+  let checkInterval = null;
+  let lastCheck = null;
+
+  // Get the shift length in milliseconds
+  function getShiftDurationMs() {
+    return window.rules.getRules().shiftMinutes * 60000;
+  }
+
+  // Get the roster key for a block
+  function getBlockKey(blockStart) {
+    return `block_${blockStart}`;
+  }
+
+  // Get the block that contains a point in time
+  function getBlockAt(time) {
+    const duration = getShiftDurationMs();
+    const blockStart = Math.floor(time / duration) * duration;
+    return { blockStart, blockEnd: blockStart + duration };
+  }
+
+  // Get the current block followed by the upcoming ones
+  function getUpcomingBlocks(
+    now = window.timer.getStationTime(),
+    count = UPCOMING_BLOCKS
+  ) {
+    const first = getBlockAt(now);
+    const duration = first.blockEnd - first.blockStart;
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+      const blockStart = first.blockStart + i * duration;
+      blocks.push({
+        blockStart,
+        blockEnd: blockStart + duration,
+        claim: getClaim(blockStart),
+      });
+    }
+    return blocks;
+  }
+
+  // Get the claim for a block, or null if nobody holds it
+  function getClaim(blockStart) {
+    const claim = roster.get(getBlockKey(blockStart));
+    return claim?.pub ? claim : null;
+  }
+
+  // Get the claim covering a point in time
+  function getOnDutyClaim(now = window.timer.getStationTime()) {
+    for (const claim of roster.values()) {
+      if (claim.pub && claim.blockStart <= now && now < claim.blockEnd) {
+        return claim;
+      }
+    }
+    return null;
+  }
+
+  // Get the operator on duty right now
+  function getOnDutyOperator() {
+    const claim = getOnDutyClaim();
+    return claim ? { pub: claim.pub, alias: claim.alias } : null;
+  }
+
+  // Check if an operator is on duty right now
+  function isOnDuty(pub) {
+    return !!pub && getOnDutyClaim()?.pub === pub;
+  }
+
+  // Get the roster reference, creating it next to the station timer if needed
+  function getRosterRef() {
+    if (
+      !window.core?.rosterRef &&
+      window.core?.gun &&
+      window.core.setRosterRef
+    ) {
+      window.core.setRosterRef(
+        window.stations.getStationRoot(window.core.gun).get("roster")
+      );
+    }
+    return window.core?.rosterRef || null;
+  }
+
+  // Read a claim from roster node data
+  function normalizeClaim(data) {
+    if (
+      !data ||
+      typeof data.blockStart !== "number" ||
+      typeof data.blockEnd !== "number"
+    ) {
+      return null;
+    }
+    return {
+      blockStart: data.blockStart,
+      blockEnd: data.blockEnd,
+      pub: data.pub || null,
+      alias: data.alias || null,
+      claimedAt: data.claimedAt || null,
+      coveredMs: data.coveredMs || 0,
+      settled: !!data.settled,
+    };
+  }
+
+  // Tell the operator when a competing claim replaced one of theirs
+  function reportLostClaim(previous, claim) {
+    const own = getIdentity()?.pub;
+    if (!own || previous?.pub !== own || !claim?.pub || claim.pub === own) {
+      return;
+    }
+    window.core.addLog(
+      `Your shift ${formatBlock(claim.blockStart, claim.blockEnd)} went to ${
+        claim.alias
+      }`,
+      "warning"
+    );
+  }
+
+  // Start following the station roster
+  function initializeShifts() {
+    console.log("🗓️ Initializing shift roster...");
+
+    const waitForRosterRef = () => {
+      const rosterRef = getRosterRef();
+      if (!rosterRef) {
+        setTimeout(waitForRosterRef, 1000);
+        return;
+      }
+
+      rosterRef.map().on((data, key) => {
+        const claim = normalizeClaim(data);
+        reportLostClaim(roster.get(key), claim);
+        if (claim) {
+          roster.set(key, claim);
+        } else {
+          roster.delete(key);
+        }
+        notifyChange();
+      });
+
+      if (checkInterval) clearInterval(checkInterval);
+      const scheduler = window.core?.safeSetInterval || setInterval;
+      lastCheck = window.timer.getStationTime();
+      checkInterval = scheduler(checkShifts, CHECK_INTERVAL_MS);
+
+      console.log("✅ Shift roster listener ready");
+    };
+
+    waitForRosterRef();
+  }
+
+  // Claim a block for the logged-in operator. Resolves to true when the
+  // claim survived any competing claims for the same block.
+  function claimShift(blockStart) {
+    const rosterRef = getRosterRef();
+    const identity = getIdentity();
+    if (!rosterRef || !identity) {
+      window.core.addLog("Log in to claim a shift", "error");
+      return Promise.resolve(false);
+    }
+
+    const duration = getShiftDurationMs();
+    const blockEnd = blockStart + duration;
+    if (blockEnd <= window.timer.getStationTime()) {
+      window.core.addLog(
+        "Cannot claim a shift that has already ended",
+        "error"
+      );
+      return Promise.resolve(false);
+    }
+
+    const existing = getClaim(blockStart);
+    if (existing && existing.pub !== identity.pub) {
+      window.core.addLog(
+        `Shift already claimed by ${existing.alias}`,
+        "warning"
+      );
+      return Promise.resolve(false);
+    }
+
+    // The local roster may lag, so the claim checks the graph first
+    const entryRef = rosterRef.get(getBlockKey(blockStart));
+    return window.claims
+      .claimNode(entryRef, "pub", identity.pub, {
+        fields: {
+          blockStart,
+          blockEnd,
+          alias: identity.alias,
+          claimedAt: Date.now(),
+          coveredMs: 0,
+          settled: false,
+        },
+        canClaim: (current) => !current?.pub || current.pub === identity.pub,
+      })
+      .then(({ claimed, refused, node }) => {
+        if (refused) {
+          window.core.addLog(
+            `Shift already claimed by ${node.alias}`,
+            "warning"
+          );
+        } else if (claimed) {
+          window.core.addLog(
+            `Shift claimed: ${formatBlock(blockStart, blockEnd)}`,
+            "success"
+          );
+        } else {
+          window.core.addLog(
+            `Shift taken by ${node?.alias || "another operator"}`,
+            "warning"
+          );
+        }
+        return claimed;
+      });
+  }
+
+  // Give up one of your own claims before it ends
+  function releaseShift(blockStart) {
+    const rosterRef = getRosterRef();
+    const identity = getIdentity();
+    const claim = getClaim(blockStart);
+    if (!rosterRef || !identity || claim?.pub !== identity.pub) return false;
+    if (claim.blockEnd <= window.timer.getStationTime()) return false;
+
+    rosterRef.get(getBlockKey(blockStart)).put({
+      pub: null,
+      alias: null,
+      claimedAt: null,
+      coveredMs: 0,
+    });
+    window.core.addLog(
+      `Shift released: ${formatBlock(claim.blockStart, claim.blockEnd)}`,
+      "warning"
+    );
+    return true;
+  }
+
+  // Periodic check: record coverage, pay out ended shifts, warn about gaps
+  function checkShifts() {
+    const now = window.timer.getStationTime();
+    // Time spent asleep (closed laptop, throttled tab) does not count
+    const elapsed = Math.min(now - (lastCheck ?? now), CHECK_INTERVAL_MS * 2);
+    lastCheck = now;
+
+    recordCoverage(now, elapsed);
+    settleEndedShifts(now);
+    warnUnclaimedShifts(now);
+  }
+
+  // Add the time since the last check to your own running shift
+  function recordCoverage(now, elapsed) {
+    const identity = getIdentity();
+    const claim = getOnDutyClaim(now);
+    if (!identity || claim?.pub !== identity.pub || elapsed <= 0) return;
+
+    const coveredMs = Math.min(
+      claim.coveredMs + elapsed,
+      claim.blockEnd - claim.blockStart
+    );
+    getRosterRef()
+      .get(getBlockKey(claim.blockStart))
+      .put({ coveredMs });
+  }
+
+  // Award points for your own ended shifts that were covered
+  function settleEndedShifts(now) {
+    const identity = getIdentity();
+    if (!identity) return;
+
+    roster.forEach((claim, key) => {
+      if (claim.pub !== identity.pub || claim.settled) return;
+      if (claim.blockEnd > now || now - claim.blockEnd > PAYOUT_LOOKBACK_MS) {
+        return;
+      }
+      if (settling.has(key)) return;
+      settling.add(key);
+
+      // Settle through a per-tab claim so a second tab cannot pay it twice
+      const covered =
+        claim.coveredMs >= (claim.blockEnd - claim.blockStart) * COVERAGE_RATIO;
+      window.claims
+        .claimNode(
+          getRosterRef().get(key),
+          "settledBy",
+          window.events.getWriterId(),
+          {
+            fields: { settled: true, covered },
+            canClaim: (current) => !current?.settled,
+          }
+        )
+        .then(({ claimed }) => {
+          if (!claimed) return;
+
+          const range = formatBlock(claim.blockStart, claim.blockEnd);
+          if (covered) {
+            if (window.updateUserPoints) {
+              window.updateUserPoints(SHIFT_POINTS, "shift covered");
+            }
+            window.core.addLog(
+              `Shift ${range} covered: +${SHIFT_POINTS} points`,
+              "success"
+            );
+          } else {
+            window.core.addLog(`Shift ${range} was not covered`, "warning");
+          }
+        });
+    });
+  }
+
+  // Log a warning for the current or next block when nobody claimed it
+  function warnUnclaimedShifts(now) {
+    getUpcomingBlocks(now, 2).forEach(({ blockStart, blockEnd, claim }) => {
+      const key = getBlockKey(blockStart);
+      if (claim || warnedBlocks.has(key)) return;
+      if (blockStart - now > WARNING_LEAD_MS) return;
+
+      warnedBlocks.add(key);
+      const range = formatBlock(blockStart, blockEnd);
+      if (blockStart <= now) {
+        window.core.addLog(
+          `WARNING: No operator on duty for shift ${range}`,
+          "warning"
+        );
+      } else {
+        const minutes = Math.ceil((blockStart - now) / 60000);
+        window.core.addLog(
+          `WARNING: Shift ${range} starts in ${minutes} min and is unclaimed`,
+          "warning"
+        );
+      }
+    });
+  }
+
+  // Get the logged-in operator
+  function getIdentity() {
+    const is = window.core?.user?.is;
+    if (!is?.pub) return null;
+    return { pub: is.pub, alias: is.alias || "UNKNOWN" };
+  }
+
+  // Format a block as "14:24-16:12"
+  function formatBlock(blockStart, blockEnd) {
+    const format = (time) =>
+      new Date(time).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    return `${format(blockStart)}-${format(blockEnd)}`;
+  }
+
+  // Let open views know the roster changed
+  function notifyChange() {
+    changeListeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.error("❌ Roster listener failed:", error);
+      }
+    });
+  }
+
+  // Register a callback for roster changes; returns an unsubscribe function
+  function onRosterChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  // Show the roster with claim and release buttons
+  function showShiftRoster() {
+    if (document.querySelector(".shift-roster")) return;
+
+    const overlay = document.createElement("div");
+    overlay.className = "overlay";
+    overlay.innerHTML = `
+      <div class="shift-roster">
+        <h2>&gt; SHIFT ROSTER</h2>
+        <p class="info">Shifts last ${window.rules.getRules().shiftMinutes} minutes. Stay online for ${Math.round(COVERAGE_RATIO * 100)}% of a claimed shift to earn +${SHIFT_POINTS} points.</p>
+        <div class="shift-list" id="shiftList"></div>
+        <div class="button" id="closeShiftRoster">CLOSE</div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const list = overlay.querySelector("#shiftList");
+    const render = () => {
+      const identity = getIdentity();
+      const now = window.timer.getStationTime();
+      list.innerHTML = "";
+
+      getUpcomingBlocks(now).forEach(({ blockStart, blockEnd, claim }) => {
+        const isCurrent = blockStart <= now;
+        const isMine = !!identity && claim?.pub === identity.pub;
+
+        const row = document.createElement("div");
+        row.className = "shift-item";
+        if (isCurrent) row.classList.add("current");
+        if (!claim) row.classList.add("open");
+        if (isMine) row.classList.add("mine");
+
+        const time = document.createElement("span");
+        time.className = "shift-time";
+        time.textContent = formatBlock(blockStart, blockEnd);
+
+        const holder = document.createElement("span");
+        holder.className = "shift-holder";
+        holder.textContent = claim
+          ? `${claim.alias}${isCurrent ? " (ON DUTY)" : ""}`
+          : "UNCLAIMED";
+
+        row.appendChild(time);
+        row.appendChild(holder);
+
+        if (!claim || isMine) {
+          const action = document.createElement("button");
+          action.className = "shift-action";
+          action.textContent = isMine ? "RELEASE" : "CLAIM";
+          action.onclick = () => {
+            action.disabled = true;
+            if (isMine) {
+              releaseShift(blockStart);
+            } else {
+              claimShift(blockStart).then(render);
+            }
+          };
+          row.appendChild(action);
+        }
+
+        list.appendChild(row);
+      });
+    };
+
+    render();
+    const unsubscribe = onRosterChange(render);
+    overlay.querySelector("#closeShiftRoster").onclick = () => {
+      unsubscribe();
+      overlay.remove();
+    };
+  }
+
+  // Export shift functions
+  window.shifts = {
+    SHIFT_POINTS,
+    COVERAGE_RATIO,
+    initializeShifts,
+    getShiftDurationMs,
+    getBlockAt,
+    getUpcomingBlocks,
+    getClaim,
+    getOnDutyOperator,
+    isOnDuty,
+    claimShift,
+    releaseShift,
+    checkShifts,
+    onRosterChange,
+    showShiftRoster,
+  };
+
+  // Auto-initialize when dependencies are ready
+  (function autoInitialize() {
+    if (window.core && window.core.gun && window.rules) {
+      initializeShifts();
+    } else {
+      setTimeout(autoInitialize, 1000);
+    }
+  })();
+})();
@@ -0,0 +1,354 @@
+// Simulation module - Deterministic, single-writer station parameter ticks
+(function () {
+  "use strict";
+
+  // Station parameters advance in numbered ticks. Each tick draws its
+  // drift from a generator seeded by the station and the tick number, so
+  // any client can recompute a tick from the state before it and the
+  // inputs folded into it. Only the station coordinator advances ticks and
+  // writes the state; everyone else submits validated deltas (random
+  // events, task effects, penalties) to <station>/simulation/inputs, and
+  // the coordinator folds every pending input into the next tick. Clients
+  // replay each tick they see and warn when the result differs.
+
+  // Length of a tick
+  const TICK_MS = 10000;
+  // Every this many ticks the wider drift runs and instability is rerolled
+  const SLOW_TICKS = 3;
+  // Ticks missed beyond this while nobody coordinated are skipped
+  const MAX_CATCH_UP_TICKS = 8640;
+  // Applied inputs are kept this many ticks for replay, then pruned
+  const INPUT_RETENTION_TICKS = 360;
+  // How long to wait for a tick's inputs before replaying it
+  const REPLAY_SETTLE_MS = 1500;
+  // Replayed values may differ from the written ones by this much
+  const REPLAY_TOLERANCE = 1e-9;
+
+  // Drift range of each parameter, every tick and every slow tick
+  const DRIFT = {
+    powerLevel: 0.3,
+    oxygenLevel: 0.2,
+    temperature: 0.5,
+    radiationLevel: 0.005,
+    pressure: 0.6,
+    humidity: 0.4,
+  };
+  const SLOW_DRIFT = {
+    powerLevel: 1.5, // Power fluctuates less
+    oxygenLevel: 1.2, // Oxygen is more stable
+    temperature: 2.5, // Temperature fluctuates more
+    radiationLevel: 0.02, // Radiation changes slowly
+    pressure: 3, // Pressure fluctuates moderately
+    humidity: 2, // Humidity fluctuates moderately
+  };
+
+  // How each parameter pulls on the others, per tick
+  const INTERDEPENDENCIES = {
+    powerLevel: { oxygenLevel: 0.1, temperature: 0.05, pressure: 0.02 },
+    temperature: { humidity: 0.3, pressure: 0.1, oxygenLevel: -0.05 },
+    pressure: { oxygenLevel: 0.2, humidity: 0.1 },
+    radiationLevel: { powerLevel: -0.1, oxygenLevel: -0.05, temperature: 0.02 },
+  };
+
+  // Instability added by a parameter at warning level or worse
+  const INSTABILITY_BASE = 0.1;
+  const INSTABILITY_WEIGHTS = {
+    powerLevel: 0.2,
+    oxygenLevel: 0.2,
+    temperature: 0.15,
+    radiationLevel: 0.25,
+    pressure: 0.15,
+    humidity: 0.1,
+  };
+  // Chance and size of a random instability spike on a slow tick
+  const SPIKE_CHANCE = 0.1;
+  const SPIKE_MAX = 0.3;
+
+  // Penalty left by a discharge; lifted by subtracting its whole range
+  const DISCHARGE_LIMITS = [0, 1];
+
+  // Simulation state
+  let state = null; // last state seen on the graph
+  const inputs = new Map(); // id -> input
+  let started = false;
+
+  // Get the tick a moment falls in
+  function getTick(now = window.timer.getStationTime()) {
+    return Math.floor(now / TICK_MS);
+  }
+
+  // Get the seed every client of this station shares
+  function getSeed(station = window.stations.getStationName()) {
+    return window.procedures.hashString(`simulation:${station}`);
+  }
+
+  // Get the simulated fields and their limits
+  function getLimits() {
+    return {
+      ...window.failure.PARAMETER_LIMITS,
+      dischargeInstability: DISCHARGE_LIMITS,
+    };
+  }
+
+  // Get the inputs node
+  function getInputsRef() {
+    const gun = window.core?.gun;
+    return gun
+      ? window.stations.getStationRoot(gun).get("simulation").get("inputs")
+      : null;
+  }
+
+  // Keep the known fields of a delta whose values are finite and no larger
+  // than the field's whole range. Returns null when nothing is left.
+  function validateDelta(delta) {
+    const limits = getLimits();
+    const valid = {};
+    Object.entries(delta || {}).forEach(([field, value]) => {
+      const range = limits[field];
+      if (!range || typeof value !== "number" || !Number.isFinite(value)) {
+        return;
+      }
+      if (value === 0 || Math.abs(value) > range[1] - range[0]) return;
+      valid[field] = value;
+    });
+    return Object.keys(valid).length > 0 ? valid : null;
+  }
+
+  // Add deltas together, field by field
+  function sumDeltas(deltas) {
+    const sum = {};
+    deltas.forEach((delta) => {
+      Object.entries(delta || {}).forEach(([field, value]) => {
+        sum[field] = (sum[field] || 0) + value;
+      });
+    });
+    return sum;
+  }
+
+  // Keep a value inside its limits
+  function clamp(value, [min, max]) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  // Work out instability from the parameters, plus a possible spike
+  function computeInstability(params, random) {
+    let instability = INSTABILITY_BASE;
+    const thresholds = window.rules.getRules().thresholds;
+    Object.entries(INSTABILITY_WEIGHTS).forEach(([param, weight]) => {
+      const level = window.alarms.getLevel(param, params[param], thresholds);
+      if (window.alarms.compareLevels(level, "warning") >= 0) {
+        instability += weight;
+      }
+    });
+    instability += params.dischargeInstability || 0;
+    if (random() < SPIKE_CHANCE) instability += random() * SPIKE_MAX;
+    return clamp(instability, [0, 1]);
+  }
+
+  // Advance a state by one tick with the given deltas folded in first.
+  // Pure: the same state, tick, seed and deltas always give the same result.
+  function step(current, tick, seed, delta = {}) {
+    const limits = getLimits();
+    const random = window.procedures.createRandom(
+      window.procedures.hashString(`${seed}:${tick}`)
+    );
+    const slow = tick % SLOW_TICKS === 0;
+    const next = {};
+    Object.keys(limits).forEach((field) => {
+      next[field] = (current[field] || 0) + (delta[field] || 0);
+    });
+
+    Object.keys(DRIFT).forEach((param) => {
+      next[param] += (random() - 0.5) * DRIFT[param];
+      if (slow) next[param] += (random() - 0.5) * SLOW_DRIFT[param];
+    });
+
+    const before = { ...next };
+    Object.entries(INTERDEPENDENCIES).forEach(([param, affects]) => {
+      Object.entries(affects).forEach(([affected, factor]) => {
+        next[affected] += before[param] * factor * 0.01;
+      });
+    });
+
+    Object.keys(limits).forEach((field) => {
+      next[field] = clamp(next[field], limits[field]);
+    });
+    next.instabilityLevel = slow
+      ? computeInstability(next, random)
+      : current.instabilityLevel ?? INSTABILITY_BASE;
+    next.tick = tick;
+    return next;
+  }
+
+  // Get the first tick computed when advancing between two ticks
+  function getFirstTick(fromTick, toTick) {
+    return Math.max(fromTick, toTick - MAX_CATCH_UP_TICKS) + 1;
+  }
+
+  // Advance a state to a later tick. The deltas are folded into the first
+  // tick; ticks beyond MAX_CATCH_UP_TICKS are skipped.
+  function advance(current, toTick, seed, delta = {}) {
+    let next = { ...current };
+    let tick = getFirstTick(current.tick, toTick) - 1;
+    let pending = delta;
+    while (tick < toTick) {
+      tick += 1;
+      next = step(next, tick, seed, pending);
+      pending = {};
+    }
+    return next;
+  }
+
+  // Do two states agree on every simulated field?
+  function statesMatch(a, b) {
+    return Object.keys(getLimits())
+      .concat("instabilityLevel")
+      .every(
+        (field) =>
+          Math.abs((a[field] || 0) - (b[field] || 0)) <= REPLAY_TOLERANCE
+      );
+  }
+
+  // Submit a delta for the next tick; returns the validated delta or null
+  function submitDelta(delta, source) {
+    const valid = validateDelta(delta);
+    const inputsRef = getInputsRef();
+    if (!valid || !inputsRef) return null;
+
+    const suffix = Math.random().toString(36).slice(2, 8);
+    const id = `${source}_${Date.now()}_${suffix}`;
+    inputsRef.get(id).put({
+      ...valid,
+      source,
+      submittedAt: Date.now(),
+      appliedTick: null,
+    });
+    return valid;
+  }
+
+  // Get the deltas of the inputs applied in a tick, in id order
+  function getAppliedDeltas(tick) {
+    return Array.from(inputs.entries())
+      .filter(([, input]) => input.appliedTick === tick)
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([, input]) => validateDelta(input));
+  }
+
+  // Read the simulated fields out of a stationParams node
+  function readState(params) {
+    if (!params || typeof params.tick !== "number") return null;
+    const current = { tick: params.tick };
+    Object.keys(getLimits())
+      .concat("instabilityLevel")
+      .forEach((field) => {
+        if (typeof params[field] === "number") current[field] = params[field];
+      });
+    return current;
+  }
+
+  // Coordinator pass: fold pending inputs into the next tick and write it
+  function runTick() {
+    const stationParamsRef = window.core?.stationParamsRef;
+    if (!window.coordinator?.isCoordinator() || !stationParamsRef) return;
+    const target = getTick();
+
+    if (!state) {
+      // A station without ticks starts counting from its current values
+      stationParamsRef.once((params) => {
+        if (readState(params)) return;
+        stationParamsRef.put({ tick: target, lastUpdate: Date.now() });
+      });
+      return;
+    }
+    if (state.tick >= target) return;
+
+    const pending = Array.from(inputs.entries())
+      .filter(([, input]) => input.appliedTick == null)
+      .sort(([a], [b]) => (a < b ? -1 : 1));
+    const delta = sumDeltas(pending.map(([, input]) => validateDelta(input)));
+    const next = advance(state, target, getSeed(), delta);
+
+    const firstTick = getFirstTick(state.tick, target);
+    const inputsRef = getInputsRef();
+    pending.forEach(([id, input]) => {
+      input.appliedTick = firstTick;
+      inputsRef.get(id).put({ appliedTick: firstTick });
+    });
+    inputs.forEach((input, id) => {
+      const expired = input.appliedTick < target - INPUT_RETENTION_TICKS;
+      if (input.appliedTick != null && expired) {
+        inputs.delete(id);
+        inputsRef.get(id).put(null);
+      }
+    });
+
+    state = next;
+    stationParamsRef.put({ ...next, lastUpdate: Date.now() });
+  }
+
+  // Replay a tick written by the coordinator and warn if it differs
+  function verifyTick(previous, written) {
+    setTimeout(() => {
+      const delta = sumDeltas(getAppliedDeltas(written.tick));
+      const replayed = step(previous, written.tick, getSeed(), delta);
+      if (!statesMatch(replayed, written)) {
+        console.warn("Simulation replay differs at tick", written.tick, {
+          replayed,
+          written,
+        });
+        window.core.addLog(
+          `SIMULATION: tick ${written.tick} differs from local replay`,
+          "warning"
+        );
+      }
+    }, REPLAY_SETTLE_MS);
+  }
+
+  // Follow the station state and inputs and start ticking
+  function startSimulation() {
+    if (started) return;
+    const stationParamsRef = window.core?.stationParamsRef;
+    const inputsRef = getInputsRef();
+    if (!stationParamsRef || !inputsRef) return;
+    started = true;
+
+    inputsRef.map().on((data, id) => {
+      if (!data) {
+        inputs.delete(id);
+        return;
+      }
+      inputs.set(id, { ...data });
+    });
+
+    stationParamsRef.on((params) => {
+      const written = readState(params);
+      if (!written) return;
+      const previous = state;
+      if (previous && written.tick <= previous.tick) return;
+      state = written;
+      // Catch-up writes span several ticks and are not replayed
+      const next = previous && written.tick === previous.tick + 1;
+      if (next && !window.coordinator?.isCoordinator()) {
+        verifyTick(previous, written);
+      }
+    });
+
+    window.core.safeSetInterval(runTick, TICK_MS);
+    console.log("🌀 Station simulation started");
+  }
+
+  // Export simulation functions
+  window.simulation = {
+    TICK_MS,
+    INSTABILITY_WEIGHTS,
+    getTick,
+    getSeed,
+    validateDelta,
+    sumDeltas,
+    step,
+    advance,
+    statesMatch,
+    submitDelta,
+    startSimulation,
+  };
+})();
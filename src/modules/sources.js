@@ -0,0 +1,531 @@
+// Sources module - External event sources feeding station effects
+(function () {
+  "use strict";
+
+  // An event source is polled on its own schedule and each reading is
+  // mapped to station effects, e.g. a fast solar wind raises radiation.
+  // Readings come from a provider: the built-in fixture provider draws
+  // them from a generator seeded by the source and poll number, so it
+  // runs offline and every client would read the same values; the live
+  // provider calls each source's real endpoint through its adapter and
+  // falls back to the fixture when the call fails. Sources whose service
+  // needs an API key or a surface location stay on the fixture until they
+  // are entered, and LOCAL ONLY stations never call out.
+  //
+  // Only the station coordinator polls. The last poll of each source is
+  // kept at <station>/sources/<key>, so a new coordinator does not repeat
+  // a poll, and the effects go through the simulation as deltas.
+  //
+  // A source is { key, label, intervalMs, fixture(random), adapter?,
+  // keyRequired?, locationRequired?, toEffect(reading, previous) }, where
+  // adapter({ apiKey, location }) resolves to a reading and toEffect
+  // returns { name, effect } or null for a quiet reading.
+
+  // Providers a station can read its sources from
+  const PROVIDERS = ["fixture", "live"];
+  const STORAGE_KEY = "swanEventSources";
+  // API keys and surface locations entered on this client, by source key
+  const API_KEYS_STORAGE_KEY = "swanEventSourceKeys";
+  const LOCATIONS_STORAGE_KEY = "swanEventSourceLocations";
+  // How often the coordinator checks for sources due a poll
+  const CHECK_INTERVAL_MS = 60000;
+  // Live calls slower than this fall back to the fixture
+  const FETCH_TIMEOUT_MS = 10000;
+
+  // Fetch JSON with a timeout
+  function fetchJson(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    return fetch(url, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .finally(() => clearTimeout(timeout));
+  }
+
+  // Round to a number of decimals
+  function round(value, decimals = 0) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  // Built-in sources
+  const BUILT_IN_SOURCES = [
+    {
+      key: "solarWind",
+      label: "SOLAR WIND",
+      intervalMs: 10 * 60000,
+      // Quiet winds are the norm, fast ones come in bursts
+      fixture: (random) => ({ speed: round(300 + random() ** 2 * 500) }),
+      adapter: () =>
+        fetchJson(
+          "https://services.swpc.noaa.gov/json/solar_wind_speed.json"
+        ).then((data) => {
+          const latest = Array.isArray(data) ? data[data.length - 1] : data;
+          const speed = Number(latest?.wind_speed ?? latest?.proton_speed);
+          return Number.isFinite(speed) ? { speed } : null;
+        }),
+      // A fast wind above 500 km/s raises radiation
+      toEffect: ({ speed }) =>
+        speed > 500
+          ? {
+              name: `SOLAR WIND ${round(speed)} KM/S`,
+              effect: {
+                radiationLevel: round(Math.min(0.06, (speed - 500) / 5000), 3),
+              },
+            }
+          : null,
+    },
+    {
+      key: "earthquakes",
+      label: "SEISMIC ACTIVITY",
+      intervalMs: 15 * 60000,
+      // Small quakes are far more common than large ones
+      fixture: (random) => ({ magnitude: round(random() ** 4 * 7, 1) }),
+      adapter: () =>
+        fetchJson(
+          "https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_hour.geojson"
+        ).then((data) => ({
+          magnitude: Math.max(
+            0,
+            ...(data?.features || []).map((quake) => quake.properties?.mag || 0)
+          ),
+        })),
+      // Quakes of magnitude 4 and up send a pressure shock
+      toEffect: ({ magnitude }) =>
+        magnitude >= 4
+          ? {
+              name: `SEISMIC SHOCK M${magnitude.toFixed(1)}`,
+              effect: { pressure: -round((magnitude - 3) * 10) },
+            }
+          : null,
+    },
+    {
+      key: "weather",
+      label: "SURFACE WEATHER",
+      intervalMs: 30 * 60000,
+      fixture: (random) => ({ temperature: round(-5 + random() * 40, 1) }),
+      // OpenWeatherMap has no public demo key; the location is the
+      // station's surface, e.g. "Oslo,NO"
+      keyRequired: true,
+      locationRequired: true,
+      adapter: ({ apiKey, location }) =>
+        fetchJson(
+          `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(
+            location
+          )}&appid=${encodeURIComponent(apiKey)}&units=metric`
+        ).then((data) =>
+          typeof data?.main?.temp === "number"
+            ? { temperature: data.main.temp }
+            : null
+        ),
+      // Surface heat and frost reach the station's cooling
+      toEffect: ({ temperature }) => {
+        if (temperature > 30) {
+          return {
+            name: `SURFACE HEAT ${round(temperature)}°C`,
+            effect: { temperature: 2, humidity: 5 },
+          };
+        }
+        if (temperature < 0) {
+          return {
+            name: `SURFACE FROST ${round(temperature)}°C`,
+            effect: { temperature: -2, humidity: -5 },
+          };
+        }
+        return null;
+      },
+    },
+    {
+      key: "solarFlares",
+      label: "SOLAR FLARES",
+      intervalMs: 30 * 60000,
+      // Flare class letter and strength, e.g. "M2.4"
+      fixture: (random) => {
+        const roll = random();
+        const letter = roll > 0.95 ? "X" : roll > 0.8 ? "M" : "C";
+        return { flareClass: `${letter}${round(1 + random() * 8, 1)}` };
+      },
+      adapter: () =>
+        fetchJson("https://api.nasa.gov/DONKI/FLR?api_key=DEMO_KEY").then(
+          (data) => {
+            const latest = Array.isArray(data) ? data[data.length - 1] : null;
+            return { flareClass: latest?.classType || "A0.0" };
+          }
+        ),
+      // M and X class flares hit the power grid
+      toEffect: ({ flareClass }) => {
+        const letter = String(flareClass).charAt(0);
+        if (letter !== "M" && letter !== "X") return null;
+        return {
+          name: `SOLAR FLARE ${flareClass}`,
+          effect:
+            letter === "X"
+              ? { powerLevel: -8, radiationLevel: 0.08 }
+              : { powerLevel: -3, radiationLevel: 0.03 },
+        };
+      },
+    },
+    {
+      key: "bitcoinPrice",
+      label: "GRID DEMAND",
+      intervalMs: 10 * 60000,
+      fixture: (random) => ({ price: round(60000 * (0.94 + random() * 0.12)) }),
+      adapter: () =>
+        fetchJson(
+          "https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd"
+        ).then((data) =>
+          typeof data?.bitcoin?.usd === "number"
+            ? { price: data.bitcoin.usd }
+            : null
+        ),
+      // A price swing over 5% means a demand swing on the shared grid
+      toEffect: ({ price }, previous) => {
+        if (!previous?.price) return null;
+        const change = (price - previous.price) / previous.price;
+        if (Math.abs(change) < 0.05) return null;
+        return {
+          name: `GRID DEMAND SWING ${change > 0 ? "+" : ""}${round(
+            change * 100
+          )}%`,
+          effect: { powerLevel: change > 0 ? -4 : 2 },
+        };
+      },
+    },
+  ];
+
+  // Sources state
+  const sources = new Map(); // key -> source
+  const polling = new Set(); // keys being polled
+  let started = false;
+
+  // Get the node keeping a source's last poll
+  function getSourceRef(key) {
+    const gun = window.core?.gun;
+    return gun
+      ? window.stations.getStationRoot(gun).get("sources").get(key)
+      : null;
+  }
+
+  // Add an event source, or replace the one with the same key
+  function registerSource(source) {
+    const valid =
+      source &&
+      typeof source.key === "string" &&
+      source.intervalMs > 0 &&
+      typeof source.fixture === "function" &&
+      typeof source.toEffect === "function";
+    if (!valid) {
+      console.warn("Invalid event source skipped:", source);
+      return false;
+    }
+    sources.set(source.key, { label: source.key, ...source });
+    return true;
+  }
+
+  // Get the registered sources
+  function getSources() {
+    return Array.from(sources.values());
+  }
+
+  // Get the provider this client reads sources from
+  function getProvider() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return PROVIDERS.includes(stored) ? stored : "fixture";
+    } catch (error) {
+      return "fixture";
+    }
+  }
+
+  // Choose the provider; the live one calls the real endpoints
+  function setProvider(provider) {
+    if (!PROVIDERS.includes(provider)) return false;
+    try {
+      localStorage.setItem(STORAGE_KEY, provider);
+    } catch (error) {
+      console.warn("Failed to remember event source provider:", error);
+    }
+    window.core.addLog(
+      `Event sources now read from the ${provider} provider`,
+      "info"
+    );
+    return true;
+  }
+
+  // Read per-source settings entered on this client
+  function readSettings(storageKey) {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Get a setting entered for a source, or null
+  function getSetting(storageKey, key) {
+    const value = readSettings(storageKey)[key];
+    return typeof value === "string" && value ? value : null;
+  }
+
+  // Remember a setting for a source; an empty value forgets it
+  function setSetting(storageKey, key, value) {
+    const settings = readSettings(storageKey);
+    const trimmed = typeof value === "string" ? value.trim() : "";
+    if (trimmed) settings[key] = trimmed;
+    else delete settings[key];
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(settings));
+    } catch (error) {
+      console.warn("Failed to remember event source setting:", error);
+      return false;
+    }
+    return true;
+  }
+
+  // Get the API key entered for a source, or null
+  function getApiKey(key) {
+    return getSetting(API_KEYS_STORAGE_KEY, key);
+  }
+
+  // Remember the API key for a source; an empty value forgets it
+  function setApiKey(key, value) {
+    return setSetting(API_KEYS_STORAGE_KEY, key, value);
+  }
+
+  // Get the surface location entered for a source, or null
+  function getLocation(key) {
+    return getSetting(LOCATIONS_STORAGE_KEY, key);
+  }
+
+  // Remember the surface location for a source; an empty value forgets it
+  function setLocation(key, value) {
+    return setSetting(LOCATIONS_STORAGE_KEY, key, value);
+  }
+
+  // Can a source be read live on this client right now?
+  function canReadLive(source) {
+    if (typeof source.adapter !== "function") return false;
+    if (window.peers?.isLocalOnly()) return false;
+    if (source.keyRequired && !getApiKey(source.key)) return false;
+    return !source.locationRequired || !!getLocation(source.key);
+  }
+
+  // Get the poll number a moment falls in for a source
+  function getPollIndex(source, now = window.timer.getStationTime()) {
+    return Math.floor(now / source.intervalMs);
+  }
+
+  // Get the fixture reading of a source for a poll
+  function readFixture(source, pollIndex) {
+    const random = window.procedures.createRandom(
+      window.procedures.hashString(`source:${source.key}:${pollIndex}`)
+    );
+    return source.fixture(random);
+  }
+
+  // Read a source through the chosen provider; resolves to
+  // { reading, provider }
+  function readSource(source, pollIndex, provider = getProvider()) {
+    const fixture = () => ({
+      reading: readFixture(source, pollIndex),
+      provider: "fixture",
+    });
+    if (provider !== "live" || !canReadLive(source)) {
+      return Promise.resolve(fixture());
+    }
+
+    return Promise.resolve()
+      .then(() =>
+        source.adapter({
+          apiKey: getApiKey(source.key),
+          location: getLocation(source.key),
+        })
+      )
+      .then((reading) => (reading ? { reading, provider: "live" } : fixture()))
+      .catch((error) => {
+        console.warn(`Event source ${source.key} unavailable:`, error);
+        return fixture();
+      });
+  }
+
+  // Read a stored reading back; null when missing or unreadable
+  function parseReading(text) {
+    try {
+      return typeof text === "string" ? JSON.parse(text) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Poll one source and submit its effect
+  function pollSource(source, pollIndex) {
+    const sourceRef = getSourceRef(source.key);
+    if (!sourceRef || polling.has(source.key)) return;
+    polling.add(source.key);
+
+    sourceRef.once((last) => {
+      if (last?.pollIndex >= pollIndex) {
+        polling.delete(source.key);
+        return;
+      }
+      const previous = parseReading(last?.reading);
+
+      readSource(source, pollIndex).then(({ reading, provider }) => {
+        polling.delete(source.key);
+        if (!window.coordinator.isCoordinator()) return;
+
+        // Gun cannot store nested objects in one pass, so the reading
+        // travels as JSON
+        sourceRef.put({
+          pollIndex,
+          provider,
+          reading: JSON.stringify(reading),
+          polledAt: window.timer.getStationTime(),
+        });
+
+        const result = source.toEffect(reading, previous);
+        if (!result) return;
+        const effect = window.simulation.submitDelta(
+          result.effect,
+          `source_${source.key}`
+        );
+        if (!effect) return;
+        window.core.addLog(`${source.label}: ${result.name}`, "warning");
+        window.events?.recordEvent("random", {
+          name: result.name,
+          source: source.key,
+          operator: "SYSTEM",
+        });
+      });
+    });
+  }
+
+  // Coordinator pass: poll every source that is due
+  function checkSources() {
+    if (!window.coordinator?.isCoordinator()) return;
+    const now = window.timer.getStationTime();
+    sources.forEach((source) => pollSource(source, getPollIndex(source, now)));
+  }
+
+  // Start polling the sources
+  function startSources() {
+    if (started) return;
+    started = true;
+    checkSources();
+    window.core.safeSetInterval(checkSources, CHECK_INTERVAL_MS);
+    console.log(`📡 Event sources started (${getProvider()} provider)`);
+  }
+
+  // Build a settings row that saves its input when it changes
+  function createSettingRow(label, type, placeholder, value, save) {
+    const row = document.createElement("label");
+    row.className = "source-row";
+    row.textContent = `${label} `;
+    const input = document.createElement("input");
+    input.type = type;
+    input.className = "relay-input";
+    input.placeholder = placeholder;
+    input.value = value || "";
+    input.onchange = () => {
+      if (save(input.value)) {
+        window.core.addLog(
+          input.value.trim() ? `${label} saved` : `${label} removed`,
+          "info"
+        );
+      }
+    };
+    row.appendChild(input);
+    return row;
+  }
+
+  // Render the provider choice and the API keys and surface locations of
+  // the sources that need them into a settings panel
+  function bindSourcePanel(container) {
+    const panel = container.querySelector("#sourceSettings");
+    if (!panel) return;
+    panel.innerHTML = "";
+    const localOnly = !!window.peers?.isLocalOnly();
+
+    const providerRow = document.createElement("label");
+    providerRow.className = "source-row";
+    providerRow.textContent = "PROVIDER ";
+    const select = document.createElement("select");
+    select.className = "relay-input";
+    PROVIDERS.forEach((provider) => {
+      const option = document.createElement("option");
+      option.value = provider;
+      option.textContent =
+        provider === "live" ? "LIVE (real endpoints)" : "FIXTURE (offline)";
+      option.selected = provider === getProvider();
+      select.appendChild(option);
+    });
+    select.disabled = localOnly;
+    select.onchange = () => setProvider(select.value);
+    providerRow.appendChild(select);
+    panel.appendChild(providerRow);
+
+    if (localOnly) {
+      const note = document.createElement("div");
+      note.className = "source-note";
+      note.textContent = "LOCAL ONLY: sources read from the offline fixture";
+      panel.appendChild(note);
+      return;
+    }
+
+    getSources().forEach((source) => {
+      if (source.keyRequired) {
+        panel.appendChild(
+          createSettingRow(
+            `${source.label} KEY`,
+            "password",
+            "API key (fixture until set)",
+            getApiKey(source.key),
+            (value) => setApiKey(source.key, value)
+          )
+        );
+      }
+      if (source.locationRequired) {
+        panel.appendChild(
+          createSettingRow(
+            `${source.label} LOCATION`,
+            "text",
+            "City, e.g. Oslo,NO (fixture until set)",
+            getLocation(source.key),
+            (value) => setLocation(source.key, value)
+          )
+        );
+      }
+    });
+  }
+
+  BUILT_IN_SOURCES.forEach(registerSource);
+
+  // Export sources functions
+  window.sources = {
+    PROVIDERS,
+    registerSource,
+    getSources,
+    getProvider,
+    setProvider,
+    getApiKey,
+    setApiKey,
+    getLocation,
+    setLocation,
+    getPollIndex,
+    readFixture,
+    readSource,
+    startSources,
+    bindSourcePanel,
+  };
+
+  // Auto-initialize when dependencies are ready
+  (function autoInitialize() {
+    if (window.core && window.core.gun && window.core.safeSetInterval) {
+      startSources();
+    } else {
+      setTimeout(autoInitialize, 1000);
+    }
+  })();
+})();
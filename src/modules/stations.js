@@ -0,0 +1,272 @@
+// Stations module - Named stations, each with its own graph root
+(function () {
+  "use strict";
+
+  // The original station keeps the "swan" root so existing data stays put
+  const DEFAULT_STATION = "swan";
+  const FEATURED_STATIONS = ["swan", "pearl", "flame"];
+  // Top-level roots already used for shared data; stations cannot take them
+  const RESERVED_NAMES = [
+    "chat",
+    "leaderboard",
+    "challenges",
+    "users",
+    "test",
+    "stationDirectory",
+  ];
+  const URL_PARAM = "station";
+  const STORAGE_KEY = "swanStation";
+  const DIRECTORY_ROOT = "stationDirectory";
+
+  // Graph nodes every station has under its root
+  const STATION_NODES = {
+    setTimerRef: "timer",
+    setOperatorsRef: "operators",
+    setHistoryRef: "history",
+    setStatsRef: "stats",
+    setChatRef: "chat",
+    setTaskRef: "tasks",
+    setStationParamsRef: "stationParams",
+    setRulesRef: "rules",
+    setRosterRef: "roster",
+    setEventsRef: "events",
+  };
+
+  // Clean up a station name; returns null when it cannot be used
+  function normalizeStationName(name) {
+    if (typeof name !== "string") return null;
+    const normalized = name
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]/g, "")
+      .slice(0, 32);
+    if (!normalized || RESERVED_NAMES.includes(normalized)) return null;
+    return normalized;
+  }
+
+  // Read a station name from the URL (?station=pearl)
+  function getStationFromUrl() {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      return normalizeStationName(params.get(URL_PARAM));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Read the last joined station
+  function getStoredStation() {
+    try {
+      return normalizeStationName(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Remember a station for the next visit
+  function storeStation(name) {
+    try {
+      localStorage.setItem(STORAGE_KEY, name);
+    } catch (error) {
+      console.warn("Failed to remember station:", error);
+    }
+  }
+
+  // The station this page is wired to, fixed for the page's lifetime:
+  // deep link first, then the last joined station, then the default
+  const activeStation =
+    getStationFromUrl() || getStoredStation() || DEFAULT_STATION;
+  storeStation(activeStation);
+
+  // Get the active station's name
+  function getStationName() {
+    return activeStation;
+  }
+
+  // Get a display label such as "PEARL STATION"
+  function getStationLabel(name = activeStation) {
+    return `${name.toUpperCase()} STATION`;
+  }
+
+  // Get the graph root for a station
+  function getStationRoot(gun, name = activeStation) {
+    return gun.get(name);
+  }
+
+  // Point every core.set*Ref at the active station's root
+  function applyStationRefs(gun, core = window.core) {
+    const root = getStationRoot(gun);
+    Object.entries(STATION_NODES).forEach(([setter, node]) => {
+      if (typeof core?.[setter] === "function") {
+        core[setter](root.get(node));
+      }
+    });
+    console.log(`🛰️ Station references set for ${activeStation}`);
+  }
+
+  // Announce a listed station so others can find it in the picker
+  function registerStation(gun, name) {
+    if (!gun || FEATURED_STATIONS.includes(name)) return;
+    gun.get(DIRECTORY_ROOT).get(name).put({
+      name: name,
+      createdBy: window.core?.user?.is?.alias || "UNKNOWN",
+      lastJoined: Date.now(),
+    });
+  }
+
+  // Collect featured and listed stations
+  function listStations(gun, callback) {
+    const names = new Set(FEATURED_STATIONS);
+    callback(Array.from(names));
+    if (!gun) return;
+
+    gun
+      .get(DIRECTORY_ROOT)
+      .map()
+      .once((data) => {
+        const name = normalizeStationName(data?.name);
+        if (name && !names.has(name)) {
+          names.add(name);
+          callback(Array.from(names));
+        }
+      });
+  }
+
+  // Join a station. Unlisted (team-private) stations are not announced in
+  // the directory and can only be reached by name or link. Every listener
+  // is wired to the station root at startup, so switching reloads the page
+  // on the station's deep link; the login session survives the reload.
+  // Returns true when the page is navigating away.
+  function switchStation(name, options = {}) {
+    const station = normalizeStationName(name);
+    if (!station) {
+      if (window.core?.addLog) {
+        window.core.addLog(`Invalid station name: ${name}`, "error");
+      }
+      return false;
+    }
+
+    if (!options.unlisted) {
+      registerStation(window.core?.gun, station);
+    }
+    storeStation(station);
+
+    if (station === activeStation) return false;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set(URL_PARAM, station);
+    window.location.assign(url.toString());
+    return true;
+  }
+
+  // Markup for the station field on the login prompt
+  function renderStationField() {
+    const options = FEATURED_STATIONS.map(
+      (name) => `<option value="${name}"></option>`
+    ).join("");
+    return `
+      <div class="station-field">
+        <input type="text" id="stationName" list="stationList" placeholder="STATION" value="${activeStation}" autocomplete="off" />
+        <datalist id="stationList">${options}</datalist>
+        <label class="station-unlisted">
+          <input type="checkbox" id="stationUnlisted" /> UNLISTED (TEAM-PRIVATE)
+        </label>
+      </div>
+    `;
+  }
+
+  // Fill the login prompt's station list from the directory
+  function bindStationField(container) {
+    const datalist = container.querySelector("#stationList");
+    if (!datalist) return;
+
+    listStations(window.core?.gun, (names) => {
+      datalist.innerHTML = names
+        .map((name) => `<option value="${name}"></option>`)
+        .join("");
+    });
+  }
+
+  // Join the station chosen on the login prompt.
+  // Returns true when the page is navigating to another station.
+  function joinSelectedStation(container) {
+    const input = container?.querySelector("#stationName");
+    if (!input || !input.value.trim()) return false;
+    const unlisted = !!container.querySelector("#stationUnlisted")?.checked;
+    return switchStation(input.value, { unlisted });
+  }
+
+  // Show a picker to move to another station
+  function showStationPicker() {
+    if (document.querySelector(".station-picker")) return;
+
+    const overlay = document.createElement("div");
+    overlay.className = "overlay";
+    overlay.innerHTML = `
+      <div class="station-picker">
+        <h2>&gt; SELECT STATION</h2>
+        <p class="info">Current station: ${getStationLabel()}</p>
+        <div class="station-list" id="stationPickerList"></div>
+        ${renderStationField()}
+        <div class="button" id="joinStationBtn">JOIN</div>
+        <div class="button" id="closeStationPicker">CLOSE</div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const list = overlay.querySelector("#stationPickerList");
+    listStations(window.core?.gun, (names) => {
+      list.innerHTML = "";
+      names.forEach((name) => {
+        const button = document.createElement("div");
+        button.className = "button station-option";
+        if (name === activeStation) button.classList.add("active");
+        button.textContent = getStationLabel(name);
+        button.onclick = () => {
+          overlay.querySelector("#stationName").value = name;
+        };
+        list.appendChild(button);
+      });
+    });
+
+    overlay.querySelector("#joinStationBtn").onclick = () => {
+      if (!joinSelectedStation(overlay)) overlay.remove();
+    };
+    overlay.querySelector("#closeStationPicker").onclick = () =>
+      overlay.remove();
+  }
+
+  // Show the active station in the header and wire the picker button
+  function initializeStationUI() {
+    const stationName = document.querySelector(".station-name");
+    if (stationName) stationName.textContent = getStationLabel();
+
+    const stationBtn = document.getElementById("stationBtn");
+    if (stationBtn) {
+      stationBtn.addEventListener("click", showStationPicker);
+    }
+  }
+
+  // Export station functions
+  window.stations = {
+    DEFAULT_STATION,
+    FEATURED_STATIONS,
+    normalizeStationName,
+    getStationName,
+    getStationLabel,
+    getStationRoot,
+    applyStationRefs,
+    listStations,
+    switchStation,
+    renderStationField,
+    bindStationField,
+    joinSelectedStation,
+    showStationPicker,
+  };
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initializeStationUI);
+  } else {
+    initializeStationUI();
+  }
+})();
@@ -80,6 +80,10 @@ function updateStatsUI(newStats) {
         <button id="activeOperatorsBtn" class="stats-button">[ ACTIVE OPERATORS ]</button>
         <button id="challengeEventsBtn" class="stats-button">[ CHALLENGES ]</button>
         <button id="calibrationBtn" class="stats-button">[ CALIBRATION ]</button>
+        <button id="shiftsBtn" class="stats-button">[ SHIFTS ]</button>
+        <button id="telemetryBtn" class="stats-button">[ TELEMETRY ]</button>
+        <button id="alarmsBtn" class="stats-button">[ ALARMS ]</button>
+        <button id="exportBtn" class="stats-button">[ EXPORT ]</button>
       </div>
     </div>
   `;
@@ -118,7 +122,11 @@ function setupStatsButtonHandlers() {
     mapBtn: window.operators?.showOperatorsMap,
     activeOperatorsBtn: window.operators?.showActiveOperators,
     challengeEventsBtn: window.challenges?.showChallengeEvents,
-    calibrationBtn: window.calibration?.showCalibrationGame
+    calibrationBtn: window.calibration?.showCalibrationGame,
+    shiftsBtn: window.shifts?.showShiftRoster,
+    telemetryBtn: window.telemetry?.showTelemetry,
+    alarmsBtn: window.alarms?.showAlarmList,
+    exportBtn: window.exporter?.showExportDialog
   };
 
   Object.entries(buttons).forEach(([id, handler]) => {
@@ -129,6 +137,12 @@ function setupStatsButtonHandlers() {
   });
 }
 
+// Total from the event log, falling back to the session counters
+function getEventTotal(type) {
+  if (window.events) return window.events.getTotal(type);
+  return (type === "reset" ? stats.resets : stats.failures) || 0;
+}
+
 // Show global statistics
 function showGlobalStats() {
   const overlay = document.createElement("div");
@@ -139,11 +153,11 @@ function showGlobalStats() {
       <div class="stats-grid">
         <div class="stat-item">
           <div class="stat-label">GLOBAL RESETS</div>
-          <div class="stat-value">${stats.resets}</div>
+          <div class="stat-value">${getEventTotal("reset")}</div>
         </div>
         <div class="stat-item">
           <div class="stat-label">SYSTEM FAILURES</div>
-          <div class="stat-value">${stats.failures}</div>
+          <div class="stat-value">${getEventTotal("failure")}</div>
         </div>
         <div class="stat-item">
           <div class="stat-label">MESSAGES STORED</div>
@@ -185,29 +199,7 @@ function showNetworkAnalytics() {
       <div class="network-section">
         <h3>GUNDB RELAYS</h3>
         <div class="relay-management">
-          <div class="relay-list" id="relayList">
-            <div class="relay-item">
-              <div class="relay-status connected"></div>
-              <div class="relay-url">https://relay.shogun-eco.xyz/gun</div>
-              <div class="relay-actions">
-                <button class="relay-remove-btn" data-url="https://relay.shogun-eco.xyz/gun">REMOVE</button>
-              </div>
-            </div>
-            <div class="relay-item">
-              <div class="relay-status connected"></div>
-              <div class="relay-url">https://peer.wallie.io/gun</div>
-              <div class="relay-actions">
-                <button class="relay-remove-btn" data-url="https://peer.wallie.io/gun">REMOVE</button>
-              </div>
-            </div>
-            <div class="relay-item">
-              <div class="relay-status connected"></div>
-              <div class="relay-url">https://gun-manhattan.herokuapp.com/gun</div>
-              <div class="relay-actions">
-                <button class="relay-remove-btn" data-url="https://gun-manhattan.herokuapp.com/gun">REMOVE</button>
-              </div>
-            </div>
-          </div>
+          <div class="relay-list" id="relayList"></div>
           <div class="add-relay-section">
             <input type="text" id="newRelayUrl" placeholder="https://your-relay.com/gun" class="relay-input">
             <button id="addRelayBtn" class="terminal-button">ADD RELAY</button>
@@ -215,6 +207,11 @@ function showNetworkAnalytics() {
         </div>
       </div>
       
+      <div class="network-section">
+        <h3>EVENT SOURCES</h3>
+        <div class="source-settings" id="sourceSettings"></div>
+      </div>
+      
       <div class="network-section">
         <h3>PEER CONNECTIONS</h3>
         <div class="network-grid">
@@ -229,6 +226,25 @@ function showNetworkAnalytics() {
         </div>
       </div>
       
+      <div class="network-section">
+        <h3>THROUGHPUT</h3>
+        <div class="network-metrics">
+          <div class="metric-item">
+            <span class="metric-label">Received:</span>
+            <span class="metric-value" id="throughputIn">Loading...</span>
+          </div>
+          <div class="metric-item">
+            <span class="metric-label">Sent:</span>
+            <span class="metric-value" id="throughputOut">Loading...</span>
+          </div>
+          <div class="metric-item">
+            <span class="metric-label">Messages:</span>
+            <span class="metric-value" id="messageRate">Loading...</span>
+          </div>
+        </div>
+        <div class="relay-traffic" id="relayTraffic"></div>
+      </div>
+      
       <div class="network-section">
         <h3>STORAGE CONTRIBUTION</h3>
         <div class="network-grid">
@@ -237,7 +253,7 @@ function showNetworkAnalytics() {
             <div class="network-value" id="userContribution">Loading...</div>
           </div>
           <div class="network-item">
-            <div class="network-label">NETWORK TOTAL</div>
+            <div class="network-label">SESSION TRAFFIC</div>
             <div class="network-value" id="networkTotal">Loading...</div>
           </div>
         </div>
@@ -286,10 +302,13 @@ function showNetworkAnalytics() {
   document.body.appendChild(overlay);
 
   // Initialize network metrics
-  initializeNetworkMetrics();
+  initializeNetworkMetrics(overlay);
 
   // Initialize relay management
-  initializeRelayManagement();
+  initializeRelayManagement(overlay);
+
+  // Event source provider and keys
+  window.sources?.bindSourcePanel(overlay);
 
   const closeBtn = overlay.querySelector("#closeNetwork");
   if (closeBtn) {
@@ -298,73 +317,24 @@ function showNetworkAnalytics() {
 }
 
 // Initialize network metrics
-function initializeNetworkMetrics() {
-  // Update network metrics every 5 seconds
-  const updateMetrics = () => {
-    const activePeers = document.getElementById("activePeers");
-    const totalPeers = document.getElementById("totalPeers");
-    const userContribution = document.getElementById("userContribution");
-    const networkTotal = document.getElementById("networkTotal");
-    const syncStatus = document.getElementById("syncStatus");
-    const redundancy = document.getElementById("redundancy");
-
-    if (activePeers) activePeers.textContent = Math.floor(Math.random() * 50) + 10;
-    if (totalPeers) totalPeers.textContent = Math.floor(Math.random() * 200) + 50;
-    if (userContribution) userContribution.textContent = `${Math.floor(Math.random() * 1000) + 100} MB`;
-    if (networkTotal) networkTotal.textContent = `${Math.floor(Math.random() * 10000) + 1000} MB`;
-    if (syncStatus) syncStatus.textContent = "SYNCED";
-    if (redundancy) redundancy.textContent = `${Math.floor(Math.random() * 5) + 3}x`;
-  };
-
-  updateMetrics();
-  window.core.safeSetInterval(updateMetrics, 5000);
+function initializeNetworkMetrics(container = document) {
+  // Live peers, throughput, per-relay traffic and storage
+  window.metrics.bindNetworkPanel(container);
 }
 
 // Initialize relay management
-function initializeRelayManagement() {
-  const addRelayBtn = document.getElementById("addRelayBtn");
-  const newRelayUrl = document.getElementById("newRelayUrl");
-
-  if (addRelayBtn && newRelayUrl) {
-    window.core.safeAddEventListener(addRelayBtn, "click", () => {
-      const url = newRelayUrl.value.trim();
-      if (url) {
-        addRelay(url);
-        newRelayUrl.value = "";
-      }
-    });
-
-    window.core.safeAddEventListener(newRelayUrl, "keypress", (e) => {
-      if (e.key === "Enter") {
-        const url = newRelayUrl.value.trim();
-        if (url) {
-          addRelay(url);
-          newRelayUrl.value = "";
-        }
-      }
-    });
-  }
-
-  // Setup relay remove buttons
-  const removeButtons = document.querySelectorAll(".relay-remove-btn");
-  removeButtons.forEach(btn => {
-    window.core.safeAddEventListener(btn, "click", () => {
-      const url = btn.getAttribute("data-url");
-      removeRelay(url);
-    });
-  });
+function initializeRelayManagement(container = document) {
+  window.peers.bindRelayPanel(container);
 }
 
 // Add relay
 function addRelay(url) {
-  window.ui.addLog(`Adding relay: ${url}`, "info");
-  // Implementation for adding relay
+  return window.peers.addRelay(url);
 }
 
 // Remove relay
 function removeRelay(url) {
-  window.ui.addLog(`Removing relay: ${url}`, "info");
-  // Implementation for removing relay
+  return window.peers.removeRelay(url);
 }
 
 // Get session duration
@@ -2,69 +2,6 @@
 
 // Task system state
 let activeTasks = [];
-let taskTypes = {
-  EMERGENCY: {
-    REACTOR_CRITICAL: {
-      name: "REACTOR CRITICAL",
-      difficulty: 10,
-      timeLimit: 300000, // 5 minutes
-      description:
-        "Reactor core temperature critical. Immediate action required.",
-    },
-    COOLANT_LEAK: {
-      name: "COOLANT LEAK",
-      difficulty: 8,
-      timeLimit: 240000, // 4 minutes
-      description: "Coolant system breach detected. Containment required.",
-    },
-    POWER_GRID_FAILURE: {
-      name: "POWER GRID FAILURE",
-      difficulty: 9,
-      timeLimit: 180000, // 3 minutes
-      description: "Primary power grid offline. Emergency systems activated.",
-    },
-  },
-  CRITICAL: {
-    PRESSURE_REGULATION: {
-      name: "PRESSURE REGULATION",
-      difficulty: 6,
-      timeLimit: 300000, // 5 minutes
-      description: "Chamber pressure unstable. Manual regulation needed.",
-    },
-    TEMPERATURE_CONTROL: {
-      name: "TEMPERATURE CONTROL",
-      difficulty: 5,
-      timeLimit: 240000, // 4 minutes
-      description: "Temperature fluctuations detected. Stabilization required.",
-    },
-    FLOW_RATE_ADJUSTMENT: {
-      name: "FLOW RATE ADJUSTMENT",
-      difficulty: 4,
-      timeLimit: 180000, // 3 minutes
-      description: "Flow rate outside parameters. Adjustment needed.",
-    },
-  },
-  MAINTENANCE: {
-    SYSTEM_CALIBRATION: {
-      name: "SYSTEM CALIBRATION",
-      difficulty: 3,
-      timeLimit: 300000, // 5 minutes
-      description: "System calibration required. Precision adjustment needed.",
-    },
-    FILTER_REPLACEMENT: {
-      name: "FILTER REPLACEMENT",
-      difficulty: 2,
-      timeLimit: 240000, // 4 minutes
-      description: "Filter efficiency degraded. Replacement required.",
-    },
-    ROUTINE_CHECK: {
-      name: "ROUTINE CHECK",
-      difficulty: 1,
-      timeLimit: 180000, // 3 minutes
-      description: "Routine system check. Verification required.",
-    },
-  },
-};
 
 // Show task system
 function showTaskSystem() {
@@ -183,7 +120,7 @@ function initializeTaskSystem() {
     window.core.stationParamsRef.on((params) => {
       if (params) {
         updateStationParametersDisplay();
-        checkParameterAlerts();
+        checkParameterAlerts(params);
       }
     });
   }
@@ -194,6 +131,21 @@ function initializeTaskSystem() {
   // Start task generation
   startTaskGeneration();
 
+  // Follow the station simulation; the coordinator advances its ticks
+  window.simulation.startSimulation();
+
+  // Follow parameter alarms; the coordinator forces emergency tasks
+  window.alarms.startAlarms((definition) => ({
+    ...window.catalog.createTaskInstance(definition),
+    parameters: generateTaskParameters(definition.category, definition.key),
+  }));
+
+  // Follow incidents and, as coordinator, raise their stages
+  window.incidents.startIncidents((definition) => ({
+    ...window.catalog.createTaskInstance(definition),
+    parameters: generateTaskParameters(definition.category, definition.key),
+  }));
+
   // Start task cleanup
   startTaskCleanup();
 
@@ -292,6 +244,9 @@ function loadTasksFromGunDB() {
 
           activeTasks.push(validTask);
           console.log(`✅ Loaded active task: ${validTask.name}`);
+        } else if (task.expiresAt && currentTime >= task.expiresAt) {
+          // Expired while nobody was watching - one client resolves it
+          window.expiry.resolveExpiry({ ...task, id });
         }
       }
 
@@ -365,8 +320,19 @@ function cleanupCorruptedTasks() {
 function startTaskSynchronization() {
   if (!window.core.taskRef) return;
 
+  // Crew progress on cooperative tasks redraws the task list
+  window.crews.onCrewChange(() => updateTaskDisplay());
+
   // Listen for new tasks
   window.core.taskRef.map().on((task, id) => {
+    if (task && (task.completed || task.failed)) {
+      // Resolved elsewhere, e.g. by a crew or the expiry resolver
+      if (activeTasks.some((t) => t.id === id)) {
+        activeTasks = activeTasks.filter((t) => t.id !== id);
+        updateTaskDisplay();
+      }
+      return;
+    }
     if (task && !task.completed && !task.failed) {
       const existingTask = activeTasks.find((t) => t.id === id);
       if (!existingTask) {
@@ -390,6 +356,27 @@ function startTaskSynchronization() {
         updateTaskDisplay();
         showTaskNotification(newTask);
         console.log(`🆕 New task received: ${newTask.name}`);
+      } else {
+        // Assignment changes: accepts, abandons, handoffs and returns
+        const currentUser = window.core.user;
+        if (
+          currentUser &&
+          task.handoffTo === currentUser.alias &&
+          existingTask.handoffTo !== task.handoffTo
+        ) {
+          window.ui.addLog(
+            `Handoff offer: ${task.handoffFrom} offers you "${task.name}"`,
+            "warning"
+          );
+        }
+        Object.assign(existingTask, {
+          assignedTo: task.assignedTo || null,
+          assignedAt: task.assignedAt || null,
+          handoffTo: task.handoffTo || null,
+          handoffFrom: task.handoffFrom || null,
+          handoffAt: task.handoffAt || null,
+        });
+        updateTaskDisplay();
       }
     }
   });
@@ -397,8 +384,11 @@ function startTaskSynchronization() {
 
 // Start task generation
 function startTaskGeneration() {
-  // Generate tasks periodically
+  // Generate tasks periodically; only the station coordinator does
   window.core.safeSetInterval(() => {
+    if (!window.coordinator.isCoordinator()) return;
+    // No new tasks while the station recovers from a discharge
+    if (window.failure?.isRecovering()) return;
     if (activeTasks.length < 3) {
       generateRandomTask();
     }
@@ -408,43 +398,25 @@ function startTaskGeneration() {
 // Generate random task
 function generateRandomTask() {
   const taskType = Math.random();
-  let category, taskKey;
+  let category;
 
   if (taskType < 0.2) {
     category = "EMERGENCY";
-    const emergencyTasks = Object.keys(taskTypes.EMERGENCY);
-    taskKey = emergencyTasks[Math.floor(Math.random() * emergencyTasks.length)];
   } else if (taskType < 0.6) {
     category = "CRITICAL";
-    const criticalTasks = Object.keys(taskTypes.CRITICAL);
-    taskKey = criticalTasks[Math.floor(Math.random() * criticalTasks.length)];
   } else {
     category = "MAINTENANCE";
-    const maintenanceTasks = Object.keys(taskTypes.MAINTENANCE);
-    taskKey =
-      maintenanceTasks[Math.floor(Math.random() * maintenanceTasks.length)];
   }
 
-  const task = taskTypes[category][taskKey];
-  const taskId = crypto.randomUUID();
-
+  const task = window.catalog.pickTask(category);
   const newTask = {
-    id: taskId,
-    type: category,
-    name: task.name,
-    difficulty: task.difficulty,
-    timeLimit: task.timeLimit,
-    createdAt: Date.now(),
-    expiresAt: Date.now() + task.timeLimit,
-    assignedTo: null,
-    completed: false,
-    failed: false,
-    parameters: generateTaskParameters(category, taskKey),
+    ...window.catalog.createTaskInstance(task),
+    parameters: generateTaskParameters(category, task.key),
     forced: false,
   };
 
   if (window.core.taskRef) {
-    window.core.taskRef.get(taskId).put(newTask);
+    window.core.taskRef.get(newTask.id).put(newTask);
   }
 
   activeTasks.push(newTask);
@@ -505,37 +477,59 @@ function updateTaskDisplay() {
   taskDisplay.innerHTML = "";
 
   activeTasks.forEach((task) => {
+    const cooperative = window.crews.isCooperative(task);
     const taskElement = document.createElement("div");
-    taskElement.className = `task-item ${task.type.toLowerCase()}`;
+    taskElement.className = `task-item ${task.type.toLowerCase()}${
+      cooperative ? " task-cooperative" : ""
+    }`;
 
     const timeRemaining = Math.max(0, task.expiresAt - Date.now());
     const minutes = Math.floor(timeRemaining / 60000);
     const seconds = Math.floor((timeRemaining % 60000) / 1000);
+    const incidentNote = window.incidents.describeTask(task);
 
     taskElement.innerHTML = `
       <div class="task-header">
         <span class="task-name">${task.name}</span>
-        <span class="task-type">${task.type}</span>
+        <span class="task-type">${task.type}${cooperative ? " · CREW" : ""}</span>
       </div>
       <div class="task-details">
-        <span class="task-difficulty">Difficulty: ${task.difficulty}/10</span>
+        <span class="task-difficulty">Difficulty: ${task.difficulty}/5</span>
         <span class="task-time">Time: ${minutes}:${seconds
       .toString()
       .padStart(2, "0")}</span>
       </div>
-      <div class="task-description">${
-        taskTypes[task.type][task.name]?.description ||
-        "Task description not available"
-      }</div>
-      <div class="task-actions">
+      ${
+        incidentNote ? `<div class="task-incident">${incidentNote}</div>` : ""
+      }
+      <div class="task-description">${window.catalog.getDescription(task)}</div>
+      ${
+        cooperative
+          ? ""
+          : `<div class="task-actions">
         ${
           task.assignedTo
             ? `<button class="task-btn complete" data-task-id="${task.id}">COMPLETE</button>`
             : `<button class="task-btn accept" data-task-id="${task.id}">ACCEPT</button>`
         }
-      </div>
+      </div>`
+      }
     `;
 
+    // Cooperative tasks show their crew instead of accept/complete
+    if (cooperative) {
+      taskElement.appendChild(
+        window.crews.createCrewPanel(task, updateTaskDisplay)
+      );
+    } else {
+      // Abandon and handoff controls for tasks assigned or offered to us
+      const controls = window.assignments.createAssignmentControls(
+        task,
+        updateTaskDisplay
+      );
+      if (controls) taskElement.appendChild(controls);
+    }
+
     // Add event listeners
     const acceptBtn = taskElement.querySelector(".task-btn.accept");
     const completeBtn = taskElement.querySelector(".task-btn.complete");
@@ -613,6 +607,14 @@ function acceptTask(taskId) {
     return;
   }
 
+  if (window.crews.isCooperative(task)) {
+    window.ui.addLog(
+      "Cooperative task - join one of its roles instead",
+      "error"
+    );
+    return;
+  }
+
   task.assignedTo = currentUser.alias;
 
   if (window.core.taskRef) {
@@ -634,39 +636,71 @@ function completeTask(taskId) {
     return;
   }
 
-  const success = calculateTaskSuccess(task);
+  // Run the task's procedure; the operator's score decides the outcome
+  window.procedures.runProcedure(task).then((result) => {
+    if (!result) {
+      window.ui.addLog(
+        `Procedure for "${task.name}" aborted - task still active`,
+        "info"
+      );
+      return;
+    }
+    if (!activeTasks.some((t) => t.id === taskId)) {
+      window.ui.addLog(`Task "${task.name}" is no longer active`, "error");
+      return;
+    }
+    if (Date.now() > task.expiresAt) {
+      window.ui.addLog(
+        `Task "${task.name}" expired during the procedure`,
+        "error"
+      );
+      window.expiry.resolveExpiry(task);
+      activeTasks = activeTasks.filter((t) => t.id !== taskId);
+      updateTaskDisplay();
+      return;
+    }
+    finishTask(task, result);
+  });
+}
+
+// Apply the outcome of a finished procedure
+function finishTask(task, result) {
+  const success = calculateTaskSuccess(task, result);
+  task.procedureScore = result.score;
 
   if (success) {
     task.completed = true;
-    awardTaskPoints(task.difficulty * 10);
+    awardTaskPoints(task.difficulty * 20);
     applyTaskEffects(task);
-    window.ui.addLog(`Task "${task.name}" completed successfully!`, "success");
+    window.ui.addLog(
+      `Task "${task.name}" completed successfully! (score ${Math.round(result.score * 100)}%)`,
+      "success"
+    );
   } else {
     task.failed = true;
     applyTaskFailureEffects(task);
-    window.ui.addLog(`Task "${task.name}" failed!`, "error");
+    window.ui.addLog(
+      `Task "${task.name}" failed! (score ${Math.round(result.score * 100)}%)`,
+      "error"
+    );
   }
 
   if (window.core.taskRef) {
-    window.core.taskRef.get(taskId).put(task);
+    window.core.taskRef.get(task.id).put(task);
+  }
+  if (window.events) {
+    window.events.recordTaskOutcome(task, success ? "completed" : "failed");
   }
 
   // Remove from active tasks
-  activeTasks = activeTasks.filter((t) => t.id !== taskId);
+  activeTasks = activeTasks.filter((t) => t.id !== task.id);
   updateTaskDisplay();
   updateTaskSystemInfo();
 }
 
-// Calculate task success
-function calculateTaskSuccess(task) {
-  const timeRemaining = task.expiresAt - Date.now();
-  const timeFactor = Math.max(0, timeRemaining / task.timeLimit);
-  const difficultyFactor = (11 - task.difficulty) / 10;
-  const randomFactor = Math.random();
-
-  const successChance =
-    timeFactor * 0.4 + difficultyFactor * 0.3 + randomFactor * 0.3;
-  return successChance > 0.5;
+// Calculate task success from the procedure score
+function calculateTaskSuccess(task, result) {
+  return !!result && result.score >= window.procedures.PASS_SCORE;
 }
 
 // Award task points
@@ -696,8 +730,21 @@ function awardTaskPoints(points) {
   window.ui.addLog(`Awarded ${points} points!`, "success");
 }
 
+// Add a task outcome's catalog effects to the shared station parameters
+function applyCatalogEffects(task, outcome) {
+  const effects = window.catalog.applyEffects(task, outcome);
+  if (Object.keys(effects).length === 0) return;
+
+  window.ui.addLog(
+    `Station parameters: ${window.catalog.formatEffects(effects)}`,
+    outcome === "success" ? "success" : "error"
+  );
+}
+
 // Apply task effects
 function applyTaskEffects(task) {
+  applyCatalogEffects(task, "success");
+
   // Apply positive effects based on task type
   switch (task.type) {
     case "EMERGENCY":
@@ -723,6 +770,8 @@ function applyTaskEffects(task) {
 
 // Apply task failure effects
 function applyTaskFailureEffects(task) {
+  applyCatalogEffects(task, "failure");
+
   // Apply negative effects based on task type
   switch (task.type) {
     case "EMERGENCY":
@@ -753,10 +802,7 @@ function showTaskNotification(task) {
   notification.innerHTML = `
     <div class="notification-content">
       <h4>NEW TASK: ${task.name}</h4>
-      <p>${
-        taskTypes[task.type][task.name]?.description ||
-        "Task description not available"
-      }</p>
+      <p>${window.catalog.getDescription(task)}</p>
       <button class="notification-btn" onclick="this.parentElement.parentElement.remove()">DISMISS</button>
     </div>
   `;
@@ -807,19 +853,30 @@ function showTaskHistory() {
       filterBtns.forEach((b) => b.classList.remove("active"));
       btn.classList.add("active");
       const filter = btn.getAttribute("data-filter");
-      displayTaskHistory([], filter); // TODO: Implement actual history
+      displayTaskHistory(loadedTaskHistory, filter);
     });
   });
 }
 
-// Load task history
-function loadTaskHistory() {
-  const historyList = document.getElementById("taskHistoryList");
-  if (!historyList) return;
+// Task outcomes shown in the history view
+let loadedTaskHistory = [];
+
+// Load task outcomes from the station event log, newest first. Takes the
+// same range options as events.loadEvents and shows them when the
+// history view is open.
+function loadTaskHistory(options = { days: 7 }) {
+  if (!window.events) {
+    displayTaskHistory([], "all");
+    return Promise.resolve([]);
+  }
 
-  // TODO: Implement actual history loading from GunDB
-  historyList.innerHTML =
-    '<div class="no-history">No task history available</div>';
+  return window.events
+    .loadEvents({ ...options, types: ["task"] })
+    .then((events) => {
+      loadedTaskHistory = events.reverse();
+      displayTaskHistory(loadedTaskHistory, "all");
+      return loadedTaskHistory;
+    });
 }
 
 // Display task history
@@ -827,9 +884,57 @@ function displayTaskHistory(tasks, filter) {
   const historyList = document.getElementById("taskHistoryList");
   if (!historyList) return;
 
-  // TODO: Implement actual history display
-  historyList.innerHTML =
-    '<div class="no-history">No task history available</div>';
+  // Expired tasks count as failed
+  const shown = tasks.filter(
+    (task) =>
+      filter === "all" ||
+      (filter === "completed" && task.outcome === "completed") ||
+      (filter === "failed" && task.outcome !== "completed")
+  );
+
+  historyList.innerHTML = "";
+  if (shown.length === 0) {
+    historyList.innerHTML =
+      '<div class="no-history">No task history available</div>';
+    return;
+  }
+
+  shown.forEach((task) => {
+    const item = document.createElement("div");
+    item.className = `history-task-item ${
+      task.outcome === "completed" ? "completed" : "failed"
+    }`;
+    if (task.taskType === "EMERGENCY") item.classList.add("emergency");
+
+    const header = document.createElement("div");
+    header.className = "history-task-header";
+    const name = document.createElement("span");
+    name.className = "history-task-name";
+    name.textContent = task.name || "Unknown Task";
+    const type = document.createElement("span");
+    type.className = "history-task-type";
+    type.textContent = task.taskType || "TASK";
+    header.appendChild(name);
+    header.appendChild(type);
+
+    const details = document.createElement("div");
+    details.className = "history-task-details";
+    [
+      (task.outcome || "unknown").toUpperCase(),
+      `Operator: ${task.operator || "--"}`,
+      `Difficulty: ${task.difficulty || "--"}`,
+      new Date(task.timestamp).toLocaleString(),
+    ].forEach((text, index) => {
+      const detail = document.createElement("span");
+      if (index === 0) detail.className = "history-task-status";
+      detail.textContent = text;
+      details.appendChild(detail);
+    });
+
+    item.appendChild(header);
+    item.appendChild(details);
+    historyList.appendChild(item);
+  });
 }
 
 // Start task monitoring
@@ -839,10 +944,8 @@ function startTaskMonitoring() {
     const currentTime = Date.now();
     activeTasks = activeTasks.filter((task) => {
       if (currentTime >= task.expiresAt && !task.completed && !task.failed) {
-        task.failed = true;
-        if (window.core.taskRef) {
-          window.core.taskRef.get(task.id).put(task);
-        }
+        // One client claims the expiry and applies its failure effects
+        window.expiry.resolveExpiry(task);
         window.ui.addLog(`Task "${task.name}" expired!`, "error");
         return false;
       }
@@ -863,14 +966,16 @@ function startTaskCleanup() {
     activeTasks = activeTasks.filter((task) => {
       return currentTime < task.expiresAt || task.completed || task.failed;
     });
+    // Tasks of operators who went offline go back to the pool
+    window.assignments.returnLapsedTasks(activeTasks);
     updateTaskDisplay();
   }, 60000); // Every minute
 }
 
 // Check parameter alerts
-function checkParameterAlerts() {
-  // TODO: Implement parameter alert checking
-  console.log("Checking parameter alerts...");
+function checkParameterAlerts(params) {
+  // The alarms module raises, escalates and clears parameter alarms
+  window.alarms.checkParameters(params);
 }
 
 // Export tasks functions
@@ -902,6 +1007,5 @@ window.tasks = {
   startTaskMonitoring,
   startTaskCleanup,
   checkParameterAlerts,
-  taskTypes,
   activeTasks,
 };
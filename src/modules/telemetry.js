@@ -0,0 +1,402 @@
+// Telemetry module - Station parameter recorder and telemetry charts
+(function () {
+  "use strict";
+
+  // Samples the shared station parameters and folds them into buckets at
+  // three resolutions under <station>/telemetry/<resolution>/<bucketStart>.
+  // Every client records the same shared values, so a closed bucket is
+  // only written when it holds more samples than the one already stored.
+
+  const PARAMETERS = [
+    "powerLevel",
+    "oxygenLevel",
+    "temperature",
+    "radiationLevel",
+    "pressure",
+    "humidity",
+    "instabilityLevel",
+  ];
+
+  const PARAMETER_LABELS = {
+    powerLevel: "POWER (%)",
+    oxygenLevel: "OXYGEN (%)",
+    temperature: "TEMPERATURE (°C)",
+    radiationLevel: "RADIATION",
+    pressure: "PRESSURE (hPa)",
+    humidity: "HUMIDITY (%)",
+    instabilityLevel: "INSTABILITY",
+  };
+
+  // Chart scales, wide enough for the clamped parameter ranges in practice
+  const CHART_RANGES = {
+    powerLevel: [0, 100],
+    oxygenLevel: [0, 100],
+    temperature: [-10, 50],
+    radiationLevel: [0, 1],
+    pressure: [850, 1150],
+    humidity: [0, 100],
+    instabilityLevel: [0, 1],
+  };
+
+  // Instability above 0.7 is what the task generator treats as high
+  const INSTABILITY_BAND = { max: 0.7 };
+
+  const RESOLUTIONS = {
+    minute: {
+      label: "1 MIN",
+      bucketMs: 60000,
+      retainMs: 6 * 60 * 60000,
+      viewMs: 2 * 60 * 60000,
+    },
+    quarter: {
+      label: "15 MIN",
+      bucketMs: 15 * 60000,
+      retainMs: 7 * 24 * 60 * 60000,
+      viewMs: 24 * 60 * 60000,
+    },
+    hour: {
+      label: "1 HOUR",
+      bucketMs: 60 * 60000,
+      retainMs: 30 * 24 * 60 * 60000,
+      viewMs: 7 * 24 * 60 * 60000,
+    },
+  };
+
+  const SAMPLE_INTERVAL_MS = 10000;
+  // How long to wait for stored buckets to arrive
+  const LOAD_SETTLE_MS = 1500;
+  const MARKER_TYPES = ["random", "task", "failure"];
+
+  // Telemetry state
+  let latestParams = null;
+  let samplerInterval = null;
+  const openBuckets = {}; // resolution -> bucket being filled
+
+  // Get the telemetry node
+  function getTelemetryRef() {
+    const gun = window.core?.gun;
+    return gun ? window.stations.getStationRoot(gun).get("telemetry") : null;
+  }
+
+  // Get the start of the bucket containing a time
+  function getBucketStart(time, bucketMs) {
+    return Math.floor(time / bucketMs) * bucketMs;
+  }
+
+  // Start an empty bucket
+  function createBucket(bucketStart) {
+    return { bucketStart, samples: 0, counts: {}, sums: {}, mins: {}, maxs: {} };
+  }
+
+  // Fold one sample into a bucket
+  function addSample(bucket, params) {
+    bucket.samples++;
+    PARAMETERS.forEach((param) => {
+      const value = params[param];
+      if (typeof value !== "number" || !isFinite(value)) return;
+      bucket.counts[param] = (bucket.counts[param] || 0) + 1;
+      bucket.sums[param] = (bucket.sums[param] || 0) + value;
+      bucket.mins[param] = Math.min(bucket.mins[param] ?? value, value);
+      bucket.maxs[param] = Math.max(bucket.maxs[param] ?? value, value);
+    });
+    return bucket;
+  }
+
+  // Flatten a bucket into a graph node: <param>_avg, _min and _max
+  function summarizeBucket(bucket, bucketMs) {
+    const node = {
+      bucketStart: bucket.bucketStart,
+      bucketEnd: bucket.bucketStart + bucketMs,
+      samples: bucket.samples,
+    };
+    PARAMETERS.forEach((param) => {
+      if (bucket.sums[param] === undefined) return;
+      node[`${param}_avg`] = bucket.sums[param] / bucket.counts[param];
+      node[`${param}_min`] = bucket.mins[param];
+      node[`${param}_max`] = bucket.maxs[param];
+    });
+    return node;
+  }
+
+  // Store a closed bucket unless a fuller one is already there, then drop
+  // the bucket that just fell out of the retention window
+  function storeBucket(resolution, bucket) {
+    const telemetryRef = getTelemetryRef();
+    const { bucketMs, retainMs } = RESOLUTIONS[resolution];
+    if (!telemetryRef || bucket.samples === 0) return;
+
+    const resolutionRef = telemetryRef.get(resolution);
+    const bucketRef = resolutionRef.get(String(bucket.bucketStart));
+    bucketRef.once((existing) => {
+      if (existing?.samples >= bucket.samples) return;
+      bucketRef.put(summarizeBucket(bucket, bucketMs));
+    });
+    resolutionRef.get(String(bucket.bucketStart - retainMs)).put(null);
+  }
+
+  // Take one sample of the latest parameters
+  function takeSample(now = window.timer.getStationTime()) {
+    if (!latestParams) return;
+
+    Object.entries(RESOLUTIONS).forEach(([resolution, { bucketMs }]) => {
+      const bucketStart = getBucketStart(now, bucketMs);
+      const open = openBuckets[resolution];
+      if (open && open.bucketStart !== bucketStart) {
+        storeBucket(resolution, open);
+      }
+      if (!open || open.bucketStart !== bucketStart) {
+        openBuckets[resolution] = createBucket(bucketStart);
+      }
+      addSample(openBuckets[resolution], latestParams);
+    });
+  }
+
+  // Follow the station parameters and start sampling
+  function startRecorder() {
+    if (samplerInterval) return;
+    const stationParamsRef = window.core?.stationParamsRef;
+    if (!stationParamsRef) return;
+
+    stationParamsRef.on((data) => {
+      if (!data) return;
+      latestParams = { ...latestParams };
+      PARAMETERS.forEach((param) => {
+        if (typeof data[param] === "number") latestParams[param] = data[param];
+      });
+    });
+
+    samplerInterval = window.core.safeSetInterval(
+      () => takeSample(),
+      SAMPLE_INTERVAL_MS
+    );
+    console.log("📈 Telemetry recorder started");
+  }
+
+  // Load the stored buckets of a resolution from a time on, oldest first.
+  // The bucket still being filled locally is included.
+  function loadSeries(resolution, since) {
+    return new Promise((resolve) => {
+      const telemetryRef = getTelemetryRef();
+      const { bucketMs } = RESOLUTIONS[resolution];
+      const buckets = new Map();
+
+      const open = openBuckets[resolution];
+      if (open && open.samples > 0 && open.bucketStart >= since) {
+        buckets.set(open.bucketStart, summarizeBucket(open, bucketMs));
+      }
+
+      if (!telemetryRef) {
+        resolve(Array.from(buckets.values()));
+        return;
+      }
+
+      telemetryRef
+        .get(resolution)
+        .map()
+        .once((data) => {
+          if (typeof data?.bucketStart !== "number") return;
+          if (data.bucketStart < since) return;
+          const known = buckets.get(data.bucketStart);
+          if (!known || known.samples < data.samples) {
+            buckets.set(data.bucketStart, data);
+          }
+        });
+
+      // GunDB is asynchronous - give the buckets a moment to arrive
+      setTimeout(() => {
+        resolve(
+          Array.from(buckets.values()).sort(
+            (a, b) => a.bucketStart - b.bucketStart
+          )
+        );
+      }, LOAD_SETTLE_MS);
+    });
+  }
+
+  // Load random events, task outcomes and failures to mark on the charts
+  function loadMarkers(since) {
+    if (!window.events) return Promise.resolve([]);
+    const elapsed = window.timer.getStationTime() - since;
+    const days = Math.ceil(elapsed / (24 * 60 * 60000)) + 1;
+    return window.events
+      .loadEvents({ days, types: MARKER_TYPES })
+      .then((events) => events.filter((event) => event.timestamp >= since));
+  }
+
+  // Colour of a marker line
+  function getMarkerColor(event) {
+    if (event.type === "random") return "#ffaa00";
+    if (event.type === "failure") return "#ff0000";
+    return event.outcome === "completed" ? "#00ff00" : "#ff4444";
+  }
+
+  // Get the safe band of a parameter: its critical alarm range
+  function getSafeBand(param) {
+    if (param === "instabilityLevel") return INSTABILITY_BAND;
+    const range = window.rules.getRules().thresholds[param]?.critical;
+    return range ? { min: range[0], max: range[1] } : {};
+  }
+
+  // Draw one parameter chart
+  function drawChart(canvas, param, series, markers, from, to) {
+    const ctx = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const [low, high] = CHART_RANGES[param];
+    const band = getSafeBand(param);
+    const x = (time) => ((time - from) / (to - from)) * width;
+    const y = (value) =>
+      height - ((Math.max(low, Math.min(high, value)) - low) / (high - low)) * height;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Unsafe zones outside the band
+    ctx.fillStyle = "rgba(255, 0, 0, 0.12)";
+    if (band.max !== undefined) ctx.fillRect(0, 0, width, y(band.max));
+    if (band.min !== undefined) {
+      ctx.fillRect(0, y(band.min), width, height - y(band.min));
+    }
+
+    // Event markers
+    markers.forEach((event) => {
+      ctx.strokeStyle = getMarkerColor(event);
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x(event.timestamp), 0);
+      ctx.lineTo(x(event.timestamp), height);
+      ctx.stroke();
+    });
+
+    const points = series.filter(
+      (bucket) => typeof bucket[`${param}_avg`] === "number"
+    );
+    if (points.length === 0) {
+      ctx.fillStyle = "#666";
+      ctx.font = "12px monospace";
+      ctx.textAlign = "center";
+      ctx.fillText("No telemetry recorded", width / 2, height / 2);
+      return;
+    }
+
+    // Min/max range of each bucket
+    ctx.fillStyle = "rgba(0, 255, 0, 0.15)";
+    points.forEach((bucket) => {
+      const left = x(bucket.bucketStart);
+      const right = x(bucket.bucketEnd);
+      const top = y(bucket[`${param}_max`]);
+      ctx.fillRect(left, top, Math.max(1, right - left), y(bucket[`${param}_min`]) - top);
+    });
+
+    // Average line through the bucket centres
+    ctx.strokeStyle = "#00ff00";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((bucket, index) => {
+      const px = x((bucket.bucketStart + bucket.bucketEnd) / 2);
+      const py = y(bucket[`${param}_avg`]);
+      if (index === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+  }
+
+  // Show the telemetry screen
+  function showTelemetry() {
+    if (document.querySelector(".telemetry-modal")) return;
+
+    const overlay = document.createElement("div");
+    overlay.className = "overlay";
+    overlay.innerHTML = `
+      <div class="telemetry-modal">
+        <h2>&gt; STATION TELEMETRY</h2>
+        <div class="telemetry-resolutions" id="telemetryResolutions"></div>
+        <div class="telemetry-legend">
+          <span class="legend-random">RANDOM EVENT</span>
+          <span class="legend-completed">TASK COMPLETED</span>
+          <span class="legend-failed">TASK FAILED / EXPIRED</span>
+          <span class="legend-failure">SYSTEM FAILURE</span>
+        </div>
+        <div class="telemetry-status" id="telemetryStatus"></div>
+        <div class="telemetry-charts" id="telemetryCharts"></div>
+        <div class="button" id="closeTelemetry">CLOSE</div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const status = overlay.querySelector("#telemetryStatus");
+    const charts = overlay.querySelector("#telemetryCharts");
+    const canvases = {};
+    PARAMETERS.forEach((param) => {
+      const row = document.createElement("div");
+      row.className = "telemetry-chart";
+      const label = document.createElement("div");
+      label.className = "telemetry-label";
+      label.textContent = PARAMETER_LABELS[param];
+      const canvas = document.createElement("canvas");
+      canvas.width = 560;
+      canvas.height = 90;
+      row.appendChild(label);
+      row.appendChild(canvas);
+      charts.appendChild(row);
+      canvases[param] = canvas;
+    });
+
+    let resolution = "minute";
+    const render = () => {
+      const to = window.timer.getStationTime();
+      const from = to - RESOLUTIONS[resolution].viewMs;
+      status.textContent = "LOADING TELEMETRY...";
+      Promise.all([loadSeries(resolution, from), loadMarkers(from)]).then(
+        ([series, markers]) => {
+          if (!document.body.contains(overlay)) return;
+          status.textContent = `${series.length} BUCKETS · ${markers.length} EVENTS`;
+          PARAMETERS.forEach((param) => {
+            drawChart(canvases[param], param, series, markers, from, to);
+          });
+        }
+      );
+    };
+
+    const buttons = overlay.querySelector("#telemetryResolutions");
+    Object.entries(RESOLUTIONS).forEach(([key, { label }]) => {
+      const button = document.createElement("button");
+      button.className = "terminal-button";
+      button.textContent = label;
+      if (key === resolution) button.classList.add("active");
+      button.onclick = () => {
+        resolution = key;
+        buttons
+          .querySelectorAll("button")
+          .forEach((other) => other.classList.toggle("active", other === button));
+        render();
+      };
+      buttons.appendChild(button);
+    });
+
+    render();
+    overlay.querySelector("#closeTelemetry").onclick = () => overlay.remove();
+  }
+
+  // Export telemetry functions
+  window.telemetry = {
+    PARAMETERS,
+    getSafeBand,
+    RESOLUTIONS,
+    startRecorder,
+    takeSample,
+    getBucketStart,
+    createBucket,
+    addSample,
+    summarizeBucket,
+    loadSeries,
+    showTelemetry,
+  };
+
+  // Auto-initialize when dependencies are ready
+  (function autoInitialize() {
+    if (window.core && window.core.gun && window.core.stationParamsRef) {
+      startRecorder();
+    } else {
+      setTimeout(autoInitialize, 1000);
+    }
+  })();
+})();
@@ -3,7 +3,7 @@
 function testModules() {
   console.log("🧪 Testing modules...");
 
-  const tests = [testCoreModule, testUIModule, testAuthModule, testTimerModule, testStatsModule, testTasksModule, testChatModule];
+  const tests = [testCoreModule, testUIModule, testAuthModule, testPeersModule, testMetricsModule, testStationsModule, testRulesModule, testCatalogModule, testProceduresModule, testFlipclockModule, testTimerModule, testFailureModule, testShiftsModule, testEventsModule, testExpiryModule, testCoordinatorModule, testCrewsModule, testAssignmentsModule, testIncidentsModule, testSimulationModule, testAlarmsModule, testSourcesModule, testCalibrationModule, testTelemetryModule, testExporterModule, testStatsModule, testTasksModule, testChatModule];
 
   let passed = 0;
   let failed = 0;
@@ -88,6 +88,611 @@ function testAuthModule() {
   console.log("✅ Auth module functions available");
 }
 
+function testMetricsModule() {
+  if (!window.metrics) {
+    throw new Error("Metrics module not loaded");
+  }
+
+  if (typeof window.metrics.getSnapshot !== "function") {
+    throw new Error("Metrics getSnapshot function missing");
+  }
+
+  if (
+    window.metrics.formatBytes(512) !== "512 B" ||
+    window.metrics.formatBytes(2048) !== "2.0 KB"
+  ) {
+    throw new Error("Byte counts formatted incorrectly");
+  }
+}
+
+function testStationsModule() {
+  if (!window.stations) {
+    throw new Error("Stations module not loaded");
+  }
+
+  const { normalizeStationName } = window.stations;
+  if (
+    normalizeStationName(" Pearl ") !== "pearl" ||
+    normalizeStationName("leaderboard") !== null ||
+    normalizeStationName("") !== null
+  ) {
+    throw new Error("Station names not normalized correctly");
+  }
+
+  if (!window.stations.getStationName()) {
+    throw new Error("No active station");
+  }
+}
+
+function testPeersModule() {
+  if (!window.peers) {
+    throw new Error("Peers module not loaded");
+  }
+
+  if (
+    window.peers.normalizePeerUrl("192.168.1.20:8765") !==
+      "http://192.168.1.20:8765/gun" ||
+    window.peers.normalizePeerUrl("ftp://example.com") !== null
+  ) {
+    throw new Error("Peer URLs not normalized");
+  }
+
+  // A local relay in the config file drops the public peers
+  const config = window.peers.fromConfigFile({
+    peers: ["http://192.168.1.20:8765/gun"],
+  });
+  if (!config?.localOnly || config.peers.length !== 1) {
+    throw new Error("Config file not read as local only");
+  }
+
+  if (typeof window.peers.probeRelay !== "function") {
+    throw new Error("Peers probeRelay function missing");
+  }
+
+  // A relay the mesh has never dialled is not connected
+  if (window.peers.getConnectionState("http://unknown.invalid/gun") !== "disconnected") {
+    throw new Error("Unknown relay reported as connected");
+  }
+}
+
+function testRulesModule() {
+  if (!window.rules) {
+    throw new Error("Rules module not loaded");
+  }
+
+  // Invalid fields fall back to the defaults
+  const rules = window.rules.fromGraph({
+    cycleMinutes: 10,
+    entryWindowMinutes: -1,
+    codes: "1 2 3, 4 8 15 16 23 42",
+  });
+  if (
+    rules.cycleMinutes !== 10 ||
+    rules.entryWindowMinutes !== window.rules.DEFAULT_RULES.entryWindowMinutes ||
+    rules.codes.length !== 2
+  ) {
+    throw new Error("Rules not read from graph data correctly");
+  }
+
+  if (!window.rules.isAcceptedCode(window.rules.getRules().codes[0])) {
+    throw new Error("Rules do not accept their own code");
+  }
+
+  // Cycle lengths written by others need not match the loaded rules
+  if (
+    !window.rules.isValidCycleDurationMs(10 * 60000) ||
+    window.rules.isValidCycleDurationMs(0) ||
+    window.rules.isValidCycleDurationMs("6480000")
+  ) {
+    throw new Error("Rules check written cycle lengths incorrectly");
+  }
+
+  // Threshold ranges must each hold the one before
+  const thresholds = window.rules.fromGraph({
+    thresholdPressure: "990,1010,970,1030,960,1040,920,1080",
+    thresholdHumidity: "40,60,30,70,35,65,20,80",
+  }).thresholds;
+  if (
+    thresholds.pressure.critical[0] !== 920 ||
+    thresholds.humidity.warning[0] !==
+      window.rules.DEFAULT_RULES.thresholds.humidity.warning[0]
+  ) {
+    throw new Error("Rules thresholds not read from graph data correctly");
+  }
+}
+
+function testFlipclockModule() {
+  if (!window.flipclock) {
+    throw new Error("Flipclock module not loaded");
+  }
+
+  const element = document.createElement("div");
+  const display = window.flipclock.getFlipDisplay(element);
+  display.setText("12:34");
+  if (element.textContent !== "12:34") {
+    throw new Error("Flip display text does not match");
+  }
+
+  display.setMode("hieroglyphs");
+  if (
+    element.textContent === "12:34" ||
+    !element.classList.contains("hieroglyphs")
+  ) {
+    throw new Error("Flip display did not switch glyph set");
+  }
+  display.destroy();
+}
+
+function testFailureModule() {
+  if (!window.failure) {
+    throw new Error("Failure module not loaded");
+  }
+
+  if (typeof window.failure.begin !== "function") {
+    throw new Error("Failure begin function missing");
+  }
+
+  const cycle = { cycleStart: 0, duration: 1000 };
+  const { getPhaseForCycle, getRecoveryCycleStart, getFailureRules } =
+    window.failure;
+  if (
+    getPhaseForCycle(cycle, 500) !== "idle" ||
+    getPhaseForCycle(cycle, 1000) !== "hieroglyphs" ||
+    getPhaseForCycle(cycle, 1000 + getFailureRules().hieroglyphPhaseMs) !==
+      "recovery" ||
+    getPhaseForCycle(cycle, getRecoveryCycleStart(cycle)) !== "restart"
+  ) {
+    throw new Error("Failure phases out of order");
+  }
+}
+
+function testShiftsModule() {
+  if (!window.shifts) {
+    throw new Error("Shifts module not loaded");
+  }
+
+  if (typeof window.shifts.claimShift !== "function") {
+    throw new Error("Shifts claimShift function missing");
+  }
+
+  // Blocks are aligned, contiguous and contain the time they were asked for
+  const duration = window.shifts.getShiftDurationMs();
+  const time = 5 * duration + 1234;
+  const block = window.shifts.getBlockAt(time);
+  const upcoming = window.shifts.getUpcomingBlocks(time, 2);
+  if (
+    block.blockStart !== 5 * duration ||
+    block.blockEnd !== 6 * duration ||
+    upcoming[0].blockStart !== block.blockStart ||
+    upcoming[1].blockStart !== block.blockEnd
+  ) {
+    throw new Error("Shift blocks not aligned");
+  }
+}
+
+function testEventsModule() {
+  if (!window.events) {
+    throw new Error("Events module not loaded");
+  }
+
+  if (typeof window.events.recordEvent !== "function") {
+    throw new Error("Events recordEvent function missing");
+  }
+
+  // Day buckets are UTC and run oldest first
+  const now = Date.UTC(2025, 0, 2, 0, 30);
+  if (window.events.getDayKey(now) !== "2025-01-02") {
+    throw new Error("Event day key not UTC");
+  }
+  const days = window.events.getRecentDayKeys(2, now);
+  if (days[0] !== "2025-01-01" || days[1] !== "2025-01-02") {
+    throw new Error("Event day buckets out of order");
+  }
+}
+
+function testExpiryModule() {
+  if (!window.expiry) {
+    throw new Error("Expiry module not loaded");
+  }
+
+  // Completed, applied and procedure-failed tasks are settled
+  const { isSettled, isClaimable, CLAIM_STALE_MS } = window.expiry;
+  if (
+    !isSettled({ completed: true }) ||
+    !isSettled({ expiryApplied: true }) ||
+    !isSettled({ failed: true }) ||
+    isSettled({ failed: true, expiryClaimedBy: "pub" })
+  ) {
+    throw new Error("Expiry settled check incorrect");
+  }
+
+  // Only expired tasks can be claimed, and others' claims only once stale
+  const now = Date.now();
+  const expired = { expiresAt: now - 1000 };
+  const fresh = { ...expired, expiryClaimedBy: "other", expiryClaimedAt: now };
+  const stale = { ...fresh, expiryClaimedAt: now - CLAIM_STALE_MS };
+  if (isClaimable({ expiresAt: now + 1000 }, "me", now)) {
+    throw new Error("Unexpired task claimable");
+  }
+  if (
+    !isClaimable(expired, "me", now) ||
+    isClaimable(fresh, "me", now) ||
+    !isClaimable(stale, "me", now)
+  ) {
+    throw new Error("Expiry claim rules incorrect");
+  }
+}
+
+function testAlarmsModule() {
+  if (!window.alarms) {
+    throw new Error("Alarms module not loaded");
+  }
+
+  // Levels follow the threshold table
+  const { getLevel, isOptimal, isAcknowledged } = window.alarms;
+  const thresholds = window.rules.DEFAULT_RULES.thresholds;
+  if (
+    getLevel("pressure", 1013, thresholds) !== "nominal" ||
+    getLevel("pressure", 1045, thresholds) !== "caution" ||
+    getLevel("pressure", 945, thresholds) !== "warning" ||
+    getLevel("pressure", 1200, thresholds) !== "critical"
+  ) {
+    throw new Error("Alarm levels incorrect");
+  }
+  if (!isOptimal("humidity", 50, thresholds) || isOptimal("humidity", 65)) {
+    throw new Error("Optimal range check incorrect");
+  }
+
+  // An acknowledgement holds until the alarm escalates past it
+  const alarm = { level: "warning", acknowledgedLevel: "warning" };
+  if (
+    !isAcknowledged(alarm) ||
+    isAcknowledged({ ...alarm, level: "critical" })
+  ) {
+    throw new Error("Alarm acknowledgement incorrect");
+  }
+}
+
+function testSourcesModule() {
+  if (!window.sources) {
+    throw new Error("Sources module not loaded");
+  }
+
+  // Fixture readings depend only on the source and poll number
+  const { getSources, readFixture, registerSource } = window.sources;
+  const solarWind = getSources().find((source) => source.key === "solarWind");
+  const reading = JSON.stringify(readFixture(solarWind, 1234));
+  if (reading !== JSON.stringify(readFixture(solarWind, 1234))) {
+    throw new Error("Fixture readings not deterministic");
+  }
+
+  // Readings map to station effects
+  const effect = solarWind.toEffect({ speed: 700 });
+  if (
+    !(effect?.effect.radiationLevel > 0) ||
+    solarWind.toEffect({ speed: 400 })
+  ) {
+    throw new Error("Solar wind effect mapping incorrect");
+  }
+  const quakes = getSources().find((source) => source.key === "earthquakes");
+  if (!(quakes.toEffect({ magnitude: 5.2 })?.effect.pressure < 0)) {
+    throw new Error("Earthquake effect mapping incorrect");
+  }
+
+  if (registerSource({ key: "broken" })) {
+    throw new Error("Invalid event source registered");
+  }
+}
+
+function testCalibrationModule() {
+  if (!window.calibration) {
+    throw new Error("Calibration module not loaded");
+  }
+
+  // Noise is pure given its random source, and stays put without kicks
+  const { stepNoise, computeScore, parseTimeline } = window.calibration;
+  const still = stepNoise(0, 0, 1, 0.016, () => 0.5);
+  if (still.noise !== 0 || still.velocity !== 0) {
+    throw new Error("Calibration noise moves without a kick");
+  }
+
+  // The score keeps the best so far
+  if (computeScore(0, 3, 12500) !== 312 || computeScore(500, 1, 0) !== 500) {
+    throw new Error("Calibration score incorrect");
+  }
+
+  const timeline = parseTimeline("0:0:4,2:402:4");
+  if (timeline.length !== 2 || timeline[1].score !== 402) {
+    throw new Error("Calibration timeline parsed incorrectly");
+  }
+
+  // Bars only move while a session runs
+  if (!window.calibration.isSessionActive()) {
+    if (window.calibration.adjustBar("powerLevel", 1)) {
+      throw new Error("Calibration bar moved outside a session");
+    }
+  }
+}
+
+function testTelemetryModule() {
+  if (!window.telemetry) {
+    throw new Error("Telemetry module not loaded");
+  }
+
+  if (typeof window.telemetry.showTelemetry !== "function") {
+    throw new Error("Telemetry showTelemetry function missing");
+  }
+
+  // Buckets keep the average, minimum and maximum of their samples
+  const bucket = window.telemetry.createBucket(
+    window.telemetry.getBucketStart(90000, 60000)
+  );
+  window.telemetry.addSample(bucket, { powerLevel: 40 });
+  window.telemetry.addSample(bucket, { powerLevel: 60 });
+  const summary = window.telemetry.summarizeBucket(bucket, 60000);
+  if (
+    summary.bucketStart !== 60000 ||
+    summary.powerLevel_avg !== 50 ||
+    summary.powerLevel_min !== 40 ||
+    summary.powerLevel_max !== 60
+  ) {
+    throw new Error("Telemetry buckets summarised incorrectly");
+  }
+}
+
+function testExporterModule() {
+  if (!window.exporter) {
+    throw new Error("Exporter module not loaded");
+  }
+
+  if (typeof window.exporter.exportData !== "function") {
+    throw new Error("Exporter exportData function missing");
+  }
+
+  // CSV headers follow the schema and awkward fields are quoted
+  const csv = window.exporter.toCsv("chat", [
+    { timestamp: "2025-01-01T00:00:00.000Z", who: "desmond", what: 'say "4, 8"' },
+  ]);
+  if (csv !== 'timestamp,who,what\r\n2025-01-01T00:00:00.000Z,desmond,"say ""4, 8"""\r\n') {
+    throw new Error("Exporter CSV escaping incorrect");
+  }
+}
+
+function testCatalogModule() {
+  if (!window.catalog) {
+    throw new Error("Catalog module not loaded");
+  }
+
+  // Every category can generate a task and tasks are found by name too
+  window.catalog.CATEGORIES.forEach((category) => {
+    const task = window.catalog.pickTask(category);
+    if (!task || task.category !== category) {
+      throw new Error(`Catalog has no ${category} task`);
+    }
+    if (window.catalog.findTask({ name: task.name })?.key !== task.key) {
+      throw new Error(`Catalog cannot find ${task.name} by name`);
+    }
+  });
+
+  // Catalog files are checked entry by entry
+  const { catalog, errors } = window.catalog.fromCatalogFile({
+    tasks: { broken: { name: "BROKEN", category: "NOPE" } },
+  });
+  if (!catalog || catalog.broken || errors.length !== 1) {
+    throw new Error("Catalog file validation incorrect");
+  }
+
+  // Cooperative tasks need at least two distinct roles
+  const solo = window.catalog.fromCatalogFile({
+    tasks: {
+      solo: { ...window.catalog.DEFAULT_CATALOG.containmentBreach, roles: ["KEY A"] },
+    },
+  });
+  if (solo.catalog.solo || solo.errors.length !== 1) {
+    throw new Error("Catalog role validation incorrect");
+  }
+}
+
+function testProceduresModule() {
+  if (!window.procedures) {
+    throw new Error("Procedures module not loaded");
+  }
+
+  // The same task always lays out the same procedure
+  const task = {
+    id: "task_test",
+    difficulty: 3,
+    parameters: { targetTemp: 21, currentTemp: 30 },
+  };
+  const first = window.procedures.buildBreakers(task);
+  const second = window.procedures.buildBreakers(task);
+  if (first.order.join() !== second.order.join() || first.count !== 6) {
+    throw new Error("Procedure layout is not seeded by the task");
+  }
+
+  const { readings, checksum } = window.procedures.buildChecksum(task);
+  const sum = readings.reduce((total, value) => total + value, 0);
+  if (readings.length !== 5 || checksum !== sum % 100) {
+    throw new Error("Checksum procedure built incorrectly");
+  }
+
+  // A valve works on the reading the task was raised for
+  const valve = window.procedures.buildValve(task);
+  if (valve.parameter !== "temperature" || valve.start <= valve.target) {
+    throw new Error("Valve procedure not built from the task reading");
+  }
+
+  // Scores come from performance: a clean run passes, a sloppy one fails
+  const { PASS_SCORE, scoreBreakers, scoreValve } = window.procedures;
+  if (scoreBreakers(6, 6, 0) !== 1 || scoreBreakers(6, 6, 3) >= PASS_SCORE) {
+    throw new Error("Breaker scoring incorrect");
+  }
+  if (scoreValve(3000, 0, 5) !== 1 || scoreValve(1500, 0, 5) >= PASS_SCORE) {
+    throw new Error("Valve scoring incorrect");
+  }
+}
+
+function testCoordinatorModule() {
+  if (!window.coordinator) {
+    throw new Error("Coordinator module not loaded");
+  }
+
+  // A lease counts only while held and unexpired
+  const now = Date.now();
+  const { isLeaseLive, LEASE_TTL_MS } = window.coordinator;
+  if (
+    !isLeaseLive({ holder: "tab", expiresAt: now + LEASE_TTL_MS }, now) ||
+    isLeaseLive({ holder: "tab", expiresAt: now - 1 }, now) ||
+    isLeaseLive({ expiresAt: now + LEASE_TTL_MS }, now)
+  ) {
+    throw new Error("Coordinator lease check incorrect");
+  }
+}
+
+function testCrewsModule() {
+  if (!window.crews) {
+    throw new Error("Crews module not loaded");
+  }
+
+  // Roles travel as a comma-separated string
+  const task = {
+    id: "crew_test",
+    type: "EMERGENCY",
+    difficulty: 4,
+    roles: "KEY A,KEY B",
+  };
+  if (!window.crews.isCooperative(task) || window.crews.isCooperative({})) {
+    throw new Error("Cooperative task detection incorrect");
+  }
+
+  // One failed part fails the crew; all passing parts complete it
+  const progress = window.crews.getProgress(task, {
+    "KEY A": { pub: "a", done: true, success: true },
+    "KEY B": { pub: "b", done: true, success: false },
+  });
+  if (progress.joined !== 2 || !progress.complete || !progress.failed) {
+    throw new Error("Crew progress incorrect");
+  }
+
+  // The reward is split between the roles
+  if (window.crews.getShare(task) !== 9) {
+    throw new Error("Crew reward split incorrect");
+  }
+}
+
+function testAssignmentsModule() {
+  if (!window.assignments) {
+    throw new Error("Assignments module not loaded");
+  }
+
+  // Assignments lapse once the operator has been gone past the grace period
+  const now = Date.now();
+  const { isLapsed, hasHandoffOffer, RETURN_GRACE_MS, HANDOFF_TTL_MS } =
+    window.assignments;
+  const task = { assignedTo: "kelvin", assignedAt: now - 10 * RETURN_GRACE_MS };
+  if (isLapsed(task, now - 1000, now) || !isLapsed(task, undefined, now)) {
+    throw new Error("Assignment lapse check incorrect");
+  }
+  if (isLapsed({ ...task, completed: true }, undefined, now)) {
+    throw new Error("Completed task treated as lapsed");
+  }
+
+  // Handoff offers expire
+  const offer = { handoffTo: "desmond", handoffAt: now - HANDOFF_TTL_MS };
+  const fresh = { ...offer, handoffAt: now };
+  if (hasHandoffOffer(offer, now) || !hasHandoffOffer(fresh, now)) {
+    throw new Error("Handoff offer expiry incorrect");
+  }
+}
+
+function testIncidentsModule() {
+  if (!window.incidents) {
+    throw new Error("Incidents module not loaded");
+  }
+
+  // Random events open their scenario
+  const { findScenario, getNextStage, parseHistory, getClosingStatus } =
+    window.incidents;
+  const scenario = findScenario("COOLING SYSTEM FAILURE");
+  if (!scenario || findScenario("ENERGY SURGE")) {
+    throw new Error("Incident scenario lookup incorrect");
+  }
+
+  // Failed stages branch, resolved ones move on
+  if (
+    getNextStage(scenario, "thermal", "completed") !== "backup" ||
+    getNextStage(scenario, "thermal", "failed") !== "coolant" ||
+    getNextStage(scenario, "reactor", "failed") !== null
+  ) {
+    throw new Error("Incident stage branching incorrect");
+  }
+
+  // Every stage task exists in the catalog
+  Object.values(window.incidents.SCENARIOS).forEach((entry) => {
+    Object.values(entry.stages).forEach((stage) => {
+      if (!window.catalog.getTask(stage.task)) {
+        throw new Error(`Incident stage task ${stage.task} missing`);
+      }
+    });
+  });
+
+  const history = parseHistory("thermal:failed,coolant:completed");
+  if (history.length !== 2 || history[1].outcome !== "completed") {
+    throw new Error("Incident history parsing incorrect");
+  }
+  if (
+    getClosingStatus("completed", false) !== "resolved" ||
+    getClosingStatus("failed", false) !== "failed" ||
+    getClosingStatus("completed", true) !== "expired"
+  ) {
+    throw new Error("Incident closing status incorrect");
+  }
+}
+
+function testSimulationModule() {
+  if (!window.simulation) {
+    throw new Error("Simulation module not loaded");
+  }
+
+  // Only known fields within their range survive validation
+  const { validateDelta, step, advance, statesMatch } = window.simulation;
+  const delta = validateDelta({ powerLevel: -20, pressure: 5000, crew: 1 });
+  if (!delta || delta.powerLevel !== -20 || "pressure" in delta) {
+    throw new Error("Simulation delta validation incorrect");
+  }
+  if (validateDelta({ humidity: NaN }) !== null) {
+    throw new Error("Invalid simulation delta accepted");
+  }
+
+  // The same state, tick, seed and inputs always give the same result
+  const state = {
+    powerLevel: 85,
+    oxygenLevel: 92,
+    temperature: 22,
+    radiationLevel: 0.15,
+    pressure: 1013,
+    humidity: 45,
+    tick: 100,
+  };
+  const first = step(state, 101, 42, delta);
+  if (!statesMatch(first, step({ ...state }, 101, 42, { ...delta }))) {
+    throw new Error("Simulation step not deterministic");
+  }
+  if (statesMatch(first, step(state, 101, 43, delta))) {
+    throw new Error("Simulation seed ignored");
+  }
+
+  // Inputs are folded into the first tick of a catch-up only
+  const caughtUp = advance(state, 105, 42, delta);
+  let replayed = first;
+  for (let tick = 102; tick <= 105; tick++) {
+    replayed = step(replayed, tick, 42);
+  }
+  if (caughtUp.tick !== 105 || !statesMatch(caughtUp, replayed)) {
+    throw new Error("Simulation catch-up incorrect");
+  }
+}
+
 function testTimerModule() {
   if (!window.timer) {
     throw new Error("Timer module not loaded");
@@ -97,12 +702,20 @@ function testTimerModule() {
     throw new Error("Timer initializeTimer function missing");
   }
 
-  if (typeof window.timer.updateTimer !== "function") {
-    throw new Error("Timer updateTimer function missing");
+  if (typeof window.timer.startNewCycle !== "function") {
+    throw new Error("Timer startNewCycle function missing");
+  }
+
+  if (typeof window.timer.getRemainingMs !== "function") {
+    throw new Error("Timer getRemainingMs function missing");
+  }
+
+  if (typeof window.timer.verifyResetEntry !== "function") {
+    throw new Error("Timer verifyResetEntry function missing");
   }
 
-  if (typeof window.timer.decrementTimer !== "function") {
-    throw new Error("Timer decrementTimer function missing");
+  if (typeof window.timer.resetTimer !== "undefined") {
+    throw new Error("Timer resetTimer must not bypass signed reset entries");
   }
 
   if (typeof window.timer.getCurrentTimerValue !== "function") {
@@ -1,9 +1,31 @@
 // Timer module - Timer system, countdown, and timer-related functionality
 
+// Cycle length, entry window and codes come from the station rules
+// (rules module), so practice stations can run shorter cycles.
+// Allowed disagreement between a reset entry's own timestamps and the clock
+const RESET_ENTRY_TOLERANCE_MS = 5000;
+// A reset epoch is written as soon as its entry is stored; one written
+// later than this after the entry was submitted is a replay
+const RESET_WRITE_TOLERANCE_MS = 60000;
+// Legacy epochs rebuilt from minute ticks may be off by this much
+const LEGACY_MIGRATION_TOLERANCE_MS = 1000;
+// How long a stored reset has to become the current cycle, and how long
+// it has to stay current before it counts as accepted
+const RESET_ACCEPT_TIMEOUT_MS = 15000;
+const RESET_ACCEPT_SETTLE_MS = 1500;
+
 // Timer state
-let currentTimerValue = 108;
+// The shared timer node only holds the cycle epoch ({ cycleStart, duration }).
+// Every client derives the remaining time locally, so nobody writes per tick.
+let currentCycle = null;
+let currentTimerValue = null;
 let timerInterval = null;
 let timerSystemFailureActive = false;
+let timerSirenActive = false;
+let renderFrameId = null;
+let lastRenderedSecond = null;
+// Reset entries already used to move the timer (replay protection)
+const usedResetEntries = new Set();
 
 // Audio elements for timer sounds
 let timerTickSound, timerSirenSound;
@@ -39,7 +61,9 @@ async function initializeTimer() {
     // Initialize timer reference if not already set
     if (window.core?.gun && !window.core.timerRef) {
       console.log("🔧 Setting up timer reference...");
-      window.core.setTimerRef(window.core.gun.get("swan").get("timer"));
+      window.core.setTimerRef(
+        window.stations.getStationRoot(window.core.gun).get("timer")
+      );
     }
 
     // Wait a bit for timerRef to be properly set
@@ -84,10 +108,109 @@ function initializeTimerAudio() {
   }
 }
 
-// Update timer value
-function updateTimer(newValue, reason = "") {
-  console.log("⏰ updateTimer called:", {
-    newValue,
+// Get the cycle length for new cycles
+function getCycleDurationMs() {
+  return window.rules.getCycleDurationMs();
+}
+
+// Get the code entry window in minutes
+function getEntryWindowMinutes() {
+  return window.rules.getEntryWindowMs() / 60000;
+}
+
+// Message shown when a code is entered outside the window
+function getEntryLockedMessage() {
+  return `Code input locked until last ${getEntryWindowMinutes()} minutes`;
+}
+
+// Station clock - Gun.state() is corrected for peer drift when available
+function getStationTime() {
+  if (typeof Gun !== "undefined" && typeof Gun.state === "function") {
+    return Math.floor(Gun.state());
+  }
+  return Date.now();
+}
+
+// Rebuild the epoch of a legacy minute-tick node from its last value
+function getLegacyCycleStart(data) {
+  if (typeof data.value !== "number" || typeof data.lastUpdate !== "number") {
+    return null;
+  }
+  const elapsedMinutes = getCycleDurationMs() / 60000 - data.value;
+  return data.lastUpdate - elapsedMinutes * 60000;
+}
+
+// Get when a field of a graph node was last written, when Gun says
+function getWriteState(data, field) {
+  const state = data?._?.[">"]?.[field];
+  return typeof state === "number" ? state : null;
+}
+
+// Read a cycle epoch from timer node data
+function normalizeCycle(data) {
+  if (!data) return null;
+
+  if (typeof data.cycleStart === "number" && typeof data.duration === "number") {
+    return {
+      cycleStart: data.cycleStart,
+      duration: data.duration,
+      updatedBy: data.updatedBy || "UNKNOWN",
+      reason: data.reason || "",
+      resetEntry: data.resetEntry || null,
+      // The cycle this epoch replaced, stored alongside it
+      previousCycleStart:
+        typeof data.previousCycleStart === "number"
+          ? data.previousCycleStart
+          : null,
+      previousDuration:
+        typeof data.previousDuration === "number" ? data.previousDuration : null,
+      legacyCycleStart: getLegacyCycleStart(data),
+      writtenAt: getWriteState(data, "cycleStart"),
+    };
+  }
+
+  // Legacy minute-tick node: rebuild the epoch from the last written value
+  const legacyCycleStart = getLegacyCycleStart(data);
+  if (legacyCycleStart !== null) {
+    return {
+      cycleStart: legacyCycleStart,
+      duration: getCycleDurationMs(),
+      updatedBy: data.updatedBy || "UNKNOWN",
+      reason: "legacy_migration",
+      legacy: true,
+    };
+  }
+
+  return null;
+}
+
+// Get remaining milliseconds in the current cycle
+function getRemainingMs(now = getStationTime()) {
+  if (!currentCycle) return getCycleDurationMs();
+  return currentCycle.cycleStart + currentCycle.duration - now;
+}
+
+// Check whether code entry is currently allowed
+function isEntryWindowOpen(now = getStationTime()) {
+  if (!currentCycle) return false;
+  const remainingMs = getRemainingMs(now);
+  return remainingMs > 0 && remainingMs <= window.rules.getEntryWindowMs();
+}
+
+// Get remaining whole minutes, rounded up like the station counter
+function getRemainingMinutes(now = getStationTime()) {
+  return Math.max(0, Math.ceil(getRemainingMs(now) / 60000));
+}
+
+// Start a new cycle - a single write of a new epoch. previous is the
+// cycle it replaces, stored with it so late joiners can check the move.
+function startNewCycle(
+  reason = "",
+  cycleStart = getStationTime(),
+  resetEntry = null,
+  previous = null
+) {
+  console.log("⏰ startNewCycle called:", {
     reason,
     timerRef: !!window.core?.timerRef,
   });
@@ -99,19 +222,24 @@ function updateTimer(newValue, reason = "") {
       return;
     }
 
-    const timerData = {
-      value: newValue,
-      lastUpdate: Date.now(),
-      updatedBy: window.core.user?.alias || "UNKNOWN",
+    // All fields go out in one put; Gun's HAM resolves concurrent resets
+    // per field by state, so the latest epoch wins on every peer.
+    const cycleData = {
+      cycleStart: cycleStart,
+      duration: getCycleDurationMs(),
+      updatedBy: getOperatorIdentity()?.alias || "UNKNOWN",
       reason: reason,
+      resetEntry: resetEntry,
+      previousCycleStart: previous ? previous.cycleStart : null,
+      previousDuration: previous ? previous.duration : null,
     };
 
-    console.log("📤 Sending timer data to GunDB:", timerData);
-    window.core.timerRef.put(timerData, (ack) => {
+    console.log("📤 Sending cycle epoch to GunDB:", cycleData);
+    window.core.timerRef.put(cycleData, (ack) => {
       if (ack.err) {
-        console.error("❌ Failed to update timer:", ack.err);
+        console.error("❌ Failed to start new cycle:", ack.err);
       } else {
-        console.log("✅ Timer updated successfully to:", newValue);
+        console.log("✅ New cycle started at:", new Date(cycleStart));
       }
     });
   };
@@ -119,6 +247,22 @@ function updateTimer(newValue, reason = "") {
   waitForTimerRef();
 }
 
+// Make sure the shared node holds an epoch, migrating legacy data once
+function ensureCycle() {
+  if (!window.core?.timerRef) return;
+
+  window.core.timerRef.once((data) => {
+    const cycle = normalizeCycle(data);
+    if (!cycle) {
+      console.log("Timer epoch not found, starting first cycle...");
+      startNewCycle("cycle_init");
+    } else if (cycle.legacy) {
+      console.log("Migrating legacy timer value to cycle epoch...");
+      startNewCycle("legacy_migration", cycle.cycleStart);
+    }
+  });
+}
+
 // Setup timer listener
 function setupTimerListener() {
   console.log("🔧 Setting up main timer listener...");
@@ -135,7 +279,9 @@ function setupTimerListener() {
     if (!window.core.timerRef && window.core.gun && window.core.setTimerRef) {
       console.log("🔄 Attempting to get timer reference...");
       try {
-        window.core.setTimerRef(window.core.gun.get("swan").get("timer"));
+        window.core.setTimerRef(
+          window.stations.getStationRoot(window.core.gun).get("timer")
+        );
       } catch (error) {
         console.error("❌ Error setting timer reference:", error);
       }
@@ -147,45 +293,20 @@ function setupTimerListener() {
         window.core.timerRef.on((data) => {
           console.log("📨 Main timer listener received data:", data);
 
-          if (data && typeof data.value === "number") {
-            console.log("✅ Updating timer display to:", data.value);
-            currentTimerValue = data.value;
-
-            document.title = data.value;
-            const bigTimer = document.getElementById("bigTimer");
-            if (bigTimer) bigTimer.textContent = data.value;
-
-            let updateMessage = `Timer updated to: ${data.value}`;
-            if (data.updatedBy) updateMessage += ` by ${data.updatedBy}`;
-            if (data.reason) updateMessage += ` (${data.reason})`;
-            if (window.core?.addLog) {
-              window.core.addLog(updateMessage);
-            }
-
-            updateInputState(data.value);
-
-            if (data.value <= 4) {
-              if (timerSirenSound?.readyState >= 2) {
-                timerSirenSound.volume = 0.5;
-                timerSirenSound
-                  .play()
-                  .catch((error) => console.warn("Failed to play siren:", error));
-              }
-              if (window.core?.addLog) {
-                window.core.addLog("WARNING: System failure imminent!", "warning");
-              }
-            }
-
-            if (data.value > 4) {
-              if (timerSirenSound) {
-                timerSirenSound.pause();
-                timerSirenSound.currentTime = 0;
-              }
-              if (timerSystemFailureActive) stopSystemFailureDisplay();
-            }
-          } else {
+          const cycle = normalizeCycle(data);
+          if (!cycle) {
             console.warn("⚠️ Invalid timer data received:", data);
+            return;
+          }
+
+          if (currentCycle && currentCycle.cycleStart === cycle.cycleStart) {
+            return;
           }
+
+          // Nothing moves the timer until the transition checks out
+          validateCycle(cycle, currentCycle).then((validCycle) => {
+            if (validCycle) applyCycle(validCycle);
+          });
         });
         console.log("✅ Timer listener setup complete");
       } else {
@@ -204,13 +325,176 @@ function setupTimerListener() {
   waitForDependencies();
 }
 
+// Make a validated cycle the current one
+function applyCycle(cycle) {
+  // Another transition may have been applied while this one was verified
+  if (currentCycle && currentCycle.cycleStart === cycle.cycleStart) return;
+
+  currentCycle = cycle;
+
+  let updateMessage = `New cycle started`;
+  if (cycle.updatedBy) updateMessage += ` by ${cycle.updatedBy}`;
+  if (cycle.reason) updateMessage += ` (${cycle.reason})`;
+  if (window.core?.addLog) {
+    window.core.addLog(updateMessage);
+  }
+
+  if (getRemainingMinutes() > getEntryWindowMinutes()) {
+    stopTimerSiren();
+    if (timerSystemFailureActive) stopSystemFailureDisplay();
+    if (window.failure?.end) window.failure.end();
+  }
+
+  lastRenderedSecond = null;
+  refreshTimer(true);
+  renderCountdown();
+}
+
+// Check an epoch written without a reset entry. Only three are allowed:
+// the first cycle of an empty node, a migrated legacy node whose minute
+// tick still matches, and the cycle that follows a failure of the stored
+// previous cycle.
+function isSystemCycle(cycle, stored, previous) {
+  if (cycle.reason === "cycle_init") {
+    return !stored && !previous;
+  }
+
+  if (cycle.reason === "legacy_migration") {
+    return (
+      cycle.legacyCycleStart !== null &&
+      Math.abs(cycle.cycleStart - cycle.legacyCycleStart) <=
+        LEGACY_MIGRATION_TOLERANCE_MS
+    );
+  }
+
+  if (cycle.reason === "failure_recovery") {
+    if (!stored || (previous && previous.cycleStart !== stored.cycleStart)) {
+      return false;
+    }
+    const recoveryStart = window.failure.getRecoveryCycleStart(stored);
+    // Stations left unattended restart when someone comes back instead
+    const staleRestart =
+      cycle.cycleStart - recoveryStart > window.failure.STALE_RESTART_GRACE_MS &&
+      cycle.cycleStart <= getStationTime() + RESET_ENTRY_TOLERANCE_MS;
+    return cycle.cycleStart === recoveryStart || staleRestart;
+  }
+
+  return false;
+}
+
+// Decide whether an epoch from the graph may replace the current cycle.
+// Resolves to the cycle to apply, or null when it must be ignored. Every
+// check runs against the previous cycle stored on the node, so a client
+// that just loaded, with no cycle of its own, checks as much as one that
+// watched the reset happen.
+async function validateCycle(cycle, previous) {
+  // The cycle length travels with the epoch, so clients whose rules are
+  // late or out of date still end the cycle with everyone else
+  if (!window.rules.isValidCycleDurationMs(cycle.duration)) {
+    rejectCycle(cycle, "invalid cycle duration");
+    return null;
+  }
+
+  const stored =
+    cycle.previousCycleStart !== null
+      ? {
+          cycleStart: cycle.previousCycleStart,
+          duration: cycle.previousDuration ?? getCycleDurationMs(),
+        }
+      : null;
+
+  if (!cycle.resetEntry) {
+    // Unsigned epochs can only start a cycle, never cut one short
+    const previousRunning =
+      previous &&
+      !previous.legacy &&
+      previous.cycleStart + previous.duration > getStationTime();
+    if (!previousRunning && isSystemCycle(cycle, stored, previous)) {
+      return cycle;
+    }
+    rejectCycle(cycle, "unsigned reset");
+    return null;
+  }
+
+  if (usedResetEntries.has(cycle.resetEntry)) {
+    rejectCycle(cycle, "duplicate reset entry");
+    return null;
+  }
+
+  const entry = await verifyResetEntry(cycle.resetEntry);
+  if (!entry) {
+    rejectCycle(cycle, "invalid reset entry");
+    return null;
+  }
+
+  // The entry must reset the stored previous cycle and start the epoch
+  if (
+    !stored ||
+    entry.cycleStart !== stored.cycleStart ||
+    cycle.cycleStart !== entry.submittedAt
+  ) {
+    rejectCycle(cycle, "reset entry for another cycle");
+    return null;
+  }
+
+  // An old entry written again long after it was submitted is a replay
+  if (
+    cycle.writtenAt !== null &&
+    cycle.writtenAt - entry.submittedAt > RESET_WRITE_TOLERANCE_MS
+  ) {
+    rejectCycle(cycle, "replayed reset entry");
+    return null;
+  }
+
+  // The entry must also apply to the cycle we are in. Two operators
+  // resetting the same cycle both sign valid entries; the earlier
+  // submission wins.
+  if (previous) {
+    const sameCycle = entry.cycleStart === previous.cycleStart;
+    const earlierRival =
+      entry.cycleStart === previous.previousCycleStart &&
+      entry.submittedAt < previous.cycleStart;
+    if (!sameCycle && !earlierRival) {
+      rejectCycle(cycle, "reset entry for another cycle");
+      return null;
+    }
+  }
+
+  usedResetEntries.add(cycle.resetEntry);
+
+  // The signed entry is the source of truth for the new epoch
+  return {
+    ...cycle,
+    cycleStart: entry.submittedAt,
+    updatedBy: entry.alias || cycle.updatedBy,
+    previousCycleStart: entry.cycleStart,
+  };
+}
+
+// Log an epoch that was not allowed to move the timer
+function rejectCycle(cycle, reason) {
+  console.warn(`⚠️ Rejected timer update (${reason}):`, cycle);
+  if (window.core?.addLog) {
+    window.core.addLog(`Rejected timer reset: ${reason}`, "warning");
+  }
+}
+
+// Stop the entry window siren
+function stopTimerSiren() {
+  timerSirenActive = false;
+  if (timerSirenSound) {
+    timerSirenSound.pause();
+    timerSirenSound.currentTime = 0;
+  }
+}
+
 // Update input state based on timer value
 function updateInputState(timerValue) {
   const input = document.querySelector(".input");
   const prompt = document.querySelector(".prompt");
 
-  if (timerValue <= 4) {
-    // Enable input in last 4 minutes
+  if (timerValue > 0 && timerValue <= getEntryWindowMinutes()) {
+    // Enable input inside the entry window
     if (input) {
       input.disabled = false;
       input.placeholder = "Enter code sequence...";
@@ -225,10 +509,10 @@ function updateInputState(timerValue) {
       prompt.style.display = "block";
     }
   } else {
-    // Disable input when timer > 4
+    // Disable input outside the entry window and during the failure sequence
     if (input) {
       input.disabled = true;
-      input.placeholder = "Code input locked until last 4 minutes";
+      input.placeholder = getEntryLockedMessage();
       input.style.opacity = "0.5";
       input.style.color = "#666";
       input.style.borderColor = "#666";
@@ -242,64 +526,138 @@ function updateInputState(timerValue) {
   }
 }
 
-// Timer decrement function
-function decrementTimer() {
-  if (!window.core?.timerRef) {
-    console.log("Timer reference lost, reinitializing...");
-    if (window.core?.gun) {
-      window.core.setTimerRef(window.core.gun.get("swan").get("timer"));
+// Recompute the minute state (input window, siren, failure) from the epoch
+function refreshTimer(force = false) {
+  if (!currentCycle) return;
+
+  const minutes = getRemainingMinutes();
+  if (!force && minutes === currentTimerValue) return;
+
+  currentTimerValue = minutes;
+
+  updateInputState(minutes);
+
+  if (minutes <= getEntryWindowMinutes() && minutes > 0) {
+    if (!timerSirenActive) {
+      timerSirenActive = true;
+      if (timerSirenSound?.readyState >= 2) {
+        timerSirenSound.volume = 0.5;
+        timerSirenSound
+          .play()
+          .catch((error) => console.warn("Failed to play siren:", error));
+      }
+      if (window.core?.addLog) {
+        window.core.addLog("WARNING: System failure imminent!", "warning");
+      }
     }
+  } else if (minutes > getEntryWindowMinutes() && timerSirenActive) {
+    stopTimerSiren();
   }
 
-  if (window.core?.timerRef) {
-    window.core.timerRef.once((data) => {
-      if (!data || typeof data.value !== "number") {
-        console.log("Invalid timer data, resetting...");
-        updateTimer(108, "timer_reset");
-        return;
-      }
+  if (minutes === 0) {
+    stopTimerSiren();
+    triggerSystemFailure();
+  }
+}
 
-      // Sync with server time
-      const now = Date.now();
-      if (data.lastUpdate) {
-        const minutesPassed = Math.floor((now - data.lastUpdate) / 60000);
-        if (minutesPassed > 1) {
-          const newValue = Math.max(1, data.value - minutesPassed);
-          updateTimer(newValue, "time_sync");
-          return;
-        }
-      }
+// Format remaining time as mm:ss
+function formatRemaining(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes.toString().padStart(2, "0")}:${seconds
+    .toString()
+    .padStart(2, "0")}`;
+}
 
-      // Normal decrement
-      if (data.value > 1) {
-        updateTimer(data.value - 1, "timer_tick");
-        if (timerTickSound?.readyState >= 2) {
-          timerTickSound.volume = 0.2;
-          timerTickSound
-            .play()
-            .catch((error) =>
-              console.warn("Failed to play tick sound:", error)
-            );
-        }
-      } else if (data.value <= 1 && data.value > 0) {
-        triggerSystemFailure();
-        if (timerTickSound?.readyState >= 2) {
-          timerTickSound.volume = 0.2;
-          timerTickSound
-            .play()
-            .catch((error) =>
-              console.warn(
-                "Failed to play tick sound for system failure:",
-                error
-              )
-            );
-        }
-      }
-    });
+// Show text on the big timer through the flip display when available
+function setDisplayText(text) {
+  const display = window.flipclock?.getTimerDisplay();
+  if (display) {
+    display.setText(text);
+    return;
+  }
+  const bigTimer = document.getElementById("bigTimer");
+  if (bigTimer) bigTimer.textContent = text;
+}
+
+// Switch the big timer's display mode (digits, failure, hieroglyphs, recovery)
+function setDisplayMode(mode) {
+  const display = window.flipclock?.getTimerDisplay();
+  if (display) display.setMode(mode);
+}
+
+// Play the tick sound
+function playTimerTick() {
+  if (timerTickSound?.readyState >= 2) {
+    timerTickSound.volume = 0.2;
+    timerTickSound.currentTime = 0;
+    timerTickSound
+      .play()
+      .catch((error) => console.warn("Failed to play tick sound:", error));
+  }
+}
+
+// Render one frame of the countdown display
+function renderCountdown() {
+  if (!currentCycle) return;
+
+  const remainingMs = getRemainingMs();
+  const remainingSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
+  const finalCountdownSeconds = getEntryWindowMinutes() * 60;
+
+  // Only touch the DOM when the displayed second changes
+  if (remainingSeconds === lastRenderedSecond) return;
+
+  const previousSecond = lastRenderedSecond;
+  lastRenderedSecond = remainingSeconds;
+
+  const text = formatRemaining(remainingMs);
+  document.title = text;
+
+  setDisplayText(text);
+
+  const bigTimer = document.getElementById("bigTimer");
+  if (bigTimer) {
+    bigTimer.classList.toggle(
+      "final-countdown",
+      remainingSeconds > 0 && remainingSeconds <= finalCountdownSeconds
+    );
+  }
+
+  // Skip the sound on the first frame and on jumps (new cycle, tab wake-up)
+  if (previousSecond === null || previousSecond - remainingSeconds !== 1) {
+    return;
+  }
+
+  if (remainingSeconds > 0 && remainingSeconds <= finalCountdownSeconds) {
+    // Final window: tick every second, in lockstep with every other client
+    playTimerTick();
+  } else if (remainingSeconds > 0 && remainingSeconds % 60 === 0) {
+    playTimerTick();
+  }
+}
+
+// Client-side rendering loop, driven by the display refresh
+function startRenderLoop() {
+  if (renderFrameId !== null) return;
+
+  const frame = () => {
+    renderCountdown();
+    renderFrameId = requestAnimationFrame(frame);
+  };
+  renderFrameId = requestAnimationFrame(frame);
+}
+
+// Stop the rendering loop
+function stopRenderLoop() {
+  if (renderFrameId !== null) {
+    cancelAnimationFrame(renderFrameId);
+    renderFrameId = null;
   }
 }
 
-// Start timer countdown
+// Start timer countdown (local only - nothing is written per tick)
 function startTimer() {
   const waitForSafeSetInterval = () => {
     if (!window.core?.safeSetInterval) {
@@ -312,7 +670,11 @@ function startTimer() {
       clearInterval(timerInterval);
     }
 
-    timerInterval = window.core.safeSetInterval(decrementTimer, 60000); // Every minute
+    ensureCycle();
+    // Minute state keeps running in background tabs, where animation
+    // frames are paused; the display itself follows the render loop.
+    timerInterval = window.core.safeSetInterval(() => refreshTimer(), 1000);
+    startRenderLoop();
     console.log("⏰ Timer countdown started");
   };
 
@@ -321,6 +683,7 @@ function startTimer() {
 
 // Stop timer countdown
 function stopTimer() {
+  stopRenderLoop();
   if (timerInterval) {
     clearInterval(timerInterval);
     timerInterval = null;
@@ -328,23 +691,206 @@ function stopTimer() {
   }
 }
 
-// Reset timer to default value
-function resetTimer() {
-  updateTimer(108, "manual_reset");
-  if (window.core?.addLog) {
-    window.core.addLog("Timer reset to 108 minutes", "info");
+// Get SEA from the Gun build loaded on the page
+function getSEA() {
+  if (typeof Gun !== "undefined" && Gun.SEA) return Gun.SEA;
+  if (typeof SEA !== "undefined") return SEA;
+  return null;
+}
+
+// Get the logged in operator's public key, alias and key pair
+function getOperatorIdentity() {
+  const user = window.core?.user;
+  if (!user?.is?.pub) return null;
+  return {
+    pub: user.is.pub,
+    alias: user.is.alias || user.is.pub.substring(0, 10) + "...",
+    pair: user._?.sea || null,
+  };
+}
+
+// Check a reset payload against the entry window, using only its own data
+function isResetPayloadInWindow(payload) {
+  if (
+    typeof payload?.cycleStart !== "number" ||
+    typeof payload.submittedAt !== "number" ||
+    typeof payload.remainingMs !== "number" ||
+    typeof payload.duration !== "number"
+  ) {
+    return false;
   }
+
+  const windowMs = window.rules.getEntryWindowMs();
+  const expectedRemaining =
+    payload.cycleStart + payload.duration - payload.submittedAt;
+
+  return (
+    payload.remainingMs > 0 &&
+    payload.remainingMs <= windowMs &&
+    Math.abs(expectedRemaining - payload.remainingMs) <=
+      RESET_ENTRY_TOLERANCE_MS &&
+    payload.submittedAt - getStationTime() <= RESET_ENTRY_TOLERANCE_MS
+  );
 }
 
-// Reset timer with full statistics handling
-function resetTimerWithStats() {
-  updateTimer(108, "code_correct");
-  if (window.core?.addLog) {
-    window.core.addLog("Timer reset to 108 minutes", "info");
+// Wait for a reset entry to become the current cycle and stay current.
+// Resolves to false when it is rejected or loses to an earlier rival.
+function waitForAcceptedReset(entryId) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + RESET_ACCEPT_TIMEOUT_MS;
+    const check = () => {
+      if (currentCycle?.resetEntry === entryId) {
+        setTimeout(
+          () => resolve(currentCycle?.resetEntry === entryId),
+          RESET_ACCEPT_SETTLE_MS
+        );
+      } else if (Date.now() >= deadline) {
+        resolve(false);
+      } else {
+        setTimeout(check, 250);
+      }
+    };
+    check();
+  });
+}
+
+// Sign a reset for the current cycle and append it to swan/history. The
+// timer only moves once the entry is stored. Resolves to true once the
+// entry is stored and accepted as the new cycle, false otherwise.
+async function submitResetEntry() {
+  const identity = getOperatorIdentity();
+  const sea = getSEA();
+  const historyRef = window.core?.historyRef;
+
+  if (!identity?.pair || !sea || !historyRef) {
+    if (window.core?.addLog) {
+      window.core.addLog(
+        "ERROR: Cannot sign reset - operator keys unavailable",
+        "error"
+      );
+    }
+    return false;
+  }
+
+  if (!isEntryWindowOpen()) {
+    if (window.core?.addLog) {
+      window.core.addLog(getEntryLockedMessage(), "warning");
+    }
+    return false;
   }
 
-  // This function will be called from the main script to handle statistics
-  // The main script will handle the stats updates after calling this
+  const submittedAt = getStationTime();
+  const previous = { ...currentCycle };
+  const payload = {
+    type: "reset",
+    pub: identity.pub,
+    alias: identity.alias,
+    cycleStart: currentCycle.cycleStart,
+    duration: currentCycle.duration,
+    remainingMs: getRemainingMs(submittedAt),
+    submittedAt: submittedAt,
+  };
+
+  try {
+    const signed = await sea.sign(payload, identity.pair);
+    if (!signed) throw new Error("SEA.sign returned nothing");
+
+    // One entry per operator per cycle, so a resubmission overwrites itself
+    const entryId = `reset_${payload.cycleStart}_${identity.pub}`;
+    const stored = await new Promise((resolve) => {
+      historyRef.get(entryId).put(
+        {
+          timestamp: submittedAt,
+          operator: identity.alias,
+          action: `Code entered with ${formatRemaining(payload.remainingMs)} remaining`,
+          type: "reset",
+          pub: identity.pub,
+          cycleStart: payload.cycleStart,
+          remainingMs: payload.remainingMs,
+          signed: signed,
+        },
+        (ack) => {
+          if (ack.err) {
+            console.error("❌ Failed to store reset entry:", ack.err);
+          }
+          resolve(!ack.err);
+        }
+      );
+    });
+    if (!stored) {
+      if (window.core?.addLog) {
+        window.core.addLog("ERROR: Failed to store reset entry", "error");
+      }
+      return false;
+    }
+
+    startNewCycle("code_correct", submittedAt, entryId, previous);
+    const accepted = await waitForAcceptedReset(entryId);
+    if (accepted && window.events) {
+      window.events.recordEvent(
+        "reset",
+        {
+          timestamp: submittedAt,
+          operator: identity.alias,
+          pub: identity.pub,
+          cycleStart: payload.cycleStart,
+          remainingMs: payload.remainingMs,
+        },
+        entryId
+      );
+    }
+    return accepted;
+  } catch (error) {
+    console.error("❌ Failed to sign reset entry:", error);
+    if (window.core?.addLog) {
+      window.core.addLog("ERROR: Failed to sign reset entry", "error");
+    }
+    return false;
+  }
+}
+
+// Read a reset entry from swan/history, retrying while it propagates
+function fetchResetEntry(entryId, attempts = 5) {
+  return new Promise((resolve) => {
+    const tryFetch = (remaining) => {
+      window.core.historyRef.get(entryId).once((data) => {
+        if (data?.signed) {
+          resolve(data);
+        } else if (remaining > 1) {
+          setTimeout(() => tryFetch(remaining - 1), 1000);
+        } else {
+          resolve(null);
+        }
+      });
+    };
+    tryFetch(attempts);
+  });
+}
+
+// Verify a reset entry's signature and window. Resolves to the signed
+// payload, or null when the entry is missing, unsigned or out of window.
+async function verifyResetEntry(entryId) {
+  const sea = getSEA();
+  if (!sea || !window.core?.historyRef) return null;
+
+  const entry = await fetchResetEntry(entryId);
+  if (!entry?.pub || !entry.signed) return null;
+
+  try {
+    const payload = await sea.verify(entry.signed, entry.pub);
+    if (
+      !payload ||
+      payload.type !== "reset" ||
+      payload.pub !== entry.pub ||
+      entryId !== `reset_${payload.cycleStart}_${payload.pub}`
+    ) {
+      return null;
+    }
+    return isResetPayloadInWindow(payload) ? payload : null;
+  } catch (error) {
+    console.warn("Failed to verify reset entry:", error);
+    return null;
+  }
 }
 
 // Check timer health
@@ -357,13 +903,9 @@ function checkTimerHealth() {
     }
 
     window.core.timerRef.once((data) => {
-      const now = Date.now();
-      if (
-        !data ||
-        typeof data.value !== "number" ||
-        !data.lastUpdate ||
-        now - data.lastUpdate > 120000
-      ) {
+      const cycle = normalizeCycle(data);
+      // An epoch from the future means a peer with a badly skewed clock
+      if (!cycle || cycle.cycleStart - getStationTime() > 60000) {
         console.log("Timer health check failed - timer may be corrupted");
         if (window.core?.addLog) {
           window.core.addLog(
@@ -387,23 +929,20 @@ function triggerSystemFailure() {
       window.core.addLog("SYSTEM FAILURE TRIGGERED!", "error");
     }
   }
+
+  // The failure module drives hieroglyphs, discharge and recovery
+  if (window.failure?.begin) {
+    window.failure.begin(currentCycle);
+  }
 }
 
 function startSystemFailureDisplay() {
-  const bigTimer = document.getElementById("bigTimer");
-  if (bigTimer) {
-    bigTimer.style.color = "#ff0000";
-    bigTimer.style.animation = "blink 1s infinite";
-  }
+  setDisplayMode("failure");
 }
 
 function stopSystemFailureDisplay() {
   timerSystemFailureActive = false;
-  const bigTimer = document.getElementById("bigTimer");
-  if (bigTimer) {
-    bigTimer.style.color = "#00ff00";
-    bigTimer.style.animation = "none";
-  }
+  setDisplayMode("digits");
 }
 
 // Setup input handler
@@ -429,21 +968,11 @@ function setupInputHandler() {
     if (event.key === "Enter") {
       input.value = input.value.trim();
 
-      // Check if input is allowed (only in last 4 minutes)
-      if (window.core?.timerRef) {
-        window.core.timerRef.once((timerData) => {
-          if (timerData && timerData.value <= 4) {
-            // Process input in last 4 minutes
-            processTimerInput(input.value);
-          } else {
-                    if (window.core?.addLog) {
-          window.core.addLog(
-            "Code input locked until last 4 minutes",
-            "warning"
-          );
-        }
-          }
-        });
+      // Check if input is allowed (only inside the entry window)
+      if (isEntryWindowOpen()) {
+        processTimerInput(input.value);
+      } else if (window.core?.addLog) {
+        window.core.addLog(getEntryLockedMessage(), "warning");
       }
     }
   };
@@ -457,16 +986,22 @@ function processTimerInput(input) {
   }
 
   // Check for the correct code sequence
-  if (input === "4 8 15 16 23 42") {
-    console.log("🔢 CORRECT CODE SEQUENCE ENTERED - RESETTING TIMER");
-    resetTimer();
-    return true; // Indicate successful processing
-  } else if (input.toLowerCase() === "reset") {
-    resetTimer();
-    return true;
+  if (window.rules.isAcceptedCode(input)) {
+    if (!isEntryWindowOpen()) {
+      if (window.core?.addLog) {
+        window.core.addLog(getEntryLockedMessage(), "warning");
+      }
+      return false;
+    }
+    console.log("🔢 CORRECT CODE SEQUENCE ENTERED - SUBMITTING SIGNED RESET");
+    // Resolves once the reset is stored and accepted as the new cycle
+    return submitResetEntry();
   } else if (input.toLowerCase() === "status") {
     if (window.core?.addLog) {
-      window.core.addLog(`Current timer: ${currentTimerValue} minutes`, "info");
+      window.core.addLog(
+        `Current timer: ${formatRemaining(getRemainingMs())}`,
+        "info"
+      );
     }
     return true;
   } else {
@@ -486,17 +1021,25 @@ function getCurrentTimerValue() {
   return currentTimerValue;
 }
 
+// Get the current cycle epoch
+function getCurrentCycle() {
+  return currentCycle ? { ...currentCycle } : null;
+}
+
 // Export timer functions
 window.timer = {
   initializeTimer,
-  updateTimer,
+  startNewCycle,
+  ensureCycle,
   setupTimerListener,
   updateInputState,
-  decrementTimer,
+  refreshTimer,
+  renderCountdown,
+  formatRemaining,
+  setDisplayText,
+  setDisplayMode,
   startTimer,
   stopTimer,
-  resetTimer,
-  resetTimerWithStats,
   checkTimerHealth,
   triggerSystemFailure,
   startSystemFailureDisplay,
@@ -504,6 +1047,15 @@ window.timer = {
   setupInputHandler,
   processTimerInput,
   getCurrentTimerValue,
+  getCurrentCycle,
+  getRemainingMs,
+  getRemainingMinutes,
+  isEntryWindowOpen,
+  submitResetEntry,
+  verifyResetEntry,
+  getStationTime,
+  getCycleDurationMs,
+  getEntryWindowMinutes,
 };
 
 // Add a status function to check if timer is ready
@@ -93,6 +93,7 @@ function showAboutSection() {
 
 // Show station rules
 function showStationRules() {
+  const rules = window.rules.getRules();
   const overlay = document.createElement("div");
   overlay.className = "overlay";
   overlay.innerHTML = `
@@ -102,8 +103,9 @@ function showStationRules() {
         <div class="rules-section">
           <h3>Timer Management</h3>
           <ul>
-            <li>Timer must be maintained between 0-108</li>
-            <li>Operators can reset timer to 108</li>
+            <li>Timer must be maintained between 0-${rules.cycleMinutes}</li>
+            <li>Operators can reset timer to ${rules.cycleMinutes} with ${rules.codes.join(" or ")}</li>
+            <li>Codes are accepted in the last ${rules.entryWindowMinutes} minutes only</li>
             <li>Timer decrements automatically</li>
             <li>First reset gets bonus points</li>
           </ul>
@@ -229,6 +231,12 @@ function generateAvatar(pubKey) {
 
 // Connection status updates
 function updateConnectionStatus(status, className) {
+  // Connected, but only to local relays: nothing leaves the LAN
+  if (className === "connected" && window.peers?.isLocalOnly()) {
+    status = "LOCAL ONLY";
+    className = "local";
+  }
+
   const statusElement = document.getElementById("connectionStatus");
   if (statusElement) {
     statusElement.textContent = status;
@@ -8,7 +8,10 @@ let shogun,
   statsRef,
   chatRef,
   taskRef,
-  stationParamsRef;
+  stationParamsRef,
+  rulesRef,
+  rosterRef,
+  eventsRef;
 
 // Global cleanup registry for intervals and listeners
 const cleanupRegistry = {
@@ -126,199 +129,12 @@ let stationParameters = {
   humidity: 45,
 };
 
-// Real parameter effects based on task completion
-const parameterEffects = {
-  // Power-related tasks
-  "POWER GRID STABILIZATION": {
-    success: { powerLevel: 15, temperature: -2 },
-    failure: { powerLevel: -10, temperature: 5 },
-  },
-  "BACKUP POWER TEST": {
-    success: { powerLevel: 8 },
-    failure: { powerLevel: -5 },
-  },
-
-  // Oxygen-related tasks
-  "OXYGEN SYSTEM CALIBRATION": {
-    success: { oxygenLevel: 10, pressure: 5 },
-    failure: { oxygenLevel: -8, pressure: -10 },
-  },
-
-  // Temperature-related tasks
-  "THERMAL REGULATION": {
-    success: { temperature: -5, humidity: -3 },
-    failure: { temperature: 8, humidity: 5 },
-  },
-  "COOLING SYSTEM FAILURE": {
-    success: { temperature: -10, humidity: -5 },
-    failure: { temperature: 15, humidity: 10 },
-  },
-
-  // Radiation-related tasks
-  "RADIATION SHIELD MAINTENANCE": {
-    success: { radiationLevel: -0.1, powerLevel: -2 },
-    failure: { radiationLevel: 0.15, powerLevel: -5 },
-  },
-  "RADIATION LEAK": {
-    success: { radiationLevel: -0.2, oxygenLevel: -5 },
-    failure: { radiationLevel: 0.25, oxygenLevel: -10 },
-  },
-
-  // Pressure-related tasks
-  "PRESSURE SYSTEM BALANCE": {
-    success: { pressure: 20, oxygenLevel: 3 },
-    failure: { pressure: -30, oxygenLevel: -5 },
-  },
-
-  // Humidity-related tasks
-  "HUMIDITY REGULATION": {
-    success: { humidity: 10, temperature: -1 },
-    failure: { humidity: -15, temperature: 3 },
-  },
-
-  // System-wide tasks
-  "SYSTEM DIAGNOSTIC": {
-    success: { powerLevel: 3, oxygenLevel: 2, temperature: -1 },
-    failure: { powerLevel: -2, oxygenLevel: -2, temperature: 2 },
-  },
-  "COMMUNICATION TEST": {
-    success: { powerLevel: 2 },
-    failure: { powerLevel: -3 },
-  },
-  "SENSOR CALIBRATION": {
-    success: { temperature: -2, pressure: 5, humidity: 3 },
-    failure: { temperature: 3, pressure: -8, humidity: -5 },
-  },
-};
-
-// Parameter interdependencies (realistic relationships)
-const parameterInterdependencies = {
-  // Power affects other systems
-  powerLevel: {
-    affects: {
-      oxygenLevel: 0.1, // Power affects oxygen generation
-      temperature: 0.05, // Power affects cooling
-      pressure: 0.02, // Power affects pressure systems
-    },
-  },
-
-  // Temperature affects other parameters
-  temperature: {
-    affects: {
-      humidity: 0.3, // Higher temp = higher humidity
-      pressure: 0.1, // Higher temp = higher pressure
-      oxygenLevel: -0.05, // Higher temp = lower oxygen efficiency
-    },
-  },
-
-  // Pressure affects other systems
-  pressure: {
-    affects: {
-      oxygenLevel: 0.2, // Pressure affects oxygen distribution
-      humidity: 0.1, // Pressure affects humidity
-    },
-  },
-
-  // Radiation affects other systems
-  radiationLevel: {
-    affects: {
-      powerLevel: -0.1, // Radiation damages power systems
-      oxygenLevel: -0.05, // Radiation affects oxygen systems
-      temperature: 0.02, // Radiation increases temperature
-    },
-  },
-};
-
 // Task System
 let activeTasks = [];
 let taskHistory = [];
 let lastTaskCheck = Date.now();
 let taskCheckInterval = null;
 
-// Real-world API data sources for unpredictability
-const apiEndpoints = {
-  weather:
-    "https://api.openweathermap.org/data/2.5/weather?q=London&appid=demo&units=metric",
-  solarActivity: "https://api.nasa.gov/planetary/apod?api_key=DEMO_KEY",
-  bitcoinPrice:
-    "https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd",
-  earthquakeData:
-    "https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_hour.geojson",
-  spaceWeather: "https://services.swpc.noaa.gov/json/solar_wind_speed.json",
-};
-
-// Task types with different difficulty levels
-const taskTypes = {
-  CRITICAL: {
-    powerBalance: {
-      name: "POWER GRID STABILIZATION",
-      difficulty: 3,
-      timeLimit: 300000,
-    },
-    oxygenRegulation: {
-      name: "OXYGEN SYSTEM CALIBRATION",
-      difficulty: 2,
-      timeLimit: 240000,
-    },
-    temperatureControl: {
-      name: "THERMAL REGULATION",
-      difficulty: 2,
-      timeLimit: 180000,
-    },
-    radiationShield: {
-      name: "RADIATION SHIELD MAINTENANCE",
-      difficulty: 4,
-      timeLimit: 420000,
-    },
-    pressureStabilization: {
-      name: "PRESSURE SYSTEM BALANCE",
-      difficulty: 3,
-      timeLimit: 300000,
-    },
-    humidityControl: {
-      name: "HUMIDITY REGULATION",
-      difficulty: 1,
-      timeLimit: 120000,
-    },
-  },
-  MAINTENANCE: {
-    systemCheck: { name: "SYSTEM DIAGNOSTIC", difficulty: 1, timeLimit: 60000 },
-    backupPower: {
-      name: "BACKUP POWER TEST",
-      difficulty: 2,
-      timeLimit: 120000,
-    },
-    communicationTest: {
-      name: "COMMUNICATION TEST",
-      difficulty: 1,
-      timeLimit: 90000,
-    },
-    sensorCalibration: {
-      name: "SENSOR CALIBRATION",
-      difficulty: 2,
-      timeLimit: 150000,
-    },
-  },
-  EMERGENCY: {
-    containmentBreach: {
-      name: "CONTAINMENT BREACH",
-      difficulty: 5,
-      timeLimit: 600000,
-    },
-    powerSurge: {
-      name: "POWER SURGE DETECTED",
-      difficulty: 4,
-      timeLimit: 300000,
-    },
-    radiationLeak: { name: "RADIATION LEAK", difficulty: 5, timeLimit: 480000 },
-    systemOverload: {
-      name: "SYSTEM OVERLOAD",
-      difficulty: 4,
-      timeLimit: 360000,
-    },
-  },
-};
-
 // Random events that can affect station parameters
 const randomEvents = [
   {
@@ -343,7 +159,7 @@ const randomEvents = [
 async function initializeShogun() {
   try {
     // Show loading state
-    document.title = "INITIALIZING SWAN STATION...";
+    document.title = `INITIALIZING ${window.stations.getStationLabel()}...`;
 
     // Add error boundary for unhandled errors
     window.addEventListener("error", (event) => {
@@ -352,7 +168,7 @@ async function initializeShogun() {
       addLog(`CRITICAL ERROR: ${event.error.message}`, "error");
 
       // Prevent app crash by showing error state
-      document.title = "SWAN STATION - ERROR";
+      document.title = `${window.stations.getStationLabel()} - ERROR`;
       updateConnectionStatus("SYSTEM ERROR", "error");
     });
 
@@ -376,13 +192,15 @@ async function initializeShogun() {
       }
     }, 300000); // Every 5 minutes
 
+    // Local relay from the URL or swan.config.json, else the public relays
+    const peerConfig = await window.peers.loadPeerConfig();
+
+    // In LOCAL ONLY mode the libraries may still be coming from the relay
+    await window.libraries.whenLoaded();
+
     // Initialize Shogun Core
     shogun = await window.SHOGUN_CORE({
-      peers: [
-        "https://relay.shogun-eco.xyz/gun",
-        "https://peer.wallie.io/gun",
-        "https://gun-manhattan.herokuapp.com/gun",
-      ],
+      peers: peerConfig.peers,
       localStorage: true,
       radisk: true,
       scope: "shogun/swan-station",
@@ -410,7 +228,7 @@ async function initializeShogun() {
     user = shogun.db.gun.user().recall({ sessionStorage: true });
 
     // Update title and connection status
-    document.title = "SWAN STATION - CONNECTED";
+    document.title = `${window.stations.getStationLabel()} - CONNECTED`;
     updateConnectionStatus("CONNECTED", "connected");
 
     // Show contribution indicator
@@ -422,14 +240,18 @@ async function initializeShogun() {
       contributionIndicator.style.display = "block";
     }
 
-    // Initialize GunDB references
-    timerRef = gun.get("swan").get("timer");
-    operatorsRef = gun.get("swan").get("operators");
-    historyRef = gun.get("swan").get("history");
-    statsRef = gun.get("swan").get("stats");
-    chatRef = gun.get("swan").get("chat");
-    taskRef = gun.get("swan").get("tasks");
-    stationParamsRef = gun.get("swan").get("stationParams");
+    // Initialize GunDB references under the chosen station's root
+    const stationRoot = window.stations.getStationRoot(gun);
+    timerRef = stationRoot.get("timer");
+    operatorsRef = stationRoot.get("operators");
+    historyRef = stationRoot.get("history");
+    statsRef = stationRoot.get("stats");
+    chatRef = stationRoot.get("chat");
+    taskRef = stationRoot.get("tasks");
+    stationParamsRef = stationRoot.get("stationParams");
+    rulesRef = stationRoot.get("rules");
+    rosterRef = stationRoot.get("roster");
+    eventsRef = stationRoot.get("events");
 
     console.log("Shogun Core initialized successfully");
 
@@ -454,7 +276,38 @@ async function initializeShogun() {
         timerRef = ref;
       },
       gun: gun,
+      historyRef: historyRef,
+      statsRef: statsRef,
+      operatorsRef: operatorsRef,
+      stationParamsRef: stationParamsRef,
+      taskRef: taskRef,
+      setTaskRef: (ref) => {
+        taskRef = ref;
+        window.core.taskRef = ref;
+      },
+      chatRef: chatRef,
+      setChatRef: (ref) => {
+        chatRef = ref;
+        window.core.chatRef = ref;
+      },
+      rulesRef: rulesRef,
+      setRulesRef: (ref) => {
+        rulesRef = ref;
+        window.core.rulesRef = ref;
+      },
+      rosterRef: rosterRef,
+      setRosterRef: (ref) => {
+        rosterRef = ref;
+        window.core.rosterRef = ref;
+      },
+      eventsRef: eventsRef,
+      setEventsRef: (ref) => {
+        eventsRef = ref;
+        window.core.eventsRef = ref;
+      },
       addLog: addLog,
+      reputationRules: reputationRules,
+      updateReputation: updateReputation,
       user: user
     };
 
@@ -482,8 +335,8 @@ async function initializeShogun() {
         bigTimer.style.zIndex = "100";
 
         // Set initial value if empty
-        if (!bigTimer.textContent || bigTimer.textContent === "108") {
-          bigTimer.textContent = "108";
+        if (!bigTimer.textContent || bigTimer.textContent === "108:00") {
+          bigTimer.textContent = "108:00";
           console.log("Timer initialized to 108");
         }
 
@@ -519,7 +372,7 @@ async function initializeShogun() {
   } catch (error) {
     console.error("Failed to initialize Shogun Core:", error);
     performanceMonitor.logError(error);
-    document.title = "SWAN STATION - CONNECTION ERROR";
+    document.title = `${window.stations.getStationLabel()} - CONNECTION ERROR`;
     updateConnectionStatus("CONNECTION ERROR", "error");
     addLog("CRITICAL: Connection to station network failed", "error");
 
@@ -689,6 +542,9 @@ function startApp(alias) {
   // Register the operator immediately
   registerOperator(alias);
 
+  // Reconnect to the relays saved in this operator's profile
+  window.peers.applySavedRelays();
+
   // Load existing tasks from GunDB (after currentUser is set)
   // Use a flag to prevent sync conflicts during initial load
   window.initialTaskLoadComplete = false;
@@ -1200,7 +1056,6 @@ function startApp(alias) {
 
   // Load cooldowns from GunDB
   loadCooldownsFromGunDB();
-  loadCalibrationFromGunDB();
   loadChallengeCooldownFromGunDB();
 
   // Start challenge cooldown update interval
@@ -1461,6 +1316,7 @@ function showAuthPrompt() {
             <input type="text" id="username" placeholder="OPERATOR ALIAS" autocomplete="username" />
             <input type="password" id="password" placeholder="PASSWORD" autocomplete="current-password" />
             <input type="password" id="confirmPassword" placeholder="CONFIRM PASSWORD" autocomplete="new-password" style="display: none;" />
+            ${window.stations.renderStationField()}
             <div class="auth-error" id="authError"></div>
             <div class="auth-instructions" id="authInstructions" style="display: none; color: #00ff00; font-size: 12px; margin: 10px 0; text-align: center;">
                 Click CONFIRM to complete registration
@@ -1474,6 +1330,7 @@ function showAuthPrompt() {
         </div>
     `;
   document.body.appendChild(overlay);
+  window.stations.bindStationField(overlay);
 
   const usernameInput = overlay.querySelector("#username");
   const passwordInput = overlay.querySelector("#password");
@@ -1524,12 +1381,14 @@ function showAuthPrompt() {
         errorDiv.textContent = "Login successful! Starting application...";
         errorDiv.style.color = "#00ff00"; // Green for success
         setTimeout(() => {
-          overlay.remove();
           // Store user alias in GunDB for future reference
           gun
             .get("users")
             .get(result.userPub)
             .put({ alias: usernameInput.value });
+          // Another station reloads the page on its own root
+          if (window.stations.joinSelectedStation(overlay)) return;
+          overlay.remove();
           startApp(usernameInput.value);
         }, 1000);
       } else {
@@ -1640,6 +1499,8 @@ function showAuthPrompt() {
         if (loginResult.success) {
           errorDiv.textContent = "Login successful! Starting application...";
           setTimeout(() => {
+            // Another station reloads the page on its own root
+            if (window.stations.joinSelectedStation(overlay)) return;
             overlay.remove();
             startApp(usernameInput.value);
           }, 1000);
@@ -1829,16 +1690,6 @@ function playClickSound() {
   }
 }
 
-// Function to update timer - now using timer module
-function updateTimer(newValue, reason = "") {
-  if (window.timer && window.timer.updateTimer) {
-    window.timer.updateTimer(newValue, reason);
-  } else {
-    console.error("❌ Timer module not available");
-    addLog("ERROR: Timer module not initialized", "error");
-  }
-}
-
 // Setup main timer listener to react to any change - now using timer module
 function setupTimerListener() {
   if (window.timer && window.timer.setupTimerListener) {
@@ -1859,6 +1710,88 @@ function updateInputState(timerValue) {
   }
 }
 
+// Award points, streak and reputation for an accepted reset. The reset
+// itself is recorded in the event log by the timer module.
+function awardResetPoints() {
+  user.get("profile").once((profile) => {
+    let pointsToAdd = pointRules.baseResetPoints; // Base points for successful reset
+    const newStreak = (profile.resetStreak || 0) + 1;
+
+    // Check station parameters balance for bonus points
+    const parameterBonus = calculateParameterBalanceBonus();
+    if (parameterBonus > 0) {
+      pointsToAdd += parameterBonus;
+      addLog(
+        `Station parameters balanced! +${parameterBonus} bonus points.`,
+        "success"
+      );
+    } else {
+      addLog("Station parameters need attention. Base points only.", "warning");
+    }
+
+    // Only the accepted reset is paid, so its operator was first
+    pointsToAdd += 2;
+    addLog("First to reset! +2 bonus points.", "success");
+
+    if (newStreak % 4 === 0 && newStreak > 0) {
+      pointsToAdd += 1; // +1 bonus for 4-in-a-row streak
+      addLog("Reset streak x4! +1 bonus point.", "success");
+    }
+
+    const newPoints = (profile.points || 0) + pointsToAdd;
+    const newLevel = getLevelFromPoints(newPoints);
+
+    if (newLevel > profile.level) {
+      addLog(`LEVEL UP! You are now Level ${newLevel}.`, "success");
+    }
+
+    // Calculate reputation bonus for good calibration
+    let reputationBonus = 0;
+    if (parameterBonus >= 3) {
+      reputationBonus = reputationRules.calibrationBonus;
+    }
+    if (reputationBonus > 0) {
+      addLog(`Excellent calibration! +${reputationBonus} reputation.`, "success");
+    }
+
+    const newReputation = Math.min(
+      reputationRules.maxReputation,
+      (profile.reputation || reputationRules.startingReputation) +
+        reputationBonus
+    );
+
+    const newProfile = {
+      points: newPoints,
+      level: newLevel,
+      resetStreak: newStreak,
+      resets: (profile.resets || 0) + 1,
+      reputation: newReputation,
+    };
+    // Update user's private profile
+    user.get("profile").put(newProfile);
+
+    // Update the public leaderboard with public data
+    gun.get("leaderboard").get(currentUser.alias).put({
+      points: newPoints,
+      level: newLevel,
+      reputation: newReputation,
+    });
+
+    // Update local user data immediately
+    currentUser.points = newPoints;
+    currentUser.level = newLevel;
+    currentUser.reputation = newReputation;
+
+    // Update UI immediately
+    if (stats) updateStatsUI(stats);
+
+    // Force profile UI update if profile modal is open
+    if (window.updateUserProfile) {
+      window.updateUserProfile();
+    }
+  });
+}
+
 // Input handler - now using timer module
 input.onkeydown = (event) => {
   if (!currentUser) {
@@ -1878,124 +1811,17 @@ input.onkeydown = (event) => {
     if (window.timer && window.timer.processTimerInput) {
       const processed = window.timer.processTimerInput(input.value);
 
-      if (processed && input.value === "4 8 15 16 23 42") {
-        // Stop system failure display if active
-        stopSystemFailureDisplay();
-
-        // Use the timer module's reset function
-        if (window.timer && window.timer.resetTimerWithStats) {
-          window.timer.resetTimerWithStats();
-        }
-
-        // Increment successful resets stat
-        statsRef.once((currentStats) => {
-          if (currentStats) {
-            const resetHistory = currentStats.resetHistory || [];
-            resetHistory.push({
-              timestamp: Date.now(),
-              operator: currentUser?.alias || "Unknown",
-            });
-
-            // Keep only last 100 resets for performance
-            if (resetHistory.length > 100) {
-              resetHistory.splice(0, resetHistory.length - 100);
-            }
-
-            statsRef.put({
-              resets: (currentStats.resets || 0) + 1,
-              resetHistory: resetHistory,
-            });
-          }
-        });
-
-        // Update user's personal points and streak
-        user.get("profile").once((profile) => {
-          let pointsToAdd = pointRules.baseResetPoints; // Base points for successful reset
-          const newStreak = (profile.resetStreak || 0) + 1;
-
-          // Check station parameters balance for bonus points
-          const parameterBonus = calculateParameterBalanceBonus();
-          if (parameterBonus > 0) {
-            pointsToAdd += parameterBonus;
-            addLog(
-              `Station parameters balanced! +${parameterBonus} bonus points.`,
-              "success"
-            );
-          } else {
-            addLog(
-              "Station parameters need attention. Base points only.",
-              "warning"
-            );
+      if (processed && window.rules.isAcceptedCode(input.value)) {
+        // Points and streak wait until the signed entry is stored and
+        // accepted as the new cycle, so only the winning reset is paid
+        Promise.resolve(processed).then((accepted) => {
+          if (!accepted) {
+            addLog("Reset not accepted. No points awarded.", "warning");
+            return;
           }
-
-          // Check if user was first to reset
-          timerRef.once((timerData) => {
-            if (timerData.updatedBy !== currentUser.alias) {
-              pointsToAdd += 2; // +2 for being first
-              addLog("First to reset! +2 bonus points.", "success");
-            }
-
-            if (newStreak % 4 === 0 && newStreak > 0) {
-              pointsToAdd += 1; // +1 bonus for 4-in-a-row streak
-              addLog("Reset streak x4! +1 bonus point.", "success");
-            }
-
-            const newPoints = (profile.points || 0) + pointsToAdd;
-            const newLevel = getLevelFromPoints(newPoints);
-
-            if (newLevel > profile.level) {
-              addLog(`LEVEL UP! You are now Level ${newLevel}.`, "success");
-            }
-
-            if (reputationBonus > 0) {
-              addLog(
-                `Excellent calibration! +${reputationBonus} reputation.`,
-                "success"
-              );
-            }
-
-            // Calculate reputation bonus for good calibration
-            let reputationBonus = 0;
-            if (parameterBonus >= 3) {
-              reputationBonus = reputationRules.calibrationBonus;
-            }
-
-            const newReputation = Math.min(
-              reputationRules.maxReputation,
-              (profile.reputation || reputationRules.startingReputation) +
-                reputationBonus
-            );
-
-            const newProfile = {
-              points: newPoints,
-              level: newLevel,
-              resetStreak: newStreak,
-              resets: (profile.resets || 0) + 1,
-              reputation: newReputation,
-            };
-            // Update user's private profile
-            user.get("profile").put(newProfile);
-
-            // Update the public leaderboard with public data
-            gun.get("leaderboard").get(currentUser.alias).put({
-              points: newPoints,
-              level: newLevel,
-              reputation: newReputation,
-            });
-
-            // Update local user data immediately
-            currentUser.points = newPoints;
-            currentUser.level = newLevel;
-            currentUser.reputation = newReputation;
-
-            // Update UI immediately
-            if (stats) updateStatsUI(stats);
-
-            // Force profile UI update if profile modal is open
-            if (window.updateUserProfile) {
-              window.updateUserProfile();
-            }
-          });
+          // The timer module already wrote the new cycle epoch
+          stopSystemFailureDisplay();
+          awardResetPoints();
         });
 
         input.value = "";
@@ -2009,12 +1835,18 @@ input.onkeydown = (event) => {
             console.warn("Failed to play reset sound:", error);
           });
         }
-        addLog("Numbers entered correctly. Timer reset.", "success");
-      } else if (input.value !== "") {
+        addLog("Numbers entered correctly. Signed reset submitted.", "success");
+      } else if (
+        input.value !== "" &&
+        window.timer.isEntryWindowOpen &&
+        window.timer.isEntryWindowOpen()
+      ) {
         addLog("Incorrect code sequence. Input ignored.", "warning");
 
-        // Reset the user's streak on incorrect code
-        user.get("profile").put({ resetStreak: 0 });
+        // Reset the user's streak on incorrect code, if the station says so
+        if (window.rules.getRules().wrongCodeResetsStreak) {
+          user.get("profile").put({ resetStreak: 0 });
+        }
 
         input.value = "";
         if (siren && siren.readyState >= 2) {
@@ -2034,16 +1866,6 @@ input.onkeydown = (event) => {
   }
 };
 
-// Timer decrement function - now using timer module
-function decrementTimer() {
-  if (window.timer && window.timer.decrementTimer) {
-    window.timer.decrementTimer();
-  } else {
-    console.error("❌ Timer module not available");
-    addLog("ERROR: Timer module not initialized", "error");
-  }
-}
-
 // Generate avatar from public key using Multiavatar
 function generateAvatar(pubKey) {
   try {
@@ -2896,6 +2718,10 @@ function updateStatsUI(newStats) {
                 <button id="activeOperatorsBtn" class="stats-button">[ ACTIVE OPERATORS ]</button>
                 <button id="challengeEventsBtn" class="stats-button">[ CHALLENGES ]</button>
                 <button id="calibrationBtn" class="stats-button">[ CALIBRATION ]</button>
+                <button id="shiftsBtn" class="stats-button">[ SHIFTS ]</button>
+                <button id="telemetryBtn" class="stats-button">[ TELEMETRY ]</button>
+                <button id="alarmsBtn" class="stats-button">[ ALARMS ]</button>
+                <button id="exportBtn" class="stats-button">[ EXPORT ]</button>
             </div>
         </div>
     `;
@@ -2912,6 +2738,10 @@ function updateStatsUI(newStats) {
   const activeOperatorsBtn = document.getElementById("activeOperatorsBtn");
   const challengeEventsBtn = document.getElementById("challengeEventsBtn");
   const calibrationBtn = document.getElementById("calibrationBtn");
+  const shiftsBtn = document.getElementById("shiftsBtn");
+  const telemetryBtn = document.getElementById("telemetryBtn");
+  const alarmsBtn = document.getElementById("alarmsBtn");
+  const exportBtn = document.getElementById("exportBtn");
 
   if (profileBtn) profileBtn.onclick = showProfile;
   if (globalStatsBtn) globalStatsBtn.onclick = showGlobalStats;
@@ -2923,7 +2753,13 @@ function updateStatsUI(newStats) {
   if (mapBtn) mapBtn.onclick = showOperatorsMap;
   if (activeOperatorsBtn) activeOperatorsBtn.onclick = showActiveOperators;
   if (challengeEventsBtn) challengeEventsBtn.onclick = showChallengeEvents;
-  if (calibrationBtn) calibrationBtn.onclick = showCalibrationGame;
+  if (calibrationBtn) {
+    calibrationBtn.onclick = window.calibration.showCalibrationGame;
+  }
+  if (shiftsBtn) shiftsBtn.onclick = window.shifts.showShiftRoster;
+  if (telemetryBtn) telemetryBtn.onclick = window.telemetry.showTelemetry;
+  if (alarmsBtn) alarmsBtn.onclick = window.alarms.showAlarmList;
+  if (exportBtn) exportBtn.onclick = window.exporter.showExportDialog;
 
   // Debug: Check if all buttons were found (only log once)
   if (!window.buttonsInitialized) {
@@ -2970,11 +2806,11 @@ function showGlobalStats() {
             <div class="stats-grid">
                 <div class="stat-item">
                     <div class="stat-label">GLOBAL RESETS</div>
-                    <div class="stat-value">${stats.resets}</div>
+                    <div class="stat-value" id="globalResets">${getEventTotal("reset")}</div>
                 </div>
                 <div class="stat-item">
                     <div class="stat-label">SYSTEM FAILURES</div>
-                    <div class="stat-value">${stats.failures}</div>
+                    <div class="stat-value" id="globalFailures">${getEventTotal("failure")}</div>
                 </div>
             </div>
             
@@ -3000,13 +2836,42 @@ function showGlobalStats() {
     `;
   document.body.appendChild(overlay);
 
-  // Create the chart
-  createStatsChart();
+  // Keep the totals current while the overlay is open
+  const unsubscribe = window.events
+    ? window.events.onTotalsChange(() => {
+        if (!document.body.contains(overlay)) {
+          unsubscribe();
+          return;
+        }
+        overlay.querySelector("#globalResets").textContent =
+          getEventTotal("reset");
+        overlay.querySelector("#globalFailures").textContent =
+          getEventTotal("failure");
+      })
+    : null;
+
+  // Create the chart from the last week of the event log
+  if (window.events) {
+    window.events
+      .loadEvents({ days: 7, types: ["reset", "failure"] })
+      .then(createStatsChart);
+  } else {
+    createStatsChart([]);
+  }
+
+  overlay.querySelector("#closeStats").onclick = () => {
+    if (unsubscribe) unsubscribe();
+    overlay.remove();
+  };
+}
 
-  overlay.querySelector("#closeStats").onclick = () => overlay.remove();
+// Total from the event log, falling back to the stats node
+function getEventTotal(type) {
+  if (window.events) return window.events.getTotal(type);
+  return (type === "reset" ? stats.resets : stats.failures) || 0;
 }
 
-function createStatsChart() {
+function createStatsChart(allEvents) {
   const canvas = document.getElementById("statsChart");
   if (!canvas) return;
 
@@ -3017,15 +2882,9 @@ function createStatsChart() {
   // Clear canvas
   ctx.clearRect(0, 0, width, height);
 
-  // Get historical data from GunDB
-  const resetHistory = stats.resetHistory || [];
-  const failureHistory = stats.failureHistory || [];
-
-  // Combine and sort all events by timestamp
-  const allEvents = [
-    ...resetHistory.map((event) => ({ ...event, type: "reset" })),
-    ...failureHistory.map((event) => ({ ...event, type: "failure" })),
-  ].sort((a, b) => a.timestamp - b.timestamp);
+  // Events arrive sorted by timestamp
+  const resetHistory = allEvents.filter((event) => event.type === "reset");
+  const failureHistory = allEvents.filter((event) => event.type === "failure");
 
   if (allEvents.length === 0) {
     // Show empty state
@@ -3088,7 +2947,7 @@ function createStatsChart() {
 
   // Y-axis labels (count)
   ctx.textAlign = "right";
-  const maxCount = Math.max(stats.resets || 0, stats.failures || 0, 1);
+  const maxCount = Math.max(resetHistory.length, failureHistory.length, 1);
   for (let i = 0; i <= 5; i++) {
     const y = ((height - 40) * i) / 5;
     const count = Math.round((maxCount * (5 - i)) / 5);
@@ -3145,43 +3004,6 @@ function createStatsChart() {
   }
 }
 
-function triggerSystemFailure() {
-  addLog("CRITICAL: SYSTEM FAILURE DETECTED.", "error");
-
-  // Start continuous SYSTEM FAILURE display
-  startSystemFailureDisplay();
-
-  statsRef.once((currentStats) => {
-    if (currentStats) {
-      const failureHistory = currentStats.failureHistory || [];
-      failureHistory.push({
-        timestamp: Date.now(),
-      });
-
-      // Keep only last 100 failures for performance
-      if (failureHistory.length > 100) {
-        failureHistory.splice(0, failureHistory.length - 100);
-      }
-
-      statsRef.put({
-        failures: (currentStats.failures || 0) + 1,
-        failureHistory: failureHistory,
-      });
-    }
-  });
-  // No penalty countdown - system failure stays at 0
-  updateTimer(0, "system_failure");
-
-  // Update user's profile statistics on system failure
-  user.get("profile").once((profile) => {
-    const updatedProfile = {
-      ...(profile || {}),
-      resetStreak: 0,
-    };
-    user.get("profile").put(updatedProfile);
-  });
-}
-
 // Global variable to track system failure state
 let systemFailureInterval = null;
 let systemFailureActive = false;
@@ -3219,6 +3041,12 @@ function stopSystemFailureDisplay() {
 
 // Connection status update function
 function updateConnectionStatus(status, className) {
+  // Connected, but only to local relays: nothing leaves the LAN
+  if (className === "connected" && window.peers?.isLocalOnly()) {
+    status = "LOCAL ONLY";
+    className = "local";
+  }
+
   const statusElement = document.getElementById("connectionStatus");
   if (statusElement) {
     statusElement.textContent = status;
@@ -3237,29 +3065,7 @@ function showNetworkAnalytics() {
       <div class="network-section">
         <h3>GUNDB RELAYS</h3>
         <div class="relay-management">
-          <div class="relay-list" id="relayList">
-            <div class="relay-item">
-              <div class="relay-status connected"></div>
-              <div class="relay-url">https://relay.shogun-eco.xyz/gun</div>
-              <div class="relay-actions">
-                <button class="relay-remove-btn" data-url="https://relay.shogun-eco.xyz/gun">REMOVE</button>
-              </div>
-            </div>
-            <div class="relay-item">
-              <div class="relay-status connected"></div>
-              <div class="relay-url">https://peer.wallie.io/gun</div>
-              <div class="relay-actions">
-                <button class="relay-remove-btn" data-url="https://peer.wallie.io/gun">REMOVE</button>
-              </div>
-            </div>
-            <div class="relay-item">
-              <div class="relay-status connected"></div>
-              <div class="relay-url">https://gun-manhattan.herokuapp.com/gun</div>
-              <div class="relay-actions">
-                <button class="relay-remove-btn" data-url="https://gun-manhattan.herokuapp.com/gun">REMOVE</button>
-              </div>
-            </div>
-          </div>
+          <div class="relay-list" id="relayList"></div>
           <div class="add-relay-section">
             <input type="text" id="newRelayUrl" placeholder="https://your-relay.com/gun" class="relay-input">
             <button id="addRelayBtn" class="terminal-button">ADD RELAY</button>
@@ -3267,6 +3073,11 @@ function showNetworkAnalytics() {
         </div>
       </div>
       
+      <div class="network-section">
+        <h3>EVENT SOURCES</h3>
+        <div class="source-settings" id="sourceSettings"></div>
+      </div>
+      
       <div class="network-section">
         <h3>PEER CONNECTIONS</h3>
         <div class="network-grid">
@@ -3281,6 +3092,25 @@ function showNetworkAnalytics() {
         </div>
       </div>
       
+      <div class="network-section">
+        <h3>THROUGHPUT</h3>
+        <div class="network-metrics">
+          <div class="metric-item">
+            <span class="metric-label">Received:</span>
+            <span class="metric-value" id="throughputIn">Loading...</span>
+          </div>
+          <div class="metric-item">
+            <span class="metric-label">Sent:</span>
+            <span class="metric-value" id="throughputOut">Loading...</span>
+          </div>
+          <div class="metric-item">
+            <span class="metric-label">Messages:</span>
+            <span class="metric-value" id="messageRate">Loading...</span>
+          </div>
+        </div>
+        <div class="relay-traffic" id="relayTraffic"></div>
+      </div>
+      
       <div class="network-section">
         <h3>STORAGE CONTRIBUTION</h3>
         <div class="network-grid">
@@ -3289,7 +3119,7 @@ function showNetworkAnalytics() {
             <div class="network-value" id="userContribution">Loading...</div>
           </div>
           <div class="network-item">
-            <div class="network-label">NETWORK TOTAL</div>
+            <div class="network-label">SESSION TRAFFIC</div>
             <div class="network-value" id="networkTotal">Loading...</div>
           </div>
         </div>
@@ -3337,10 +3167,13 @@ function showNetworkAnalytics() {
   document.body.appendChild(overlay);
 
   // Initialize network analytics
-  initializeNetworkMetrics();
+  initializeNetworkMetrics(overlay);
 
   // Initialize relay management
-  initializeRelayManagement();
+  initializeRelayManagement(overlay);
+
+  // Event source provider and keys
+  window.sources?.bindSourcePanel(overlay);
 
   overlay.querySelector("#closeNetwork").onclick = () => overlay.remove();
 }
@@ -3561,44 +3394,24 @@ function showTaskSystem() {
     if (activeTasks.length < 3) {
       // Force generate a new task
       const taskType = Math.random();
-      let category, taskKey;
+      let category;
 
       if (taskType < 0.2) {
         category = "EMERGENCY";
-        const emergencyTasks = Object.keys(taskTypes.EMERGENCY);
-        taskKey =
-          emergencyTasks[Math.floor(Math.random() * emergencyTasks.length)];
       } else if (taskType < 0.6) {
         category = "CRITICAL";
-        const criticalTasks = Object.keys(taskTypes.CRITICAL);
-        taskKey =
-          criticalTasks[Math.floor(Math.random() * criticalTasks.length)];
       } else {
         category = "MAINTENANCE";
-        const maintenanceTasks = Object.keys(taskTypes.MAINTENANCE);
-        taskKey =
-          maintenanceTasks[Math.floor(Math.random() * maintenanceTasks.length)];
       }
 
-      const task = taskTypes[category][taskKey];
-      const taskId = crypto.randomUUID();
-
+      const task = window.catalog.pickTask(category);
       const newTask = {
-        id: taskId,
-        type: category,
-        name: task.name,
-        difficulty: task.difficulty,
-        timeLimit: task.timeLimit,
-        createdAt: Date.now(),
-        expiresAt: Date.now() + task.timeLimit,
-        assignedTo: null,
-        completed: false,
-        failed: false,
-        parameters: generateTaskParameters(category, taskKey),
+        ...window.catalog.createTaskInstance(task),
+        parameters: generateTaskParameters(category, task.key),
         forced: true,
       };
 
-      taskRef.get(taskId).put(newTask);
+      taskRef.get(newTask.id).put(newTask);
       activeTasks.push(newTask);
 
       // Play task notification sound for forced task
@@ -3849,6 +3662,9 @@ function showTaskNotification(task) {
       task.difficulty || 1
     }/5 | Time: ${Math.floor((task.timeLimit || 300000) / 60000)}min
       </div>
+      <div class="notification-description">${window.catalog.getDescription(
+        task
+      )}</div>
     `;
   }
 
@@ -4272,6 +4088,7 @@ function updateActiveOperatorsList(operators) {
       const currentUserPub = user.is?.pub;
       const canChallenge = operator.pub !== currentUserPub; // Can challenge both online and offline operators
       const isOnCooldown = isOperatorOnCooldown(operator.pub);
+      const isOnDuty = window.shifts?.isOnDuty(operator.pub);
 
       // Debug logging for cooldown status
       console.log(
@@ -4290,7 +4107,7 @@ function updateActiveOperatorsList(operators) {
       return `
     <div class="operator-list-item ${
       operator.isOnline ? "online" : "offline"
-    }" data-operator-pub="${operator.pub}">
+    }${isOnDuty ? " on-duty" : ""}" data-operator-pub="${operator.pub}">
       <div class="operator-avatar">
         <img src="${avatar}" alt="${operator.name}" />
       </div>
@@ -4306,6 +4123,7 @@ function updateActiveOperatorsList(operators) {
         <div class="operator-status">${
           operator.isOnline ? "ONLINE" : "OFFLINE"
         }</div>
+        ${isOnDuty ? '<div class="operator-duty">ON DUTY</div>' : ""}
       </div>
       <div class="operator-actions">
         ${
@@ -4567,6 +4385,38 @@ const reputationRules = {
   calibrationBonus: 5, // Increased bonus for station management
 };
 
+// Change the operator's reputation within the rules' bounds, everywhere
+// it is kept: profile, leaderboard and the local user the challenge gate
+// reads. Returns the new reputation.
+function updateReputation(change, reason = "reputation update") {
+  if (!currentUser || !user?.is) {
+    console.error("❌ Cannot update reputation: no current user");
+    return null;
+  }
+
+  const newReputation = Math.min(
+    reputationRules.maxReputation,
+    Math.max(
+      0,
+      (currentUser.reputation || reputationRules.startingReputation) + change
+    )
+  );
+  console.log(
+    `🔄 Updating reputation: ${change > 0 ? "+" : ""}${change} (${reason})`
+  );
+
+  currentUser.reputation = newReputation;
+  user.get("profile").put({ reputation: newReputation });
+  gun.get("leaderboard").get(currentUser.alias).put({
+    reputation: newReputation,
+  });
+
+  if (window.updateUserProfile) {
+    window.updateUserProfile();
+  }
+  return newReputation;
+}
+
 // Balanced cooldown system rules
 const cooldownRules = {
   generalCooldown: 180000, // Reduced to 3 minutes for more activity
@@ -4660,7 +4510,7 @@ function formatLastSeen(timestamp) {
 }
 
 // Initialize network metrics
-function initializeNetworkMetrics() {
+function initializeNetworkMetrics(container = document) {
   let sessionStart = Date.now();
   let messageCount = 0;
   let timerUpdateCount = 0;
@@ -4675,66 +4525,8 @@ function initializeNetworkMetrics() {
     }
   }, 1000);
 
-  // Monitor peer connections
-  if (gun) {
-    // Count active operators
-    let activeOperators = 0;
-    operatorsRef.map().once((data, key) => {
-      if (data && data.lastSeen) {
-        const timeSinceLastSeen = Date.now() - data.lastSeen;
-        if (timeSinceLastSeen < 120000) {
-          // 2 minutes
-          activeOperators++;
-        }
-      }
-    });
-
-    setTimeout(() => {
-      const activePeersElement = document.getElementById("activePeers");
-      if (activePeersElement) {
-        activePeersElement.textContent = activeOperators;
-      }
-
-      const totalPeersElement = document.getElementById("totalPeers");
-      if (totalPeersElement) {
-        totalPeersElement.textContent =
-          activeOperators + Math.floor(Math.random() * 5); // Simulate total peers
-      }
-    }, 1000);
-
-    // Calculate storage contribution based on actual user activity
-    const sessionDuration =
-      Date.now() - (currentUser.connectionTime || Date.now());
-    const hoursConnected = Math.floor(sessionDuration / (1000 * 60 * 60));
-    const baseContribution = Math.max(1, hoursConnected * 2); // Base contribution per hour
-    const activityBonus = (currentUser.resets || 0) * 5; // Bonus for resets
-    const taskBonus = (currentUser.tasksCompleted || 0) * 3; // Bonus for tasks
-    const userContribution = baseContribution + activityBonus + taskBonus;
-    const networkTotal = userContribution * (activeOperators + 5);
-
-    const userContributionElement = document.getElementById("userContribution");
-    if (userContributionElement) {
-      userContributionElement.textContent = `${userContribution} KB`;
-    }
-
-    const networkTotalElement = document.getElementById("networkTotal");
-    if (networkTotalElement) {
-      networkTotalElement.textContent = `${networkTotal} KB`;
-    }
-
-    // Data health indicators
-    const syncStatusElement = document.getElementById("syncStatus");
-    if (syncStatusElement) {
-      syncStatusElement.textContent = "SYNCED";
-      syncStatusElement.className = "network-value healthy";
-    }
-
-    const redundancyElement = document.getElementById("redundancy");
-    if (redundancyElement) {
-      redundancyElement.textContent = `${activeOperators + 2}x`;
-      redundancyElement.className = "network-value healthy";
-    }
-  }
+  // Live peers, throughput, per-relay traffic and storage
+  window.metrics.bindNetworkPanel(container);
 
   // Monitor real-time metrics (using global chatMessageCount)
   if (chatRef) {
@@ -4757,7 +4549,7 @@ function initializeNetworkMetrics() {
   // Monitor timer updates
   if (timerRef) {
     timerRef.on((data) => {
-      if (data && data.value !== undefined) {
+      if (data && data.cycleStart !== undefined) {
         timerUpdateCount++;
         const timerElement = document.getElementById("timerUpdates");
         if (timerElement) {
@@ -4782,171 +4574,9 @@ function initializeNetworkMetrics() {
 }
 
 // Initialize relay management
-function initializeRelayManagement() {
-  const addRelayBtn = document.getElementById("addRelayBtn");
-  const newRelayUrlInput = document.getElementById("newRelayUrl");
-  const relayList = document.getElementById("relayList");
-
-  // Store current relays for management
-  let currentRelays = [
-    "https://relay.shogun-eco.xyz/gun",
-    "https://peer.wallie.io/gun",
-    "https://gun-manhattan.herokuapp.com/gun",
-  ];
-
-  // Add relay functionality
-  if (addRelayBtn && newRelayUrlInput) {
-    addRelayBtn.addEventListener("click", () => {
-      const newRelayUrl = newRelayUrlInput.value.trim();
-
-      if (!newRelayUrl) {
-        addLog("ERROR: Relay URL cannot be empty", "error");
-        return;
-      }
-
-      // Validate URL format
-      if (
-        !newRelayUrl.startsWith("https://") &&
-        !newRelayUrl.startsWith("http://")
-      ) {
-        addLog("ERROR: Relay URL must start with http:// or https://", "error");
-        return;
-      }
-
-      // Check if relay already exists
-      if (currentRelays.includes(newRelayUrl)) {
-        addLog("ERROR: Relay already exists", "error");
-        return;
-      }
-
-      // Add new relay to GunDB
-      try {
-        // Add to current relays array
-        currentRelays.push(newRelayUrl);
-
-        // Update GunDB peers
-        gun.opt({ peers: currentRelays });
-
-        // Add to UI
-        const newRelayItem = document.createElement("div");
-        newRelayItem.className = "relay-item";
-        newRelayItem.innerHTML = `
-          <div class="relay-status connecting"></div>
-          <div class="relay-url">${newRelayUrl}</div>
-          <div class="relay-actions">
-            <button class="relay-remove-btn" data-url="${newRelayUrl}">REMOVE</button>
-          </div>
-        `;
-        relayList.appendChild(newRelayItem);
-
-        // Clear input
-        newRelayUrlInput.value = "";
-
-        addLog(`SUCCESS: Added relay ${newRelayUrl}`, "success");
-
-        // Test connection and update status
-        testRelayConnection(newRelayUrl, newRelayItem);
-      } catch (error) {
-        addLog(`ERROR: Failed to add relay: ${error.message}`, "error");
-        // Remove from array if failed
-        currentRelays = currentRelays.filter((url) => url !== newRelayUrl);
-      }
-    });
-
-    // Allow Enter key to add relay
-    newRelayUrlInput.addEventListener("keypress", (e) => {
-      if (e.key === "Enter") {
-        addRelayBtn.click();
-      }
-    });
-  }
-
-  // Remove relay functionality
-  if (relayList) {
-    relayList.addEventListener("click", (e) => {
-      if (e.target.classList.contains("relay-remove-btn")) {
-        const relayUrl = e.target.getAttribute("data-url");
-        const relayItem = e.target.closest(".relay-item");
-
-        // Don't allow removing the last relay
-        if (currentRelays.length <= 1) {
-          addLog("ERROR: Cannot remove the last relay", "error");
-          return;
-        }
-
-        // Remove from current relays array
-        currentRelays = currentRelays.filter((url) => url !== relayUrl);
-
-        // Update GunDB peers
-        gun.opt({ peers: currentRelays });
-
-        // Remove from UI
-        relayItem.remove();
-
-        addLog(`SUCCESS: Removed relay ${relayUrl}`, "success");
-      }
-    });
-  }
-
-  // Test relay connection
-  function testRelayConnection(relayUrl, relayItem) {
-    const statusElement = relayItem.querySelector(".relay-status");
-
-    // Simulate connection test
-    setTimeout(() => {
-      // In a real implementation, you would test the actual connection
-      // For now, we'll simulate based on URL patterns
-      const isReliable =
-        relayUrl.includes("shogun-eco.xyz") ||
-        relayUrl.includes("wallie.io") ||
-        relayUrl.includes("herokuapp.com");
-
-      if (isReliable) {
-        statusElement.className = "relay-status connected";
-      } else {
-        // Test new relays with a ping-like approach
-        const testConnection = Math.random() > 0.3; // 70% success rate for new relays
-        statusElement.className = testConnection
-          ? "relay-status connected"
-          : "relay-status disconnected";
-
-        if (!testConnection) {
-          addLog(`WARNING: Relay ${relayUrl} connection failed`, "warning");
-        }
-      }
-    }, 1500);
-  }
-
-  // Update relay status periodically
-  safeSetInterval(() => {
-    const relayItems = relayList.querySelectorAll(".relay-item");
-    relayItems.forEach((item) => {
-      const statusElement = item.querySelector(".relay-status");
-      const urlElement = item.querySelector(".relay-url");
-      const relayUrl = urlElement.textContent;
-
-      // Only update if not currently connecting
-      if (!statusElement.classList.contains("connecting")) {
-        // Simulate connection status with more realistic patterns
-        const isReliable =
-          relayUrl.includes("shogun-eco.xyz") ||
-          relayUrl.includes("wallie.io") ||
-          relayUrl.includes("herokuapp.com");
-
-        let isConnected;
-        if (isReliable) {
-          isConnected = Math.random() > 0.05; // 95% uptime for reliable relays
-        } else {
-          isConnected = Math.random() > 0.2; // 80% uptime for other relays
-        }
-
-        statusElement.className = isConnected
-          ? "relay-status connected"
-          : "relay-status disconnected";
-      }
-    });
-  }, 10000); // Check every 10 seconds
-}
+function initializeRelayManagement(container = document) {
+  window.peers.bindRelayPanel(container);
+}
 
 function showLeaderboard() {
   const overlay = document.createElement("div");
@@ -5106,7 +4736,7 @@ function initializeChat() {
 
     // Attempt to reinitialize chat reference
     if (gun && !chatRef) {
-      chatRef = gun.get("chat");
+      chatRef = window.stations.getStationRoot(gun).get("chat");
       addLog("Attempting to reinitialize chat reference...", "info");
       // Retry initialization after a short delay
       setTimeout(() => {
@@ -5335,8 +4965,6 @@ function initializeSystem() {
         stats = {
           ...stats,
           ...data,
-          resetHistory: data.resetHistory || [],
-          failureHistory: data.failureHistory || [],
         };
         updateStatsUI(stats); // Update global stats regardless of user
       }
@@ -5368,7 +4996,15 @@ function initializeSystem() {
 }
 
 // Station Rules Function
+// Describe discharge penalties for the rules screen
+function formatPenalties(penalties) {
+  return Object.entries(penalties)
+    .map(([param, delta]) => `${param} ${delta > 0 ? "+" : ""}${delta}`)
+    .join(", ");
+}
+
 function showStationRules() {
+  const rules = window.rules.getRules();
   const overlay = document.createElement("div");
   overlay.className = "overlay";
   overlay.innerHTML = `
@@ -5394,11 +5030,13 @@ function showStationRules() {
       <div class="rules-section">
         <h3>CRITICAL PROTOCOL</h3>
         <ul>
-          <li class="warning">Timer counts down from 108 minutes</li>
+          <li class="warning">Timer counts down from ${rules.cycleMinutes} minutes</li>
           <li class="warning">When timer reaches 0, SYSTEM FAILURE occurs</li>
-          <li class="success">Enter sequence: 4 8 15 16 23 42 to reset timer</li>
-          <li class="warning">Code input ONLY allowed in last 4 minutes of countdown</li>
-          <li class="info">Incorrect sequences are ignored (no penalty)</li>
+          <li class="success">Enter sequence: ${rules.codes.join(" or ")} to reset timer</li>
+          <li class="warning">Code input ONLY allowed in last ${rules.entryWindowMinutes} minutes of countdown</li>
+          <li class="${rules.wrongCodeResetsStreak ? "warning" : "info"}">Incorrect sequences ${rules.wrongCodeResetsStreak ? "reset your reset streak" : "are ignored (no penalty)"}</li>
+          <li class="warning">After ${rules.hieroglyphPhaseSeconds} seconds of hieroglyphs a discharge hits the station: ${formatPenalties(rules.parameterPenalties)}, +${Math.round(rules.instabilityPenalty * 100)}% instability${rules.resetStreakOnFailure ? ", online operators lose their streak" : ""}</li>
+          <li class="info">A ${Math.round(rules.recoveryPhaseSeconds / 60)}-minute recovery follows before a new cycle begins</li>
           <li class="warning">Station parameters naturally drift over time</li>
           <li class="warning">Random events can affect multiple parameters simultaneously</li>
           <li class="success">Balanced parameters provide bonus points on timer reset</li>
@@ -5414,6 +5052,7 @@ function showStationRules() {
           <li class="success">+1 bonus point for good balance (4+ parameters optimal)</li>
           <li class="success">+2 bonus points for being first to reset</li>
           <li class="success">+1 bonus point for 4-in-a-row reset streak</li>
+          <li class="success">+${window.shifts.SHIFT_POINTS} points for covering a claimed ${rules.shiftMinutes}-minute shift</li>
           <li class="success">Task completion awards: Difficulty × (Emergency: 3, Critical: 2, Maintenance: 1)</li>
           <li class="info">Level up based on total points accumulated</li>
         </ul>
@@ -5727,14 +5366,11 @@ function initializeTaskSystem() {
   stationParamsRef.on((params) => {
     if (params) {
       stationParameters = { ...stationParameters, ...params };
+      if (typeof params.instabilityLevel === "number") {
+        instabilityLevel = params.instabilityLevel;
+      }
       updateStationParametersDisplay();
       checkParameterAlerts();
-
-      // Sync to calibration bars if calibration game is not active
-      // But avoid infinite loops by checking if values actually changed
-      if (!calibrationGameActive && !window.isSyncing) {
-        syncStationToCalibration();
-      }
     }
   });
 
@@ -5747,17 +5383,26 @@ function initializeTaskSystem() {
   // Start random events
   startRandomEvents();
 
-  // Start parameter drift
-  startParameterDrift();
+  // Follow incidents and, as coordinator, raise their stages
+  window.incidents.startIncidents((definition) => ({
+    ...window.catalog.createTaskInstance(definition),
+    parameters: generateTaskParameters(definition.category, definition.key),
+  }));
+
+  // Follow the station simulation; the coordinator advances its ticks
+  window.simulation.startSimulation();
+
+  // Follow parameter alarms; the coordinator forces emergency tasks
+  window.alarms.startAlarms((definition) => ({
+    ...window.catalog.createTaskInstance(definition),
+    parameters: generateTaskParameters(definition.category, definition.key),
+  }));
 
   // Start real-time parameter display updates
   startParameterDisplayUpdates();
 
   // Start task cleanup
   startTaskCleanup();
-
-  // Start instability system
-  startInstabilitySystem();
 }
 
 function loadTasksFromGunDB() {
@@ -5849,10 +5494,9 @@ function loadTasksFromGunDB() {
             }, created: ${new Date(validTask.createdAt).toLocaleTimeString()})`
           );
         } else if (task.expiresAt && currentTime >= task.expiresAt) {
-          // Mark expired tasks as failed
-          task.failed = true;
-          taskRef.get(id).put(task);
-          console.log(`❌ Marked expired task as failed: ${task.name}`);
+          // Expired while nobody was watching - one client resolves it
+          window.expiry.resolveExpiry({ ...task, id });
+          console.log(`❌ Expired task pending resolution: ${task.name}`);
         } else if (!isAssignedToMe && !isRecentTask) {
           console.log(
             `⏭️ Skipping old unassigned task: ${task.name} (created: ${new Date(
@@ -5995,6 +5639,9 @@ function cleanupCorruptedTasks() {
 function startTaskSynchronization() {
   console.log("Starting real-time task synchronization...");
 
+  // Crew progress on cooperative tasks redraws the task list
+  window.crews.onCrewChange(() => updateTaskDisplay());
+
   // Listen for new tasks being added by any operator
   taskRef.map().on((task, taskId) => {
     // Skip sync during initial load to prevent conflicts
@@ -6070,10 +5717,16 @@ function startTaskSynchronization() {
           const localAssignedAt = localTask.assignedAt || 0;
           const syncAssignedAt = task.assignedAt || 0;
 
+          // An unassignment stamped after our assignment is not stale:
+          // the task was returned to the pool
+          const isReturned =
+            isSyncUnassigned && syncAssignedAt > localAssignedAt;
+
           // Don't overwrite our local assignment with stale unassigned data
           // Also check if our local assignment is more recent
           if (
             isLocalAssignment &&
+            !isReturned &&
             (isSyncUnassigned || localAssignedAt > syncAssignedAt)
           ) {
             console.log(
@@ -6086,8 +5739,31 @@ function startTaskSynchronization() {
             return;
           }
 
+          // Tell the operator when a task is handed to them
+          if (
+            currentUser &&
+            task.handoffTo === currentUser.alias &&
+            localTask.handoffTo !== task.handoffTo
+          ) {
+            addLog(
+              `HANDOFF OFFER: ${task.handoffFrom} offers you "${task.name}"`,
+              "warning"
+            );
+          }
+
+          if (isLocalAssignment && isReturned) {
+            addLog(`TASK RETURNED TO POOL: ${task.name}`, "warning");
+          }
+
+          // A declined or withdrawn handoff leaves the assignee unchanged
+          const isHandoffCleared = !task.handoffTo && !!localTask.handoffTo;
+
           // Only update if it's not our own recent update or if it's a significant change
-          if (!isOwnUpdate || task.assignedTo !== localTask.assignedTo) {
+          if (
+            !isOwnUpdate ||
+            task.assignedTo !== localTask.assignedTo ||
+            isHandoffCleared
+          ) {
             const updatedTask = {
               ...task,
               id: taskId,
@@ -6172,19 +5848,21 @@ function startTaskCleanup() {
     // Check for expired tasks
     activeTasks = activeTasks.filter((task) => {
       if (task.expiresAt && now > task.expiresAt) {
-        // Mark as failed in GunDB
-        task.failed = true;
-        taskRef.get(task.id).put(task);
+        // One client claims the expiry and applies its failure effects
+        window.expiry.resolveExpiry(task);
         taskHistory.push(task);
         tasksRemoved++;
-        addLog(`Task "${task.name}" expired and marked as failed`, "warning");
+        addLog(`Task "${task.name}" expired`, "warning");
 
         return false;
       }
       return true;
     });
 
-    if (tasksRemoved > 0) {
+    // Tasks of operators who went offline go back to the pool
+    const returned = window.assignments.returnLapsedTasks(activeTasks);
+
+    if (tasksRemoved > 0 || returned.length > 0) {
       updateTaskDisplay();
       console.log(`Cleaned up ${tasksRemoved} expired tasks`);
     }
@@ -6194,6 +5872,12 @@ function startTaskCleanup() {
 function startTaskGeneration() {
   // Generate tasks every 5-10 minutes with instability system
   const generateTask = () => {
+    // Only the station coordinator generates tasks
+    if (!window.coordinator.isCoordinator()) return;
+
+    // No new tasks while the station recovers from a discharge
+    if (window.failure?.isRecovering()) return;
+
     // Check for instability events that increase task generation
     const instabilityLevel = getInstabilityLevel();
     let taskType = Math.random();
@@ -6219,57 +5903,32 @@ function startTaskGeneration() {
       }
     }
 
-    let category, taskKey;
+    let category;
 
     if (taskType < 0.1) {
       // 10% chance for emergency task (base)
       category = "EMERGENCY";
-      const emergencyTasks = Object.keys(taskTypes.EMERGENCY);
-      taskKey =
-        emergencyTasks[Math.floor(Math.random() * emergencyTasks.length)];
     } else if (taskType < 0.4) {
       // 30% chance for critical task (base)
       category = "CRITICAL";
-      const criticalTasks = Object.keys(taskTypes.CRITICAL);
-      taskKey = criticalTasks[Math.floor(Math.random() * criticalTasks.length)];
     } else {
       // 60% chance for maintenance task (base)
       category = "MAINTENANCE";
-      const maintenanceTasks = Object.keys(taskTypes.MAINTENANCE);
-      taskKey =
-        maintenanceTasks[Math.floor(Math.random() * maintenanceTasks.length)];
     }
 
-    const task = taskTypes[category][taskKey];
-
-    // Validate task data
-    if (!task || !task.name) {
-      console.error("Invalid task data:", task);
+    // The catalog is validated on load, so every category has a task
+    const task = window.catalog.pickTask(category);
+    if (!task) {
+      console.error("No catalog task for category:", category);
       addLog("ERROR: Invalid task data generated", "error");
       return;
     }
 
-    // Additional validation
-    if (!task.difficulty || !task.timeLimit) {
-      console.warn("Task missing required properties:", task);
-      addLog("WARNING: Task missing required properties", "warning");
-    }
-
-    const taskId = crypto.randomUUID();
-
     const newTask = {
-      id: taskId,
-      type: category,
-      name: task.name,
-      difficulty: task.difficulty || 1,
-      timeLimit: task.timeLimit || 300000,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + (task.timeLimit || 300000),
-      assignedTo: null,
-      completed: false,
-      failed: false,
-      parameters: generateTaskParameters(category, taskKey),
+      ...window.catalog.createTaskInstance(task),
+      parameters: generateTaskParameters(category, task.key),
     };
+    const taskId = newTask.id;
 
     // Add task to GunDB
     taskRef.get(taskId).put(newTask);
@@ -6322,134 +5981,13 @@ function startTaskGeneration() {
   }, Math.random() * 300000 + 600000); // 10-15 minutes
 }
 
-// Instability system
-let instabilityLevel = 0.1; // Base instability (0-1)
-let instabilityEvents = [];
+// Instability system (0-1), worked out by the station simulation
+let instabilityLevel = 0.1;
 
 function getInstabilityLevel() {
   return instabilityLevel;
 }
 
-function updateInstabilityLevel() {
-  // Calculate instability based on station parameters
-  let instability = 0.1; // Base instability
-
-  // Add instability based on parameter deviations
-  if (stationParameters) {
-    // Power instability
-    if (
-      stationParameters.powerLevel < 30 ||
-      stationParameters.powerLevel > 90
-    ) {
-      instability += 0.2;
-    }
-
-    // Oxygen instability
-    if (
-      stationParameters.oxygenLevel < 20 ||
-      stationParameters.oxygenLevel > 90
-    ) {
-      instability += 0.2;
-    }
-
-    // Temperature instability
-    if (
-      stationParameters.temperature < 5 ||
-      stationParameters.temperature > 35
-    ) {
-      instability += 0.15;
-    }
-
-    // Radiation instability
-    if (stationParameters.radiationLevel > 0.3) {
-      instability += 0.25;
-    }
-
-    // Pressure instability
-    if (stationParameters.pressure < 950 || stationParameters.pressure > 1050) {
-      instability += 0.15;
-    }
-
-    // Humidity instability
-    if (stationParameters.humidity < 25 || stationParameters.humidity > 75) {
-      instability += 0.1;
-    }
-  }
-
-  // Add random instability events
-  if (Math.random() < 0.1) {
-    // 10% chance every update
-    const randomInstability = Math.random() * 0.3;
-    instability += randomInstability;
-
-    // Add instability event
-    instabilityEvents.push({
-      timestamp: Date.now(),
-      level: randomInstability,
-      description: `Random instability spike: +${(
-        randomInstability * 100
-      ).toFixed(1)}%`,
-    });
-
-    // Keep only last 10 events
-    if (instabilityEvents.length > 10) {
-      instabilityEvents.shift();
-    }
-  }
-
-  // Clamp between 0 and 1
-  instabilityLevel = Math.max(0, Math.min(1, instability));
-
-  // Save to GunDB (only basic instability level, not events array)
-  if (stationParamsRef) {
-    const cleanParams = {
-      powerLevel: stationParameters.powerLevel,
-      oxygenLevel: stationParameters.oxygenLevel,
-      temperature: stationParameters.temperature,
-      radiationLevel: stationParameters.radiationLevel,
-      pressure: stationParameters.pressure,
-      humidity: stationParameters.humidity,
-      instabilityLevel: instabilityLevel,
-      lastUpdate: Date.now(),
-    };
-
-    stationParamsRef.put(cleanParams);
-  }
-
-  return instabilityLevel;
-}
-
-// Start instability updates
-function startInstabilitySystem() {
-  // Update instability every 30 seconds
-  safeSetInterval(() => {
-    updateInstabilityLevel();
-  }, 30000);
-}
-
-// Manual Calibration Game System
-let calibrationBars = {
-  power: { value: 50, target: 50, drift: 0.5, speed: 0.3 },
-  oxygen: { value: 50, target: 50, drift: 0.3, speed: 0.4 },
-  temperature: { value: 20, target: 20, drift: 0.2, speed: 0.5 },
-  radiation: { value: 0.1, target: 0.1, drift: 0.05, speed: 0.6 },
-  pressure: { value: 1000, target: 1000, drift: 2, speed: 0.4 },
-  humidity: { value: 50, target: 50, drift: 0.4, speed: 0.3 },
-};
-
-let calibrationRanges = {
-  power: { min: 40, max: 60 },
-  oxygen: { min: 45, max: 55 },
-  temperature: { min: 18, max: 22 },
-  radiation: { min: 0.05, max: 0.15 },
-  pressure: { min: 990, max: 1010 },
-  humidity: { min: 45, max: 55 },
-};
-
-let calibrationGameActive = false;
-let calibrationScore = 0;
-let calibrationStartTime = 0;
-
 // Challenge system variables
 let challengeCooldownActive = false;
 let challengeCooldownEndTime = 0;
@@ -6463,714 +6001,6 @@ let hashBruteForceGame = {
   difficulty: 1,
 };
 
-// Load calibration data from GunDB
-function loadCalibrationFromGunDB() {
-  if (!user || !user.is || !user.is.pub) return;
-
-  user.get("calibration").once((data) => {
-    if (data) {
-      calibrationBars = { ...calibrationBars, ...data.bars };
-      calibrationRanges = { ...calibrationRanges, ...data.ranges };
-      calibrationScore = data.score || 0;
-      console.log("✅ Loaded calibration data from GunDB");
-    }
-
-    // Sync with current station parameters
-    syncStationToCalibration();
-  });
-}
-
-// Sync station parameters to calibration bars
-function syncStationToCalibration() {
-  if (!stationParameters || window.isSyncing || !calibrationBars) return;
-
-  // Check if values actually changed to avoid unnecessary updates
-  const newValues = {
-    power: stationParameters.powerLevel || 50,
-    oxygen: stationParameters.oxygenLevel || 50,
-    temperature: stationParameters.temperature || 20,
-    radiation: stationParameters.radiationLevel || 0.1,
-    pressure: stationParameters.pressure || 1000,
-    humidity: stationParameters.humidity || 50,
-  };
-
-  // Check if any values actually changed
-  const hasChanged =
-    Math.abs(calibrationBars.power.value - newValues.power) > 0.01 ||
-    Math.abs(calibrationBars.oxygen.value - newValues.oxygen) > 0.01 ||
-    Math.abs(calibrationBars.temperature.value - newValues.temperature) >
-      0.01 ||
-    Math.abs(calibrationBars.radiation.value - newValues.radiation) > 0.001 ||
-    Math.abs(calibrationBars.pressure.value - newValues.pressure) > 0.1 ||
-    Math.abs(calibrationBars.humidity.value - newValues.humidity) > 0.01;
-
-  if (!hasChanged) return;
-
-  // Map station parameters to calibration bars
-  calibrationBars.power.value = newValues.power;
-  calibrationBars.oxygen.value = newValues.oxygen;
-  calibrationBars.temperature.value = newValues.temperature;
-  calibrationBars.radiation.value = newValues.radiation;
-  calibrationBars.pressure.value = newValues.pressure;
-  calibrationBars.humidity.value = newValues.humidity;
-
-  console.log("🔄 Synced station parameters to calibration bars");
-}
-
-// Sync calibration values to station parameters
-function syncCalibrationToStation() {
-  if (!stationParameters || window.isSyncing) return;
-
-  // Check if values actually changed to avoid unnecessary updates
-  const newValues = {
-    powerLevel: calibrationBars.power.value,
-    oxygenLevel: calibrationBars.oxygen.value,
-    temperature: calibrationBars.temperature.value,
-    radiationLevel: calibrationBars.radiation.value,
-    pressure: calibrationBars.pressure.value,
-    humidity: calibrationBars.humidity.value,
-  };
-
-  // Check if any values actually changed
-  const hasChanged =
-    Math.abs(stationParameters.powerLevel - newValues.powerLevel) > 0.01 ||
-    Math.abs(stationParameters.oxygenLevel - newValues.oxygenLevel) > 0.01 ||
-    Math.abs(stationParameters.temperature - newValues.temperature) > 0.01 ||
-    Math.abs(stationParameters.radiationLevel - newValues.radiationLevel) >
-      0.001 ||
-    Math.abs(stationParameters.pressure - newValues.pressure) > 0.1 ||
-    Math.abs(stationParameters.humidity - newValues.humidity) > 0.01;
-
-  if (!hasChanged) return;
-
-  // Prevent infinite loops
-  window.isSyncing = true;
-
-  // Map calibration bars to station parameters
-  stationParameters.powerLevel = newValues.powerLevel;
-  stationParameters.oxygenLevel = newValues.oxygenLevel;
-  stationParameters.temperature = newValues.temperature;
-  stationParameters.radiationLevel = newValues.radiationLevel;
-  stationParameters.pressure = newValues.pressure;
-  stationParameters.humidity = newValues.humidity;
-
-  // Update station parameters in GunDB
-  if (stationParamsRef) {
-    // Clean the data to avoid GunDB errors
-    const cleanStationParams = {
-      powerLevel: stationParameters.powerLevel,
-      oxygenLevel: stationParameters.oxygenLevel,
-      temperature: stationParameters.temperature,
-      radiationLevel: stationParameters.radiationLevel,
-      pressure: stationParameters.pressure,
-      humidity: stationParameters.humidity,
-      lastUpdate: Date.now(),
-    };
-
-    // Only add instability data if it exists and is valid
-    if (instabilityLevel !== undefined && !isNaN(instabilityLevel)) {
-      cleanStationParams.instabilityLevel = instabilityLevel;
-    }
-
-    stationParamsRef.put(cleanStationParams);
-  }
-
-  // Update instability level based on new values
-  updateInstabilityLevel();
-
-  // Show sync feedback
-  const syncStatus = document.getElementById("syncStatus");
-  if (syncStatus) {
-    syncStatus.textContent = "✅ Synced to Station";
-    syncStatus.style.color = "#10B981";
-    setTimeout(() => {
-      syncStatus.textContent = "🔄 Synced with Station";
-      syncStatus.style.color = "#10B981";
-    }, 1000);
-  }
-
-  console.log("🔄 Synced calibration values to station parameters");
-
-  // Allow syncing again after a short delay
-  setTimeout(() => {
-    window.isSyncing = false;
-  }, 100);
-}
-
-// Save calibration data to GunDB
-function saveCalibrationToGunDB() {
-  if (!user || !user.is || !user.is.pub) return;
-
-  user.get("calibration").put({
-    bars: calibrationBars,
-    ranges: calibrationRanges,
-    score: calibrationScore,
-    lastUpdate: Date.now(),
-  });
-}
-
-// Update calibration bars with drift
-function updateCalibrationBars() {
-  if (!calibrationGameActive) return;
-
-  Object.keys(calibrationBars).forEach((barKey) => {
-    const bar = calibrationBars[barKey];
-
-    // Apply drift
-    bar.value += (Math.random() - 0.5) * bar.drift;
-
-    // Apply target attraction (bars tend to drift toward target)
-    const targetDiff = bar.target - bar.value;
-    bar.value += targetDiff * bar.speed * 0.01;
-
-    // Clamp values to reasonable ranges
-    if (barKey === "power" || barKey === "oxygen" || barKey === "humidity") {
-      bar.value = Math.max(0, Math.min(100, bar.value));
-    } else if (barKey === "temperature") {
-      bar.value = Math.max(-10, Math.min(50, bar.value));
-    } else if (barKey === "radiation") {
-      bar.value = Math.max(0, Math.min(1, bar.value));
-    } else if (barKey === "pressure") {
-      bar.value = Math.max(900, Math.min(1100, bar.value));
-    }
-  });
-
-  // Sync calibration values to station parameters
-  syncCalibrationToStation();
-
-  // Update score based on how well bars are in range
-  updateCalibrationScore();
-
-  // Save to GunDB
-  saveCalibrationToGunDB();
-}
-
-// Update calibration score
-function updateCalibrationScore() {
-  let inRangeCount = 0;
-  const totalBars = Object.keys(calibrationBars).length;
-
-  Object.keys(calibrationBars).forEach((barKey) => {
-    const bar = calibrationBars[barKey];
-    const range = calibrationRanges[barKey];
-
-    if (bar.value >= range.min && bar.value <= range.max) {
-      inRangeCount++;
-    }
-  });
-
-  // Calculate score based on time and accuracy
-  const timeBonus = Math.floor((Date.now() - calibrationStartTime) / 1000);
-  calibrationScore = Math.max(calibrationScore, inRangeCount * 100 + timeBonus);
-}
-
-// Show calibration game interface
-function showCalibrationGame() {
-  const overlay = document.createElement("div");
-  overlay.className = "overlay";
-  overlay.innerHTML = `
-    <div class="calibration-modal">
-      <h2>&gt; MANUAL CALIBRATION SYSTEM</h2>
-      
-      <div class="calibration-info">
-        <div class="score-display">
-          <span>Score: <span id="calibrationScore">${calibrationScore}</span></span>
-          <span>Time: <span id="calibrationTime">00:00</span></span>
-        </div>
-        <div class="instability-display">
-          <span>Instability: <span id="instabilityLevel">${(
-            instabilityLevel * 100
-          ).toFixed(1)}%</span></span>
-        </div>
-        <div class="sync-status">
-          <span id="syncStatus">🔄 Synced with Station</span>
-        </div>
-      </div>
-      
-      <div class="calibration-bars">
-        <div class="calibration-bar" data-bar="power">
-          <div class="bar-label">POWER</div>
-          <div class="bar-container">
-            <div class="bar-fill" id="powerBar"></div>
-            <div class="bar-target" id="powerTarget"></div>
-            <div class="bar-range" id="powerRange"></div>
-          </div>
-          <div class="bar-value" id="powerValue">50.0</div>
-          <div class="bar-controls">
-            <button onclick="adjustBar('power', -5)">-5</button>
-            <button onclick="adjustBar('power', -1)">-1</button>
-            <button onclick="adjustBar('power', 1)">+1</button>
-            <button onclick="adjustBar('power', 5)">+5</button>
-          </div>
-        </div>
-        
-        <div class="calibration-bar" data-bar="oxygen">
-          <div class="bar-label">OXYGEN</div>
-          <div class="bar-container">
-            <div class="bar-fill" id="oxygenBar"></div>
-            <div class="bar-target" id="oxygenTarget"></div>
-            <div class="bar-range" id="oxygenRange"></div>
-          </div>
-          <div class="bar-value" id="oxygenValue">50.0</div>
-          <div class="bar-controls">
-            <button onclick="adjustBar('oxygen', -5)">-5</button>
-            <button onclick="adjustBar('oxygen', -1)">-1</button>
-            <button onclick="adjustBar('oxygen', 1)">+1</button>
-            <button onclick="adjustBar('oxygen', 5)">+5</button>
-          </div>
-        </div>
-        
-        <div class="calibration-bar" data-bar="temperature">
-          <div class="bar-label">TEMPERATURE</div>
-          <div class="bar-container">
-            <div class="bar-fill" id="temperatureBar"></div>
-            <div class="bar-target" id="temperatureTarget"></div>
-            <div class="bar-range" id="temperatureRange"></div>
-          </div>
-          <div class="bar-value" id="temperatureValue">20.0</div>
-          <div class="bar-controls">
-            <button onclick="adjustBar('temperature', -2)">-2</button>
-            <button onclick="adjustBar('temperature', -0.5)">-0.5</button>
-            <button onclick="adjustBar('temperature', 0.5)">+0.5</button>
-            <button onclick="adjustBar('temperature', 2)">+2</button>
-          </div>
-        </div>
-        
-        <div class="calibration-bar" data-bar="radiation">
-          <div class="bar-label">RADIATION</div>
-          <div class="bar-container">
-            <div class="bar-fill" id="radiationBar"></div>
-            <div class="bar-target" id="radiationTarget"></div>
-            <div class="bar-range" id="radiationRange"></div>
-          </div>
-          <div class="bar-value" id="radiationValue">0.10</div>
-          <div class="bar-controls">
-            <button onclick="adjustBar('radiation', -0.02)">-0.02</button>
-            <button onclick="adjustBar('radiation', -0.01)">-0.01</button>
-            <button onclick="adjustBar('radiation', 0.01)">+0.01</button>
-            <button onclick="adjustBar('radiation', 0.02)">+0.02</button>
-          </div>
-        </div>
-        
-        <div class="calibration-bar" data-bar="pressure">
-          <div class="bar-label">PRESSURE</div>
-          <div class="bar-container">
-            <div class="bar-fill" id="pressureBar"></div>
-            <div class="bar-target" id="pressureTarget"></div>
-            <div class="bar-range" id="pressureRange"></div>
-          </div>
-          <div class="bar-value" id="pressureValue">1000</div>
-          <div class="bar-controls">
-            <button onclick="adjustBar('pressure', -10)">-10</button>
-            <button onclick="adjustBar('pressure', -2)">-2</button>
-            <button onclick="adjustBar('pressure', 2)">+2</button>
-            <button onclick="adjustBar('pressure', 10)">+10</button>
-          </div>
-        </div>
-        
-        <div class="calibration-bar" data-bar="humidity">
-          <div class="bar-label">HUMIDITY</div>
-          <div class="bar-container">
-            <div class="bar-fill" id="humidityBar"></div>
-            <div class="bar-target" id="humidityTarget"></div>
-            <div class="bar-range" id="humidityRange"></div>
-          </div>
-          <div class="bar-value" id="humidityValue">50.0</div>
-          <div class="bar-controls">
-            <button onclick="adjustBar('humidity', -5)">-5</button>
-            <button onclick="adjustBar('humidity', -1)">-1</button>
-            <button onclick="adjustBar('humidity', 1)">+1</button>
-            <button onclick="adjustBar('humidity', 5)">+5</button>
-          </div>
-        </div>
-      </div>
-      
-      <div class="calibration-controls">
-        <button id="startCalibrationBtn" class="terminal-button">START CALIBRATION</button>
-        <button id="resetCalibrationBtn" class="terminal-button">RESET</button>
-        <button id="closeCalibrationBtn" class="terminal-button">CLOSE</button>
-      </div>
-    </div>
-  `;
-  document.body.appendChild(overlay);
-
-  // Initialize calibration display
-  updateCalibrationDisplay();
-
-  // Add button handlers
-  const startBtn = overlay.querySelector("#startCalibrationBtn");
-  const resetBtn = overlay.querySelector("#resetCalibrationBtn");
-  const closeBtn = overlay.querySelector("#closeCalibrationBtn");
-
-  startBtn.onclick = () => {
-    if (!calibrationGameActive) {
-      startCalibrationGame();
-      startBtn.textContent = "STOP CALIBRATION";
-      startBtn.classList.add("active");
-    } else {
-      stopCalibrationGame();
-      startBtn.textContent = "START CALIBRATION";
-      startBtn.classList.remove("active");
-    }
-  };
-
-  resetBtn.onclick = () => {
-    resetCalibrationGame();
-  };
-
-  closeBtn.onclick = () => {
-    if (calibrationGameActive) {
-      stopCalibrationGame();
-    }
-    overlay.remove();
-  };
-
-  // Start calibration updates
-  const calibrationInterval = setInterval(() => {
-    if (calibrationGameActive) {
-      updateCalibrationBars();
-      updateCalibrationDisplay();
-    }
-  }, 500); // Reduced from 100ms to 500ms to prevent excessive updates
-
-  // Store interval for cleanup
-  overlay.dataset.interval = calibrationInterval;
-
-  // Cleanup on close
-  overlay.addEventListener("remove", () => {
-    clearInterval(calibrationInterval);
-  });
-}
-
-// Adjust calibration bar value
-function adjustBar(barKey, adjustment) {
-  if (!calibrationGameActive) return;
-
-  calibrationBars[barKey].value += adjustment;
-
-  // Clamp values
-  if (barKey === "power" || barKey === "oxygen" || barKey === "humidity") {
-    calibrationBars[barKey].value = Math.max(
-      0,
-      Math.min(100, calibrationBars[barKey].value)
-    );
-  } else if (barKey === "temperature") {
-    calibrationBars[barKey].value = Math.max(
-      -10,
-      Math.min(50, calibrationBars[barKey].value)
-    );
-  } else if (barKey === "radiation") {
-    calibrationBars[barKey].value = Math.max(
-      0,
-      Math.min(1, calibrationBars[barKey].value)
-    );
-  } else if (barKey === "pressure") {
-    calibrationBars[barKey].value = Math.max(
-      900,
-      Math.min(1100, calibrationBars[barKey].value)
-    );
-  }
-
-  // Immediately sync to station parameters
-  syncCalibrationToStation();
-
-  updateCalibrationScore();
-  saveCalibrationToGunDB();
-}
-
-// Start calibration game
-function startCalibrationGame() {
-  calibrationGameActive = true;
-  calibrationStartTime = Date.now();
-
-  // Sync current station parameters to calibration bars when starting
-  syncStationToCalibration();
-
-  addLog("🔧 Manual calibration system activated", "info");
-}
-
-// Calculate points to award based on calibration score
-function calculateCalibrationPoints(score, profile = null) {
-  // Base points: 1 point per 100 score
-  let basePoints = Math.floor(score / 100);
-
-  // Bonus points for high scores
-  if (score >= 1000) basePoints += 5; // +5 bonus for 1000+ score
-  if (score >= 500) basePoints += 2; // +2 bonus for 500+ score
-  if (score >= 200) basePoints += 1; // +1 bonus for 200+ score
-
-  // Bonus for consecutive sessions (if profile data available)
-  if (profile && profile.lastCalibrationDate) {
-    const timeSinceLastSession = Date.now() - profile.lastCalibrationDate;
-    const oneDay = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-
-    // Bonus for daily calibration (within 24 hours)
-    if (timeSinceLastSession < oneDay) {
-      basePoints += 1; // +1 bonus for daily calibration
-    }
-  }
-
-  // Minimum 1 point for any calibration session
-  return Math.max(1, basePoints);
-}
-
-// Stop calibration game
-function stopCalibrationGame() {
-  calibrationGameActive = false;
-
-  // Calculate points to award based on calibration score
-  const pointsToAward = calculateCalibrationPoints(calibrationScore, null);
-
-  // Award points to the user
-  if (pointsToAward > 0 && currentUser) {
-    // Use unified points update function
-    if (window.updateUserPoints) {
-      window.updateUserPoints(pointsToAward, "calibration completion", {
-        score: calibrationScore,
-      });
-    } else {
-      // Fallback to old method
-      const newPoints = currentUser.points + pointsToAward;
-      const newLevel = getLevelFromPoints(newPoints);
-
-      // Update user profile in GunDB
-      user.get("profile").once((profile) => {
-        const updatedProfile = {
-          ...profile,
-          points: newPoints,
-          level: newLevel,
-          calibrationSessions: (profile.calibrationSessions || 0) + 1,
-          totalCalibrationScore:
-            (profile.totalCalibrationScore || 0) + calibrationScore,
-          lastCalibrationScore: calibrationScore,
-          bestCalibrationScore: Math.max(
-            profile.bestCalibrationScore || 0,
-            calibrationScore
-          ),
-          lastCalibrationDate: Date.now(),
-        };
-
-        user.get("profile").put(updatedProfile);
-
-        // Update leaderboard
-        gun.get("leaderboard").get(currentUser.alias).put({
-          points: newPoints,
-          level: newLevel,
-        });
-
-        // Update local data
-        currentUser.points = newPoints;
-        currentUser.level = newLevel;
-        currentUser.calibrationSessions = updatedProfile.calibrationSessions;
-        currentUser.totalCalibrationScore =
-          updatedProfile.totalCalibrationScore;
-        currentUser.bestCalibrationScore = updatedProfile.bestCalibrationScore;
-        currentUser.lastCalibrationScore = updatedProfile.lastCalibrationScore;
-
-        // Force sync to leaderboard immediately
-        if (window.syncPointsToLeaderboard) {
-          window.syncPointsToLeaderboard();
-        }
-
-        console.log(
-          "🔧 Calibration completion - Profile data saved:",
-          updatedProfile
-        );
-
-        console.log("🔧 Calibration completion - currentUser updated:", {
-          calibrationSessions: currentUser.calibrationSessions,
-          totalCalibrationScore: currentUser.totalCalibrationScore,
-          bestCalibrationScore: currentUser.bestCalibrationScore,
-          lastCalibrationScore: currentUser.lastCalibrationScore,
-        });
-
-        console.log("🔧 Calibration completed - Updated currentUser:", {
-          calibrationSessions: currentUser.calibrationSessions,
-          totalCalibrationScore: currentUser.totalCalibrationScore,
-          bestCalibrationScore: currentUser.bestCalibrationScore,
-          lastCalibrationScore: currentUser.lastCalibrationScore,
-        });
-
-        // Update UI
-        updateStatsUI();
-
-        // Force profile UI update if profile modal is open
-        if (window.updateUserProfile) {
-          window.updateUserProfile();
-        }
-
-        // Force profile modal update if it's open
-        const profileModal = document.querySelector(".profile-modal");
-        if (profileModal) {
-          // Trigger the profile update function to refresh the modal
-          if (window.updateProfile) {
-            console.log("🔧 Profile modal is open, calling updateProfile()");
-            window.updateProfile();
-          }
-        }
-
-        // Force calibration data sync to ensure consistency
-        if (window.syncCalibrationFromProfile) {
-          setTimeout(() => {
-            console.log("🔧 Post-calibration sync initiated");
-            // Set a flag to prevent profile listener from overwriting calibration data
-            window.calibrationJustCompleted = true;
-            window.syncCalibrationFromProfile();
-            // Clear the flag after a delay
-            setTimeout(() => {
-              window.calibrationJustCompleted = false;
-              console.log("🔧 Calibration completion flag cleared");
-            }, 3000);
-          }, 1000);
-        }
-
-        addLog(
-          `🔧 Calibration session ended. Final score: ${calibrationScore} | +${pointsToAward} points awarded!`,
-          "success"
-        );
-
-        // Debug: Log profile update
-        console.log("🔧 Calibration completed, profile updated:", {
-          calibrationSessions: updatedProfile.calibrationSessions,
-          totalCalibrationScore: updatedProfile.totalCalibrationScore,
-          bestCalibrationScore: updatedProfile.bestCalibrationScore,
-          lastCalibrationScore: updatedProfile.lastCalibrationScore,
-        });
-      });
-    }
-  } else {
-    addLog(
-      `🔧 Calibration session ended. Final score: ${calibrationScore}`,
-      "success"
-    );
-  }
-}
-
-// Reset calibration game
-function resetCalibrationGame() {
-  calibrationScore = 0;
-  Object.keys(calibrationBars).forEach((barKey) => {
-    calibrationBars[barKey].value = calibrationBars[barKey].target;
-  });
-  // Sync reset values to station parameters
-  syncCalibrationToStation();
-
-  saveCalibrationToGunDB();
-  addLog("🔧 Calibration system reset", "info");
-}
-
-// Update calibration display
-function updateCalibrationDisplay() {
-  // Update score and time
-  const scoreEl = document.getElementById("calibrationScore");
-  const timeEl = document.getElementById("calibrationTime");
-  const instabilityEl = document.getElementById("instabilityLevel");
-
-  if (scoreEl) scoreEl.textContent = calibrationScore;
-  if (instabilityEl)
-    instabilityEl.textContent = `${(instabilityLevel * 100).toFixed(1)}%`;
-
-  if (timeEl && calibrationGameActive) {
-    const elapsed = Math.floor((Date.now() - calibrationStartTime) / 1000);
-    const minutes = Math.floor(elapsed / 60);
-    const seconds = elapsed % 60;
-    timeEl.textContent = `${minutes.toString().padStart(2, "0")}:${seconds
-      .toString()
-      .padStart(2, "0")}`;
-  }
-
-  // Update each bar
-  Object.keys(calibrationBars).forEach((barKey) => {
-    const bar = calibrationBars[barKey];
-    const range = calibrationRanges[barKey];
-
-    // Update value display
-    const valueEl = document.getElementById(`${barKey}Value`);
-    if (valueEl) {
-      if (barKey === "radiation") {
-        valueEl.textContent = bar.value.toFixed(2);
-      } else if (barKey === "temperature") {
-        valueEl.textContent = bar.value.toFixed(1);
-      } else if (barKey === "pressure") {
-        valueEl.textContent = Math.round(bar.value);
-      } else {
-        valueEl.textContent = bar.value.toFixed(1);
-      }
-    }
-
-    // Update bar fill
-    const barEl = document.getElementById(`${barKey}Bar`);
-    if (barEl) {
-      let percentage;
-      if (barKey === "power" || barKey === "oxygen" || barKey === "humidity") {
-        percentage = bar.value;
-      } else if (barKey === "temperature") {
-        percentage = ((bar.value + 10) / 60) * 100;
-      } else if (barKey === "radiation") {
-        percentage = bar.value * 100;
-      } else if (barKey === "pressure") {
-        percentage = ((bar.value - 900) / 200) * 100;
-      }
-
-      barEl.style.width = `${Math.max(0, Math.min(100, percentage))}%`;
-
-      // Color based on range
-      if (bar.value >= range.min && bar.value <= range.max) {
-        barEl.style.backgroundColor = "#10B981"; // Green
-      } else if (
-        Math.abs(bar.value - bar.target) <
-        (range.max - range.min) * 0.5
-      ) {
-        barEl.style.backgroundColor = "#F59E0B"; // Yellow
-      } else {
-        barEl.style.backgroundColor = "#EF4444"; // Red
-      }
-    }
-
-    // Update target indicator
-    const targetEl = document.getElementById(`${barKey}Target`);
-    if (targetEl) {
-      let targetPercentage;
-      if (barKey === "power" || barKey === "oxygen" || barKey === "humidity") {
-        targetPercentage = bar.target;
-      } else if (barKey === "temperature") {
-        targetPercentage = ((bar.target + 10) / 60) * 100;
-      } else if (barKey === "radiation") {
-        targetPercentage = bar.target * 100;
-      } else if (barKey === "pressure") {
-        targetPercentage = ((bar.target - 900) / 200) * 100;
-      }
-
-      targetEl.style.left = `${Math.max(0, Math.min(100, targetPercentage))}%`;
-    }
-
-    // Update range indicator
-    const rangeEl = document.getElementById(`${barKey}Range`);
-    if (rangeEl) {
-      let minPercentage, maxPercentage;
-      if (barKey === "power" || barKey === "oxygen" || barKey === "humidity") {
-        minPercentage = range.min;
-        maxPercentage = range.max;
-      } else if (barKey === "temperature") {
-        minPercentage = ((range.min + 10) / 60) * 100;
-        maxPercentage = ((range.max + 10) / 60) * 100;
-      } else if (barKey === "radiation") {
-        minPercentage = range.min * 100;
-        maxPercentage = range.max * 100;
-      } else if (barKey === "pressure") {
-        minPercentage = ((range.min - 900) / 200) * 100;
-        maxPercentage = ((range.max - 900) / 200) * 100;
-      }
-
-      rangeEl.style.left = `${Math.max(0, Math.min(100, minPercentage))}%`;
-      rangeEl.style.width = `${Math.max(
-        0,
-        Math.min(100, maxPercentage - minPercentage)
-      )}%`;
-    }
-  });
-}
-
 function generateTaskParameters(category, taskKey) {
   const params = {};
 
@@ -7212,8 +6042,20 @@ function generateTaskParameters(category, taskKey) {
       params.targetHumidity = Math.floor(Math.random() * 30) + 35; // 35-65
       params.currentHumidity = stationParameters.humidity || 50;
       break;
-    default:
-      params.randomValue = Math.floor(Math.random() * 100);
+    default: {
+      // Other tasks work on the reading their fix moves first, aiming
+      // where the fix would take it
+      const [parameter, delta] =
+        Object.entries(window.catalog.getEffects({ taskKey }, "success"))[0] ||
+        [];
+      const fields = window.procedures.getReadingFields(parameter);
+      if (fields && typeof stationParameters[parameter] === "number") {
+        params[fields.current] = stationParameters[parameter];
+        params[fields.target] = stationParameters[parameter] + delta;
+      } else {
+        params.randomValue = Math.floor(Math.random() * 100);
+      }
+    }
   }
 
   return params;
@@ -7222,6 +6064,10 @@ function generateTaskParameters(category, taskKey) {
 function startRandomEvents() {
   // Trigger random events every 3-8 minutes
   safeSetInterval(() => {
+    // Only the station coordinator rolls for events
+    if (!window.coordinator.isCoordinator()) return;
+    if (window.failure?.isRecovering()) return;
+
     if (Math.random() < 0.3) {
       // 30% chance
       const event =
@@ -7234,72 +6080,26 @@ function startRandomEvents() {
 function triggerRandomEvent(event) {
   addLog(`RANDOM EVENT: ${event.name}`, "error");
 
-  // Apply effects to station parameters
-  Object.keys(event.effect).forEach((param) => {
-    stationParameters[param] += event.effect[param];
-
-    // Clamp values to reasonable ranges
-    if (param === "powerLevel")
-      stationParameters[param] = Math.max(
-        0,
-        Math.min(100, stationParameters[param])
-      );
-    if (param === "oxygenLevel")
-      stationParameters[param] = Math.max(
-        0,
-        Math.min(100, stationParameters[param])
-      );
-    if (param === "temperature")
-      stationParameters[param] = Math.max(
-        -50,
-        Math.min(100, stationParameters[param])
-      );
-    if (param === "radiationLevel")
-      stationParameters[param] = Math.max(
-        0,
-        Math.min(1, stationParameters[param])
-      );
-    if (param === "pressure")
-      stationParameters[param] = Math.max(
-        800,
-        Math.min(1200, stationParameters[param])
-      );
-    if (param === "humidity")
-      stationParameters[param] = Math.max(
-        0,
-        Math.min(100, stationParameters[param])
-      );
+  // The simulation applies the effect on its next tick
+  window.simulation.submitDelta(event.effect, "random");
+  stationParamsRef.put({ lastEvent: event.name, lastUpdate: Date.now() });
+  window.events?.recordEvent("random", {
+    name: event.name,
+    operator: "SYSTEM",
   });
 
-  // Update GunDB
-  stationParamsRef.put({
-    ...stationParameters,
-    lastUpdate: Date.now(),
-    lastEvent: event.name,
-  });
+  // Some events open a multi-stage incident instead of a lone task
+  if (window.incidents.openIncident(event.name)) return;
 
   // Create emergency task if needed
   if (Math.random() < 0.5) {
-    const emergencyTasks = Object.keys(taskTypes.EMERGENCY);
-    const taskKey =
-      emergencyTasks[Math.floor(Math.random() * emergencyTasks.length)];
-    const task = taskTypes.EMERGENCY[taskKey];
-    const taskId = crypto.randomUUID();
-
+    const task = window.catalog.pickTask("EMERGENCY");
     const newTask = {
-      id: taskId,
-      type: "EMERGENCY",
-      name: task.name,
-      difficulty: task.difficulty,
-      timeLimit: task.timeLimit,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + task.timeLimit,
-      assignedTo: null,
-      completed: false,
-      failed: false,
-      parameters: generateTaskParameters("EMERGENCY", taskKey),
+      ...window.catalog.createTaskInstance(task),
+      parameters: generateTaskParameters("EMERGENCY", task.key),
       triggeredBy: event.name,
     };
+    const taskId = newTask.id;
 
     taskRef.get(taskId).put(newTask);
 
@@ -7326,67 +6126,6 @@ function triggerRandomEvent(event) {
   }
 }
 
-function startParameterDrift() {
-  // Parameters naturally drift over time with realistic patterns
-  safeSetInterval(() => {
-    // More realistic drift patterns
-    const driftPatterns = {
-      powerLevel: (Math.random() - 0.5) * 1.5, // Power fluctuates less
-      oxygenLevel: (Math.random() - 0.5) * 1.2, // Oxygen is more stable
-      temperature: (Math.random() - 0.5) * 2.5, // Temperature fluctuates more
-      radiationLevel: (Math.random() - 0.5) * 0.02, // Radiation changes slowly
-      pressure: (Math.random() - 0.5) * 3, // Pressure fluctuates moderately
-      humidity: (Math.random() - 0.5) * 2, // Humidity fluctuates moderately
-    };
-
-    // Apply drift to all parameters
-    Object.keys(driftPatterns).forEach((param) => {
-      stationParameters[param] += driftPatterns[param];
-    });
-
-    // Apply interdependencies after drift
-    applyParameterInterdependencies();
-
-    // Clamp values to realistic ranges
-    clampParameterValues();
-
-    // Update GunDB every 30 seconds
-    stationParamsRef.put({
-      ...stationParameters,
-      lastUpdate: Date.now(),
-    });
-
-    // Update the display
-    updateStationParametersDisplay();
-
-    // Check for alerts
-    checkParameterAlerts();
-  }, 30000);
-
-  // Also add more frequent small changes for better visibility
-  safeSetInterval(() => {
-    // Small random changes every 10 seconds for more dynamic feel
-    const smallDrift = {
-      powerLevel: (Math.random() - 0.5) * 0.3,
-      oxygenLevel: (Math.random() - 0.5) * 0.2,
-      temperature: (Math.random() - 0.5) * 0.5,
-      radiationLevel: (Math.random() - 0.5) * 0.005,
-      pressure: (Math.random() - 0.5) * 0.6,
-      humidity: (Math.random() - 0.5) * 0.4,
-    };
-
-    Object.keys(smallDrift).forEach((param) => {
-      stationParameters[param] += smallDrift[param];
-    });
-
-    applyParameterInterdependencies();
-    clampParameterValues();
-
-    // Update display immediately for small changes
-    updateStationParametersDisplay();
-  }, 10000);
-}
-
 function updateStationParametersDisplay() {
   // Update the station parameters display in the UI
   const paramsDisplay = document.getElementById("stationParamsDisplay");
@@ -7539,34 +6278,8 @@ function checkParameterAlerts() {
     return;
   }
 
-  // Check for critical parameter levels
-  if ((stationParameters.powerLevel || 0) < 20) {
-    addLog("CRITICAL: Power levels critically low!", "error");
-  }
-  if ((stationParameters.oxygenLevel || 0) < 15) {
-    addLog("CRITICAL: Oxygen levels critically low!", "error");
-  }
-  if (
-    (stationParameters.temperature || 0) > 40 ||
-    (stationParameters.temperature || 0) < 0
-  ) {
-    addLog("CRITICAL: Temperature outside safe range!", "error");
-  }
-  if ((stationParameters.radiationLevel || 0) > 0.5) {
-    addLog("CRITICAL: Radiation levels dangerously high!", "error");
-  }
-  if (
-    (stationParameters.pressure || 0) < 900 ||
-    (stationParameters.pressure || 0) > 1100
-  ) {
-    addLog("CRITICAL: Pressure outside safe range!", "error");
-  }
-  if (
-    (stationParameters.humidity || 0) < 20 ||
-    (stationParameters.humidity || 0) > 80
-  ) {
-    addLog("CRITICAL: Humidity outside safe range!", "error");
-  }
+  // The alarms module raises, escalates and clears parameter alarms
+  window.alarms.checkParameters(stationParameters);
 }
 
 function updateTaskDisplay() {
@@ -7611,6 +6324,12 @@ function updateTaskDisplay() {
       const timeLeftMinutes = Math.floor(timeLeft / 60000);
       const timeLeftSeconds = Math.floor((timeLeft % 60000) / 1000);
 
+      // Incident stages say which incident they belong to
+      const incidentNote = window.incidents.describeTask(task);
+      const incidentHTML = incidentNote
+        ? `<div class="task-incident">${incidentNote}</div>`
+        : "";
+
       // Calculate execution countdown
       let executionStatus = "";
       let canComplete = true;
@@ -7631,6 +6350,33 @@ function updateTaskDisplay() {
         }
       }
 
+      // Cooperative tasks show their crew instead of accept/complete
+      if (window.crews.isCooperative(task)) {
+        return `
+        <div class="task-item ${(task.type || "maintenance").toLowerCase()} ${
+          timeLeft < 60000 ? "urgent" : ""
+        } task-cooperative">
+          <div class="task-header">
+            <span class="task-name">${task.name || "Unknown Task"}</span>
+            <span class="task-type">${task.type || "MAINTENANCE"} · CREW</span>
+          </div>
+          <div class="task-details">
+            <span class="task-difficulty">Difficulty: ${
+              task.difficulty || 1
+            }/5</span>
+            <span class="task-time">Expires: ${timeLeftMinutes}:${timeLeftSeconds
+          .toString()
+          .padStart(2, "0")}</span>
+          </div>
+          ${incidentHTML}
+          <div class="task-description">${window.catalog.getDescription(
+            task
+          )}</div>
+          <div class="task-crew-slot" data-task-id="${task.id}"></div>
+        </div>
+      `;
+      }
+
       // Determine task status for styling
       let taskStatusClass = "";
       if (
@@ -7677,6 +6423,10 @@ function updateTaskDisplay() {
                 : ""
             }
           </div>
+          ${incidentHTML}
+          <div class="task-description">${window.catalog.getDescription(
+            task
+          )}</div>
           <div class="task-actions">
             <button class="task-btn accept ${
               task.assignedTo ? "assigned" : ""
@@ -7697,6 +6447,7 @@ function updateTaskDisplay() {
               ${!canComplete ? "EXECUTING..." : "COMPLETE"}
             </button>
           </div>
+          <div class="task-assignment-slot" data-task-id="${task.id}"></div>
         </div>
       `;
     });
@@ -7704,6 +6455,23 @@ function updateTaskDisplay() {
     // Filter out empty task HTML (from invalid tasks)
     const validTaskHTML = taskHTMLArray.filter((html) => html !== "");
     taskDisplay.innerHTML = operatorTaskCount + validTaskHTML.join("");
+
+    // Fill in the crew panels of cooperative tasks
+    taskDisplay.querySelectorAll(".task-crew-slot").forEach((slot) => {
+      const task = activeTasks.find((t) => t.id === slot.dataset.taskId);
+      if (task) {
+        slot.appendChild(window.crews.createCrewPanel(task, updateTaskDisplay));
+      }
+    });
+
+    // Abandon and handoff controls for tasks assigned or offered to us
+    taskDisplay.querySelectorAll(".task-assignment-slot").forEach((slot) => {
+      const task = activeTasks.find((t) => t.id === slot.dataset.taskId);
+      const controls =
+        task &&
+        window.assignments.createAssignmentControls(task, updateTaskDisplay);
+      if (controls) slot.appendChild(controls);
+    });
   }
 }
 
@@ -7722,6 +6490,11 @@ function acceptTask(taskId) {
     return;
   }
 
+  if (window.crews.isCooperative(task)) {
+    addLog("ERROR: Cooperative task - join one of its roles instead", "error");
+    return;
+  }
+
   if (task.assignedTo) {
     addLog("ERROR: Task already assigned", "error");
     return;
@@ -7808,20 +6581,44 @@ function completeTask(taskId) {
 
   if (Date.now() > task.expiresAt) {
     addLog("ERROR: Task has expired", "error");
-    task.failed = true;
-    taskRef.get(taskId).put(task);
+    window.expiry.resolveExpiry(task);
     activeTasks = activeTasks.filter((t) => t.id !== taskId);
     updateTaskDisplay();
     return;
   }
 
-  // Calculate task success based on parameters
-  const success = calculateTaskSuccess(task);
+  // Run the task's procedure; the operator's score decides the outcome
+  window.procedures.runProcedure(task).then((result) => {
+    if (!result) {
+      addLog(`Procedure for "${task.name}" aborted - task still active`, "info");
+      return;
+    }
+    if (!activeTasks.some((t) => t.id === taskId)) {
+      addLog(`Task "${task.name}" is no longer active`, "error");
+      return;
+    }
+    if (Date.now() > task.expiresAt) {
+      addLog("ERROR: Task expired during the procedure", "error");
+      window.expiry.resolveExpiry(task);
+      activeTasks = activeTasks.filter((t) => t.id !== taskId);
+      updateTaskDisplay();
+      return;
+    }
+    finishTask(task, result);
+  });
+}
+
+function finishTask(task, result) {
+  const success = calculateTaskSuccess(task, result);
+  task.procedureScore = result.score;
 
   if (success) {
     task.completed = true;
 
-    addLog(`Task "${task.name}" completed successfully!`, "success");
+    addLog(
+      `Task "${task.name}" completed successfully! (score ${Math.round(result.score * 100)}%)`,
+      "success"
+    );
 
     // Play task completion sound
     if (window.task && window.task.readyState >= 2) {
@@ -7843,46 +6640,27 @@ function completeTask(taskId) {
   } else {
     task.failed = true;
 
-    addLog(`Task "${task.name}" failed!`, "error");
+    addLog(
+      `Task "${task.name}" failed! (score ${Math.round(result.score * 100)}%)`,
+      "error"
+    );
 
     // Apply negative effects
     applyTaskFailureEffects(task);
   }
 
   // Remove from active tasks and add to history
-  activeTasks = activeTasks.filter((t) => t.id !== taskId);
+  activeTasks = activeTasks.filter((t) => t.id !== task.id);
   taskHistory.push(task);
 
-  taskRef.get(taskId).put(task);
+  taskRef.get(task.id).put(task);
+  window.events?.recordTaskOutcome(task, success ? "completed" : "failed");
   updateTaskDisplay();
 }
 
-function calculateTaskSuccess(task) {
-  let successRate = 1 - task.difficulty * 0.1; // 90% for difficulty 1, 50% for difficulty 5
-  successRate += (Math.random() - 0.5) * 0.2; // ±10% randomness
-
-  if (task.parameters) {
-    if (
-      task.parameters.targetPower &&
-      Math.abs(stationParameters.powerLevel - task.parameters.targetPower) < 5
-    ) {
-      successRate += 0.1;
-    }
-    if (
-      task.parameters.targetOxygen &&
-      Math.abs(stationParameters.oxygenLevel - task.parameters.targetOxygen) < 3
-    ) {
-      successRate += 0.1;
-    }
-    if (
-      task.parameters.targetTemp &&
-      Math.abs(stationParameters.temperature - task.parameters.targetTemp) < 2
-    ) {
-      successRate += 0.1;
-    }
-  }
-
-  return Math.random() < Math.max(0.1, Math.min(0.95, successRate));
+// A task succeeds when the operator's procedure score passes
+function calculateTaskSuccess(task, result) {
+  return !!result && result.score >= window.procedures.PASS_SCORE;
 }
 
 function awardTaskPoints(points) {
@@ -7924,71 +6702,33 @@ function awardTaskPoints(points) {
 }
 
 function applyTaskEffects(task) {
-  const effects = parameterEffects[task.name];
-  if (effects?.success) {
-    Object.keys(effects.success).forEach((param) => {
-      stationParameters[param] += effects.success[param];
-    });
-    applyParameterInterdependencies();
-    clampParameterValues();
+  const effects = window.catalog.applyEffects(task, "success");
+  if (Object.keys(effects).length > 0) {
     addLog(`Task "${task.name}" improved station parameters`, "success");
   }
-  stationParamsRef.put({ ...stationParameters, lastUpdate: Date.now() });
 }
 
 function applyTaskFailureEffects(task) {
-  const effects = parameterEffects[task.name];
-  if (effects?.failure) {
-    Object.keys(effects.failure).forEach((param) => {
-      stationParameters[param] += effects.failure[param];
-    });
-    applyParameterInterdependencies();
-    clampParameterValues();
+  const effects = window.catalog.applyEffects(task, "failure");
+  if (Object.keys(effects).length > 0) {
     addLog(`Task "${task.name}" failure worsened station parameters`, "error");
   }
-  stationParamsRef.put({ ...stationParameters, lastUpdate: Date.now() });
 }
 
 // Calculate bonus points based on station parameter balance
 function calculateParameterBalanceBonus() {
   let bonusPoints = 0;
   let balancedParameters = 0;
-  const totalParameters = 6;
+  const thresholds = window.rules.getRules().thresholds;
+  const totalParameters = Object.keys(thresholds).length;
 
-  // Check each parameter for optimal balance
-  if (
-    stationParameters.powerLevel >= 80 &&
-    stationParameters.powerLevel <= 100
-  ) {
-    bonusPoints += 1;
-    balancedParameters++;
-  }
-  if (
-    stationParameters.oxygenLevel >= 85 &&
-    stationParameters.oxygenLevel <= 100
-  ) {
-    bonusPoints += 1;
-    balancedParameters++;
-  }
-  if (
-    stationParameters.temperature >= 18 &&
-    stationParameters.temperature <= 25
-  ) {
-    bonusPoints += 1;
-    balancedParameters++;
-  }
-  if (stationParameters.radiationLevel <= 0.1) {
-    bonusPoints += 1;
-    balancedParameters++;
-  }
-  if (stationParameters.pressure >= 980 && stationParameters.pressure <= 1020) {
-    bonusPoints += 1;
-    balancedParameters++;
-  }
-  if (stationParameters.humidity >= 40 && stationParameters.humidity <= 60) {
-    bonusPoints += 1;
-    balancedParameters++;
-  }
+  // Check each parameter against its optimal range
+  Object.keys(thresholds).forEach((param) => {
+    if (window.alarms.isOptimal(param, stationParameters[param], thresholds)) {
+      bonusPoints += 1;
+      balancedParameters++;
+    }
+  });
 
   // Additional bonus for having all parameters balanced
   if (balancedParameters === totalParameters) {
@@ -8001,49 +6741,6 @@ function calculateParameterBalanceBonus() {
   return bonusPoints;
 }
 
-// Apply realistic parameter interdependencies
-function applyParameterInterdependencies() {
-  const originalValues = { ...stationParameters };
-  Object.keys(parameterInterdependencies).forEach((param) => {
-    const dependencies = parameterInterdependencies[param];
-    if (dependencies.affects) {
-      Object.keys(dependencies.affects).forEach((affectedParam) => {
-        const factor = dependencies.affects[affectedParam];
-        const change = originalValues[param] * factor * 0.01;
-        stationParameters[affectedParam] += change;
-      });
-    }
-  });
-}
-
-// Clamp parameter values to realistic ranges
-function clampParameterValues() {
-  stationParameters.powerLevel = Math.max(
-    0,
-    Math.min(100, stationParameters.powerLevel)
-  );
-  stationParameters.oxygenLevel = Math.max(
-    0,
-    Math.min(100, stationParameters.oxygenLevel)
-  );
-  stationParameters.temperature = Math.max(
-    -50,
-    Math.min(100, stationParameters.temperature)
-  );
-  stationParameters.radiationLevel = Math.max(
-    0,
-    Math.min(1, stationParameters.radiationLevel)
-  );
-  stationParameters.pressure = Math.max(
-    800,
-    Math.min(1200, stationParameters.pressure)
-  );
-  stationParameters.humidity = Math.max(
-    0,
-    Math.min(100, stationParameters.humidity)
-  );
-}
-
 function startParameterDisplayUpdates() {
   safeSetInterval(() => updateStationParametersDisplay(), 2000);
 }
@@ -8458,6 +7155,17 @@ function executeChallenge(challenge) {
 
   // Store in GunDB
   gun.get("challenges").get(challenge.id).put(challenge);
+  window.events?.recordEvent(
+    "challenge",
+    {
+      challengeId: challenge.id,
+      challengeType: challenge.type,
+      result: challenge.result,
+      operator: challenge.challenger?.alias,
+      target: challenge.target?.alias,
+    },
+    `challenge_${challenge.id}`
+  );
 
   // Debug log to verify challenge was saved
   console.log("💾 Challenge saved to GunDB:", {